@@ -1,5 +1,6 @@
 
 import db from '../lib/db.js';
+import { assertSchemaUpToDate, SchemaOutdatedError } from '../lib/migrations.js';
 import { Clerk } from '@clerk/clerk-sdk-node';
 
 const clerk = Clerk({ secretKey: process.env.CLERK_SECRET_KEY });
@@ -51,19 +52,26 @@ export default async (req, res) => {
         return res.status(401).json({ error: 'Unauthorized', details: error.message });
     }
 
+    // Recusa atender com o banco atrás das migrações (npm run db:migrate)
+    try {
+        await assertSchemaUpToDate();
+    } catch (error) {
+        console.error('Schema Error:', error.message);
+        if (error instanceof SchemaOutdatedError) {
+            return res.status(503).json({ error: 'Database schema outdated', pending: error.pending });
+        }
+        return res.status(503).json({ error: 'Database unavailable' });
+    }
+
     if (req.method === 'GET') {
         try {
-            const { rows } = await db.query('SELECT phone FROM user_data WHERE user_id = $1', [userId]);
+            const { rows } = await db.query('SELECT phone FROM accounts WHERE user_id = $1', [userId]);
             if (rows.length === 0) {
                 return res.status(200).json({ phone: '' });
             }
             return res.status(200).json({ phone: rows[0].phone || '' });
         } catch (error) {
             console.error('Settings GET Error:', error);
-            // If column doesn't exist, return empty
-            if (error.code === '42703') { // undefined_column
-                return res.status(200).json({ phone: '', warning: 'Schema outdated' });
-            }
             return res.status(500).json({ error: 'Internal Server Error' });
         }
     }
@@ -76,20 +84,16 @@ export default async (req, res) => {
         const cleanPhone = phone ? phone.replace(/\D/g, '') : null;
 
         try {
-            // Check if column exists by trying to update
             await db.query(`
-                INSERT INTO user_data (user_id, phone)
+                INSERT INTO accounts (user_id, phone)
                 VALUES ($1, $2)
                 ON CONFLICT (user_id)
-                DO UPDATE SET phone = EXCLUDED.phone
+                DO UPDATE SET phone = EXCLUDED.phone, updated_at = NOW()
             `, [userId, cleanPhone]);
             
             return res.status(200).json({ success: true });
         } catch (error) {
             console.error('Settings POST Error:', error);
-            if (error.code === '42703') { // undefined_column
-                 return res.status(500).json({ error: 'Database schema needs update (missing phone column)' });
-            }
             return res.status(500).json({ error: 'Internal Server Error' });
         }
     }
@@ -1,5 +1,6 @@
 
-import db from '../lib/db.js';
+import { syncUserData, getChangesSince, toLegacyRow } from '../lib/sync-store.js';
+import { assertSchemaUpToDate, SchemaOutdatedError } from '../lib/migrations.js';
 import { Clerk } from '@clerk/clerk-sdk-node';
 
 const clerk = Clerk({ secretKey: process.env.CLERK_SECRET_KEY });
@@ -53,67 +54,63 @@ export default async (req, res) => {
     return res.status(401).json({ error: 'User ID required' });
   }
 
+  // Recusa atender com o banco atrás das migrações (npm run db:migrate)
+  try {
+    await assertSchemaUpToDate();
+  } catch (error) {
+    console.error('Schema Error:', error.message);
+    if (error instanceof SchemaOutdatedError) {
+      return res.status(503).json({ error: 'Database schema outdated', pending: error.pending });
+    }
+    return res.status(503).json({ error: 'Database unavailable' });
+  }
+
   try {
     if (req.method === 'GET') {
-      const { rows } = await db.query('SELECT * FROM user_data WHERE user_id = $1', [userId]);
-      
-      if (rows.length === 0) {
-        // Retornar estrutura vazia padrão se usuário não existir
-        return res.status(200).json({
-          expenses: [],
-          incomes: [],
-          cards: [],
-          expense_categories: [],
-          income_categories: [],
-          achievements: [],
-          monthly_goal: 0
-        });
+      // Pull incremental: só o que mudou depois do cursor do aparelho
+      if (req.query?.since !== undefined) {
+        const since = parseInt(req.query.since, 10) || 0;
+        const result = await getChangesSince(userId, since);
+        return res.status(200).json(result);
       }
 
-      return res.status(200).json(rows[0]);
+      // Formato antigo: uma coluna por coleção (vazias se o usuário ainda não existir)
+      const result = await getChangesSince(userId, 0);
+      return res.status(200).json(toLegacyRow(result));
     }
 
     if (req.method === 'POST') {
-      const data = req.body;
-      
-      // Upsert (Inserir ou Atualizar)
-      const query = `
-        INSERT INTO user_data (
-          user_id, 
-          expenses, 
-          incomes, 
-          cards, 
-          expense_categories, 
-          income_categories, 
-          achievements, 
-          monthly_goal,
-          updated_at
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
-        ON CONFLICT (user_id) 
-        DO UPDATE SET 
-          expenses = EXCLUDED.expenses,
-          incomes = EXCLUDED.incomes,
-          cards = EXCLUDED.cards,
-          expense_categories = EXCLUDED.expense_categories,
-          income_categories = EXCLUDED.income_categories,
-          achievements = EXCLUDED.achievements,
-          monthly_goal = EXCLUDED.monthly_goal,
-          updated_at = NOW();
-      `;
+      const data = req.body || {};
 
-      const values = [
-        userId,
-        JSON.stringify(data.expensesData || []),
-        JSON.stringify(data.incomeData || []),
-        JSON.stringify(data.cards || []),
-        JSON.stringify(data.categories?.expense || []),
-        JSON.stringify(data.categories?.income || []),
-        JSON.stringify(data.achievements || []),
-        data.monthlyGoal || 0
-      ];
+      // Envio das alterações por registro (ver syncMerge.js) a partir do cursor do aparelho.
+      // Registros que mudaram no servidor depois do cursor são recusados (409): o aparelho
+      // baixa as alterações, mescla e reenvia. A resposta traz o novo cursor e o que mudou.
+      if (data.changes) {
+        const cursor = Number.isFinite(data.cursor) ? data.cursor : null;
+        const result = await syncUserData(userId, { changes: data.changes, cursor, settings: data.settings });
+        if (result.stale) {
+          return res.status(409).json({ error: 'Stale base', stale: result.stale, cursor: result.cursor });
+        }
+        return res.status(200).json({ success: true, ...result });
+      }
 
-      await db.query(query, values);
+      // Formato antigo (arrays completos): cada registro enviado prevalece, sem exclusões,
+      // para que versões antigas do app não apaguem o que outros aparelhos gravaram
+      await syncUserData(userId, {
+        snapshot: {
+          expenses: data.expensesData,
+          incomes: data.incomeData,
+          cards: data.cards,
+          expenseCategories: data.categories?.expense,
+          incomeCategories: data.categories?.income
+        },
+        settings: {
+          category_rules: data.categoryRules,
+          tags: data.tags,
+          achievements: data.achievements,
+          monthly_goal: data.monthlyGoal
+        }
+      });
       return res.status(200).json({ success: true });
     }
 
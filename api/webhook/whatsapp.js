@@ -1,8 +1,28 @@
 
 import db from '../../lib/db.js';
 import { parseMessage } from '../../lib/whatsapp-parser.js';
+import {
+    findUserByPhone,
+    buildTransaction,
+    recordTransaction,
+    getUserTransactions,
+    removeTransaction
+} from '../../lib/whatsapp-transactions.js';
+import { parseCommand, executeCommand } from '../../lib/whatsapp-commands.js';
+import { assertSchemaUpToDate } from '../../lib/migrations.js';
+import { createWhatsAppClient } from '../../lib/whatsapp-client.js';
+import { buildCategoryContext } from '../../categoryInference.js';
+import { applyCategoryRules } from '../../categoryRules.js';
+import {
+    buildConfirmationReply,
+    buildParseErrorReply,
+    buildUnlinkedPhoneReply,
+    buildUnsupportedTypeReply
+} from '../../lib/whatsapp-replies.js';
 import crypto from 'crypto';
 
+const whatsappClient = createWhatsAppClient();
+
 // Disable default body parser to verify signature
 export const config = {
     api: {
@@ -18,6 +38,15 @@ async function getRawBody(req) {
     return Buffer.concat(buffers);
 }
 
+// Falhas no envio da resposta não devem impedir o 200 (a Meta reenviaria o evento)
+async function sendReply(phoneNumberId, to, body) {
+    try {
+        await whatsappClient.sendText(phoneNumberId, to, body);
+    } catch (error) {
+        console.error('[WEBHOOK] Erro ao enviar resposta:', error);
+    }
+}
+
 /**
  * WhatsApp Cloud API Webhook Handler
  * Documentation: https://developers.facebook.com/docs/whatsapp/cloud-api/webhooks/payload-examples
@@ -62,6 +91,14 @@ export default async (req, res) => {
     // RECEBIMENTO DE MENSAGENS (POST)
     // =========================================================================
     if (req.method === 'POST') {
+        // Com migrações pendentes, responder erro faz a Meta reenviar a mensagem mais tarde
+        try {
+            await assertSchemaUpToDate();
+        } catch (error) {
+            console.error('[WEBHOOK] Banco indisponível:', error.message);
+            return res.status(503).send('DATABASE_NOT_READY');
+        }
+
         try {
             const rawBodyBuffer = await getRawBody(req);
             const rawBodyString = rawBodyBuffer.toString('utf8');
@@ -105,18 +142,77 @@ export default async (req, res) => {
                 const value = changes.value;
                 const message = value.messages[0];
                 const from = message.from; 
+                const phoneNumberId = value.metadata?.phone_number_id;
                 
                 let messageBody = '';
                 if (message.type === 'text') {
                     messageBody = message.text.body;
                 } else {
                     console.log('[WEBHOOK] Tipo de mensagem não suportado:', message.type);
+                    await sendReply(phoneNumberId, from, buildUnsupportedTypeReply());
                     return res.status(200).send('TYPE_NOT_SUPPORTED');
                 }
                 
-                // TODO: Processar mensagem (salvar no banco, etc.)
-                // Aqui entraria a lógica de parsing e inserção no DB
                 console.log(`[WEBHOOK] Mensagem de ${from}: ${messageBody}`);
+
+                // Localizar usuário pelo telefone vinculado em Configurações
+                const user = await findUserByPhone(from);
+                if (!user) {
+                    console.warn(`[WEBHOOK] Nenhum usuário vinculado ao número ${from}`);
+                    await sendReply(phoneNumberId, from, buildUnlinkedPhoneReply());
+                    return res.status(200).send('USER_NOT_FOUND');
+                }
+
+                // Comandos (saldo, resumo, desfazer...) não são registrados como transação
+                const command = parseCommand(messageBody);
+                if (command) {
+                    const data = await getUserTransactions(user.user_id);
+                    const result = executeCommand(command, data);
+
+                    if (result.remove) {
+                        const removed = await removeTransaction(user.user_id, result.remove.type, result.remove.id);
+                        if (!removed) {
+                            result.reply = '↩️ Essa entrada já havia sido removida.';
+                        }
+                    }
+
+                    console.log(`[WEBHOOK] Comando "${command.name}" executado para ${user.user_id}`);
+                    await sendReply(phoneNumberId, from, result.reply);
+                    return res.status(200).send('COMMAND_EXECUTED');
+                }
+
+                // A categoria sugerida aprende com o que o usuário já lançou
+                const history = await getUserTransactions(user.user_id);
+                const categoryContext = buildCategoryContext({
+                    expenses: history.expenses,
+                    incomes: history.incomes,
+                    expenseCategories: user.expense_categories || [],
+                    incomeCategories: user.income_categories || []
+                });
+
+                const cardNames = (user.cards || []).map(card => card.name);
+                const parsed = parseMessage(messageBody, new Date(), { cardNames, categoryContext });
+                if (!parsed || parsed.error) {
+                    console.warn('[WEBHOOK] Mensagem não interpretada:', parsed?.error || 'vazia');
+                    await sendReply(phoneNumberId, from, buildParseErrorReply(parsed?.error));
+                    return res.status(200).send('MESSAGE_NOT_PARSED');
+                }
+
+                // Regras do usuário prevalecem sobre a categoria inferida pelo parser
+                const { transaction } = applyCategoryRules(
+                    buildTransaction(parsed, user.cards || [], message.id),
+                    parsed.type,
+                    user.category_rules || [],
+                    { account: parsed.source }
+                );
+                const saved = await recordTransaction(user.user_id, parsed.type, transaction);
+
+                if (saved) {
+                    console.log(`[WEBHOOK] ${parsed.type === 'income' ? 'Receita' : 'Despesa'} registrada para ${user.user_id}: R$ ${transaction.amount}`);
+                    await sendReply(phoneNumberId, from, buildConfirmationReply(transaction, parsed.type));
+                } else {
+                    console.log(`[WEBHOOK] Mensagem ${message.id} já processada anteriormente`);
+                }
             }
 
             return res.status(200).send('EVENT_RECEIVED');
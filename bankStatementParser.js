@@ -1,164 +1,241 @@
 
+import { tokenizeCSV, detectCSVProfile, findHeaderRow, mapCSVRows } from './csvParser.js';
+import { parseOFXDocument } from './ofxParser.js';
+import { parseQIF } from './qifParser.js';
+import { parseCNAB } from './cnabParser.js';
+import { readXLSXRows } from './xlsxParser.js';
+import { parseInvoiceText, matchInvoiceCard } from './faturaParser.js';
+
 /**
  * Bank Statement Parser
- * Responsável por ler e processar arquivos de extrato bancário (OFX e CSV)
+ * Responsável por ler e processar arquivos de extrato bancário
+ * (OFX, CSV, QIF, retorno CNAB 240/400, planilhas XLSX e faturas de cartão em PDF)
  */
 export class BankStatementParser {
     constructor() {
-        this.supportedExtensions = ['ofx', 'csv'];
+        this.supportedExtensions = ['ofx', 'csv', 'qif', 'ret', 'cnab', 'xlsx', 'pdf'];
     }
 
     /**
      * Processa um arquivo de extrato
      * @param {File} file Arquivo selecionado pelo usuário
+     * @param {Object} [options] Opções do CSV (customProfiles, profile), ver parseCSV
      * @returns {Promise<Array>} Lista de transações normalizadas
      */
-    async parseFile(file) {
+    async parseFile(file, options = {}) {
+        const { transactions } = await this.parseStatementFile(file, options);
+        return transactions;
+    }
+
+    /**
+     * Processa um arquivo de extrato mantendo os dados de cada extrato
+     * (conta, moeda, período e saldos), quando o formato os informa (OFX e faturas em PDF)
+     * @param {File} file Arquivo selecionado pelo usuário
+     * @param {Object} [options] Opções do CSV (customProfiles, profile, ver parseRows)
+     *        e do PDF (cards, pdfPassword, ver parsePDF)
+     * @returns {Promise<{transactions: Array, statements: Array}>}
+     */
+    async parseStatementFile(file, options = {}) {
         const extension = file.name.split('.').pop().toLowerCase();
         
         if (!this.supportedExtensions.includes(extension)) {
-            throw new Error(`Formato .${extension} não suportado. Use OFX ou CSV.`);
+            throw new Error(`Formato .${extension} não suportado. Use OFX, CSV, QIF, CNAB (.ret), XLSX ou PDF.`);
         }
 
-        const text = await this.readFileAsText(file);
+        if (extension === 'xlsx') {
+            const buffer = await this.readFileAsArrayBuffer(file);
+            return { transactions: await this.parseXLSX(buffer, options), statements: [] };
+        }
+        if (extension === 'pdf') {
+            return this.parsePDF(await this.readFileAsArrayBuffer(file), options);
+        }
+
+        const text = await this.readStatementText(file);
 
         if (extension === 'ofx') {
-            return this.parseOFX(text);
-        } else if (extension === 'csv') {
-            return this.parseCSV(text);
+            const { statements } = parseOFXDocument(text);
+            return { transactions: statements.flatMap(statement => statement.transactions), statements };
+        }
+        if (extension === 'qif') {
+            return { transactions: this.parseQIF(text), statements: [] };
         }
+        if (extension === 'ret' || extension === 'cnab') {
+            return { transactions: this.parseCNAB(text), statements: [] };
+        }
+        return { transactions: this.parseCSV(text, options), statements: [] };
+    }
+
+    /**
+     * Lê o arquivo como UTF-8; arquivos de bancos brasileiros costumam vir em
+     * Windows-1252, o que aparece como caracteres inválidos e pede uma nova leitura
+     */
+    async readStatementText(file) {
+        const text = await this.readFileAsText(file);
+        return text.includes('\uFFFD') ? this.readFileAsText(file, 'windows-1252') : text;
     }
 
-    readFileAsText(file) {
+    readFileAsText(file, encoding = 'UTF-8') {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => resolve(e.target.result);
             reader.onerror = (e) => reject(e);
-            reader.readAsText(file);
+            reader.readAsText(file, encoding);
+        });
+    }
+
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(e);
+            reader.readAsArrayBuffer(file);
         });
     }
 
     /**
-     * Parser básico de OFX (Open Financial Exchange)
-     * Extrai transações usando Regex para evitar dependências pesadas de XML
+     * Parser de OFX 1.x (SGML) e 2.x (XML), ver ofxParser.js
+     * @param {string} ofxData Conteúdo do arquivo
+     * @returns {Array} Transações de todos os extratos do arquivo
      */
     parseOFX(ofxData) {
-        const transactions = [];
-        
-        // Regex para capturar blocos de transação <STMTTRN>...</STMTTRN>
-        const transactionBlocks = ofxData.match(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/g);
-
-        if (!transactionBlocks) return [];
-
-        transactionBlocks.forEach(block => {
-            try {
-                // Extrair campos
-                const typeMatch = block.match(/<TRNTYPE>(.*?)(\r|\n|<)/);
-                const dateMatch = block.match(/<DTPOSTED>(.*?)(\r|\n|<)/);
-                const amountMatch = block.match(/<TRNAMT>(.*?)(\r|\n|<)/);
-                const memoMatch = block.match(/<MEMO>(.*?)(\r|\n|<)/);
-                
-                if (dateMatch && amountMatch) {
-                    const rawDate = dateMatch[1].trim();
-                    const amount = parseFloat(amountMatch[1].replace(',', '.'));
-                    const description = memoMatch ? memoMatch[1].trim() : 'Transação Bancária';
-                    const type = typeMatch ? typeMatch[1].trim() : 'OTHER';
-
-                    // Formatar data (OFX format: YYYYMMDDHHMMSS)
-                    const year = rawDate.substring(0, 4);
-                    const month = rawDate.substring(4, 6);
-                    const day = rawDate.substring(6, 8);
-                    const formattedDate = `${year}-${month}-${day}`;
-
-                    // Converter para formato do app
-                    // Se valor negativo = despesa (Expense)
-                    // Se valor positivo = receita (Income) - mas aqui vamos tratar tudo como transação para classificar
-                    
-                    transactions.push({
-                        date: formattedDate,
-                        description: description,
-                        amount: Math.abs(amount),
-                        type: amount < 0 ? 'DEBIT' : 'CREDIT', // DEBIT aqui significa saída de dinheiro
-                        rawType: type,
-                        source: 'OFX_IMPORT'
-                    });
-                }
-            } catch (e) {
-                console.warn('Erro ao processar linha do OFX:', e);
-            }
+        return parseOFXDocument(ofxData).statements.flatMap(statement => statement.transactions);
+    }
+
+    /**
+     * Parser de QIF, ver qifParser.js
+     * @param {string} qifData Conteúdo do arquivo
+     * @returns {Array} Transações
+     */
+    parseQIF(qifData) {
+        return parseQIF(qifData).transactions;
+    }
+
+    /**
+     * Parser de retorno CNAB 240/400, ver cnabParser.js
+     * @param {string} cnabData Conteúdo do arquivo
+     * @returns {Array} Transações
+     */
+    parseCNAB(cnabData) {
+        return parseCNAB(cnabData).transactions;
+    }
+
+    /**
+     * Parser de faturas de cartão em PDF, lidas localmente com o pdf.js (ver pdfReader.js)
+     * @param {ArrayBuffer} buffer Conteúdo do arquivo
+     * @param {Object} [options]
+     * @param {Array} [options.cards] Cartões do usuário, para vincular a fatura
+     * @param {string} [options.pdfPassword] Senha de PDFs protegidos
+     * @returns {Promise<{transactions: Array, statements: Array}>}
+     * @throws {Error} Com code 'PDF_PASSWORD_REQUIRED' quando falta a senha
+     */
+    async parsePDF(buffer, { cards = [], pdfPassword } = {}) {
+        // pdf.js só é baixado quando um PDF é importado
+        const { readPDFLines } = await import('./pdfReader.js');
+        const lines = await readPDFLines(buffer, { password: pdfPassword });
+        return this.parseInvoice(lines, cards);
+    }
+
+    /**
+     * Monta a fatura a partir das linhas de texto (ver faturaParser.js) e a vincula a um
+     * cartão: primeiro pelo vínculo salvo em importações anteriores, depois pelos dias
+     * de fechamento e vencimento
+     * @param {string[]} lines
+     * @param {Array} [cards]
+     * @returns {{transactions: Array, statements: Array}}
+     */
+    parseInvoice(lines, cards = []) {
+        const invoice = parseInvoiceText(lines);
+        if (invoice.transactions.length === 0) {
+            return { transactions: [], statements: [] };
+        }
+
+        const accountKey = `creditcard:${invoice.issuer?.id || 'pdf'}:${invoice.cardDigits || ''}`;
+        const card = cards.find(c => (c.accountKeys || []).includes(accountKey)) || matchInvoiceCard(invoice, cards);
+
+        invoice.transactions.forEach(tx => {
+            tx.originalData.accountKey = accountKey;
+            if (card) tx.cardName = card.name;
         });
 
-        return transactions;
+        console.log(`[PDF]: Fatura ${invoice.issuer?.name || 'não identificada'} com ${invoice.transactions.length} lançamentos${card ? ` (cartão ${card.name})` : ''}`);
+
+        return {
+            transactions: invoice.transactions,
+            statements: [{
+                type: 'creditcard',
+                invoice: true,
+                issuer: invoice.issuer,
+                currency: 'BRL',
+                account: { type: 'creditcard', bankId: invoice.issuer?.name || null, branchId: null, accountId: invoice.cardDigits ? `final ${invoice.cardDigits}` : null, accountType: null },
+                accountKey,
+                cardName: card ? card.name : null,
+                period: { start: null, end: invoice.closingDate },
+                closingDate: invoice.closingDate,
+                dueDate: invoice.dueDate,
+                total: invoice.total,
+                ledgerBalance: invoice.total !== null ? { amount: -invoice.total, date: invoice.closingDate } : null,
+                availableBalance: null,
+                transactions: invoice.transactions
+            }]
+        };
     }
 
     /**
-     * Parser básico de CSV
-     * Tenta inferir colunas comuns (Data, Descrição, Valor)
+     * Parser de CSV por perfil de banco (ver csvParser.js)
+     * @param {string} csvData Conteúdo do arquivo
+     * @param {Object} [options] Ver parseRows
+     * @returns {Array} Transações
      */
-    parseCSV(csvData) {
-        const lines = csvData.split(/\r\n|\n/);
-        const transactions = [];
-        
-        // Tentar detectar separador (; ou ,)
-        const firstLine = lines[0];
-        const separator = firstLine.includes(';') ? ';' : ',';
-
-        // Pular cabeçalho (assumindo linha 1)
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const columns = line.split(separator);
-            
-            // Heurística simples: 
-            // Geralmente: Data (0), Descrição (1 ou 2), Valor (último ou penúltimo)
-            // Isso pode variar muito de banco para banco. 
-            // Implementação genérica para Nubank/Inter (comuns)
-            
-            if (columns.length >= 3) {
-                try {
-                    // Tenta achar a data (formato DD/MM/YYYY ou YYYY-MM-DD)
-                    let date = columns[0]; // Assume primeira coluna
-                    
-                    // Ajuste de formato de data BR para ISO
-                    if (date.includes('/')) {
-                        const parts = date.split('/');
-                        if (parts.length === 3) {
-                            date = `${parts[2]}-${parts[1]}-${parts[0]}`;
-                        }
-                    }
-
-                    // Tenta achar valor (procura numérico)
-                    let amount = 0;
-                    let description = 'Importado CSV';
-
-                    // Procura coluna de valor (tem números e pode ter sinal)
-                    for (let j = 1; j < columns.length; j++) {
-                        const col = columns[j].trim();
-                        // Regex simples para moeda
-                        if (col.match(/^-?\d+([.,]\d+)?$/)) {
-                            amount = parseFloat(col.replace(',', '.'));
-                        } else if (col.length > 3 && !col.match(/^\d+$/)) {
-                            description = col; // Assume texto longo como descrição
-                        }
-                    }
-
-                    if (amount !== 0) {
-                        transactions.push({
-                            date: date,
-                            description: description.replace(/"/g, ''),
-                            amount: Math.abs(amount),
-                            type: amount < 0 ? 'DEBIT' : 'CREDIT',
-                            source: 'CSV_IMPORT'
-                        });
-                    }
-                } catch (e) {
-                    console.warn('Erro ao processar linha CSV:', e);
-                }
+    parseCSV(csvData, options = {}) {
+        return this.parseRows(tokenizeCSV(csvData), options);
+    }
+
+    /**
+     * Parser de planilhas XLSX: as linhas da primeira planilha passam pelos mesmos perfis do CSV
+     * @param {ArrayBuffer} buffer Conteúdo do arquivo
+     * @param {Object} [options] Ver parseRows
+     * @returns {Promise<Array>} Transações
+     */
+    async parseXLSX(buffer, options = {}) {
+        return this.parseRows(await readXLSXRows(buffer), { ...options, source: 'XLSX_IMPORT' });
+    }
+
+    /**
+     * Converte linhas de CSV/planilha em transações pelo perfil de colunas
+     * O perfil é detectado pelo cabeçalho; arquivos sem perfil conhecido geram um erro
+     * com code 'CSV_PROFILE_REQUIRED' e as linhas lidas em csvRows, para que o usuário
+     * mapeie as colunas e tente de novo com options.profile.
+     * @param {string[][]} rows
+     * @param {Object} [options]
+     * @param {Array} [options.customProfiles] Perfis salvos pelo usuário
+     * @param {Object} [options.profile] Perfil a usar, sem detecção
+     * @param {string} [options.source] Origem gravada nas transações
+     * @returns {Array} Transações
+     */
+    parseRows(rows, { customProfiles = [], profile = null, source = 'CSV_IMPORT' } = {}) {
+        if (rows.length === 0) return [];
+
+        let detected;
+        if (profile) {
+            detected = { profile, headerIndex: findHeaderRow(rows, profile) };
+        } else {
+            detected = detectCSVProfile(rows, customProfiles);
+            if (!detected.profile) {
+                // Arquivos sem cabeçalho: perfil salvo com o mesmo número de colunas
+                const headerless = customProfiles.find(p => p.hasHeader === false && p.columnCount === rows[0].length);
+                if (headerless) detected = { profile: headerless, headerIndex: -1 };
             }
         }
 
-        return transactions;
+        if (!detected.profile) {
+            const error = new Error('Colunas do extrato não reconhecidas. Indique quais colunas usar.');
+            error.code = 'CSV_PROFILE_REQUIRED';
+            error.csvRows = rows;
+            throw error;
+        }
+
+        console.log(`[CSV]: Perfil "${detected.profile.name}" (cabeçalho na linha ${detected.headerIndex + 1})`);
+        return mapCSVRows(rows, detected.profile, detected.headerIndex, source);
     }
 }
 
@@ -1,6 +1,9 @@
 
 import { dataManager } from './dataManager.js';
 import { showNotification } from './notificationSystem.js';
+import { buildCategoryContext, inferCategory } from './categoryInference.js';
+import { applyCategoryRules } from './categoryRules.js';
+import { findDuplicates } from './duplicateDetection.js';
 
 /**
  * Serviço de Integração Bancária (Pluggy.ai)
@@ -139,12 +142,37 @@ export class BankSyncService {
 
     /**
      * Processa e salva as transações no DataManager
+     * (Pluggy: sem etapa de revisão, só o que já foi importado ou mesclado é ignorado;
+     * as demais semelhanças vão para a caixa de possíveis duplicatas)
      */
     processTransactions(transactions) {
-        let expenseCount = 0;
-        let incomeCount = 0;
+        const items = this.prepareTransactions(transactions).filter(item => item.duplicateConfidence !== 'exact');
+        this.commitTransactions(items);
+    }
+
+    /**
+     * Normaliza, categoriza e marca possíveis duplicatas, sem salvar nada.
+     * Usado pela revisão de importação de extratos antes da confirmação do usuário.
+     * Entradas em faturas de cartão (pagamentos e estornos) voltam com cardCredit, para
+     * que a revisão as deixe desmarcadas em vez de importá-las como receita.
+     * @param {Array} transactions Transações do Pluggy ou do BankStatementParser
+     * @returns {Array<{type: 'expense'|'income', transaction: Object, duplicate: boolean, duplicateOf: Object|null, duplicateConfidence: string|null, cardCredit: boolean}>}
+     */
+    prepareTransactions(transactions) {
+        const expenses = dataManager.getExpenses();
+        const incomes = dataManager.getIncomes();
+
+        // Histórico e categorias do usuário, montados uma vez para todo o lote
+        const categoryContext = buildCategoryContext({
+            expenses,
+            incomes,
+            expenseCategories: dataManager.getExpenseCategories(),
+            incomeCategories: dataManager.getIncomeCategories()
+        });
+        const categoryRules = dataManager.getCategoryRules();
+        const cards = dataManager.getCards();
         
-        transactions.forEach(tx => {
+        return transactions.map(tx => {
             // tx.type pode ser 'DEBIT' (saída) ou 'CREDIT' (entrada)
             // Se o tipo estiver presente, usamos ele. Caso contrário, tentamos inferir pelo sinal do amount original.
             let isIncome = false;
@@ -155,15 +183,16 @@ export class BankSyncService {
                 isIncome = tx.amount > 0;
             }
 
+            const type = isIncome ? 'income' : 'expense';
             const absAmount = Math.abs(tx.amount);
             
             // Mapear campos para o formato do App
-            const normalizedTx = {
+            let normalizedTx = {
                 id: tx.id || (Date.now().toString(36) + Math.random().toString(36).substr(2)),
                 date: tx.date.split('T')[0],
                 description: tx.description,
                 amount: absAmount,
-                category: tx.category || 'Outros',
+                category: tx.category || inferCategory(tx.description, type, categoryContext),
                 paymentMethod: isIncome ? 'dinheiro' : (tx.type === 'CREDIT_CARD' ? 'credito_vista' : 'debito'),
                 status: 'pago',
                 source: tx.source || 'PLUGGY_SYNC',
@@ -173,22 +202,95 @@ export class BankSyncService {
                 }
             };
 
+            // Conta do extrato já vinculada a um cartão em importações anteriores
+            // (faturas em PDF já chegam com o cartão identificado em cardName)
+            const accountCard = this.findLinkedCard(tx.originalData?.accountKey, cards) ||
+                cards.find(card => card.name === tx.cardName);
+            if (accountCard && !isIncome) {
+                normalizedTx.selectedCard = accountCard.name;
+                if (accountCard.type === 'debito') normalizedTx.paymentMethod = 'debito';
+            }
+
+            // Regras do usuário prevalecem sobre a categoria inferida; receitas não levam
+            // o cartão, mas regras por conta ("de Itaú") também valem para elas
+            normalizedTx = applyCategoryRules(normalizedTx, type, categoryRules, { account: accountCard?.name }).transaction;
+
             // Se for do Pluggy e for débito, geralmente é da conta corrente (débito)
             // Se for do Pluggy e for crédito (em um contexto de despesa), pode ser estorno ou cartão
             // Mas o Pluggy separa por tipo de conta. Por enquanto, simplificamos.
 
-            if (isIncome) {
+            const matches = findDuplicates(normalizedTx, isIncome ? incomes : expenses);
+            return {
+                type,
+                transaction: normalizedTx,
+                duplicate: matches.length > 0,
+                duplicateOf: matches.length > 0 ? matches[0].transaction : null,
+                duplicateConfidence: matches.length > 0 ? matches[0].confidence : null,
+                cardCredit: tx.cardCredit === true
+            };
+        });
+    }
+
+    /**
+     * Cartão vinculado à conta de um extrato (ver linkAccountToCard)
+     * @param {string|null} accountKey Chave da conta (ofxParser.getOFXAccountKey)
+     * @param {Array} cards
+     * @returns {Object|null}
+     */
+    findLinkedCard(accountKey, cards = dataManager.getCards()) {
+        if (!accountKey) return null;
+        return cards.find(card => (card.accountKeys || []).includes(accountKey)) || null;
+    }
+
+    /**
+     * Lembra a qual cartão pertence a conta de um extrato, para as próximas importações.
+     * A conta fica vinculada a um único cartão.
+     * @param {string} accountKey
+     * @param {string|null} cardName Nulo remove o vínculo
+     */
+    linkAccountToCard(accountKey, cardName) {
+        if (!accountKey) return;
+        const cards = dataManager.getCards().map(card => {
+            const keys = (card.accountKeys || []).filter(key => key !== accountKey);
+            if (card.name === cardName) keys.push(accountKey);
+            return keys.length > 0 || card.accountKeys ? { ...card, accountKeys: keys } : card;
+        });
+        dataManager.saveCards(cards);
+    }
+
+    /**
+     * Mesma transação já registrada (ver duplicateDetection.js): mesmo ID ou
+     * identificador do banco, ou mesmo valor, data próxima e descrição parecida
+     * @param {Object} transaction Transação normalizada
+     * @param {Array} existing Transações já salvas do mesmo tipo
+     * @returns {boolean}
+     */
+    isLikelyDuplicate(transaction, existing) {
+        return findDuplicates(transaction, existing).length > 0;
+    }
+
+    /**
+     * Salva transações preparadas por prepareTransactions (e revisadas, no caso dos extratos)
+     * @param {Array<{type: 'expense'|'income', transaction: Object}>} items
+     * @returns {{expenseCount: number, incomeCount: number}}
+     */
+    commitTransactions(items) {
+        let expenseCount = 0;
+        let incomeCount = 0;
+
+        items.forEach(({ type, transaction }) => {
+            if (type === 'income') {
                 // Verificar duplicidade
-                const exists = dataManager.getIncomes().some(i => i.id === normalizedTx.id);
+                const exists = dataManager.getIncomes().some(i => i.id === transaction.id);
                 if (!exists) {
-                    dataManager.addIncome(normalizedTx);
+                    dataManager.addIncome(transaction);
                     incomeCount++;
                 }
             } else {
                 // Verificar duplicidade
-                const exists = dataManager.getExpenses().some(e => e.id === normalizedTx.id);
+                const exists = dataManager.getExpenses().some(e => e.id === transaction.id);
                 if (!exists) {
-                    dataManager.addExpense(normalizedTx);
+                    dataManager.addExpense(transaction);
                     expenseCount++;
                 }
             }
@@ -202,6 +304,8 @@ export class BankSyncService {
         } else {
             showNotification('Nenhuma transação nova para importar.', 'info');
         }
+
+        return { expenseCount, incomeCount };
     }
 }
 
@@ -0,0 +1,240 @@
+/**
+ * Ciclo de Faturamento dos Cartões de Crédito
+ * Distribui as compras no crédito entre as faturas de cada cartão a partir do
+ * dia de fechamento (closingDay) e do dia de vencimento (dueDay).
+ * Sem dependência de DOM, para ser usado também pelo backend (ver monthlyTotals.js).
+ *
+ * Regras:
+ * - A fatura é identificada pelo mês do vencimento ("fatura de março" vence em março).
+ * - A compra feita no próprio dia do fechamento já entra na fatura seguinte.
+ * - Dias que não existem no mês (ex.: fechamento 31 em fevereiro) caem no último dia do mês.
+ * - Cartões sem dia de fechamento seguem o mês da compra.
+ * - Compras parceladas entram parcela a parcela, cada uma na sua fatura (ver installments.js).
+ */
+
+import { expandInstallments, isInstallmentPurchase, getInstallmentSchedule } from './installments.js';
+
+const CREDIT_METHODS = ['credito_vista', 'credito_parcelado'];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function daysInMonth(year, month) {
+    return new Date(year, month, 0).getDate();
+}
+
+// Soma meses a um par ano/mês (mês de 1 a 12)
+function shiftMonth(year, month, delta) {
+    const index = year * 12 + (month - 1) + delta;
+    return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+function buildDate(year, month, day) {
+    return `${year}-${pad(month)}-${pad(Math.min(day, daysInMonth(year, month)))}`;
+}
+
+/**
+ * Converte Date ou string ISO em 'YYYY-MM-DD' (data local)
+ * @param {Date|string} value
+ * @returns {string}
+ */
+export function toISODate(value) {
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).split('T')[0];
+}
+
+/**
+ * Compra no crédito (à vista ou parcelada)
+ * @param {Object} expense
+ * @returns {boolean}
+ */
+export function isCreditExpense(expense) {
+    return CREDIT_METHODS.includes(expense.paymentMethod);
+}
+
+function hasCycle(card) {
+    return Boolean(card && parseInt(card.closingDay) > 0);
+}
+
+/**
+ * Dados da fatura de um cartão que vence no mês informado
+ * @param {Object} card Cartão com closingDay e dueDay
+ * @param {number} year
+ * @param {number} month Mês do vencimento (1-12)
+ * @returns {{key: string, year: number, month: number, start: string, closingDate: string, dueDate: string|null}}
+ *          start é o primeiro dia de compras da fatura; closingDate, o dia do fechamento
+ *          (já fora da fatura)
+ */
+export function getInvoiceByMonth(card, year, month) {
+    const key = `${year}-${pad(month)}`;
+
+    if (!hasCycle(card)) {
+        const next = shiftMonth(year, month, 1);
+        return {
+            key,
+            year,
+            month,
+            start: buildDate(year, month, 1),
+            closingDate: buildDate(next.year, next.month, 1),
+            dueDate: parseInt(card?.dueDay) > 0 ? buildDate(next.year, next.month, parseInt(card.dueDay)) : null
+        };
+    }
+
+    const closingDay = parseInt(card.closingDay);
+    const dueDay = parseInt(card.dueDay) || 0;
+
+    // Vencimento depois do fechamento no mesmo mês; senão, o fechamento foi no mês anterior
+    const closing = dueDay > closingDay || !dueDay ? { year, month } : shiftMonth(year, month, -1);
+    const previous = shiftMonth(closing.year, closing.month, -1);
+
+    return {
+        key,
+        year,
+        month,
+        start: buildDate(previous.year, previous.month, closingDay),
+        closingDate: buildDate(closing.year, closing.month, closingDay),
+        dueDate: dueDay ? buildDate(year, month, dueDay) : null
+    };
+}
+
+/**
+ * Fatura em que cai uma compra feita na data informada
+ * @param {Object} card
+ * @param {Date|string} date Data da compra
+ * @returns {Object} Ver getInvoiceByMonth
+ */
+export function getInvoiceForDate(card, date) {
+    const [year, month, day] = toISODate(date).split('-').map(Number);
+
+    if (!hasCycle(card)) {
+        return getInvoiceByMonth(card, year, month);
+    }
+
+    const closingDay = parseInt(card.closingDay);
+    const dueDay = parseInt(card.dueDay) || 0;
+
+    const closing = day >= Math.min(closingDay, daysInMonth(year, month))
+        ? shiftMonth(year, month, 1)
+        : { year, month };
+    const due = dueDay > closingDay || !dueDay ? closing : shiftMonth(closing.year, closing.month, 1);
+
+    return getInvoiceByMonth(card, due.year, due.month);
+}
+
+/**
+ * Situação da fatura em uma data: 'fechada' (já fechou), 'aberta' (recebendo compras)
+ * ou 'futura' (ainda não começou)
+ * @param {Object} invoice Ver getInvoiceByMonth
+ * @param {Date|string} [today]
+ * @returns {'fechada'|'aberta'|'futura'}
+ */
+export function getInvoiceStatus(invoice, today = new Date()) {
+    const date = toISODate(today);
+    if (date >= invoice.closingDate) return 'fechada';
+    if (date >= invoice.start) return 'aberta';
+    return 'futura';
+}
+
+/**
+ * Agrupa as compras no crédito de um cartão por fatura
+ * @param {Object} card
+ * @param {Array} expenses Todas as despesas
+ * @param {Date|string} [today] Data de referência para a situação de cada fatura
+ * @returns {Array<Object>} Faturas em ordem de vencimento, com items, total e status
+ */
+export function buildCardInvoices(card, expenses, today = new Date()) {
+    const invoices = new Map();
+
+    expandInstallments(expenses.filter(expense => isCreditExpense(expense) && expense.selectedCard === card.name && expense.date))
+        .forEach(expense => {
+            const invoice = getInvoiceForDate(card, expense.date);
+            if (!invoices.has(invoice.key)) {
+                invoices.set(invoice.key, { ...invoice, items: [], total: 0 });
+            }
+            const entry = invoices.get(invoice.key);
+            entry.items.push(expense);
+            entry.total += parseFloat(expense.amount) || 0;
+        });
+
+    return [...invoices.values()]
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .map(invoice => ({ ...invoice, status: getInvoiceStatus(invoice, today) }));
+}
+
+/**
+ * Resumo exibido em cada cartão: fatura atual (aberta), próxima fatura e o total
+ * ainda não vencido (fatura fechada a pagar, aberta e futuras), que ocupa o limite
+ * @param {Object} card
+ * @param {Array} expenses Todas as despesas
+ * @param {Date|string} [today]
+ * @returns {{current: Object, next: Object, outstanding: number}}
+ */
+export function getCardInvoiceSummary(card, expenses, today = new Date()) {
+    const date = toISODate(today);
+    const invoices = buildCardInvoices(card, expenses, date);
+
+    const withTotals = (invoice) => {
+        const found = invoices.find(item => item.key === invoice.key);
+        return found || { ...invoice, items: [], total: 0, status: getInvoiceStatus(invoice, date) };
+    };
+
+    const current = withTotals(getInvoiceForDate(card, date));
+    const following = shiftMonth(current.year, current.month, 1);
+    const next = withTotals(getInvoiceByMonth(card, following.year, following.month));
+
+    const outstanding = invoices
+        .filter(invoice => (invoice.dueDate || invoice.closingDate) >= date)
+        .reduce((total, invoice) => total + invoice.total, 0);
+
+    return { current, next, outstanding };
+}
+
+/**
+ * Total das compras no crédito que vencem no mês informado (mês da fatura, não da compra)
+ * Compras sem cartão cadastrado seguem o mês da compra.
+ * @param {Array} expenses Todas as despesas
+ * @param {Array} cards Cartões do usuário
+ * @param {string|number} month Mês (1-12)
+ * @param {string|number} year
+ * @returns {number}
+ */
+export function sumCreditByInvoiceMonth(expenses, cards, month, year) {
+    const key = `${parseInt(year)}-${pad(parseInt(month))}`;
+    const cardsByName = new Map(cards.map(card => [card.name, card]));
+
+    return expandInstallments(expenses.filter(expense => isCreditExpense(expense) && expense.date))
+        .filter(expense => getInvoiceForDate(cardsByName.get(expense.selectedCard), expense.date).key === key)
+        .reduce((total, expense) => {
+            const value = parseFloat(expense.amount);
+            return isNaN(value) ? total : total + value;
+        }, 0);
+}
+
+/**
+ * Compras parceladas do cartão que ainda têm parcelas a faturar
+ * (parcelas em faturas abertas ou futuras)
+ * @param {Object} card
+ * @param {Array} expenses Todas as despesas
+ * @param {Date|string} [today]
+ * @returns {Array<{purchase: Object, installmentAmount: number, remaining: Array, remainingAmount: number}>}
+ */
+export function getRemainingInstallments(card, expenses, today = new Date()) {
+    const date = toISODate(today);
+
+    return expenses
+        .filter(expense => isInstallmentPurchase(expense) && expense.selectedCard === card.name && expense.date)
+        .map(purchase => {
+            const remaining = getInstallmentSchedule(purchase)
+                .filter(installment => getInvoiceStatus(getInvoiceForDate(card, installment.date), date) !== 'fechada');
+            return {
+                purchase,
+                installmentAmount: remaining.length > 0 ? remaining[remaining.length - 1].amount : 0,
+                remaining,
+                remainingAmount: remaining.reduce((total, installment) => total + installment.amount, 0)
+            };
+        })
+        .filter(plan => plan.remaining.length > 0);
+}
@@ -0,0 +1,131 @@
+/**
+ * Operações em Lote
+ * Aplica a mesma alteração a várias transações selecionadas na lista de detalhes
+ * e guarda o necessário para desfazer a última operação. Sem dependência de DOM.
+ *
+ * Ações:
+ * - {type: 'recategorize', category}
+ * - {type: 'payment', paymentMethod, selectedCard}
+ * - {type: 'status', status: 'pago'|'pendente'}
+ * - {type: 'move', month, year} (mantém o dia, limitado ao último dia do mês)
+ * - {type: 'delete'}
+ */
+
+import { skipOccurrence } from './recurrence.js';
+
+const CREDIT_METHODS = ['credito_vista', 'credito_parcelado'];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Data no mês/ano informado, mantendo o dia (e o horário, se houver)
+ * @param {string} date
+ * @param {number} month 1-12
+ * @param {number} year
+ * @returns {string}
+ */
+export function moveDateToMonth(date, month, year) {
+    const [datePart, timePart] = String(date).split('T');
+    const day = parseInt(datePart.split('-')[2]) || 1;
+    const lastDay = new Date(year, month, 0).getDate();
+    const moved = `${year}-${pad(month)}-${pad(Math.min(day, lastDay))}`;
+    return timePart ? `${moved}T${timePart}` : moved;
+}
+
+function applyChange(transaction, action, type) {
+    switch (action.type) {
+        case 'recategorize':
+            return { category: action.category };
+        case 'payment': {
+            if (type !== 'expense') return null;
+            const usesCard = CREDIT_METHODS.includes(action.paymentMethod) || action.paymentMethod === 'debito';
+            return {
+                paymentMethod: action.paymentMethod,
+                selectedCard: usesCard ? (action.selectedCard || transaction.selectedCard || null) : null,
+                installments: action.paymentMethod === 'credito_parcelado' ? Math.max(2, parseInt(transaction.installments) || 2) : 1
+            };
+        }
+        case 'status':
+            return { status: action.status };
+        case 'move':
+            return { date: moveDateToMonth(transaction.date, parseInt(action.month), parseInt(action.year)) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Aplica uma ação às transações selecionadas
+ * Excluir uma ocorrência recorrente a registra como pulada na série (ver recurrence.js),
+ * para que ela não seja gerada de novo.
+ * @param {Array} transactions Todas as transações do tipo
+ * @param {string[]} ids Ids selecionados
+ * @param {Object} action Ver acima
+ * @param {'expense'|'income'} [type]
+ * @returns {{transactions: Array, changed: number}}
+ */
+export function applyBulkAction(transactions, ids, action, type = 'expense') {
+    const selected = new Set(ids);
+    const now = new Date().toISOString();
+
+    if (action.type === 'delete') {
+        let remaining = transactions.filter(t => !selected.has(t.id));
+        transactions
+            .filter(t => selected.has(t.id) && t.recurrenceId)
+            .forEach(occurrence => { remaining = skipOccurrence(remaining, occurrence); });
+        return { transactions: remaining, changed: transactions.length - remaining.length };
+    }
+
+    let changed = 0;
+    const updated = transactions.map(transaction => {
+        if (!selected.has(transaction.id)) return transaction;
+        const changes = applyChange(transaction, action, type);
+        if (!changes) return transaction;
+        changed++;
+        return { ...transaction, ...changes, updatedAt: now };
+    });
+
+    return { transactions: updated, changed };
+}
+
+/**
+ * Registra o que mudou entre duas versões da lista, para desfazer depois
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {{restore: Array, remove: string[]}} Versões anteriores das transações alteradas ou
+ *          excluídas e ids das que não existiam
+ */
+export function createUndo(before, after) {
+    const afterById = new Map(after.map(t => [t.id, t]));
+    const beforeIds = new Set(before.map(t => t.id));
+
+    return {
+        restore: before.filter(t => afterById.get(t.id) !== t),
+        remove: after.filter(t => !beforeIds.has(t.id)).map(t => t.id)
+    };
+}
+
+/**
+ * Desfaz uma operação registrada por createUndo
+ * Alterações feitas depois em outras transações são preservadas.
+ * @param {Array} transactions Lista atual
+ * @param {{restore: Array, remove: string[]}} undo
+ * @returns {Array}
+ */
+export function applyUndo(transactions, undo) {
+    const restoreById = new Map(undo.restore.map(t => [t.id, t]));
+    const remove = new Set(undo.remove);
+
+    const result = transactions
+        .filter(t => !remove.has(t.id))
+        .map(t => restoreById.has(t.id) ? restoreById.get(t.id) : t);
+
+    const present = new Set(result.map(t => t.id));
+    undo.restore.forEach(t => {
+        if (!present.has(t.id)) result.push(t);
+    });
+
+    return result;
+}
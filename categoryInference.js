@@ -0,0 +1,304 @@
+/**
+ * Inferência de Categorias
+ * Sugere a categoria de uma transação a partir da descrição, combinando:
+ * 1. O histórico do usuário (como ele já categorizou o mesmo estabelecimento)
+ * 2. As categorias do próprio usuário citadas na descrição (getExpenseCategories())
+ * 3. Dicionários de palavras-chave de estabelecimentos brasileiros (iFood, Uber, Drogasil...)
+ * 4. Palavras em comum com descrições que o usuário já categorizou
+ * Sem dependência de DOM, para ser usada tanto pelo app (importação de extratos,
+ * Pluggy) quanto pelo backend (webhook do WhatsApp).
+ */
+
+export const DEFAULT_CATEGORY = 'Outros';
+
+// Categorias que não ensinam nada: são o valor padrão das importações
+const NEUTRAL_CATEGORIES = ['outros', 'outro', ''];
+
+/**
+ * Palavras-chave por categoria, já normalizadas (minúsculas, sem acento).
+ * Os nomes seguem as categorias padrão de setupCategoryDropdowns; 'investimentos'
+ * fica em minúsculas porque é o valor tratado à parte em monthlyTotals.js.
+ * Palavras comuns em frases ("oi", "vivo", "claro", "agua", "light", "extra", "bar") só entram
+ * qualificadas ("oi fibra", "conta de agua", "extra hiper"), para não decidir a categoria
+ * de mensagens como "oi, gastei 30" ou "agua de coco".
+ */
+const EXPENSE_KEYWORDS = {
+    'Alimentação': [
+        'ifood', 'ifd', 'rappi', 'ze delivery', 'uber eats', 'aiqfome', 'james delivery',
+        'restaurante', 'lanchonete', 'padaria', 'panificadora', 'confeitaria', 'pizzaria', 'pizza',
+        'hamburgueria', 'churrascaria', 'sushi', 'acai', 'sorveteria', 'cafeteria', 'cafe',
+        'almoco', 'jantar', 'lanche', 'marmita', 'quentinha',
+        'mercado', 'supermercado', 'minimercado', 'mercearia', 'hortifruti', 'sacolao', 'acougue', 'feira',
+        'carrefour', 'pao de acucar', 'assai', 'atacadao', 'extra hiper', 'extra supermercado', 'sams club', 'makro', 'guanabara',
+        'prezunic', 'mundial', 'zaffari', 'angeloni', 'condor', 'savegnago', 'oba hortifruti', 'st marche',
+        'mcdonalds', 'mc donalds', 'burger king', 'subway', 'habibs', 'giraffas', 'outback', 'madero',
+        'spoleto', 'china in box', 'starbucks', 'kopenhagen', 'cacau show', 'bobs', 'kfc', 'popeyes'
+    ],
+    'Transporte': [
+        'uber', 'ubertrip', 'uber trip', '99app', '99pop', '99 taxi', '99 pop', 'cabify', 'indriver', 'taxi',
+        'posto', 'auto posto', 'combustivel', 'gasolina', 'etanol', 'alcool', 'diesel', 'gnv',
+        'shell', 'ipiranga', 'petrobras', 'br mania', 'ale combustiveis',
+        'estacionamento', 'estapar', 'zona azul', 'sem parar', 'conectcar', 'veloe', 'move mais', 'pedagio',
+        'metro', 'onibus', 'bilhete unico', 'cptm', 'brt', 'recarga transporte', 'passagem',
+        'latam', 'gol linhas', 'azul linhas', 'buser', 'clickbus',
+        'oficina', 'mecanico', 'borracharia', 'lava rapido', 'ipva', 'licenciamento', 'detran'
+    ],
+    'Moradia': [
+        'aluguel', 'condominio', 'iptu', 'energia', 'conta de luz', 'conta de agua', 'conta de gas', 'gas encanado', 'botijao',
+        'enel', 'light sa', 'conta light', 'cemig', 'copel', 'celesc', 'coelba', 'celpe', 'cpfl', 'equatorial', 'neoenergia',
+        'sabesp', 'cedae', 'copasa', 'sanepar', 'embasa', 'comgas', 'naturgy', 'ultragaz', 'liquigas',
+        'leroy merlin', 'telhanorte', 'casa show', 'tok stok', 'camicado', 'mobly', 'diarista'
+    ],
+    'Saúde': [
+        'farmacia', 'drogaria', 'drogasil', 'droga raia', 'raia', 'drogao', 'pague menos', 'panvel',
+        'drogaria sao paulo', 'pacheco', 'onofre', 'nissei', 'venancio', 'ultrafarma',
+        'unimed', 'amil', 'hapvida', 'notredame', 'sulamerica', 'bradesco saude', 'porto saude', 'plano de saude',
+        'hospital', 'clinica', 'laboratorio', 'fleury', 'dasa', 'lavoisier', 'sabin', 'exame', 'consulta',
+        'medico', 'dentista', 'odonto', 'psicologo', 'terapia', 'fisioterapia', 'remedio',
+        'academia', 'smart fit', 'smartfit', 'bluefit', 'bodytech', 'selfit', 'gympass', 'wellhub', 'totalpass'
+    ],
+    'Educação': [
+        'escola', 'colegio', 'faculdade', 'universidade', 'mensalidade escolar', 'matricula', 'curso',
+        'udemy', 'alura', 'coursera', 'rocketseat', 'duolingo', 'descomplica', 'estrategia concursos',
+        'livraria', 'livro', 'saraiva', 'leitura', 'kalunga', 'material escolar', 'apostila'
+    ],
+    'Lazer': [
+        'netflix', 'spotify', 'disney', 'disney plus', 'hbo', 'hbo max', 'prime video', 'amazon prime',
+        'globoplay', 'deezer', 'youtube premium', 'paramount', 'apple tv', 'crunchyroll', 'twitch',
+        'cinema', 'cinemark', 'cinepolis', 'kinoplex', 'uci', 'ingresso', 'ingresso com', 'sympla', 'eventim',
+        'teatro', 'casa de show', 'casa de shows', 'balada', 'barzinho', 'boteco', 'cervejaria', 'choperia',
+        'steam', 'playstation', 'psn', 'xbox', 'nintendo', 'epic games', 'riot games', 'blizzard',
+        'viagem', 'hotel', 'pousada', 'airbnb', 'booking', 'decolar', 'hurb', '123milhas', 'parque'
+    ],
+    'Vestuário': [
+        'renner', 'riachuelo', 'c a', 'cea', 'zara', 'hering', 'marisa', 'pernambucanas', 'youcom',
+        'shein', 'centauro', 'netshoes', 'decathlon', 'nike', 'adidas', 'arezzo', 'havaianas', 'reserva',
+        'roupa', 'roupas', 'calcado', 'calcados', 'sapato', 'tenis', 'camisa', 'camiseta', 'calca', 'vestido'
+    ],
+    'Serviços': [
+        'vivo fibra', 'vivo movel', 'vivo celular', 'conta vivo', 'claro movel', 'claro celular', 'claro net',
+        'conta claro', 'tim celular', 'tim brasil', 'oi fibra', 'oi movel', 'oi celular', 'nextel', 'internet', 'telefone', 'celular', 'recarga celular',
+        'sky', 'net servicos', 'barbearia', 'barbeiro', 'salao', 'cabeleireiro', 'manicure', 'estetica',
+        'lavanderia', 'costureira', 'chaveiro', 'correios', 'cartorio', 'despachante', 'pet shop', 'petz',
+        'cobasi', 'veterinario', 'google one', 'icloud', 'microsoft', 'dropbox', 'chatgpt', 'openai'
+    ],
+    'Dívidas': [
+        'emprestimo', 'financiamento', 'consignado', 'parcela emprestimo', 'juros', 'iof', 'multa',
+        'encargos', 'rotativo', 'cheque especial', 'renegociacao', 'serasa'
+    ],
+    'investimentos': [
+        'aplicacao', 'aplicacao automatica', 'tesouro direto', 'tesouro', 'cdb', 'lci', 'lca', 'poupanca',
+        'corretora', 'xp investimentos', 'rico investimentos', 'clear corretora', 'nuinvest', 'btg pactual',
+        'inter invest', 'previdencia', 'aporte', 'renda fixa', 'acoes', 'fundo de investimento', 'cripto', 'bitcoin'
+    ]
+};
+
+const INCOME_KEYWORDS = {
+    'Salário': [
+        'salario', 'folha de pagamento', 'pagamento de salario', 'proventos', 'adiantamento',
+        'vale alimentacao', 'vale refeicao', 'ferias', 'decimo terceiro', '13o salario', 'plr', 'holerite'
+    ],
+    'Freelance': [
+        'freela', 'freelance', 'freelancer', 'projeto', 'consultoria', 'servico prestado', 'honorarios', 'nota fiscal'
+    ],
+    'Investimentos': [
+        'rendimento', 'rendimentos', 'dividendos', 'juros sobre capital', 'jcp', 'resgate', 'cashback',
+        'remuneracao', 'tesouro direto', 'cdb', 'poupanca'
+    ],
+    'Presente': [
+        'presente', 'mesada', 'doacao', 'aniversario'
+    ]
+};
+
+// Termos genéricos de extratos que não identificam o estabelecimento
+const GENERIC_TERMS = new Set([
+    'compra', 'compras', 'pagamento', 'pag', 'pgto', 'pg', 'pix', 'enviado', 'enviada', 'recebido', 'recebida',
+    'transferencia', 'ted', 'doc', 'debito', 'credito', 'deb', 'cred', 'cartao', 'cart', 'visa', 'master',
+    'mastercard', 'elo', 'nacional', 'internacional', 'parcela', 'parc', 'saque', 'boleto', 'mp', 'ltda',
+    'me', 'eireli', 'sa', 'com', 'br', 'www', 'de', 'do', 'da', 'dos', 'das', 'no', 'na', 'em', 'e', 'o', 'a'
+]);
+
+/**
+ * Normaliza um texto para comparação: minúsculas, sem acento e sem pontuação
+ * ("PAG*IFood 12/03" -> "pag ifood")
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeDescription(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\d{1,2}\/\d{1,2}(\/\d{2,4})?/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Chave que identifica o estabelecimento: descrição normalizada sem números
+ * e sem termos genéricos do extrato ("COMPRA CARTAO DEB IFOOD 12/03" -> "ifood")
+ * @param {string} description
+ * @returns {string}
+ */
+export function getMerchantKey(description) {
+    return normalizeDescription(description)
+        .split(' ')
+        .filter(word => word && !/^\d+$/.test(word) && !GENERIC_TERMS.has(word))
+        .join(' ');
+}
+
+function isNeutralCategory(category) {
+    return NEUTRAL_CATEGORIES.includes(normalizeDescription(category));
+}
+
+function getCategoryName(category) {
+    if (category && typeof category === 'object') {
+        return category.name || category.label || category.value || '';
+    }
+    return String(category || '');
+}
+
+function incrementCount(index, key, category) {
+    if (!index[key]) index[key] = {};
+    index[key][category] = (index[key][category] || 0) + 1;
+}
+
+function mostFrequent(counts) {
+    let best = null;
+    let bestCount = 0;
+    Object.entries(counts || {}).forEach(([category, count]) => {
+        if (count > bestCount) {
+            best = category;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+/**
+ * Monta o histórico de categorização do usuário
+ * @param {Array} transactions Despesas (ou receitas) já categorizadas
+ * @returns {{merchants: Object, words: Object}} contagem de categorias por estabelecimento e por palavra
+ */
+export function buildCategoryHistory(transactions) {
+    const history = { merchants: {}, words: {} };
+    if (!Array.isArray(transactions)) return history;
+
+    transactions.forEach(item => {
+        if (!item || !item.description || isNeutralCategory(item.category)) return;
+
+        const key = getMerchantKey(item.description);
+        if (!key) return;
+
+        incrementCount(history.merchants, key, item.category);
+        new Set(key.split(' ').filter(word => word.length >= 3)).forEach(word => {
+            incrementCount(history.words, word, item.category);
+        });
+    });
+
+    return history;
+}
+
+/**
+ * Reúne o que a inferência precisa saber do usuário, para ser montado uma vez
+ * por importação e não a cada transação
+ * @param {Object} data
+ * @param {Array} [data.expenses]
+ * @param {Array} [data.incomes]
+ * @param {Array} [data.expenseCategories] Categorias de getExpenseCategories()
+ * @param {Array} [data.incomeCategories] Categorias de getIncomeCategories()
+ * @returns {{expense: Object, income: Object}}
+ */
+export function buildCategoryContext({ expenses = [], incomes = [], expenseCategories = [], incomeCategories = [] } = {}) {
+    const toNames = list => (Array.isArray(list) ? list : []).map(getCategoryName).filter(Boolean);
+
+    return {
+        expense: { categories: toNames(expenseCategories), history: buildCategoryHistory(expenses) },
+        income: { categories: toNames(incomeCategories), history: buildCategoryHistory(incomes) }
+    };
+}
+
+function containsPhrase(text, phrase) {
+    return ` ${text} `.includes(` ${phrase} `);
+}
+
+// Usa a grafia que o usuário já usa para a categoria ("alimentacao" x "Alimentação")
+function resolveCategoryName(category, userCategories) {
+    const target = normalizeDescription(category);
+    return userCategories.find(name => normalizeDescription(name) === target) || category;
+}
+
+function findKeywordCategory(text, dictionary) {
+    let best = null;
+    Object.entries(dictionary).forEach(([category, keywords]) => {
+        keywords.forEach(keyword => {
+            // A palavra-chave mais longa vence ("uber eats" antes de "uber")
+            if (containsPhrase(text, keyword) && (!best || keyword.length > best.keyword.length)) {
+                best = { category, keyword };
+            }
+        });
+    });
+    return best ? best.category : null;
+}
+
+function findUserCategoryMention(text, userCategories) {
+    const mentioned = userCategories
+        .filter(name => !isNeutralCategory(name))
+        .map(name => ({ name, normalized: normalizeDescription(name) }))
+        .filter(({ normalized }) => normalized && containsPhrase(text, normalized))
+        .sort((a, b) => b.normalized.length - a.normalized.length);
+    return mentioned.length > 0 ? mentioned[0].name : null;
+}
+
+function findWordHistoryCategory(key, history) {
+    const scores = {};
+    key.split(' ').filter(word => word.length >= 3).forEach(word => {
+        const counts = history.words[word];
+        if (!counts) return;
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        // Palavras usadas em várias categorias pesam menos
+        Object.entries(counts).forEach(([category, count]) => {
+            scores[category] = (scores[category] || 0) + count / total;
+        });
+    });
+    return mostFrequent(scores);
+}
+
+/**
+ * Sugere a categoria de uma transação
+ * @param {string} description Descrição livre ou do extrato
+ * @param {'expense'|'income'} [type]
+ * @param {Object} [context] Retorno de buildCategoryContext; sem ele, só os dicionários são usados
+ * @returns {string} Categoria sugerida ou DEFAULT_CATEGORY
+ */
+export function inferCategory(description, type = 'expense', context = null) {
+    const text = normalizeDescription(description);
+    if (!text) return DEFAULT_CATEGORY;
+
+    const scope = (context && context[type]) || { categories: [], history: buildCategoryHistory([]) };
+    const key = getMerchantKey(description);
+
+    // 1. Mesmo estabelecimento já categorizado pelo usuário
+    if (key && scope.history.merchants[key]) {
+        return mostFrequent(scope.history.merchants[key]);
+    }
+
+    // 2. Nome de uma categoria do usuário na descrição ("pet shop" -> "Pet")
+    const mentioned = findUserCategoryMention(text, scope.categories);
+    if (mentioned) return mentioned;
+
+    // 3. Estabelecimentos conhecidos
+    const keywordCategory = findKeywordCategory(text, type === 'income' ? INCOME_KEYWORDS : EXPENSE_KEYWORDS);
+    if (keywordCategory) {
+        return resolveCategoryName(keywordCategory, scope.categories);
+    }
+
+    // 4. Palavras em comum com descrições já categorizadas
+    if (key) {
+        const learned = findWordHistoryCategory(key, scope.history);
+        if (learned) return learned;
+    }
+
+    return resolveCategoryName(DEFAULT_CATEGORY, scope.categories);
+}
@@ -0,0 +1,168 @@
+/**
+ * Regras de Categorização
+ * Regras determinísticas definidas pelo usuário, aplicadas antes da inferência
+ * automática (categoryInference.js). Exemplos:
+ * - descrição contém "NETFLIX" -> categoria "streaming", marcar como fixa
+ * - valor entre 1500 e 1600, no dia 5, da conta "Itaú" -> categoria "aluguel"
+ * As regras são avaliadas na ordem da lista e a primeira que casar vence.
+ * Sem dependência de DOM: usadas pelo app (Pluggy, extratos) e pelo webhook do WhatsApp.
+ */
+
+import { normalizeDescription } from './categoryInference.js';
+
+const RULE_TYPES = ['all', 'expense', 'income'];
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    return isNaN(number) ? null : number;
+}
+
+function toTextOrNull(value) {
+    const text = String(value ?? '').trim();
+    return text ? text : null;
+}
+
+/**
+ * Valida e normaliza os campos de uma regra
+ * @param {Object} fields Campos informados pelo usuário
+ * @param {Object} [existing] Regra sendo editada (mantém id e createdAt)
+ * @returns {Object} Regra pronta para ser salva
+ * @throws {Error} Se a regra não tiver condição ou ação, ou se os valores forem inválidos
+ */
+export function createCategoryRule(fields, existing = null) {
+    const now = new Date().toISOString();
+    const rule = {
+        id: existing?.id || Date.now().toString(36) + Math.random().toString(36).substr(2),
+        enabled: fields.enabled !== undefined ? Boolean(fields.enabled) : (existing ? existing.enabled !== false : true),
+        appliesTo: RULE_TYPES.includes(fields.appliesTo) ? fields.appliesTo : 'all',
+        descriptionContains: toTextOrNull(fields.descriptionContains),
+        amountMin: toNumberOrNull(fields.amountMin),
+        amountMax: toNumberOrNull(fields.amountMax),
+        dayOfMonth: toNumberOrNull(fields.dayOfMonth),
+        account: toTextOrNull(fields.account),
+        category: toTextOrNull(fields.category),
+        markFixed: Boolean(fields.markFixed),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+
+    const hasCondition = rule.descriptionContains || rule.amountMin !== null || rule.amountMax !== null ||
+        rule.dayOfMonth !== null || rule.account;
+    if (!hasCondition) {
+        throw new Error('A regra precisa de pelo menos uma condição.');
+    }
+    if (!rule.category && !rule.markFixed) {
+        throw new Error('Informe a categoria ou marque a transação como fixa.');
+    }
+    if (rule.amountMin !== null && rule.amountMax !== null && rule.amountMin > rule.amountMax) {
+        throw new Error('O valor mínimo não pode ser maior que o máximo.');
+    }
+    if (rule.dayOfMonth !== null && (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31)) {
+        throw new Error('O dia deve estar entre 1 e 31.');
+    }
+
+    return rule;
+}
+
+// Contas/cartões associados à transação: cartão selecionado, conta do extrato ou origem citada no WhatsApp.
+// Extratos importados não trazem o nome da conta: valem a chave da conta (ex: 'creditcard:itau:1234')
+// e o perfil do CSV (ex: 'Itaú'); o cartão vinculado à conta chega em hints.account.
+function getTransactionAccounts(transaction, hints) {
+    return [
+        transaction.selectedCard,
+        transaction.accountName,
+        transaction.originalData?.accountName,
+        transaction.originalData?.accountKey,
+        transaction.originalData?.csvProfile,
+        hints.account
+    ].filter(Boolean).map(normalizeDescription);
+}
+
+function getDayOfMonth(date) {
+    const day = parseInt(String(date || '').split('T')[0].split('-')[2]);
+    return isNaN(day) ? null : day;
+}
+
+/**
+ * Verifica se a regra se aplica à transação
+ * @param {Object} rule
+ * @param {Object} transaction Despesa ou receita no formato do app
+ * @param {'expense'|'income'} type
+ * @param {{account?: string}} [hints] Informações que não ficam na transação (ex: cartão citado na mensagem)
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, transaction, type, hints = {}) {
+    if (!rule || rule.enabled === false || !transaction) return false;
+    if (rule.appliesTo && rule.appliesTo !== 'all' && rule.appliesTo !== type) return false;
+
+    if (rule.descriptionContains) {
+        const needle = normalizeDescription(rule.descriptionContains);
+        if (!normalizeDescription(transaction.description).includes(needle)) return false;
+    }
+
+    const amount = Math.abs(parseFloat(transaction.amount));
+    if (rule.amountMin !== null && rule.amountMin !== undefined && !(amount >= rule.amountMin)) return false;
+    if (rule.amountMax !== null && rule.amountMax !== undefined && !(amount <= rule.amountMax)) return false;
+
+    if (rule.dayOfMonth !== null && rule.dayOfMonth !== undefined && getDayOfMonth(transaction.date) !== rule.dayOfMonth) {
+        return false;
+    }
+
+    if (rule.account) {
+        const target = normalizeDescription(rule.account);
+        if (!getTransactionAccounts(transaction, hints).some(account => account.includes(target))) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Aplica a primeira regra que casar com a transação
+ * @param {Object} transaction
+ * @param {'expense'|'income'} type
+ * @param {Array} rules Regras do usuário, em ordem de prioridade
+ * @param {{account?: string}} [hints]
+ * @returns {{transaction: Object, rule: Object|null}} cópia da transação com as ações da regra aplicadas
+ */
+export function applyCategoryRules(transaction, type, rules, hints = {}) {
+    const rule = (Array.isArray(rules) ? rules : []).find(r => ruleMatches(r, transaction, type, hints)) || null;
+    if (!rule) return { transaction, rule: null };
+
+    const updated = { ...transaction };
+    if (rule.category) updated.category = rule.category;
+    if (rule.markFixed) updated.isFixed = true;
+    updated.appliedRuleId = rule.id;
+
+    return { transaction: updated, rule };
+}
+
+/**
+ * Texto legível da regra para a lista de gerenciamento
+ * @param {Object} rule
+ * @returns {string} Ex: 'Descrição contém "NETFLIX" → streaming, fixa'
+ */
+export function describeRule(rule) {
+    const formatAmount = value => `R$ ${Number(value).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`;
+    const conditions = [];
+
+    if (rule.appliesTo === 'expense') conditions.push('Despesas');
+    if (rule.appliesTo === 'income') conditions.push('Receitas');
+    if (rule.descriptionContains) conditions.push(`descrição contém "${rule.descriptionContains}"`);
+    if (rule.amountMin !== null && rule.amountMax !== null) {
+        conditions.push(`valor entre ${formatAmount(rule.amountMin)} e ${formatAmount(rule.amountMax)}`);
+    } else if (rule.amountMin !== null) {
+        conditions.push(`valor a partir de ${formatAmount(rule.amountMin)}`);
+    } else if (rule.amountMax !== null) {
+        conditions.push(`valor até ${formatAmount(rule.amountMax)}`);
+    }
+    if (rule.dayOfMonth !== null) conditions.push(`no dia ${rule.dayOfMonth}`);
+    if (rule.account) conditions.push(`de "${rule.account}"`);
+
+    const actions = [];
+    if (rule.category) actions.push(rule.category);
+    if (rule.markFixed) actions.push('fixa');
+
+    const text = conditions.join(', ');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)} → ${actions.join(', ')}`;
+}
@@ -1,5 +1,10 @@
 import { eventBus } from './eventBus.js';
 import { dataManager } from './dataManager.js';
+import { diffState, recordSentChanges, applyRemoteChanges } from './syncMerge.js';
+import { asyncErrorHandler } from './asyncErrorHandler.js';
+
+// Espera máxima entre novas tentativas de sincronização (backoff exponencial)
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
 
 /**
  * Cloud Sync Service
@@ -11,6 +16,9 @@ export class CloudSync {
         this.isAuthenticated = false;
         this.userId = null;
         this.syncInProgress = false;
+        this.pendingSync = false;
+        this.applyingRemote = false;
+        this.retryTimer = null;
         this.dataManager = dataManager;
     }
 
@@ -171,8 +179,15 @@ export class CloudSync {
         
         // Listen for changes
         if (eventBus) {
-            eventBus.on('data:updated', () => this.pushData());
+            eventBus.on('data:updated', () => {
+                if (!this.applyingRemote) this.pushData();
+            });
+            eventBus.on('sync:outbox', () => this.updatePendingCount());
         }
+
+        // Alterações feitas offline são enviadas assim que a conexão volta
+        window.addEventListener('online', () => this.flushOutbox());
+        window.addEventListener('offline', () => this.updateUIStatus('offline'));
     }
 
     handleLogout() {
@@ -205,6 +220,10 @@ export class CloudSync {
                 indicator.style.backgroundColor = '#2ecc71';
                 indicator.title = 'Sincronizado';
                 break;
+            case 'conflict':
+                indicator.style.backgroundColor = '#9b59b6';
+                indicator.title = 'Sincronizado, com conflitos para resolver em Detalhes';
+                break;
             case 'error':
                 indicator.style.backgroundColor = '#e74c3c';
                 indicator.title = 'Erro na sincronização';
@@ -213,102 +232,211 @@ export class CloudSync {
                 indicator.style.backgroundColor = 'gray';
                 indicator.title = 'Offline';
         }
+
+        this.updatePendingCount();
     }
 
-    async pullData() {
-        if (!this.isAuthenticated || this.syncInProgress) return;
-        
+    /**
+     * Mostra ao lado do indicador quantas alterações ainda não chegaram à nuvem
+     */
+    updatePendingCount() {
+        const indicator = document.getElementById('sync-status');
+        if (!indicator) return;
+
+        let label = document.getElementById('sync-pending');
+        if (!label) {
+            label = document.createElement('span');
+            label.id = 'sync-pending';
+            label.className = 'sync-pending';
+            indicator.insertAdjacentElement('afterend', label);
+        }
+
+        const outbox = dataManager.getSyncOutbox();
+        const count = outbox.mutations.length;
+        label.textContent = count === 1 ? '1 alteração pendente' : `${count} alterações pendentes`;
+        label.title = outbox.lastError ? `Última falha: ${outbox.lastError}` : '';
+        label.style.display = count > 0 ? 'inline' : 'none';
+    }
+
+    /**
+     * Envia a fila de alterações agora, sem esperar a próxima tentativa agendada
+     */
+    flushOutbox() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        return this.sync({ pushSettings: true });
+    }
+
+    /**
+     * Agenda nova tentativa com backoff exponencial (1s, 2s, 4s... até MAX_RETRY_DELAY),
+     * como em asyncErrorHandler.safeFetch
+     * @param {number} attempts Tentativas seguidas que falharam
+     */
+    scheduleRetry(attempts) {
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        const delay = Math.min(Math.pow(2, attempts - 1) * 1000, MAX_RETRY_DELAY);
+        console.log(`[CLOUD]: Nova tentativa de sincronização em ${Math.round(delay / 1000)}s`);
+        this.retryTimer = asyncErrorHandler.safeSetTimeout(() => {
+            this.retryTimer = null;
+            this.sync({ pushSettings: true });
+        }, delay);
+    }
+
+    getApiBaseUrl() {
+        // If running in Electron (file protocol) or local dev without proxy, point to production
+        const isLocal = window.location.hostname === 'localhost' || window.location.protocol === 'file:';
+        return isLocal ? 'https://organizador-de-gastos.vercel.app' : '';
+    }
+
+    async getAuthHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'User-Id': this.userId,
+            'Authorization': `Bearer ${await this.clerk.session.getToken()}`
+        };
+    }
+
+    /**
+     * Sincronização por registro com cursor (ver syncMerge.js e lib/sync-store.js)
+     * Sem alterações locais, baixa só o que mudou desde o cursor; com alterações, envia
+     * apenas elas. Se o servidor recusar por base desatualizada, baixa, mescla e reenvia.
+     * O que não chegar à nuvem fica na fila (dataManager.getSyncOutbox) e é reenviado com
+     * backoff exponencial ou quando a conexão voltar.
+     * @param {{pushSettings?: boolean}} [options] pushSettings: envia também regras e tags
+     *        (no pull inicial, as da nuvem prevalecem)
+     */
+    async sync({ pushSettings = false } = {}) {
+        if (!this.isAuthenticated) return;
+        if (this.syncInProgress) {
+            // Alterações feitas durante a sincronização vão na próxima rodada
+            this.pendingSync = true;
+            return;
+        }
+
+        if (navigator.onLine === false) {
+            // O evento 'online' dispara o envio da fila
+            this.updateUIStatus('offline');
+            return;
+        }
+
         this.syncInProgress = true;
+        this.pendingSync = false;
         this.updateUIStatus('syncing');
 
         try {
-            console.log('[CLOUD]: Iniciando sync (pull)...');
-            
-            const isLocal = window.location.hostname === 'localhost' || window.location.protocol === 'file:';
-            const API_BASE_URL = isLocal ? 'https://organizador-de-gastos.vercel.app' : '';
-
-            const response = await fetch(`${API_BASE_URL}/api/sync`, {
-                method: 'GET',
-                headers: {
-                    'User-Id': this.userId,
-                    'Authorization': `Bearer ${await this.clerk.session.getToken()}`
+            for (let attempt = 0; ; attempt++) {
+                const changes = diffState(dataManager.getSyncBase(), dataManager.getSyncState());
+                if (!pushSettings && Object.keys(changes).length === 0) {
+                    await this.pullChanges({ applySettings: true });
+                    break;
                 }
-            });
 
-            if (response.ok) {
-                const data = await response.json();
-                
-                // Se houver dados remotos, atualizar local
-                // CUIDADO: Isso sobrescreve dados locais. 
-                // Idealmente, deveríamos fazer merge. 
-                // Para V1, assumimos que a nuvem é a fonte da verdade se não estiver vazia.
-                
-                if (data.expenses && data.expenses.length > 0) {
-                    if (dataManager) {
-                        // Salvar dados usando o novo método seguro do DataManager
-                        // Isso garante que os dados sejam salvos no contexto do usuário correto
-                        const success = dataManager.saveRemoteData(data);
-                        
-                        if (success) {
-                            // Atualizar UI via EventBus em vez de recarregar
-                            console.log('[CLOUD]: Dados atualizados, solicitando refresh da UI');
-                            // notifyDataChange já foi chamado pelos métodos save* do DataManager
-                            // Mas para garantir, podemos forçar um update
-                            if (window.eventBus) {
-                                window.eventBus.emit('dashboard:update', dataManager.getAllData());
-                            }
-                        }
-                    }
-                }
-                this.updateUIStatus('online');
-            } else {
-                throw new Error('Sync failed');
+                if (await this.pushChanges(changes, { pushSettings })) break;
+
+                if (attempt >= 2) throw new Error('Sync rejected: stale base');
+                console.log('[CLOUD]: Base desatualizada; baixando alterações antes de reenviar');
+                await this.pullChanges({ applySettings: !pushSettings });
             }
+
+            dataManager.settleSyncOutbox(diffState(dataManager.getSyncBase(), dataManager.getSyncState()));
+            this.updateUIStatus(dataManager.getSyncConflicts().length > 0 ? 'conflict' : 'online');
         } catch (error) {
-            console.error('[CLOUD]: Pull error:', error);
-            this.updateUIStatus('error');
+            console.error('[CLOUD]: Sync error:', error);
+            const attempts = dataManager.recordSyncFailure(error);
+            this.updateUIStatus(navigator.onLine === false ? 'offline' : 'error');
+            if (navigator.onLine !== false) this.scheduleRetry(attempts);
         } finally {
             this.syncInProgress = false;
+            if (this.pendingSync) this.sync({ pushSettings: true });
         }
     }
 
-    async pushData() {
-        if (!this.isAuthenticated || this.syncInProgress) return;
-        
-        this.syncInProgress = true;
-        this.updateUIStatus('syncing');
+    /**
+     * Baixa o que mudou na nuvem desde o cursor salvo
+     * @param {{applySettings: boolean}} options
+     */
+    async pullChanges({ applySettings }) {
+        const cursor = dataManager.getSyncCursor();
+        const response = await fetch(`${this.getApiBaseUrl()}/api/sync?since=${cursor}`, {
+            method: 'GET',
+            headers: await this.getAuthHeaders(),
+            signal: AbortSignal.timeout(asyncErrorHandler.timeouts.fetch)
+        });
+        if (!response.ok) throw new Error(`Pull failed (${response.status})`);
 
-        try {
-            const data = dataManager.getAllData();
-            // Adicionar categorias que não estão no getAllData padrão se necessário
-            data.categories = {
-                expense: dataManager.getExpenseCategories(),
-                income: dataManager.getIncomeCategories()
+        const result = await response.json();
+        this.applySyncResult(result, { applySettings });
+    }
+
+    /**
+     * Envia as alterações locais a partir do cursor salvo
+     * @param {Object} changes Ver diffState
+     * @param {{pushSettings: boolean}} options
+     * @returns {Promise<boolean>} false se o servidor recusou por base desatualizada
+     */
+    async pushChanges(changes, { pushSettings }) {
+        const body = { cursor: dataManager.getSyncCursor(), changes };
+        if (pushSettings) {
+            body.settings = {
+                category_rules: dataManager.getCategoryRules(),
+                tags: dataManager.getTags()
             };
+        }
 
-            // Determine API Base URL
-            // If running in Electron (file protocol) or local dev without proxy, point to production
-            // Adjust this logic if you have a local backend running
-            const isLocal = window.location.hostname === 'localhost' || window.location.protocol === 'file:';
-            const API_BASE_URL = isLocal ? 'https://organizador-de-gastos.vercel.app' : '';
-
-            await fetch(`${API_BASE_URL}/api/sync`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Id': this.userId,
-                    'Authorization': `Bearer ${await this.clerk.session.getToken()}`
-                },
-                body: JSON.stringify(data)
-            });
-            
-            this.updateUIStatus('online');
-        } catch (error) {
-            console.error('[CLOUD]: Push error:', error);
-            this.updateUIStatus('error');
+        const response = await fetch(`${this.getApiBaseUrl()}/api/sync`, {
+            method: 'POST',
+            headers: await this.getAuthHeaders(),
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(asyncErrorHandler.timeouts.fetch)
+        });
+        if (response.status === 409) return false;
+        if (!response.ok) throw new Error(`Push failed (${response.status})`);
+
+        const result = await response.json();
+        this.applySyncResult(result, { applySettings: !pushSettings, sent: changes });
+        return true;
+    }
+
+    /**
+     * Grava a resposta do servidor: alterações desde o cursor, novo cursor e conflitos
+     * Edições locais ainda não enviadas (inclusive as feitas durante a requisição) são
+     * mescladas e continuam pendentes.
+     * @param {{changes: Object, cursor: number, conflicts?: Array, settings?: Object}} result
+     * @param {{applySettings: boolean, sent?: Object}} options sent: alterações aceitas pelo servidor
+     */
+    applySyncResult(result, { applySettings, sent = null }) {
+        const base = sent ? recordSentChanges(dataManager.getSyncBase(), sent) : dataManager.getSyncBase();
+        const merged = applyRemoteChanges(base, dataManager.getSyncState(), result.changes || {});
+
+        // Gravar sem disparar outra sincronização
+        this.applyingRemote = true;
+        try {
+            dataManager.applySyncState(merged.state, merged.base);
+            dataManager.saveSyncCursor(result.cursor);
+            if (applySettings && result.settings) dataManager.saveRemoteData(result.settings);
         } finally {
-            this.syncInProgress = false;
+            this.applyingRemote = false;
         }
+
+        const conflicts = [...(result.conflicts || []), ...merged.conflicts];
+        if (conflicts.length > 0) {
+            console.warn(`[CLOUD]: ${conflicts.length} conflito(s) de sincronização; a versão da nuvem foi mantida`);
+            dataManager.addSyncConflicts(conflicts);
+        }
+
+        if (window.eventBus) {
+            window.eventBus.emit('dashboard:update', dataManager.getAllData());
+        }
+    }
+
+    pullData() {
+        return this.sync();
+    }
+
+    pushData() {
+        return this.sync({ pushSettings: true });
     }
 }
 
@@ -0,0 +1,174 @@
+/**
+ * Leitura de Arquivos de Retorno CNAB (FEBRABAN)
+ * - CNAB 240: extrato para conciliação (segmento E) e cobrança (segmentos T + U)
+ * - CNAB 400: cobrança, usando as posições comuns a Bradesco, Itaú e Santander
+ * Boletos liquidados viram entradas; os lançamentos do extrato mantêm o D/C do banco.
+ * Posições nos comentários seguem os manuais (começando em 1).
+ */
+
+// Códigos de ocorrência de liquidação do título (pago pelo sacado)
+const LIQUIDATION_CODES = ['06', '08', '15', '17'];
+
+// Recorta o campo pelas posições do manual (inclusivas, começando em 1)
+function field(line, start, end) {
+    return line.substring(start - 1, end).trim();
+}
+
+function parseCNABAmount(line, start, end) {
+    const digits = field(line, start, end);
+    return /^\d+$/.test(digits) ? parseInt(digits, 10) / 100 : NaN;
+}
+
+// DDMMAAAA ou DDMMAA
+function parseCNABDate(value) {
+    const match = String(value || '').match(/^(\d{2})(\d{2})(\d{2}|\d{4})$/);
+    if (!match || /^0+$/.test(value)) return null;
+    const [, day, month, year] = match;
+    const fullYear = year.length === 2 ? `20${year}` : year;
+    if (+month < 1 || +month > 12 || +day < 1 || +day > 31) return null;
+    return `${fullYear}-${month}-${day}`;
+}
+
+/**
+ * Identifica o layout pelo tamanho das linhas
+ * @param {string[]} lines
+ * @returns {240|400|null}
+ */
+export function detectCNABLayout(lines) {
+    const lengths = lines.filter(line => line.trim()).map(line => line.replace(/\s+$/, '').length);
+    if (lengths.length === 0) return null;
+    // Espaços finais podem ter sido removidos por editores; o tamanho máximo define o layout
+    const max = Math.max(...lengths);
+    if (max > 240 && max <= 400) return 400;
+    if (max > 200 && max <= 240) return 240;
+    return null;
+}
+
+function parseCNAB240(lines) {
+    const transactions = [];
+    let pendingTitle = null;
+
+    lines.forEach(line => {
+        // 8: tipo de registro (3 = detalhe); 14: segmento
+        if (line[7] !== '3') return;
+        const segment = line[13];
+        const bankCode = field(line, 1, 3);
+
+        if (segment === 'E') {
+            const amount = parseCNABAmount(line, 151, 168);
+            const date = parseCNABDate(field(line, 143, 150)) || parseCNABDate(field(line, 135, 142));
+            if (!date || isNaN(amount) || amount === 0) return;
+
+            const document = field(line, 202, 240);
+            transactions.push({
+                date,
+                description: field(line, 177, 201) || 'Lançamento CNAB',
+                amount,
+                type: field(line, 169, 169) === 'D' ? 'DEBIT' : 'CREDIT',
+                source: 'CNAB_IMPORT',
+                originalData: {
+                    bankCode,
+                    historyCode: field(line, 173, 176),
+                    document,
+                    externalId: document ? `cnab240:${bankCode}:${field(line, 59, 70)}:${date}:${document}` : undefined
+                }
+            });
+            return;
+        }
+
+        if (segment === 'T') {
+            pendingTitle = {
+                bankCode,
+                movement: field(line, 16, 17),
+                ourNumber: field(line, 38, 57),
+                yourNumber: field(line, 59, 73),
+                payer: field(line, 149, 188)
+            };
+            return;
+        }
+
+        // O segmento U complementa o T anterior com valores e datas do pagamento
+        if (segment === 'U' && pendingTitle) {
+            const title = pendingTitle;
+            pendingTitle = null;
+            if (!LIQUIDATION_CODES.includes(title.movement)) return;
+
+            const amount = parseCNABAmount(line, 78, 92);
+            const date = parseCNABDate(field(line, 146, 153)) || parseCNABDate(field(line, 138, 145));
+            if (!date || isNaN(amount) || amount === 0) return;
+
+            transactions.push({
+                date,
+                description: `Boleto ${title.yourNumber || title.ourNumber}${title.payer ? ` - ${title.payer}` : ''}`,
+                amount,
+                type: 'CREDIT',
+                source: 'CNAB_IMPORT',
+                originalData: {
+                    bankCode: title.bankCode,
+                    ourNumber: title.ourNumber,
+                    externalId: `cnab:${title.bankCode}:${title.ourNumber}`
+                }
+            });
+        }
+    });
+
+    return transactions;
+}
+
+function parseCNAB400(lines) {
+    const header = lines.find(line => line[0] === '0') || '';
+    // 77-79: código do banco no header do arquivo
+    const bankCode = field(header, 77, 79);
+    const transactions = [];
+
+    lines.forEach(line => {
+        if (line[0] !== '1') return;
+
+        // 109-110: ocorrência; 111-116: data da ocorrência; 117-126: nº do documento;
+        // 254-266: valor pago; 296-301: data do crédito
+        const movement = field(line, 109, 110);
+        if (!LIQUIDATION_CODES.includes(movement)) return;
+
+        const amount = parseCNABAmount(line, 254, 266);
+        const date = parseCNABDate(field(line, 296, 301)) || parseCNABDate(field(line, 111, 116));
+        if (!date || isNaN(amount) || amount === 0) return;
+
+        const document = field(line, 117, 126);
+        // 63-82: nosso número (o Itaú usa 63-70 e o Bradesco 71-82)
+        const ourNumber = field(line, 63, 82);
+
+        transactions.push({
+            date,
+            description: `Boleto ${document || ourNumber}`,
+            amount,
+            type: 'CREDIT',
+            source: 'CNAB_IMPORT',
+            originalData: {
+                bankCode,
+                ourNumber,
+                externalId: `cnab:${bankCode}:${ourNumber}:${document}`
+            }
+        });
+    });
+
+    return transactions;
+}
+
+/**
+ * Lê um arquivo de retorno CNAB 240 ou 400
+ * @param {string} text Conteúdo do arquivo
+ * @returns {{layout: 240|400, bankCode: string, transactions: Array}}
+ * @throws {Error} Quando o tamanho das linhas não corresponde a nenhum layout
+ */
+export function parseCNAB(text) {
+    const lines = String(text).split(/\r\n|\n|\r/).filter(line => line.trim());
+    const layout = detectCNABLayout(lines);
+
+    if (layout === 240) {
+        return { layout, bankCode: field(lines[0], 1, 3), transactions: parseCNAB240(lines) };
+    }
+    if (layout === 400) {
+        return { layout, bankCode: field(lines[0], 77, 79), transactions: parseCNAB400(lines) };
+    }
+    throw new Error('Arquivo CNAB inválido: as linhas devem ter 240 ou 400 posições.');
+}
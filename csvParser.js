@@ -0,0 +1,451 @@
+/**
+ * Leitura de Extratos CSV
+ * Tokenizador de CSV (aspas, separador dentro de aspas, quebras de linha em campos)
+ * e perfis de mapeamento de colunas por banco. O perfil é escolhido pelo
+ * cabeçalho do arquivo; perfis personalizados do usuário têm prioridade.
+ */
+
+import { parseNumber } from './lib/amount-parser.js';
+
+/**
+ * Perfis dos extratos exportados pelos principais bancos.
+ * - headers: colunas que precisam existir no cabeçalho (normalizadas, ver normalizeHeader)
+ * - columns: de onde vem cada campo; description aceita várias colunas (unidas com " - ")
+ *   e o valor vem de 'amount' ou do par 'debit'/'credit'
+ * - dateFormat: 'DMY' (31/12/2025) ou 'YMD' (2025-12-31)
+ * - amountSign: 'signed' (negativo = saída) ou 'expense-positive' (faturas: positivo = compra)
+ */
+export const BUILTIN_CSV_PROFILES = [
+    {
+        id: 'nubank-conta',
+        name: 'Nubank (conta)',
+        headers: ['data', 'valor', 'identificador', 'descricao'],
+        columns: { date: 'data', description: ['descricao'], amount: 'valor', externalId: 'identificador' },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    },
+    {
+        id: 'nubank-cartao',
+        name: 'Nubank (fatura)',
+        headers: ['date', 'title', 'amount'],
+        columns: { date: 'date', description: ['title'], amount: 'amount' },
+        dateFormat: 'YMD',
+        amountSign: 'expense-positive'
+    },
+    {
+        id: 'inter',
+        name: 'Inter',
+        headers: ['data lancamento', 'historico', 'descricao', 'valor'],
+        columns: { date: 'data lancamento', description: ['historico', 'descricao'], amount: 'valor' },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    },
+    {
+        id: 'itau',
+        name: 'Itaú',
+        headers: ['data', 'lancamento', 'valor'],
+        columns: { date: 'data', description: ['lancamento'], amount: 'valor' },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    },
+    {
+        id: 'bradesco',
+        name: 'Bradesco',
+        headers: ['data', 'historico', 'credito', 'debito'],
+        columns: { date: 'data', description: ['historico'], debit: 'debito', credit: 'credito' },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    },
+    {
+        id: 'santander',
+        name: 'Santander',
+        headers: ['data', 'descricao', 'situacao', 'credito', 'debito'],
+        columns: { date: 'data', description: ['descricao'], debit: 'debito', credit: 'credito' },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    },
+    {
+        id: 'bb',
+        name: 'Banco do Brasil',
+        headers: ['data', 'dependencia origem', 'historico', 'valor'],
+        columns: { date: 'data', description: ['historico'], amount: 'valor', externalId: 'numero do documento' },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    },
+    {
+        id: 'c6',
+        name: 'C6 Bank',
+        headers: ['data lancamento', 'titulo', 'descricao', 'entrada', 'saida'],
+        columns: { date: 'data lancamento', description: ['titulo', 'descricao'], debit: 'saida', credit: 'entrada' },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    },
+    {
+        id: 'c6-cartao',
+        name: 'C6 Bank (fatura)',
+        headers: ['data de compra', 'descricao', 'parcela', 'valor'],
+        columns: { date: 'data de compra', description: ['descricao', 'parcela'], amount: 'valor' },
+        dateFormat: 'DMY',
+        amountSign: 'expense-positive'
+    }
+];
+
+// Linhas informativas dos extratos que não são transações
+const SKIPPED_DESCRIPTIONS = /^(saldo( anterior| do dia| final| disponivel)?|s a l d o|total)$/;
+
+// Quantas linhas iniciais procurar pelo cabeçalho (alguns bancos têm linhas de resumo antes)
+const HEADER_SEARCH_ROWS = 15;
+
+/**
+ * Normaliza um nome de coluna: "Valor (R$)" -> "valor", "Data Lançamento" -> "data lancamento"
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+    return String(header || '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\(?\s*(em\s+)?r\$\s*\)?/gi, '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Descobre o separador pelas primeiras linhas, ignorando o que está entre aspas
+ * @param {string} text
+ * @returns {string} ';', ',' ou '\t'
+ */
+export function detectSeparator(text) {
+    const sample = String(text).split(/\r\n|\n|\r/).slice(0, 20).join('\n').replace(/"[^"]*"/g, '');
+    const counts = [';', ',', '\t'].map(separator => ({ separator, count: sample.split(separator).length - 1 }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].separator : ',';
+}
+
+/**
+ * Divide o CSV em linhas e colunas (RFC 4180): campos entre aspas podem conter
+ * separador, quebras de linha e aspas duplicadas ("").
+ * @param {string} text
+ * @param {string} [separator] Detectado automaticamente se omitido
+ * @returns {string[][]} Linhas (sem linhas totalmente vazias)
+ */
+export function tokenizeCSV(text, separator = detectSeparator(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(cell => cell.trim()))
+        .filter(cells => cells.some(cell => cell !== ''));
+}
+
+/**
+ * Converte valores de extrato: "1.234,56", "-45,90", "R$ -12,00", "(12,34)", "12,34 D", "1,234.56"
+ * @param {string} value
+ * @returns {number} NaN se não for um valor
+ */
+export function parseCSVAmount(value) {
+    let text = String(value ?? '').trim().replace(/\u2212/g, '-');
+    if (!text) return NaN;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+
+    // Indicador de débito/crédito após o valor ("12,34 D", "12,34-")
+    const suffix = text.match(/\s*([DC]|-)$/i);
+    if (suffix && /\d/.test(text.slice(0, suffix.index))) {
+        if (suffix[1] === '-' || suffix[1].toUpperCase() === 'D') negative = true;
+        text = text.slice(0, suffix.index);
+    }
+
+    text = text.replace(/r\$/i, '').replace(/\s/g, '');
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+
+    if (!/^\d[\d.,]*$/.test(text)) return NaN;
+
+    const number = parseNumber(text);
+    return negative ? -number : number;
+}
+
+/**
+ * Converte a data para YYYY-MM-DD
+ * @param {string} value
+ * @param {'DMY'|'YMD'|'MDY'} [format]
+ * @returns {string|null}
+ */
+export function parseCSVDate(value, format = 'DMY') {
+    const text = String(value || '').trim().split(/\s+/)[0];
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) return buildISODate(iso[1], iso[2], iso[3]);
+
+    const parts = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (!parts) return null;
+
+    let [, first, second, third] = parts;
+    if (format === 'YMD') return buildISODate(first, second, third);
+    if (third.length === 2) third = `20${third}`;
+    if (format === 'MDY') return buildISODate(third, first, second);
+    return buildISODate(third, second, first);
+}
+
+function buildISODate(year, month, day) {
+    const y = parseInt(year);
+    const m = parseInt(month);
+    const d = parseInt(day);
+    if (!y || m < 1 || m > 12 || d < 1 || d > 31) return null;
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function profileMatchesHeader(profile, headers) {
+    return profile.headers.every(required => headers.includes(required));
+}
+
+/**
+ * Linha do cabeçalho de um perfil escolhido pelo usuário
+ * @param {string[][]} rows
+ * @param {Object} profile
+ * @returns {number} -1 para perfis sem cabeçalho; 0 se o cabeçalho não for encontrado
+ */
+export function findHeaderRow(rows, profile) {
+    if (profile.hasHeader === false) return -1;
+    for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS); i++) {
+        if (profileMatchesHeader(profile, rows[i].map(normalizeHeader))) return i;
+    }
+    return 0;
+}
+
+/**
+ * Localiza o cabeçalho e o perfil que corresponde a ele
+ * @param {string[][]} rows Linhas tokenizadas
+ * @param {Array} [customProfiles] Perfis salvos pelo usuário (verificados primeiro)
+ * @returns {{profile: Object|null, headerIndex: number, headers: string[]}}
+ *          headerIndex -1 quando nenhuma linha parece um cabeçalho
+ */
+export function detectCSVProfile(rows, customProfiles = []) {
+    const profiles = [...customProfiles.filter(p => p.hasHeader !== false), ...BUILTIN_CSV_PROFILES];
+    let fallback = null;
+
+    for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS); i++) {
+        const headers = rows[i].map(normalizeHeader);
+
+        // O perfil mais específico (mais colunas exigidas) vence
+        const matches = profiles
+            .filter(profile => profileMatchesHeader(profile, headers))
+            .sort((a, b) => b.headers.length - a.headers.length);
+        if (matches.length > 0) {
+            return { profile: matches[0], headerIndex: i, headers };
+        }
+
+        const generic = buildGenericProfile(headers);
+        if (generic && !fallback) {
+            fallback = { profile: generic, headerIndex: i, headers };
+        }
+    }
+
+    return fallback || { profile: null, headerIndex: -1, headers: [] };
+}
+
+// Sinônimos usados quando o banco não tem perfil próprio
+const GENERIC_COLUMNS = {
+    date: ['data', 'date', 'data lancamento', 'data da transacao', 'data movimento', 'dt lancamento'],
+    description: ['descricao', 'historico', 'lancamento', 'title', 'description', 'memo', 'estabelecimento'],
+    amount: ['valor', 'amount', 'quantia'],
+    debit: ['debito', 'saida', 'debitos', 'saidas'],
+    credit: ['credito', 'entrada', 'creditos', 'entradas']
+};
+
+function buildGenericProfile(headers) {
+    const find = names => headers.find(header => names.includes(header));
+    const date = find(GENERIC_COLUMNS.date);
+    const description = find(GENERIC_COLUMNS.description);
+    const amount = find(GENERIC_COLUMNS.amount);
+    const debit = find(GENERIC_COLUMNS.debit);
+    const credit = find(GENERIC_COLUMNS.credit);
+
+    if (!date || !description || !(amount || (debit && credit))) return null;
+
+    return {
+        id: 'generico',
+        name: 'Genérico',
+        headers: [],
+        columns: amount ? { date, description: [description], amount } : { date, description: [description], debit, credit },
+        dateFormat: 'DMY',
+        amountSign: 'signed'
+    };
+}
+
+function getCell(row, headers, column) {
+    if (column === undefined || column === null || column === '') return '';
+    // Perfis de arquivos sem cabeçalho usam o índice da coluna
+    const index = typeof column === 'number' ? column : headers.indexOf(column);
+    return index >= 0 && index < row.length ? row[index] : '';
+}
+
+function getSignedAmount(row, headers, columns) {
+    if (columns.amount !== undefined && columns.amount !== null && columns.amount !== '') {
+        return parseCSVAmount(getCell(row, headers, columns.amount));
+    }
+
+    const debit = parseCSVAmount(getCell(row, headers, columns.debit));
+    const credit = parseCSVAmount(getCell(row, headers, columns.credit));
+    if (isNaN(debit) && isNaN(credit)) return NaN;
+    return (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+}
+
+/**
+ * Converte as linhas do CSV em transações usando um perfil
+ * @param {string[][]} rows Linhas tokenizadas
+ * @param {Object} profile
+ * @param {number} headerIndex Linha do cabeçalho (-1 se não houver)
+ * @param {string} [source] Origem gravada nas transações
+ * @returns {Array} Transações no formato do BankStatementParser
+ */
+export function mapCSVRows(rows, profile, headerIndex, source = 'CSV_IMPORT') {
+    const headers = headerIndex >= 0 ? rows[headerIndex].map(normalizeHeader) : [];
+    const { columns } = profile;
+    const descriptionColumns = Array.isArray(columns.description) ? columns.description : [columns.description];
+    const transactions = [];
+
+    rows.slice(headerIndex + 1).forEach(row => {
+        const date = parseCSVDate(getCell(row, headers, columns.date), profile.dateFormat);
+        if (!date) return;
+
+        const description = descriptionColumns
+            .map(column => getCell(row, headers, column))
+            .filter(Boolean)
+            .join(' - ');
+        if (SKIPPED_DESCRIPTIONS.test(normalizeHeader(description))) return;
+
+        const signed = getSignedAmount(row, headers, columns);
+        if (isNaN(signed) || signed === 0) return;
+
+        // Em faturas o valor positivo é uma compra
+        const isOutflow = profile.amountSign === 'expense-positive' ? signed > 0 : signed < 0;
+        const externalId = getCell(row, headers, columns.externalId);
+
+        const transaction = {
+            date,
+            description: description || 'Importado CSV',
+            amount: Math.abs(signed),
+            type: isOutflow ? (profile.amountSign === 'expense-positive' ? 'CREDIT_CARD' : 'DEBIT') : 'CREDIT',
+            source
+        };
+        transaction.originalData = { csvProfile: profile.name };
+        if (externalId) transaction.originalData.externalId = `${profile.id}:${externalId}`;
+        // Entradas na fatura são pagamentos ou estornos, não receitas (ver prepareTransactions)
+        if (!isOutflow && profile.amountSign === 'expense-positive') transaction.cardCredit = true;
+
+        transactions.push(transaction);
+    });
+
+    return transactions;
+}
+
+/**
+ * Cria um perfil personalizado a partir do mapeamento feito pelo usuário
+ * @param {Object} fields
+ * @param {string} fields.name
+ * @param {string[]} fields.headerRow Primeira linha do arquivo
+ * @param {boolean} fields.hasHeader Se a primeira linha é o cabeçalho
+ * @param {{date: number, description: number, amount?: number, debit?: number, credit?: number}} fields.columns Índices das colunas
+ * @param {string} [fields.dateFormat]
+ * @param {string} [fields.amountSign]
+ * @returns {Object} Perfil (colunas por nome quando há cabeçalho, por índice quando não há)
+ * @throws {Error} Quando faltam colunas obrigatórias
+ */
+export function createCsvProfile(fields) {
+    const name = String(fields.name || '').trim();
+    if (!name) throw new Error('Informe um nome para o perfil.');
+
+    const toIndex = value => (value === '' || value === null || value === undefined ? null : parseInt(value));
+    const date = toIndex(fields.columns.date);
+    const description = toIndex(fields.columns.description);
+    const amount = toIndex(fields.columns.amount);
+    const debit = toIndex(fields.columns.debit);
+    const credit = toIndex(fields.columns.credit);
+
+    if (date === null) throw new Error('Selecione a coluna da data.');
+    if (description === null) throw new Error('Selecione a coluna da descrição.');
+    if (amount === null && debit === null && credit === null) {
+        throw new Error('Selecione a coluna do valor ou as colunas de débito/crédito.');
+    }
+
+    const hasHeader = fields.hasHeader !== false;
+    const headers = hasHeader ? (fields.headerRow || []).map(normalizeHeader) : [];
+    const column = index => (index === null ? undefined : (hasHeader ? headers[index] : index));
+    if (hasHeader && [date, description, amount, debit, credit].some(index => index !== null && !headers[index])) {
+        throw new Error('As colunas escolhidas precisam ter nome no cabeçalho.');
+    }
+
+    const columns = { date: column(date), description: [column(description)] };
+    if (amount !== null) {
+        columns.amount = column(amount);
+    } else {
+        columns.debit = column(debit);
+        columns.credit = column(credit);
+    }
+
+    return {
+        id: `custom-${Date.now().toString(36)}`,
+        name,
+        custom: true,
+        hasHeader,
+        headers: headers.filter(Boolean),
+        columnCount: (fields.headerRow || []).length,
+        columns,
+        dateFormat: ['DMY', 'YMD', 'MDY'].includes(fields.dateFormat) ? fields.dateFormat : 'DMY',
+        amountSign: fields.amountSign === 'expense-positive' ? 'expense-positive' : 'signed',
+        createdAt: new Date().toISOString()
+    };
+}
@@ -0,0 +1,192 @@
+import { dataManager } from './dataManager.js';
+import { showNotification } from './notificationSystem.js';
+import { BUILTIN_CSV_PROFILES, createCsvProfile } from './csvParser.js';
+
+// Linhas do arquivo exibidas como amostra
+const SAMPLE_ROWS = 5;
+
+/**
+ * Mapeamento de Colunas do CSV
+ * Aberto quando o cabeçalho do arquivo não corresponde a nenhum perfil conhecido:
+ * o usuário escolhe um perfil existente ou indica as colunas de data, descrição e
+ * valor (ou débito/crédito), podendo salvar o mapeamento para as próximas importações.
+ */
+export class CsvProfileEditor {
+    constructor() {
+        this.rows = [];
+        this.onApply = null;
+        this.container = null;
+    }
+
+    /**
+     * Abre o mapeamento
+     * @param {string[][]} rows Linhas tokenizadas do arquivo (erro CSV_PROFILE_REQUIRED)
+     * @param {Object} options
+     * @param {Function} options.onApply Recebe o perfil escolhido ou criado
+     */
+    open(rows, { onApply } = {}) {
+        this.container = document.getElementById('csv-profile-editor');
+        if (!this.container) return;
+
+        this.rows = rows;
+        this.onApply = onApply;
+
+        this.fillProfileSelect();
+        this.fillColumnSelects();
+        this.renderSample();
+
+        const hasHeader = this.container.querySelector('#csv-has-header');
+        hasHeader.checked = true;
+        hasHeader.onchange = () => {
+            this.fillColumnSelects();
+            this.renderSample();
+        };
+
+        const profileSelect = this.container.querySelector('#csv-profile-select');
+        profileSelect.onchange = () => {
+            this.container.querySelector('.csv-profile-mapping').style.display = profileSelect.value ? 'none' : 'block';
+        };
+        profileSelect.onchange();
+
+        this.container.querySelector('#csv-profile-apply').onclick = () => this.apply();
+        this.container.querySelector('#csv-profile-cancel').onclick = () => this.close();
+
+        this.container.style.display = 'block';
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    close() {
+        if (this.container) this.container.style.display = 'none';
+        this.rows = [];
+        this.onApply = null;
+    }
+
+    getProfiles() {
+        return [...dataManager.getCsvProfiles(), ...BUILTIN_CSV_PROFILES];
+    }
+
+    apply() {
+        const profileId = this.container.querySelector('#csv-profile-select').value;
+        let profile = this.getProfiles().find(p => p.id === profileId);
+
+        if (!profile) {
+            const value = id => this.container.querySelector(id).value;
+            try {
+                profile = createCsvProfile({
+                    name: value('#csv-profile-name') || 'Perfil personalizado',
+                    headerRow: this.rows[0] || [],
+                    hasHeader: this.container.querySelector('#csv-has-header').checked,
+                    columns: {
+                        date: value('#csv-date-column'),
+                        description: value('#csv-description-column'),
+                        amount: value('#csv-amount-column'),
+                        debit: value('#csv-debit-column'),
+                        credit: value('#csv-credit-column')
+                    },
+                    dateFormat: value('#csv-date-format'),
+                    amountSign: value('#csv-amount-sign')
+                });
+            } catch (error) {
+                showNotification(error.message, 'error');
+                return;
+            }
+
+            if (this.container.querySelector('#csv-save-profile').checked) {
+                const profiles = dataManager.getCsvProfiles();
+                profiles.push(profile);
+                dataManager.saveCsvProfiles(profiles);
+                showNotification(`Perfil "${profile.name}" salvo!`, 'success');
+            }
+        }
+
+        const callback = this.onApply;
+        this.close();
+        if (callback) callback(profile);
+    }
+
+    fillProfileSelect() {
+        const select = this.container.querySelector('#csv-profile-select');
+        select.innerHTML = '';
+
+        const manual = document.createElement('option');
+        manual.value = '';
+        manual.textContent = 'Mapear colunas manualmente';
+        select.appendChild(manual);
+
+        this.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.custom ? `${profile.name} (salvo)` : profile.name;
+            select.appendChild(option);
+        });
+    }
+
+    getColumnLabels() {
+        const firstRow = this.rows[0] || [];
+        const columnCount = Math.max(...this.rows.slice(0, SAMPLE_ROWS).map(row => row.length), 0);
+        const hasHeader = this.container.querySelector('#csv-has-header').checked;
+
+        return Array.from({ length: columnCount }, (_, index) => {
+            const label = `Coluna ${index + 1}`;
+            return hasHeader && firstRow[index] ? `${label}: ${firstRow[index]}` : label;
+        });
+    }
+
+    fillColumnSelects() {
+        const labels = this.getColumnLabels();
+        const selects = [
+            ['#csv-date-column', false],
+            ['#csv-description-column', false],
+            ['#csv-amount-column', true],
+            ['#csv-debit-column', true],
+            ['#csv-credit-column', true]
+        ];
+
+        selects.forEach(([id, optional]) => {
+            const select = this.container.querySelector(id);
+            select.innerHTML = '';
+            const empty = document.createElement('option');
+            empty.value = '';
+            empty.textContent = optional ? 'Nenhuma' : 'Selecione...';
+            select.appendChild(empty);
+
+            labels.forEach((label, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    renderSample() {
+        const table = this.container.querySelector('#csv-profile-sample');
+        const hasHeader = this.container.querySelector('#csv-has-header').checked;
+        table.innerHTML = '';
+
+        const labels = this.getColumnLabels();
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        labels.forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        this.rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + SAMPLE_ROWS).forEach(row => {
+            const tr = document.createElement('tr');
+            labels.forEach((_, index) => {
+                const td = document.createElement('td');
+                td.textContent = row[index] || '';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+    }
+}
+
+export const csvProfileEditor = new CsvProfileEditor();
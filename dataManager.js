@@ -1,6 +1,8 @@
 import { eventBus } from './eventBus.js';
 import { safeStorage } from './safeStorage.js';
 import { showNotification } from './notificationSystem.js';
+import { parseTagInput, ensureTags } from './tags.js';
+import { SYNC_COLLECTIONS, stampChanges, normalizeRecord, createTombstone, isTombstone, splitTombstones } from './syncMerge.js';
 
 // Sistema de persistência de dados
 /**
@@ -12,11 +14,12 @@ import { showNotification } from './notificationSystem.js';
  */
 export class DataManager {
     constructor() {
-        this.CURRENT_DATA_VERSION = '2.0';
+        this.CURRENT_DATA_VERSION = '2.1';
         this.AUTO_SAVE_INTERVAL = 5000; // 5 segundos (será otimizado)
         this.lastDataHash = null;
         this.maxAutoSaveVersions = 20; // Default max versions
         this.userId = null; // User ID for multi-user support
+        this.applyingSyncState = false; // Gravando o estado vindo da nuvem (sem marcar updatedAt nem gerar lápides)
         
         // Verificar se SafeStorage está disponível
         if (!safeStorage) {
@@ -71,6 +74,8 @@ export class DataManager {
             
             if (data.expense_categories) this.saveExpenseCategories(data.expense_categories);
             if (data.income_categories) this.saveIncomeCategories(data.income_categories);
+            if (data.category_rules) this.saveCategoryRules(data.category_rules);
+            if (data.tags) this.saveTags(data.tags);
             
             if (data.achievements) {
                 const key = this.getStorageKey('achievements');
@@ -156,10 +161,11 @@ export class DataManager {
 
     saveExpenses(expenses) {
         const key = this.getStorageKey('expensesData');
+        const records = this.prepareSyncRecords('expenses', expenses);
         if (this.useFallback) {
-            localStorage.setItem(key, JSON.stringify(expenses));
+            localStorage.setItem(key, JSON.stringify(records));
         } else {
-            safeStorage.setJSON(key, expenses);
+            safeStorage.setJSON(key, records);
         }
         this.notifyDataChange('expenses');
     }
@@ -173,10 +179,11 @@ export class DataManager {
 
     saveIncomes(incomes) {
         const key = this.getStorageKey('incomeData');
+        const records = this.prepareSyncRecords('incomes', incomes);
         if (this.useFallback) {
-            localStorage.setItem(key, JSON.stringify(incomes));
+            localStorage.setItem(key, JSON.stringify(records));
         } else {
-            safeStorage.setJSON(key, incomes);
+            safeStorage.setJSON(key, records);
         }
         this.notifyDataChange('income');
     }
@@ -190,10 +197,11 @@ export class DataManager {
 
     saveCards(cards) {
         const key = this.getStorageKey('cards');
+        const records = this.prepareSyncRecords('cards', cards);
         if (this.useFallback) {
-            localStorage.setItem(key, JSON.stringify(cards));
+            localStorage.setItem(key, JSON.stringify(records));
         } else {
-            safeStorage.setJSON(key, cards);
+            safeStorage.setJSON(key, records);
         }
         this.notifyDataChange('cards');
     }
@@ -207,10 +215,11 @@ export class DataManager {
 
     saveExpenseCategories(categories) {
         const key = this.getStorageKey('expense-categories');
+        const records = this.prepareSyncRecords('expenseCategories', categories);
         if (this.useFallback) {
-            localStorage.setItem(key, JSON.stringify(categories));
+            localStorage.setItem(key, JSON.stringify(records));
         } else {
-            safeStorage.setJSON(key, categories);
+            safeStorage.setJSON(key, records);
         }
         this.notifyDataChange('expense-categories');
     }
@@ -224,14 +233,401 @@ export class DataManager {
 
     saveIncomeCategories(categories) {
         const key = this.getStorageKey('income-categories');
+        const records = this.prepareSyncRecords('incomeCategories', categories);
         if (this.useFallback) {
-            localStorage.setItem(key, JSON.stringify(categories));
+            localStorage.setItem(key, JSON.stringify(records));
         } else {
-            safeStorage.setJSON(key, categories);
+            safeStorage.setJSON(key, records);
         }
         this.notifyDataChange('income-categories');
     }
 
+    /**
+     * Regras de categorização automática (ver categoryRules.js), em ordem de prioridade
+     * @returns {Array}
+     */
+    getCategoryRules() {
+        const key = this.getStorageKey('category-rules');
+        return this.useFallback ? 
+            JSON.parse(localStorage.getItem(key) || '[]') : 
+            safeStorage.getJSON(key, []);
+    }
+
+    saveCategoryRules(rules) {
+        const key = this.getStorageKey('category-rules');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(rules));
+        } else {
+            safeStorage.setJSON(key, rules);
+        }
+        this.notifyDataChange('category-rules');
+    }
+
+    /**
+     * Perfis de colunas de CSV salvos pelo usuário (ver csvParser.js)
+     * @returns {Array}
+     */
+    getCsvProfiles() {
+        const key = this.getStorageKey('csv-profiles');
+        return this.useFallback ? 
+            JSON.parse(localStorage.getItem(key) || '[]') : 
+            safeStorage.getJSON(key, []);
+    }
+
+    saveCsvProfiles(profiles) {
+        const key = this.getStorageKey('csv-profiles');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(profiles));
+        } else {
+            safeStorage.setJSON(key, profiles);
+        }
+        this.notifyDataChange('csv-profiles');
+    }
+
+    /**
+     * Tags cadastradas ({id, name, color}; ver tags.js). As transações guardam só os nomes.
+     * @returns {Array}
+     */
+    getTags() {
+        const key = this.getStorageKey('tags');
+        return this.useFallback ? 
+            JSON.parse(localStorage.getItem(key) || '[]') : 
+            safeStorage.getJSON(key, []);
+    }
+
+    saveTags(tags) {
+        const key = this.getStorageKey('tags');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(tags));
+        } else {
+            safeStorage.setJSON(key, tags);
+        }
+        this.notifyDataChange('tags');
+    }
+
+    /**
+     * Cadastra as tags ainda desconhecidas usadas em uma transação
+     * @param {string[]} names
+     */
+    registerTags(names) {
+        const tags = this.getTags();
+        const updated = ensureTags(tags, [{ tags: names }]);
+        if (updated !== tags) this.saveTags(updated);
+    }
+
+    /**
+     * Filtros salvos da busca de transações ({id, name, filter}; ver transactionFilter.js)
+     * @returns {Array}
+     */
+    getSavedFilters() {
+        const key = this.getStorageKey('saved-filters');
+        return this.useFallback ? 
+            JSON.parse(localStorage.getItem(key) || '[]') : 
+            safeStorage.getJSON(key, []);
+    }
+
+    saveSavedFilters(filters) {
+        const key = this.getStorageKey('saved-filters');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(filters));
+        } else {
+            safeStorage.setJSON(key, filters);
+        }
+        this.notifyDataChange('saved-filters');
+    }
+
+    // Sincronização por registro (ver syncMerge.js e cloudSync.js)
+
+    getCollection(collection) {
+        switch (collection) {
+            case 'expenses': return this.getExpenses();
+            case 'incomes': return this.getIncomes();
+            case 'cards': return this.getCards();
+            case 'expenseCategories': return this.getExpenseCategories();
+            case 'incomeCategories': return this.getIncomeCategories();
+            default: return [];
+        }
+    }
+
+    saveCollection(collection, records) {
+        switch (collection) {
+            case 'expenses': return this.saveExpenses(records);
+            case 'incomes': return this.saveIncomes(records);
+            case 'cards': return this.saveCards(records);
+            case 'expenseCategories': return this.saveExpenseCategories(records);
+            case 'incomeCategories': return this.saveIncomeCategories(records);
+        }
+    }
+
+    /**
+     * Marca id e updatedAt nos registros alterados e guarda lápides dos removidos,
+     * para que a exclusão chegue aos outros aparelhos
+     * @private
+     */
+    prepareSyncRecords(collection, records) {
+        if (this.applyingSyncState) return records;
+
+        const { records: stamped, changedIds, removedIds } = stampChanges(this.getCollection(collection), records, collection);
+        const tombstones = this.getSyncTombstones();
+        const current = tombstones[collection] || [];
+        const liveIds = new Set(stamped.map(record => record.id));
+
+        // Registros restaurados (ex.: desfazer exclusão em lote) deixam de ser lápides
+        const kept = current.filter(tombstone => !liveIds.has(tombstone.id) && !removedIds.includes(tombstone.id));
+        if (removedIds.length > 0 || kept.length !== current.length) {
+            const now = new Date().toISOString();
+            tombstones[collection] = [...kept, ...removedIds.map(id => createTombstone(id, now))];
+            this.saveSyncTombstones(tombstones);
+        }
+
+        this.queueSyncMutations(collection, [...changedIds, ...removedIds]);
+        return stamped;
+    }
+
+    /**
+     * Fila persistente de alterações ainda não confirmadas pela nuvem
+     * O conteúdo enviado vem sempre do estado atual (diffState); a fila registra o que está
+     * pendente e as tentativas que falharam, e sobrevive a recarregar a página.
+     * @returns {{mutations: Array<{collection: string, id: string, queuedAt: string}>, attempts: number, lastError: string|null}}
+     */
+    getSyncOutbox() {
+        const key = this.getStorageKey('sync-outbox');
+        const outbox = this.useFallback ?
+            JSON.parse(localStorage.getItem(key) || 'null') :
+            safeStorage.getJSON(key, null);
+        return { mutations: [], attempts: 0, lastError: null, ...(outbox || {}) };
+    }
+
+    saveSyncOutbox(outbox) {
+        const key = this.getStorageKey('sync-outbox');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(outbox));
+        } else {
+            safeStorage.setJSON(key, outbox);
+        }
+        if (eventBus) eventBus.emit('sync:outbox', outbox);
+    }
+
+    /**
+     * Enfileira registros alterados; o mesmo registro aparece uma vez só
+     * @param {string} collection
+     * @param {string[]} ids
+     */
+    queueSyncMutations(collection, ids) {
+        if (ids.length === 0) return;
+        const outbox = this.getSyncOutbox();
+        const queued = new Set(ids);
+        const queuedAt = new Date().toISOString();
+        outbox.mutations = [
+            ...outbox.mutations.filter(mutation => mutation.collection !== collection || !queued.has(mutation.id)),
+            ...ids.map(id => ({ collection, id, queuedAt }))
+        ];
+        this.saveSyncOutbox(outbox);
+    }
+
+    /**
+     * Depois de uma sincronização bem-sucedida, mantém na fila só o que ainda difere da nuvem
+     * (ex.: edições feitas durante a requisição) e zera as tentativas
+     * @param {Object} pendingChanges Ver diffState
+     */
+    settleSyncOutbox(pendingChanges) {
+        const outbox = this.getSyncOutbox();
+        const queuedAt = new Map(outbox.mutations.map(mutation => [`${mutation.collection}:${mutation.id}`, mutation.queuedAt]));
+        const now = new Date().toISOString();
+
+        this.saveSyncOutbox({
+            mutations: Object.entries(pendingChanges).flatMap(([collection, changes]) =>
+                changes.map(({ id }) => ({ collection, id, queuedAt: queuedAt.get(`${collection}:${id}`) || now }))),
+            attempts: 0,
+            lastError: null
+        });
+    }
+
+    /**
+     * Registra uma tentativa de sincronização que falhou
+     * @param {Error} error
+     * @returns {number} Tentativas seguidas que falharam
+     */
+    recordSyncFailure(error) {
+        const outbox = this.getSyncOutbox();
+        outbox.attempts += 1;
+        outbox.lastError = error?.message || String(error);
+        this.saveSyncOutbox(outbox);
+        return outbox.attempts;
+    }
+
+    /**
+     * Lápides dos registros excluídos neste aparelho ou recebidas da nuvem
+     * @returns {Object} {coleção: [{id, deleted, updatedAt}]}
+     */
+    getSyncTombstones() {
+        const key = this.getStorageKey('sync-tombstones');
+        return this.useFallback ?
+            JSON.parse(localStorage.getItem(key) || '{}') :
+            safeStorage.getJSON(key, {});
+    }
+
+    saveSyncTombstones(tombstones) {
+        const key = this.getStorageKey('sync-tombstones');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(tombstones));
+        } else {
+            safeStorage.setJSON(key, tombstones);
+        }
+    }
+
+    /**
+     * Estado recebido da nuvem na última sincronização (base da mesclagem)
+     * @returns {Object} {coleção: registros e lápides}
+     */
+    getSyncBase() {
+        const key = this.getStorageKey('sync-base');
+        return this.useFallback ?
+            JSON.parse(localStorage.getItem(key) || '{}') :
+            safeStorage.getJSON(key, {});
+    }
+
+    saveSyncBase(base) {
+        const key = this.getStorageKey('sync-base');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(base));
+        } else {
+            safeStorage.setJSON(key, base);
+        }
+    }
+
+    /**
+     * Cursor da última sincronização (versão do servidor já recebida; ver lib/sync-store.js)
+     * @returns {number} 0 se o aparelho nunca sincronizou
+     */
+    getSyncCursor() {
+        const key = this.getStorageKey('sync-cursor');
+        const value = this.useFallback ? localStorage.getItem(key) : safeStorage.getItem(key);
+        return parseInt(value, 10) || 0;
+    }
+
+    saveSyncCursor(cursor) {
+        const key = this.getStorageKey('sync-cursor');
+        if (this.useFallback) {
+            localStorage.setItem(key, String(cursor));
+        } else {
+            safeStorage.setItem(key, String(cursor));
+        }
+    }
+
+    /**
+     * Estado local no formato da sincronização: registros e lápides por coleção
+     * @returns {Object}
+     */
+    getSyncState() {
+        const tombstones = this.getSyncTombstones();
+        const state = {};
+
+        SYNC_COLLECTIONS.forEach(collection => {
+            let records = this.getCollection(collection);
+            // Dados anteriores à sincronização por registro: gravar ids antes de enviar
+            if (records.some(item => typeof item !== 'object' || !item.id)) {
+                this.saveCollection(collection, records);
+                records = this.getCollection(collection);
+            }
+            state[collection] = [...records, ...(tombstones[collection] || [])];
+        });
+
+        return state;
+    }
+
+    /**
+     * Grava o estado mesclado pela nuvem
+     * @param {Object} state Estado a gravar (o do servidor mais as edições ainda não enviadas)
+     * @param {Object} base Estado do servidor, base da próxima sincronização
+     */
+    applySyncState(state, base) {
+        this.applyingSyncState = true;
+        try {
+            const tombstones = this.getSyncTombstones();
+
+            SYNC_COLLECTIONS.forEach(collection => {
+                if (!Array.isArray(state[collection])) return;
+                const { live, tombstones: removed } = splitTombstones(state[collection]);
+                tombstones[collection] = removed;
+
+                // Manter a ordem local; registros novos vão para o fim
+                const current = this.getCollection(collection).map(item => normalizeRecord(item, collection));
+                const position = new Map(current.map((record, index) => [record.id, index]));
+                const ordered = [...live].sort((a, b) =>
+                    (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+
+                if (JSON.stringify(ordered) !== JSON.stringify(current)) {
+                    this.saveCollection(collection, ordered);
+                }
+            });
+
+            this.saveSyncTombstones(tombstones);
+            this.saveSyncBase(base);
+        } finally {
+            this.applyingSyncState = false;
+        }
+    }
+
+    /**
+     * Conflitos de sincronização aguardando decisão do usuário
+     * ({collection, id, fields, local, remote}; a versão da nuvem está em vigor)
+     * @returns {Array}
+     */
+    getSyncConflicts() {
+        const key = this.getStorageKey('sync-conflicts');
+        return this.useFallback ?
+            JSON.parse(localStorage.getItem(key) || '[]') :
+            safeStorage.getJSON(key, []);
+    }
+
+    saveSyncConflicts(conflicts) {
+        const key = this.getStorageKey('sync-conflicts');
+        if (this.useFallback) {
+            localStorage.setItem(key, JSON.stringify(conflicts));
+        } else {
+            safeStorage.setJSON(key, conflicts);
+        }
+        if (eventBus) eventBus.emit('sync:conflicts', conflicts);
+    }
+
+    /**
+     * Registra conflitos novos; um conflito mais recente do mesmo registro substitui o anterior
+     * @param {Array} conflicts
+     */
+    addSyncConflicts(conflicts) {
+        const incoming = new Set(conflicts.map(conflict => `${conflict.collection}:${conflict.id}`));
+        const kept = this.getSyncConflicts().filter(conflict => !incoming.has(`${conflict.collection}:${conflict.id}`));
+        this.saveSyncConflicts([...kept, ...conflicts]);
+    }
+
+    /**
+     * Resolve um conflito de sincronização
+     * Manter a versão deste aparelho a grava de novo (com updatedAt atual), para que
+     * vá para a nuvem na próxima sincronização; manter a da nuvem só descarta o conflito.
+     * @param {string} collection
+     * @param {string} id
+     * @param {'local'|'remote'} keep
+     * @returns {boolean} false se o conflito não existir mais
+     */
+    resolveSyncConflict(collection, id, keep) {
+        const conflicts = this.getSyncConflicts();
+        const conflict = conflicts.find(item => item.collection === collection && item.id === id);
+        if (!conflict) return false;
+
+        if (keep === 'local') {
+            const records = this.getCollection(collection).filter(item => normalizeRecord(item, collection).id !== id);
+            if (!isTombstone(conflict.local)) {
+                const index = this.getCollection(collection).findIndex(item => normalizeRecord(item, collection).id === id);
+                records.splice(index === -1 ? records.length : index, 0, { ...conflict.local, updatedAt: new Date().toISOString() });
+            }
+            this.saveCollection(collection, records);
+        }
+
+        this.saveSyncConflicts(conflicts.filter(item => item !== conflict));
+        return true;
+    }
+
     // Helper methods for adding data
     addExpense(expense) {
         const expenses = this.getExpenses();
@@ -253,6 +649,38 @@ export class DataManager {
         return income;
     }
 
+    /**
+     * Atualiza uma despesa salva, registrando updatedAt
+     * @param {string} id
+     * @param {Object} changes Campos alterados
+     * @returns {Object|null} Despesa atualizada, ou null se não encontrada
+     */
+    updateExpense(id, changes) {
+        const expenses = this.getExpenses();
+        const index = expenses.findIndex(expense => expense.id === id);
+        if (index === -1) return null;
+
+        expenses[index] = { ...expenses[index], ...changes, id, updatedAt: new Date().toISOString() };
+        this.saveExpenses(expenses);
+        return expenses[index];
+    }
+
+    /**
+     * Atualiza uma receita salva, registrando updatedAt
+     * @param {string} id
+     * @param {Object} changes Campos alterados
+     * @returns {Object|null} Receita atualizada, ou null se não encontrada
+     */
+    updateIncome(id, changes) {
+        const incomes = this.getIncomes();
+        const index = incomes.findIndex(income => income.id === id);
+        if (index === -1) return null;
+
+        incomes[index] = { ...incomes[index], ...changes, id, updatedAt: new Date().toISOString() };
+        this.saveIncomes(incomes);
+        return incomes[index];
+    }
+
     addCard(card) {
         const cards = this.getCards();
         if (!card.id) {
@@ -285,6 +713,10 @@ export class DataManager {
                     income: this.getIncomeCategories(),
                     expense: this.getExpenseCategories()
                 },
+                categoryRules: this.getCategoryRules(),
+                tags: this.getTags(),
+                csvProfiles: this.getCsvProfiles(),
+                savedFilters: this.getSavedFilters(),
                 achievements: this.useFallback ? 
                     JSON.parse(localStorage.getItem(this.getStorageKey('achievements')) || '[]') : 
                     safeStorage.getJSON(this.getStorageKey('achievements'), []),
@@ -385,6 +817,11 @@ export class DataManager {
                 () => this.saveCards(data.cards || []),
                 () => this.saveIncomeCategories(data.categories?.income || []),
                 () => this.saveExpenseCategories(data.categories?.expense || []),
+                // Backups anteriores às regras não devem apagar as regras atuais
+                () => data.categoryRules ? this.saveCategoryRules(data.categoryRules) : true,
+                () => data.tags ? this.saveTags(data.tags) : true,
+                () => data.csvProfiles ? this.saveCsvProfiles(data.csvProfiles) : true,
+                () => data.savedFilters ? this.saveSavedFilters(data.savedFilters) : true,
                 () => {
                     const key = this.getStorageKey('achievements');
                     return this.useFallback ? 
@@ -486,6 +923,19 @@ export class DataManager {
             }
         }
 
+        // 2.0 -> 2.1: tags e observações nas transações
+        // Tags antigas em texto ("viagem, casa") viram lista e todas passam a ser cadastradas
+        if (parseFloat(fromVersion) < 2.1 && parseFloat(toVersion) >= 2.1) {
+            const migrateTransaction = (transaction) => ({
+                ...transaction,
+                tags: parseTagInput(transaction.tags || []),
+                notes: typeof transaction.notes === 'string' ? transaction.notes : ''
+            });
+            migratedData.expensesData = (migratedData.expensesData || []).map(migrateTransaction);
+            migratedData.incomeData = (migratedData.incomeData || []).map(migrateTransaction);
+            migratedData.tags = ensureTags(migratedData.tags || [], [...migratedData.expensesData, ...migratedData.incomeData]);
+        }
+
         migratedData.version = toVersion; // Atualiza a versão dos dados migrados
         return migratedData;
     }
@@ -501,6 +951,10 @@ export class DataManager {
                     income: this.getIncomeCategories(),
                     expense: this.getExpenseCategories()
                 },
+                categoryRules: this.getCategoryRules(),
+                tags: this.getTags(),
+                csvProfiles: this.getCsvProfiles(),
+                savedFilters: this.getSavedFilters(),
                 achievements: this.useFallback ? 
                     JSON.parse(localStorage.getItem(this.getStorageKey('achievements')) || '[]') : 
                     safeStorage.getJSON(this.getStorageKey('achievements'), []),
@@ -549,6 +1003,10 @@ export class DataManager {
                         income: this.getIncomeCategories(),
                         expense: this.getExpenseCategories()
                     },
+                    categoryRules: this.getCategoryRules(),
+                    tags: this.getTags(),
+                    csvProfiles: this.getCsvProfiles(),
+                    savedFilters: this.getSavedFilters(),
                     achievements: this.useFallback ? 
                         JSON.parse(localStorage.getItem(this.getStorageKey('achievements')) || '[]') : 
                         safeStorage.getJSON(this.getStorageKey('achievements'), []),
@@ -733,8 +1191,9 @@ export class DataManager {
         // Lista de chaves gerenciadas
         const keysToRemove = [
             'expensesData', 'incomeData', 'cards',
-            'income-categories', 'expense-categories',
+            'income-categories', 'expense-categories', 'category-rules', 'csv-profiles', 'saved-filters', 'tags',
             'achievements', 'monthlyExpenseGoal',
+            'sync-base', 'sync-cursor', 'sync-tombstones', 'sync-conflicts', 'sync-outbox',
             'appData', 'lastAutoSave', 'autoSaveHistory'
         ];
 
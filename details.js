@@ -1,9 +1,33 @@
 
 import { dataManager } from './dataManager.js';
-import { initSharedUI, populateMonthSelector } from './uiShared.js';
+import { initSharedUI, populateMonthSelector, setupTagInput } from './uiShared.js';
 import { showNotification } from './notificationSystem.js';
 import { cloudSync } from './cloudSync.js';
+import { eventBus } from './eventBus.js';
+import { getTransactionTags } from './tags.js';
 import { smartAutoSave } from './smartAutoSave.js';
+import { findDuplicatePairs, mergeTransactions, pickTransactionToKeep } from './duplicateDetection.js';
+import { recurrenceService } from './recurrenceService.js';
+import { transactionEditor } from './transactionEditor.js';
+import { applyBulkAction, createUndo, applyUndo } from './bulkOperations.js';
+import {
+    TRANSACTION_SOURCES,
+    SORT_FIELDS,
+    createEmptyFilter,
+    isFilterActive,
+    filterTransactions,
+    sortTransactions
+} from './transactionFilter.js';
+
+// Transações marcadas na lista, por tipo, e a última ação em lote (para desfazer)
+const bulkSelection = { expense: new Set(), income: new Set() };
+const selectableIds = { expense: [], income: [] };
+let lastBulkUndo = null;
+
+// Critérios da busca; com algum critério preenchido, a lista deixa de se limitar ao mês
+let currentFilter = createEmptyFilter();
+
+const SELECT_ALL = [['expenses-select-all', 'expense'], ['income-select-all', 'income']];
 
 document.addEventListener('DOMContentLoaded', function() {
     // Inicializar UI Compartilhada
@@ -26,6 +50,12 @@ document.addEventListener('DOMContentLoaded', function() {
         monthSelect.addEventListener('change', updateLists);
         if (yearInput) yearInput.addEventListener('change', updateLists);
         
+        setupBulkActions();
+        setupSearch();
+
+        // Conflitos chegam a cada sincronização com a nuvem
+        if (eventBus) eventBus.on('sync:conflicts', updateSyncConflicts);
+
         // Carrega as listas inicialmente
         updateLists();
     }
@@ -45,13 +75,228 @@ function updateLists() {
     let expenses = dataManager.getExpenses();
     let incomes = dataManager.getIncomes();
     
-    // Filtra as transações do mês selecionado
-    const monthExpenses = filterTransactionsByMonth(expenses, month, year);
-    const monthIncomes = filterTransactionsByMonth(incomes, month, year);
+    const searching = isFilterActive(currentFilter);
+    let expenseItems;
+    let incomeItems;
+    if (searching) {
+        // Busca em todos os meses; as previstas não entram
+        expenseItems = filterTransactions(expenses, currentFilter);
+        incomeItems = filterTransactions(incomes, currentFilter);
+    } else {
+        // Filtra as transações do mês selecionado e inclui as ocorrências previstas
+        // das séries recorrentes, ainda não lançadas
+        expenseItems = sortTransactions([
+            ...filterTransactionsByMonth(expenses, month, year),
+            ...recurrenceService.getForecast('expense', month, year)
+        ], currentFilter.sort);
+        incomeItems = sortTransactions([
+            ...filterTransactionsByMonth(incomes, month, year),
+            ...recurrenceService.getForecast('income', month, year)
+        ], currentFilter.sort);
+    }
     
     // Atualiza as listas na interface
-    displayTransactions('expensesList', monthExpenses);
-    displayTransactions('incomeList', monthIncomes);
+    displayTransactions('expensesList', expenseItems);
+    displayTransactions('incomeList', incomeItems);
+    updateSearchSummary(searching, expenseItems.length, incomeItems.length);
+
+    // A caixa de duplicatas considera todos os meses
+    updateDuplicatesInbox(expenses, incomes);
+    updateSyncConflicts();
+    updateBulkToolbar();
+}
+
+const CONFIDENCE_LABELS = {
+    exact: 'Mesma transação do banco',
+    strong: 'Muito parecidas',
+    weak: 'Mesmo valor e data'
+};
+
+function formatTransactionSummary(transaction) {
+    const [y, m, d] = transaction.date.split('T')[0].split('-');
+    const amount = parseFloat(transaction.amount).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    const origin = TRANSACTION_SOURCES[transaction.source] || 'Manual';
+    return `${d}/${m}/${y} - ${transaction.description} - ${amount} (${origin}${transaction.category ? `, ${transaction.category}` : ''})`;
+}
+
+function updateDuplicatesInbox(expenses, incomes) {
+    const inbox = document.getElementById('duplicates-inbox');
+    const list = document.getElementById('duplicates-list');
+    if (!inbox || !list) return;
+
+    const pairs = [
+        ...findDuplicatePairs(expenses).map(pair => ({ ...pair, type: 'expense' })),
+        ...findDuplicatePairs(incomes).map(pair => ({ ...pair, type: 'income' }))
+    ];
+
+    list.innerHTML = '';
+    inbox.style.display = pairs.length > 0 ? 'block' : 'none';
+    document.getElementById('duplicates-count').textContent = `(${pairs.length})`;
+
+    pairs.forEach(pair => {
+        const item = document.createElement('div');
+        item.className = `duplicate-pair ${pair.confidence}`;
+
+        const header = document.createElement('div');
+        header.className = 'duplicate-pair-header';
+        header.textContent = `${pair.type === 'income' ? 'Receitas' : 'Despesas'} • ${CONFIDENCE_LABELS[pair.confidence]}`;
+        item.appendChild(header);
+
+        [pair.a, pair.b].forEach(transaction => {
+            const line = document.createElement('div');
+            line.className = 'duplicate-pair-transaction';
+            line.textContent = formatTransactionSummary(transaction);
+            item.appendChild(line);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'duplicate-pair-actions';
+
+        const mergeBtn = document.createElement('button');
+        mergeBtn.className = 'btn-small';
+        mergeBtn.textContent = 'Mesclar';
+        mergeBtn.title = 'Manter apenas uma transação, completando-a com os dados da outra';
+        mergeBtn.addEventListener('click', () => resolveDuplicatePair(pair, 'merge'));
+
+        const keepBtn = document.createElement('button');
+        keepBtn.className = 'btn-small';
+        keepBtn.textContent = 'Manter ambas';
+        keepBtn.title = 'São transações diferentes; não perguntar novamente';
+        keepBtn.addEventListener('click', () => resolveDuplicatePair(pair, 'keep'));
+
+        actions.appendChild(mergeBtn);
+        actions.appendChild(keepBtn);
+        item.appendChild(actions);
+
+        list.appendChild(item);
+    });
+}
+
+function resolveDuplicatePair(pair, action) {
+    const isExpense = pair.type === 'expense';
+    const allTransactions = isExpense ? dataManager.getExpenses() : dataManager.getIncomes();
+    let updatedTransactions;
+
+    if (action === 'merge') {
+        const { keep, other } = pickTransactionToKeep(pair.a, pair.b);
+        const merged = mergeTransactions(keep, other);
+        updatedTransactions = allTransactions
+            .filter(t => t.id !== other.id)
+            .map(t => t.id === keep.id ? merged : t);
+    } else {
+        // Registrar nas duas transações que não são duplicatas entre si
+        const markNotDuplicate = (transaction, otherId) => ({
+            ...transaction,
+            notDuplicateOf: [...(transaction.notDuplicateOf || []), otherId]
+        });
+        updatedTransactions = allTransactions.map(t => {
+            if (t.id === pair.a.id) return markNotDuplicate(t, pair.b.id);
+            if (t.id === pair.b.id) return markNotDuplicate(t, pair.a.id);
+            return t;
+        });
+    }
+
+    if (isExpense) {
+        dataManager.saveExpenses(updatedTransactions);
+    } else {
+        dataManager.saveIncomes(updatedTransactions);
+    }
+
+    updateLists();
+    showNotification(action === 'merge' ? 'Transações mescladas!' : 'Transações mantidas separadas.', 'success');
+}
+
+const SYNC_COLLECTION_LABELS = {
+    expenses: 'Despesa',
+    incomes: 'Receita',
+    cards: 'Cartão',
+    expenseCategories: 'Categoria de despesa',
+    incomeCategories: 'Categoria de receita'
+};
+
+const SYNC_FIELD_LABELS = {
+    description: 'descrição',
+    amount: 'valor',
+    category: 'categoria',
+    date: 'data',
+    paymentMethod: 'forma de pagamento',
+    selectedCard: 'cartão',
+    installments: 'parcelas',
+    status: 'status',
+    tags: 'tags',
+    notes: 'observações',
+    name: 'nome',
+    limit: 'limite',
+    closingDay: 'dia de fechamento',
+    dueDay: 'dia de vencimento'
+};
+
+function formatSyncRecord(collection, record) {
+    if (record.deleted) return 'Excluído';
+    if (collection === 'expenses' || collection === 'incomes') return formatTransactionSummary(record);
+    if (collection === 'cards') {
+        const limit = parseFloat(record.limit);
+        return isNaN(limit) ? record.name : `${record.name} - limite ${limit.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}`;
+    }
+    return record.name;
+}
+
+function updateSyncConflicts() {
+    const panel = document.getElementById('sync-conflicts');
+    const list = document.getElementById('sync-conflicts-list');
+    if (!panel || !list) return;
+
+    const conflicts = dataManager.getSyncConflicts();
+
+    list.innerHTML = '';
+    panel.style.display = conflicts.length > 0 ? 'block' : 'none';
+    document.getElementById('sync-conflicts-count').textContent = `(${conflicts.length})`;
+
+    conflicts.forEach(conflict => {
+        const item = document.createElement('div');
+        item.className = 'duplicate-pair sync-conflict';
+
+        const header = document.createElement('div');
+        header.className = 'duplicate-pair-header';
+        const detail = conflict.fields.includes('deleted')
+            ? 'excluído em um aparelho e alterado no outro'
+            : `alterado nos dois aparelhos: ${conflict.fields.map(field => SYNC_FIELD_LABELS[field] || field).join(', ')}`;
+        header.textContent = `${SYNC_COLLECTION_LABELS[conflict.collection] || conflict.collection} • ${detail}`;
+        item.appendChild(header);
+
+        [['Este aparelho', conflict.local], ['Nuvem', conflict.remote]].forEach(([label, record]) => {
+            const line = document.createElement('div');
+            line.className = 'duplicate-pair-transaction';
+            line.textContent = `${label}: ${formatSyncRecord(conflict.collection, record)}`;
+            item.appendChild(line);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'duplicate-pair-actions';
+
+        const localBtn = document.createElement('button');
+        localBtn.className = 'btn-small';
+        localBtn.textContent = 'Manter a deste aparelho';
+        localBtn.addEventListener('click', () => resolveSyncConflict(conflict, 'local'));
+
+        const remoteBtn = document.createElement('button');
+        remoteBtn.className = 'btn-small';
+        remoteBtn.textContent = 'Manter a da nuvem';
+        remoteBtn.addEventListener('click', () => resolveSyncConflict(conflict, 'remote'));
+
+        actions.appendChild(localBtn);
+        actions.appendChild(remoteBtn);
+        item.appendChild(actions);
+
+        list.appendChild(item);
+    });
+}
+
+function resolveSyncConflict(conflict, keep) {
+    if (!dataManager.resolveSyncConflict(conflict.collection, conflict.id, keep)) return;
+
+    updateLists();
+    showNotification(keep === 'local' ? 'Versão deste aparelho mantida; ela será enviada à nuvem.' : 'Versão da nuvem mantida.', 'success');
 }
 
 function filterTransactionsByMonth(transactions, month, year) {
@@ -69,15 +314,19 @@ function displayTransactions(listId, transactions) {
     if (!list) return;
     
     list.innerHTML = '';
+
+    // Seleção só vale para o que continua na lista (mudança de mês, exclusão)
+    const type = listId === 'expensesList' ? 'expense' : 'income';
+    selectableIds[type] = transactions.filter(t => !t.projected && t.id).map(t => t.id);
+    bulkSelection[type].forEach(id => {
+        if (!selectableIds[type].includes(id)) bulkSelection[type].delete(id);
+    });
     
     if (transactions.length === 0) {
         list.innerHTML = '<p class="no-transactions">Nenhuma transação encontrada</p>';
         return;
     }
     
-    // Ordena as transações por data (mais recente primeiro)
-    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    
     transactions.forEach(transaction => {
         const [y, m, d] = transaction.date.split('T')[0].split('-');
         const formattedDate = new Date(y, m - 1, d).toLocaleDateString('pt-BR');
@@ -109,6 +358,10 @@ function displayTransactions(listId, transactions) {
         if (transaction.installments && transaction.installments > 1) {
             paymentInfo += ` (${transaction.installments}x)`;
         }
+
+        if (transaction.status === 'pendente') {
+            paymentInfo += paymentInfo ? ' • Pendente' : 'Pendente';
+        }
         
         const dateSpan = document.createElement('span');
         dateSpan.className = 'transaction-date';
@@ -117,6 +370,27 @@ function displayTransactions(listId, transactions) {
         const descSpan = document.createElement('span');
         descSpan.className = 'transaction-description';
         descSpan.textContent = transaction.description;
+        if (transaction.notes) {
+            const notes = document.createElement('span');
+            notes.className = 'transaction-notes';
+            notes.textContent = transaction.notes;
+            descSpan.appendChild(notes);
+        }
+
+        const tags = getTransactionTags(transaction);
+        if (tags.length > 0) {
+            const tagColors = new Map(dataManager.getTags().map(tag => [tag.name, tag.color]));
+            const tagList = document.createElement('span');
+            tagList.className = 'transaction-tags';
+            tags.forEach(name => {
+                const chip = document.createElement('span');
+                chip.className = 'tag-chip';
+                chip.textContent = name;
+                if (tagColors.get(name)) chip.style.backgroundColor = tagColors.get(name);
+                tagList.appendChild(chip);
+            });
+            descSpan.appendChild(tagList);
+        }
         
         const paymentSpan = document.createElement('span');
         paymentSpan.className = 'transaction-payment';
@@ -126,19 +400,63 @@ function displayTransactions(listId, transactions) {
         amountSpan.className = 'transaction-amount';
         amountSpan.textContent = amount;
         
-        const deleteIcon = document.createElement('i');
-        deleteIcon.className = 'fas fa-trash delete-transaction';
-        deleteIcon.title = 'Excluir';
+        // Transações salvas podem ser marcadas para as ações em lote
+        if (!transaction.projected && transaction.id) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'bulk-select';
+            checkbox.title = 'Selecionar';
+            checkbox.checked = bulkSelection[type].has(transaction.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    bulkSelection[type].add(transaction.id);
+                } else {
+                    bulkSelection[type].delete(transaction.id);
+                }
+                updateBulkToolbar();
+            });
+            item.appendChild(checkbox);
+        }
         
         item.appendChild(dateSpan);
         item.appendChild(descSpan);
         item.appendChild(paymentSpan);
         item.appendChild(amountSpan);
+
+        // Ocorrência prevista: confirmar, pular ou editar em vez de excluir
+        if (transaction.projected) {
+            item.classList.add('forecast');
+            const badge = document.createElement('span');
+            badge.className = 'forecast-badge';
+            badge.textContent = 'Previsto';
+            descSpan.appendChild(badge);
+            appendForecastActions(item, transaction, type);
+            list.appendChild(item);
+            return;
+        }
+
+        const editIcon = document.createElement('i');
+        editIcon.className = 'fas fa-pen edit-transaction';
+        editIcon.title = 'Editar';
+        editIcon.addEventListener('click', () => editTransaction(transaction, type));
+        item.appendChild(editIcon);
+
+        const deleteIcon = document.createElement('i');
+        deleteIcon.className = 'fas fa-trash delete-transaction';
+        deleteIcon.title = 'Excluir';
         item.appendChild(deleteIcon);
 
         // Adiciona o evento de clique no botão de exclusão
         deleteIcon.addEventListener('click', () => {
             if (confirm('Tem certeza que deseja excluir esta transação?')) {
+                // Ocorrência de série: fica registrada como pulada, para não ser gerada de novo
+                if (transaction.recurrenceId) {
+                    recurrenceService.skip(type, transaction);
+                    updateLists();
+                    showNotification('Transação excluída com sucesso!', 'success');
+                    return;
+                }
+
                 const isExpense = listId === 'expensesList';
                 let allTransactions = isExpense ? dataManager.getExpenses() : dataManager.getIncomes();
                 
@@ -174,3 +492,455 @@ function displayTransactions(listId, transactions) {
         list.appendChild(item);
     });
 }
+
+function appendForecastActions(item, occurrence, type) {
+    const actions = [
+        { icon: 'fas fa-check confirm-forecast', title: 'Confirmar lançamento', handler: () => {
+            recurrenceService.confirm(type, occurrence);
+            showNotification('Lançamento confirmado!', 'success');
+        } },
+        { icon: 'fas fa-forward skip-forecast', title: 'Pular esta ocorrência', handler: () => {
+            recurrenceService.skip(type, occurrence);
+            showNotification('Ocorrência pulada.', 'info');
+        } },
+        { icon: 'fas fa-pen edit-transaction', title: 'Editar antes de confirmar', handler: () => editTransaction(occurrence, type) }
+    ];
+
+    actions.forEach(({ icon, title, handler }) => {
+        const button = document.createElement('i');
+        button.className = icon;
+        button.title = title;
+        button.addEventListener('click', () => {
+            handler();
+            updateLists();
+        });
+        item.appendChild(button);
+    });
+}
+
+// Abre o formulário de edição; ocorrências recorrentes escolhem entre só esta ou esta e as próximas
+function editTransaction(transaction, type) {
+    transactionEditor.open(transaction, type, {
+        onSave: (scope) => {
+            updateLists();
+            const series = transaction.recurrenceId || transaction.isRecurring;
+            showNotification(series && scope === 'future' ? 'Alteração aplicada nesta e nas próximas ocorrências.' : 'Transação atualizada!', 'success');
+        }
+    });
+}
+
+function setupBulkActions() {
+    const toolbar = document.getElementById('bulk-toolbar');
+    if (!toolbar) return;
+
+    SELECT_ALL.forEach(([checkboxId, type]) => {
+        const checkbox = document.getElementById(checkboxId);
+        if (!checkbox) return;
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectableIds[type].forEach(id => bulkSelection[type].add(id));
+            } else {
+                bulkSelection[type].clear();
+            }
+            updateLists();
+        });
+    });
+
+    document.getElementById('bulk-action').addEventListener('change', updateBulkFields);
+    document.getElementById('bulk-paymentMethod').addEventListener('change', updateBulkFields);
+    document.getElementById('bulk-apply').addEventListener('click', applyBulkSelection);
+    document.getElementById('bulk-clear').addEventListener('click', () => {
+        bulkSelection.expense.clear();
+        bulkSelection.income.clear();
+        updateLists();
+    });
+    document.getElementById('bulk-undo').addEventListener('click', undoLastBulkAction);
+}
+
+function updateBulkToolbar() {
+    const toolbar = document.getElementById('bulk-toolbar');
+    if (!toolbar) return;
+
+    // "Selecionar todas" fica marcado só enquanto todas as transações da lista estiverem marcadas
+    SELECT_ALL.forEach(([checkboxId, type]) => {
+        const checkbox = document.getElementById(checkboxId);
+        if (checkbox) {
+            checkbox.checked = selectableIds[type].length > 0 && selectableIds[type].every(id => bulkSelection[type].has(id));
+        }
+    });
+
+    const expenses = bulkSelection.expense.size;
+    const incomes = bulkSelection.income.size;
+    toolbar.style.display = expenses + incomes > 0 ? 'flex' : 'none';
+
+    const parts = [];
+    if (expenses > 0) parts.push(`${expenses} ${expenses === 1 ? 'despesa' : 'despesas'}`);
+    if (incomes > 0) parts.push(`${incomes} ${incomes === 1 ? 'receita' : 'receitas'}`);
+    document.getElementById('bulk-count').textContent = `${parts.join(' e ')} ${expenses + incomes === 1 ? 'selecionada' : 'selecionadas'}`;
+
+    // Forma de pagamento e cartão só existem nas despesas
+    document.querySelector('#bulk-action option[value="payment"]').disabled = expenses === 0;
+
+    const undoBar = document.getElementById('bulk-undo-bar');
+    undoBar.style.display = lastBulkUndo ? 'flex' : 'none';
+    if (lastBulkUndo) document.getElementById('bulk-undo-label').textContent = lastBulkUndo.label;
+
+    updateBulkFields();
+}
+
+function updateBulkFields() {
+    const action = document.getElementById('bulk-action').value;
+    document.getElementById('bulk-category-field').style.display = action === 'recategorize' ? 'inline-flex' : 'none';
+    document.getElementById('bulk-payment-field').style.display = action === 'payment' ? 'inline-flex' : 'none';
+    document.getElementById('bulk-month-field').style.display = action === 'move' ? 'inline-flex' : 'none';
+
+    if (action === 'recategorize') fillBulkCategories();
+    if (action === 'payment') {
+        const method = document.getElementById('bulk-paymentMethod').value;
+        const cardSelect = document.getElementById('bulk-selectedCard');
+        if (cardSelect.options.length === 0) fillBulkCards(cardSelect);
+        cardSelect.style.display = ['debito', 'credito_vista', 'credito_parcelado'].includes(method) ? 'inline-block' : 'none';
+    }
+    if (action === 'move') {
+        const monthInput = document.getElementById('bulk-month');
+        if (!monthInput.value) {
+            const month = String(document.getElementById('month').value).padStart(2, '0');
+            monthInput.value = `${document.getElementById('year').value}-${month}`;
+        }
+    }
+}
+
+function fillBulkCategories() {
+    const datalist = document.getElementById('bulk-category-options');
+    datalist.innerHTML = '';
+
+    const categories = new Set();
+    const types = [];
+    if (bulkSelection.expense.size > 0) types.push('expense');
+    if (bulkSelection.income.size > 0) types.push('income');
+    types.forEach(type => {
+        (type === 'income' ? dataManager.getIncomeCategories() : dataManager.getExpenseCategories()).forEach(category => {
+            categories.add(typeof category === 'object' ? category.name : category);
+        });
+    });
+
+    Array.from(categories).filter(Boolean).sort().forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        datalist.appendChild(option);
+    });
+}
+
+function fillBulkCards(select) {
+    const keep = document.createElement('option');
+    keep.value = '';
+    keep.textContent = 'Manter cartão atual';
+    select.appendChild(keep);
+
+    dataManager.getCards().forEach(card => {
+        const option = document.createElement('option');
+        option.value = card.name;
+        option.textContent = card.name;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Lê a ação escolhida na barra de ações em lote
+ * @returns {{action: Object, label: string}|null} null se faltar algum campo
+ */
+function readBulkAction() {
+    const value = document.getElementById('bulk-action').value;
+
+    switch (value) {
+        case 'recategorize': {
+            const category = document.getElementById('bulk-category').value.trim();
+            if (!category) return null;
+            return { action: { type: 'recategorize', category }, label: `Categoria alterada para "${category}"` };
+        }
+        case 'payment':
+            return {
+                action: {
+                    type: 'payment',
+                    paymentMethod: document.getElementById('bulk-paymentMethod').value,
+                    selectedCard: document.getElementById('bulk-selectedCard').value || null
+                },
+                label: 'Forma de pagamento alterada'
+            };
+        case 'status-pago':
+            return { action: { type: 'status', status: 'pago' }, label: 'Marcadas como pagas' };
+        case 'status-pendente':
+            return { action: { type: 'status', status: 'pendente' }, label: 'Marcadas como pendentes' };
+        case 'move': {
+            const [year, month] = document.getElementById('bulk-month').value.split('-').map(Number);
+            if (!year || !month) return null;
+            return { action: { type: 'move', month, year }, label: `Movidas para ${String(month).padStart(2, '0')}/${year}` };
+        }
+        case 'delete':
+            return { action: { type: 'delete' }, label: 'Transações excluídas' };
+        default:
+            return null;
+    }
+}
+
+function applyBulkSelection() {
+    const selected = readBulkAction();
+    if (!selected) {
+        showNotification('Preencha o campo da ação escolhida.', 'warning');
+        return;
+    }
+
+    const total = bulkSelection.expense.size + bulkSelection.income.size;
+    if (selected.action.type === 'delete' && !confirm(`Tem certeza que deseja excluir ${total} ${total === 1 ? 'transação' : 'transações'}?`)) {
+        return;
+    }
+
+    const undo = { label: '', expense: null, income: null };
+    let changed = 0;
+
+    ['expense', 'income'].forEach(type => {
+        const ids = [...bulkSelection[type]];
+        if (ids.length === 0) return;
+
+        const before = type === 'income' ? dataManager.getIncomes() : dataManager.getExpenses();
+        const result = applyBulkAction(before, ids, selected.action, type);
+        if (result.changed === 0) return;
+
+        undo[type] = createUndo(before, result.transactions);
+        changed += result.changed;
+        if (type === 'income') {
+            dataManager.saveIncomes(result.transactions);
+        } else {
+            dataManager.saveExpenses(result.transactions);
+        }
+    });
+
+    if (changed === 0) {
+        showNotification('Nenhuma transação foi alterada.', 'info');
+        return;
+    }
+
+    undo.label = `${selected.label} (${changed})`;
+    lastBulkUndo = undo;
+    console.log(`[BULK]: ${undo.label}`);
+
+    bulkSelection.expense.clear();
+    bulkSelection.income.clear();
+
+    updateLists();
+    showNotification(`${undo.label}. Use "Desfazer" para voltar atrás.`, 'success');
+}
+
+function undoLastBulkAction() {
+    if (!lastBulkUndo) return;
+
+    if (lastBulkUndo.expense) dataManager.saveExpenses(applyUndo(dataManager.getExpenses(), lastBulkUndo.expense));
+    if (lastBulkUndo.income) dataManager.saveIncomes(applyUndo(dataManager.getIncomes(), lastBulkUndo.income));
+
+    console.log(`[BULK]: Desfeito: ${lastBulkUndo.label}`);
+    lastBulkUndo = null;
+    updateLists();
+    showNotification('Ação em lote desfeita.', 'success');
+}
+
+function setupSearch() {
+    const search = document.getElementById('transaction-search');
+    if (!search) return;
+
+    const sortSelect = document.getElementById('search-sort');
+    Object.entries(SORT_FIELDS).forEach(([value, label]) => sortSelect.appendChild(createOption(value, label)));
+
+    const sourcesSelect = document.getElementById('search-sources');
+    Object.entries(TRANSACTION_SOURCES).forEach(([value, label]) => sourcesSelect.appendChild(createOption(value, label)));
+
+    fillSearchOptions();
+    fillSavedFilters();
+    writeFilterForm(currentFilter);
+    setupTagInput(document.getElementById('search-tags'));
+
+    // Texto e valores a cada tecla; selects e datas ao mudar
+    search.querySelectorAll('input').forEach(input => input.addEventListener('input', onSearchChange));
+    search.querySelectorAll('select:not(#saved-filters)').forEach(select => select.addEventListener('change', onSearchChange));
+
+    document.getElementById('search-toggle-advanced').addEventListener('click', () => {
+        const advanced = document.getElementById('search-advanced');
+        advanced.style.display = advanced.style.display === 'none' ? 'flex' : 'none';
+    });
+
+    document.getElementById('search-clear').addEventListener('click', () => {
+        currentFilter = createEmptyFilter();
+        writeFilterForm(currentFilter);
+        document.getElementById('saved-filters').value = '';
+        document.getElementById('delete-filter').disabled = true;
+        updateLists();
+    });
+
+    document.getElementById('saved-filters').addEventListener('change', (e) => {
+        const saved = dataManager.getSavedFilters().find(item => item.id === e.target.value);
+        document.getElementById('delete-filter').disabled = !saved;
+        if (!saved) return;
+        currentFilter = { ...createEmptyFilter(), ...saved.filter };
+        writeFilterForm(currentFilter);
+        updateLists();
+    });
+
+    document.getElementById('save-filter').addEventListener('click', saveCurrentFilter);
+    document.getElementById('delete-filter').addEventListener('click', deleteSelectedFilter);
+
+    // Edições e sincronização podem trazer categorias, cartões e filtros novos
+    if (eventBus) {
+        eventBus.on('data:updated', ({ type } = {}) => {
+            if (type === 'saved-filters') fillSavedFilters();
+            else fillSearchOptions();
+        });
+    }
+}
+
+function createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+}
+
+function onSearchChange() {
+    currentFilter = readFilterForm();
+    updateLists();
+}
+
+// Preenche categorias e cartões, incluindo os que só aparecem nas transações
+function fillSearchOptions() {
+    const categories = new Set();
+    [...dataManager.getExpenseCategories(), ...dataManager.getIncomeCategories()].forEach(category => {
+        categories.add(typeof category === 'object' ? category.name : category);
+    });
+    [...dataManager.getExpenses(), ...dataManager.getIncomes()].forEach(item => {
+        if (item.category) categories.add(item.category);
+    });
+
+    const cards = new Set(dataManager.getCards().map(card => card.name));
+    dataManager.getExpenses().forEach(item => {
+        if (item.selectedCard) cards.add(item.selectedCard);
+    });
+
+    [['search-categories', categories], ['search-cards', cards]].forEach(([id, values]) => {
+        const select = document.getElementById(id);
+        const selected = Array.from(select.selectedOptions).map(option => option.value);
+        select.innerHTML = '';
+        Array.from(values).filter(Boolean).sort().forEach(value => {
+            const option = createOption(value, value);
+            option.selected = selected.includes(value);
+            select.appendChild(option);
+        });
+    });
+}
+
+function fillSavedFilters() {
+    const select = document.getElementById('saved-filters');
+    const current = select.value;
+    select.innerHTML = '';
+    select.appendChild(createOption('', 'Filtros salvos'));
+    dataManager.getSavedFilters().forEach(saved => select.appendChild(createOption(saved.id, saved.name)));
+    select.value = Array.from(select.options).some(option => option.value === current) ? current : '';
+    document.getElementById('delete-filter').disabled = !select.value;
+}
+
+function readFilterForm() {
+    const value = (id) => document.getElementById(id).value;
+    const selected = (id) => Array.from(document.getElementById(id).selectedOptions).map(option => option.value);
+
+    return {
+        text: value('search-text').trim(),
+        categories: selected('search-categories'),
+        cards: selected('search-cards'),
+        minAmount: value('search-minAmount') === '' ? null : parseFloat(value('search-minAmount')),
+        maxAmount: value('search-maxAmount') === '' ? null : parseFloat(value('search-maxAmount')),
+        dateFrom: value('search-dateFrom'),
+        dateTo: value('search-dateTo'),
+        paymentMethods: selected('search-paymentMethods'),
+        sources: selected('search-sources'),
+        fixed: value('search-fixed'),
+        tags: value('search-tags').split(',').map(tag => tag.trim()).filter(Boolean),
+        sort: { field: value('search-sort'), direction: value('search-direction') }
+    };
+}
+
+function writeFilterForm(filter) {
+    const setValue = (id, value) => { document.getElementById(id).value = value ?? ''; };
+    const setSelected = (id, values) => {
+        Array.from(document.getElementById(id).options).forEach(option => {
+            option.selected = (values || []).includes(option.value);
+        });
+    };
+
+    setValue('search-text', filter.text);
+    setSelected('search-categories', filter.categories);
+    setSelected('search-cards', filter.cards);
+    setValue('search-minAmount', filter.minAmount);
+    setValue('search-maxAmount', filter.maxAmount);
+    setValue('search-dateFrom', filter.dateFrom);
+    setValue('search-dateTo', filter.dateTo);
+    setSelected('search-paymentMethods', filter.paymentMethods);
+    setSelected('search-sources', filter.sources);
+    setValue('search-fixed', filter.fixed || 'all');
+    setValue('search-tags', (filter.tags || []).join(', '));
+    setValue('search-sort', filter.sort?.field || 'date');
+    setValue('search-direction', filter.sort?.direction || 'desc');
+}
+
+function updateSearchSummary(searching, expenseCount, incomeCount) {
+    const summary = document.getElementById('search-summary');
+    const monthSelector = document.querySelector('.month-selector');
+    if (monthSelector) monthSelector.classList.toggle('inactive', searching);
+
+    const expensesTitle = document.getElementById('expenses-title');
+    const incomeTitle = document.getElementById('income-title');
+    if (expensesTitle) expensesTitle.textContent = searching ? 'Despesas encontradas' : 'Despesas do Mês';
+    if (incomeTitle) incomeTitle.textContent = searching ? 'Receitas encontradas' : 'Receitas do Mês';
+
+    if (!summary) return;
+    summary.textContent = searching
+        ? `${expenseCount} ${expenseCount === 1 ? 'despesa' : 'despesas'} e ${incomeCount} ${incomeCount === 1 ? 'receita' : 'receitas'} em todos os meses`
+        : '';
+}
+
+function saveCurrentFilter() {
+    const filter = readFilterForm();
+    if (!isFilterActive(filter)) {
+        showNotification('Preencha algum critério antes de salvar o filtro.', 'warning');
+        return;
+    }
+
+    const name = prompt('Nome do filtro:');
+    if (!name || !name.trim()) return;
+
+    // Salvar com um nome já usado substitui o filtro anterior
+    const filters = dataManager.getSavedFilters();
+    const existing = filters.find(saved => saved.name.toLowerCase() === name.trim().toLowerCase());
+    const saved = {
+        id: existing?.id || Date.now().toString(36) + Math.random().toString(36).substr(2),
+        name: name.trim(),
+        filter,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    dataManager.saveSavedFilters(existing
+        ? filters.map(item => item.id === existing.id ? saved : item)
+        : [...filters, saved]);
+
+    fillSavedFilters();
+    document.getElementById('saved-filters').value = saved.id;
+    document.getElementById('delete-filter').disabled = false;
+    showNotification(`Filtro "${saved.name}" salvo!`, 'success');
+}
+
+function deleteSelectedFilter() {
+    const select = document.getElementById('saved-filters');
+    const saved = dataManager.getSavedFilters().find(item => item.id === select.value);
+    if (!saved || !confirm(`Excluir o filtro "${saved.name}"?`)) return;
+
+    dataManager.saveSavedFilters(dataManager.getSavedFilters().filter(item => item.id !== saved.id));
+    select.value = '';
+    fillSavedFilters();
+    showNotification('Filtro excluído.', 'success');
+}
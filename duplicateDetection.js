@@ -0,0 +1,212 @@
+/**
+ * Detecção de Duplicatas
+ * Compara transações por "impressão digital" em vez de apenas pelo id, já que
+ * linhas de CSV recebem ids aleatórios e a mesma compra pode chegar por caminhos
+ * diferentes (lançamento manual, WhatsApp, extrato, Pluggy).
+ *
+ * Níveis de confiança:
+ * - 'exact':  mesmo id ou mesmo identificador do banco (FITID do OFX, id do Pluggy)
+ * - 'strong': mesmo valor, data próxima (± dayTolerance), descrição parecida e conta compatível
+ * - 'weak':   mesmo valor e mesma data, de origens diferentes, mas com descrições distintas
+ *             ("Almoço" lançado à mão x "IFD*RESTAURANTE" no extrato)
+ * Sem dependência de DOM: usada na importação, nos formulários e na caixa de duplicatas.
+ */
+
+import { getMerchantKey, normalizeDescription } from './categoryInference.js';
+
+export const DEFAULT_DAY_TOLERANCE = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDayNumber(date) {
+    const [y, m, d] = String(date || '').split('T')[0].split('-').map(Number);
+    if (!y || !m || !d) return NaN;
+    return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function toCents(amount) {
+    return Math.round(Math.abs(parseFloat(amount)) * 100);
+}
+
+/**
+ * Identificador atribuído pela origem (estável entre importações)
+ * @param {Object} transaction
+ * @returns {string|null}
+ */
+export function getExternalId(transaction) {
+    const data = transaction.originalData || {};
+    // O FITID só é único dentro da conta: duas contas podem repetir o mesmo
+    if (data.fitId) return data.accountKey ? `ofx:${data.accountKey}:${data.fitId}` : `ofx:${data.fitId}`;
+    if (data.externalId) return `import:${data.externalId}`;
+    if (transaction.source === 'PLUGGY_SYNC' && transaction.id) return `pluggy:${transaction.id}`;
+    return null;
+}
+
+/**
+ * Campos usados na comparação
+ * @param {Object} transaction Despesa ou receita no formato do app
+ * @returns {{id: string, externalId: string|null, day: number, cents: number, keys: string[], account: string, source: string}}
+ *          keys inclui as descrições de transações já mescladas nesta
+ */
+export function getTransactionFingerprint(transaction) {
+    const data = transaction.originalData || {};
+    return {
+        id: transaction.id,
+        externalId: getExternalId(transaction),
+        day: toDayNumber(transaction.date),
+        cents: toCents(transaction.amount),
+        keys: [transaction.description, ...(transaction.mergedDescriptions || [])].map(getMerchantKey),
+        account: normalizeDescription(transaction.selectedCard || data.accountName || ''),
+        source: transaction.source || 'MANUAL'
+    };
+}
+
+function keysMatch(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    if (` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `)) return true;
+
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    const common = [...wordsA].filter(word => wordsB.has(word)).length;
+    const union = new Set([...wordsA, ...wordsB]).size;
+    return union > 0 && common / union >= 0.5;
+}
+
+// Contas só impedem a correspondência quando as duas estão preenchidas e são diferentes
+function accountsMatch(a, b) {
+    if (!a || !b) return true;
+    return a.includes(b) || b.includes(a);
+}
+
+/**
+ * Compara duas transações
+ * @param {Object} a
+ * @param {Object} b
+ * @param {{dayTolerance?: number}} [options]
+ * @returns {'exact'|'strong'|'weak'|null}
+ */
+export function compareTransactions(a, b, { dayTolerance = DEFAULT_DAY_TOLERANCE } = {}) {
+    const fa = a.__fingerprint || getTransactionFingerprint(a);
+    const fb = b.__fingerprint || getTransactionFingerprint(b);
+
+    if (fa.id && fa.id === fb.id) return 'exact';
+    if ((a.mergedIds || []).includes(fb.id) || (b.mergedIds || []).includes(fa.id)) return 'exact';
+    if (fa.externalId && fa.externalId === fb.externalId) return 'exact';
+
+    if (fa.cents !== fb.cents || isNaN(fa.day) || isNaN(fb.day)) return null;
+    if (!accountsMatch(fa.account, fb.account)) return null;
+
+    // Dois ids diferentes do mesmo banco são transações distintas, mesmo se parecidas
+    if (fa.externalId && fb.externalId) return null;
+
+    const dayDiff = Math.abs(fa.day - fb.day);
+    const similar = fa.keys.some(keyA => fb.keys.some(keyB => keysMatch(keyA, keyB)));
+    if (dayDiff <= dayTolerance && similar) return 'strong';
+    if (dayDiff === 0 && fa.source !== fb.source) return 'weak';
+
+    return null;
+}
+
+function isDismissed(a, b) {
+    return (Array.isArray(a.notDuplicateOf) && a.notDuplicateOf.includes(b.id)) ||
+        (Array.isArray(b.notDuplicateOf) && b.notDuplicateOf.includes(a.id));
+}
+
+/**
+ * Procura transações já registradas que correspondam a uma nova
+ * @param {Object} transaction Nova transação
+ * @param {Array} existing Transações já salvas do mesmo tipo
+ * @param {{dayTolerance?: number, minConfidence?: 'strong'|'weak'}} [options]
+ * @returns {Array<{transaction: Object, confidence: string}>} mais confiáveis primeiro
+ */
+export function findDuplicates(transaction, existing, { dayTolerance = DEFAULT_DAY_TOLERANCE, minConfidence = 'strong' } = {}) {
+    const accepted = minConfidence === 'weak' ? ['exact', 'strong', 'weak'] : ['exact', 'strong'];
+    const order = { exact: 0, strong: 1, weak: 2 };
+
+    return (Array.isArray(existing) ? existing : [])
+        .map(item => ({ transaction: item, confidence: compareTransactions(transaction, item, { dayTolerance }) }))
+        .filter(match => match.confidence && accepted.includes(match.confidence))
+        .sort((a, b) => order[a.confidence] - order[b.confidence]);
+}
+
+/**
+ * Pares de possíveis duplicatas dentro das transações salvas (caixa "Possíveis duplicatas")
+ * Pares marcados como "manter ambas" (notDuplicateOf) são ignorados.
+ * @param {Array} transactions Transações do mesmo tipo
+ * @param {{dayTolerance?: number}} [options]
+ * @returns {Array<{a: Object, b: Object, confidence: string}>}
+ */
+export function findDuplicatePairs(transactions, { dayTolerance = DEFAULT_DAY_TOLERANCE } = {}) {
+    // Agrupar por valor evita comparar todas as transações entre si
+    const byAmount = new Map();
+    (Array.isArray(transactions) ? transactions : []).forEach(item => {
+        const fingerprint = getTransactionFingerprint(item);
+        const entry = { item, fingerprint };
+        if (!byAmount.has(fingerprint.cents)) byAmount.set(fingerprint.cents, []);
+        byAmount.get(fingerprint.cents).push(entry);
+    });
+
+    const pairs = [];
+    byAmount.forEach(group => {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const a = group[i];
+                const b = group[j];
+                if (isDismissed(a.item, b.item)) continue;
+
+                const confidence = compareTransactions(
+                    { ...a.item, __fingerprint: a.fingerprint },
+                    { ...b.item, __fingerprint: b.fingerprint },
+                    { dayTolerance }
+                );
+                if (confidence) pairs.push({ a: a.item, b: b.item, confidence });
+            }
+        }
+    });
+
+    const order = { exact: 0, strong: 1, weak: 2 };
+    return pairs.sort((x, y) => order[x.confidence] - order[y.confidence] || String(y.a.date).localeCompare(String(x.a.date)));
+}
+
+/**
+ * Une duas transações duplicadas. A que foi registrada primeiro é mantida e
+ * recebe da outra apenas o que faltava (cartão, categoria definida, dados do banco).
+ * @param {Object} keep Transação mantida
+ * @param {Object} other Transação descartada
+ * @returns {Object} Transação resultante (mesmo id de keep)
+ */
+export function mergeTransactions(keep, other) {
+    const merged = { ...keep };
+    const isEmptyCategory = value => !value || normalizeDescription(value) === 'outros';
+
+    if (isEmptyCategory(merged.category) && !isEmptyCategory(other.category)) merged.category = other.category;
+    if (!merged.selectedCard && other.selectedCard) merged.selectedCard = other.selectedCard;
+    if (!merged.isFixed && other.isFixed) merged.isFixed = true;
+    if (other.tags?.length) merged.tags = [...new Set([...(merged.tags || []), ...other.tags])];
+    if (!merged.notes && other.notes) merged.notes = other.notes;
+    if (!merged.originalData && other.originalData) merged.originalData = other.originalData;
+    if (merged.originalData && other.originalData) {
+        merged.originalData = { ...other.originalData, ...merged.originalData };
+    }
+
+    // Guardar o que foi descartado para reconhecer a mesma transação em importações futuras
+    merged.mergedIds = [...(keep.mergedIds || []), other.id, ...(other.mergedIds || [])];
+    merged.mergedDescriptions = [
+        ...(keep.mergedDescriptions || []), other.description, ...(other.mergedDescriptions || [])
+    ].filter(Boolean);
+    return merged;
+}
+
+/**
+ * Escolhe qual transação do par será mantida ao mesclar: a digitada pelo usuário
+ * (manual ou WhatsApp), cuja descrição e categoria foram escolhidas por ele
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {{keep: Object, other: Object}}
+ */
+export function pickTransactionToKeep(a, b) {
+    const imported = item => ['CSV_IMPORT', 'OFX_IMPORT', 'QIF_IMPORT', 'CNAB_IMPORT', 'XLSX_IMPORT', 'PDF_IMPORT', 'PLUGGY_SYNC'].includes(item.source);
+    if (imported(a) && !imported(b)) return { keep: b, other: a };
+    return { keep: a, other: b };
+}
@@ -1,6 +1,14 @@
 import { dataManager } from './dataManager.js';
 import { showNotification } from './notificationSystem.js';
-import { initSharedUI, setupCategoryDropdowns } from './uiShared.js';
+import {
+    initSharedUI,
+    setupCategoryDropdowns,
+    confirmPossibleDuplicate,
+    setupRecurrenceFields,
+    readRecurrenceFields,
+    setupTagInput,
+    readTagInput
+} from './uiShared.js';
 
 document.addEventListener('DOMContentLoaded', function() {
     // Inicializar UI Compartilhada
@@ -28,15 +36,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     // Setup recurring checkbox
-    const isRecurringCheckbox = document.getElementById('isRecurring');
-    if (isRecurringCheckbox) {
-        isRecurringCheckbox.addEventListener('change', function() {
-            const options = document.getElementById('recurring-options');
-            if (options) {
-                options.style.display = this.checked ? 'block' : 'none';
-            }
-        });
-    }
+    setupRecurrenceFields();
+    setupTagInput(document.getElementById('tags'));
 });
 
 function loadExpenses() {
@@ -62,6 +63,8 @@ async function handleExpenseSubmit(e) {
         const installments = document.getElementById('installments').value;
         const isFixed = document.getElementById('isFixed').checked;
         const isRecurring = document.getElementById('isRecurring').checked;
+        const tags = readTagInput('tags');
+        const notes = document.getElementById('notes').value.trim();
         
         if (!description || !amount || !category || !date || !paymentMethod) {
             showNotification('Por favor, preencha todos os campos obrigatórios.', 'warning');
@@ -78,18 +81,22 @@ async function handleExpenseSubmit(e) {
             installments: (paymentMethod === 'credito_parcelado') ? parseInt(installments) : 1,
             isFixed,
             isRecurring,
+            tags,
+            notes,
             createdAt: new Date().toISOString()
         };
         
         if (isRecurring) {
-            expense.recurring = {
-                frequency: document.getElementById('recurring-frequency').value,
-                endDate: document.getElementById('recurring-end-date').value
-            };
+            expense.recurring = readRecurrenceFields();
         }
         
+        if (!confirmPossibleDuplicate(expense, dataManager.getExpenses())) {
+            return;
+        }
+
         // Save using dataManager
         dataManager.addExpense(expense);
+        dataManager.registerTags(tags);
         
         showNotification('Despesa adicionada com sucesso!', 'success');
         e.target.reset();
@@ -0,0 +1,223 @@
+/**
+ * Leitura de Faturas de Cartão (PDF)
+ * Recebe o texto da fatura já separado em linhas (ver pdfReader.js) e extrai
+ * emissor, datas de fechamento e vencimento, total e as compras, incluindo
+ * marcadores de parcela ("PARCELA 03/10"). Não depende do PDF nem do DOM,
+ * então funciona com qualquer fonte de texto.
+ */
+
+import { parseCSVAmount } from './csvParser.js';
+
+const MONTHS = {
+    jan: 1, fev: 2, mar: 3, abr: 4, mai: 5, jun: 6,
+    jul: 7, ago: 8, set: 9, out: 10, nov: 11, dez: 12
+};
+
+// Nomes que aparecem no cabeçalho ou rodapé das faturas de cada emissor
+const ISSUERS = [
+    { id: 'nubank', name: 'Nubank', pattern: /nubank|nu pagamentos/i },
+    { id: 'itau', name: 'Itaú', pattern: /ita[uú]\s*(unibanco|card)?/i },
+    { id: 'bradesco', name: 'Bradesco', pattern: /bradesco|bradescard/i },
+    { id: 'santander', name: 'Santander', pattern: /santander/i },
+    { id: 'bb', name: 'Banco do Brasil', pattern: /banco do brasil|ourocard/i },
+    { id: 'c6', name: 'C6 Bank', pattern: /\bc6\s*(bank|carbon)?\b/i },
+    { id: 'inter', name: 'Inter', pattern: /banco inter|\binter\b/i },
+    { id: 'caixa', name: 'Caixa', pattern: /caixa econ[oô]mica/i }
+];
+
+const MONTH_PATTERN = 'jan|fev|mar|abr|mai|jun|jul|ago|set|out|nov|dez';
+const AMOUNT = '-?\\s?(?:R\\$\\s?)?-?\\s?\\d{1,3}(?:\\.\\d{3})*,\\d{2}';
+const DATE_VALUE = `(\\d{1,2}\\/\\d{1,2}\\/\\d{2,4}|\\d{1,2}\\s+(?:de\\s+)?(?:${MONTH_PATTERN})[a-zç]*\\.?(?:\\s+(?:de\\s+)?\\d{4})?)`;
+
+// Compra: "05/02 PADARIA 32,50" ou "05 FEV PADARIA 32,50" (valor negativo = estorno/crédito)
+const PURCHASE_LINE = new RegExp(`^(\\d{1,2})\\s?(?:\\/\\s?(\\d{1,2})|\\s(${MONTH_PATTERN}))\\b\\.?\\s+(.+?)\\s+(${AMOUNT})(\\s?-)?$`, 'i');
+// Parcela no fim da descrição: "PARCELA 03/10", "PARC 3/10", "03/10", "3 DE 10"
+const INSTALLMENT = /\s*(?:-\s*)?(?:PARC(?:ELA)?\.?\s*)?(?<!\d)(\d{1,2})\s*(?:\/|\bDE\b)\s*(\d{1,2})$/i;
+
+const CLOSING_DATE = new RegExp(`(?:data\\s+(?:de\\s+|do\\s+)?fechamento|fechamento(?:\\s+da\\s+fatura)?|fatura\\s+fechada\\s+em)\\s*:?\\s*(?:em\\s+)?${DATE_VALUE}`, 'i');
+const DUE_DATE = new RegExp(`(?:data\\s+(?:de\\s+|do\\s+)?vencimento|vencimento(?:\\s+da\\s+fatura)?)\\s*:?\\s*(?:em\\s+)?${DATE_VALUE}`, 'i');
+const TOTAL = new RegExp(`(?:total\\s+(?:desta\\s+fatura|da\\s+fatura|a\\s+pagar|da\\s+sua\\s+fatura)|valor\\s+total(?:\\s+da\\s+fatura)?|total\\s+fatura)\\s*:?\\s*(${AMOUNT})`, 'i');
+const CARD_DIGITS = /(?:final|terminado em|cart[aã]o\s+(?:n[ºo°.]*\s*)?[\dx*.\s]*?)\s*:?\s*(\d{4})\b/i;
+
+// Pagamentos da fatura anterior não são receita nem estorno
+const SKIPPED_LINES = /pagamento\s+(efetuado|recebido|de\s+fatura|fatura)|pagto|saldo\s+anterior|total\s+(da|desta)\s+fatura|^total\b|subtotal|limite/i;
+
+/**
+ * Converte datas de fatura: "10/03/2025", "10/03/25", "10 MAR 2025", "10 de março de 2025"
+ * @param {string} value
+ * @param {number} [fallbackYear] Ano usado quando a data não informa
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseInvoiceDate(value, fallbackYear) {
+    const text = String(value || '').trim().toLowerCase();
+
+    const numeric = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    if (numeric) {
+        const year = numeric[3] ? (numeric[3].length === 2 ? 2000 + parseInt(numeric[3]) : parseInt(numeric[3])) : fallbackYear;
+        return buildDate(year, parseInt(numeric[2]), parseInt(numeric[1]));
+    }
+
+    const written = text.match(new RegExp(`^(\\d{1,2})\\s+(?:de\\s+)?(${MONTH_PATTERN})[a-zç]*\\.?(?:\\s+(?:de\\s+)?(\\d{4}))?$`));
+    if (written) {
+        return buildDate(written[3] ? parseInt(written[3]) : fallbackYear, MONTHS[written[2]], parseInt(written[1]));
+    }
+
+    return null;
+}
+
+function buildDate(year, month, day) {
+    if (!year || !month || month > 12 || !day || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    // Dia 31 em um mês de 30 dias vira o último dia do mês
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    return buildDate(target.getUTCFullYear(), target.getUTCMonth() + 1, Math.min(day, lastDay));
+}
+
+/**
+ * Identifica o emissor pelo texto da fatura
+ * @param {string[]} lines
+ * @returns {{id: string, name: string}|null}
+ */
+export function detectIssuer(lines) {
+    const text = lines.join('\n');
+    const issuer = ISSUERS.find(candidate => candidate.pattern.test(text));
+    return issuer ? { id: issuer.id, name: issuer.name } : null;
+}
+
+/**
+ * Ano da compra: faturas listam só dia/mês, e compras de meses posteriores ao
+ * fechamento são do ano anterior (fatura de janeiro com compras de dezembro)
+ */
+function resolvePurchaseYear(month, referenceDate) {
+    if (!referenceDate) return new Date().getFullYear();
+    const [year, referenceMonth] = referenceDate.split('-').map(Number);
+    return month > referenceMonth ? year - 1 : year;
+}
+
+/**
+ * Lê uma fatura a partir das linhas de texto
+ * @param {string[]} lines Linhas na ordem de leitura
+ * @returns {{issuer: Object|null, closingDate: string|null, dueDate: string|null, total: number|null,
+ *            cardDigits: string|null, transactions: Array}}
+ */
+export function parseInvoiceText(lines) {
+    // Faturas em duas colunas juntam duas compras na mesma linha visual: "05/02 A 32,50 07/02 B 10,00"
+    const cleanLines = lines
+        .flatMap(line => String(line).replace(/\s+/g, ' ').split(/(?<=\d,\d{2}-?)\s+(?=\d{1,2}\/\d{1,2}\s)/))
+        .map(line => line.trim())
+        .filter(Boolean);
+    const text = cleanLines.join('\n');
+
+    const dueMatch = text.match(DUE_DATE);
+    const closingMatch = text.match(CLOSING_DATE);
+    // O ano do vencimento serve para datas sem ano (Nubank: "Fechamento 03 MAR")
+    const dueDate = dueMatch ? parseInvoiceDate(dueMatch[1], new Date().getFullYear()) : null;
+    const referenceYear = dueDate ? parseInt(dueDate.slice(0, 4)) : new Date().getFullYear();
+    let closingDate = closingMatch ? parseInvoiceDate(closingMatch[1], referenceYear) : null;
+    // Fechamento em dezembro com vencimento em janeiro
+    if (closingDate && dueDate && closingDate > dueDate) closingDate = closingDate.replace(/^\d{4}/, referenceYear - 1);
+
+    const totalMatch = text.match(TOTAL);
+    const total = totalMatch ? Math.abs(parseCSVAmount(totalMatch[1])) : null;
+    const digitsMatch = text.match(CARD_DIGITS);
+    const referenceDate = closingDate || dueDate;
+
+    const transactions = [];
+    // Linhas idênticas na mesma fatura (dois cafés iguais no mesmo dia) são compras diferentes
+    const seenIds = new Map();
+    cleanLines.forEach(line => {
+        const match = line.match(PURCHASE_LINE);
+        if (!match || SKIPPED_LINES.test(line)) return;
+
+        const [, day, numericMonth, writtenMonth, rawDescription, rawAmount, trailingMinus] = match;
+        const month = numericMonth ? parseInt(numericMonth) : MONTHS[writtenMonth.toLowerCase()];
+        const purchaseDate = buildDate(resolvePurchaseYear(month, referenceDate), month, parseInt(day));
+        let amount = parseCSVAmount(rawAmount);
+        if (!purchaseDate || isNaN(amount) || amount === 0) return;
+        if (trailingMinus) amount = -Math.abs(amount);
+
+        let description = rawDescription.trim();
+        let installment = null;
+        const installmentMatch = description.match(INSTALLMENT);
+        if (installmentMatch) {
+            const current = parseInt(installmentMatch[1]);
+            const count = parseInt(installmentMatch[2]);
+            if (current >= 1 && count > 1 && current <= count) {
+                installment = { current, total: count };
+                description = description.slice(0, installmentMatch.index).trim();
+            }
+        }
+
+        // A parcela cai na fatura atual: a data da compra original avança (parcela - 1) meses
+        const date = installment ? addMonths(purchaseDate, installment.current - 1) : purchaseDate;
+        const label = installment
+            ? `${description} (${String(installment.current).padStart(2, '0')}/${String(installment.total).padStart(2, '0')})`
+            : description;
+
+        const baseId = `pdf:${purchaseDate}:${description}:${installment ? `${installment.current}/${installment.total}` : '1/1'}:${Math.abs(amount).toFixed(2)}`;
+        const occurrence = (seenIds.get(baseId) || 0) + 1;
+        seenIds.set(baseId, occurrence);
+
+        const transaction = {
+            date,
+            description: label,
+            amount: Math.abs(amount),
+            type: amount > 0 ? 'CREDIT_CARD' : 'CREDIT',
+            source: 'PDF_IMPORT',
+            originalData: {
+                purchaseDate,
+                installment,
+                invoiceClosingDate: closingDate,
+                externalId: occurrence > 1 ? `${baseId}#${occurrence}` : baseId
+            }
+        };
+        // Estornos abatem a fatura, não são receitas (ver prepareTransactions)
+        if (amount < 0) transaction.cardCredit = true;
+
+        transactions.push(transaction);
+    });
+
+    return {
+        issuer: detectIssuer(cleanLines),
+        closingDate,
+        dueDate,
+        total,
+        cardDigits: digitsMatch ? digitsMatch[1] : null,
+        transactions
+    };
+}
+
+/**
+ * Cartão do app ao qual a fatura pertence, pelo dia de fechamento e de vencimento
+ * (o nome do emissor desempata quando mais de um cartão tem os mesmos dias)
+ * @param {{closingDate: string|null, dueDate: string|null, issuer: Object|null}} invoice
+ * @param {Array} cards dataManager.getCards()
+ * @returns {Object|null}
+ */
+export function matchInvoiceCard(invoice, cards) {
+    const closingDay = invoice.closingDate ? parseInt(invoice.closingDate.split('-')[2]) : null;
+    const dueDay = invoice.dueDate ? parseInt(invoice.dueDate.split('-')[2]) : null;
+    if (!closingDay && !dueDay) return null;
+
+    const scored = cards
+        .filter(card => card.type === 'credito' || card.type === 'multiplo')
+        .map(card => {
+            let score = 0;
+            if (closingDay && parseInt(card.closingDay) === closingDay) score += 2;
+            if (dueDay && parseInt(card.dueDay) === dueDay) score += 2;
+            if (score > 0 && invoice.issuer && card.name.toLowerCase().includes(invoice.issuer.name.toLowerCase())) score += 1;
+            return { card, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) return null;
+    // Empate sem nenhum critério extra: melhor não adivinhar
+    if (scored.length > 1 && scored[0].score === scored[1].score) return null;
+    return scored[0].card;
+}
@@ -0,0 +1,383 @@
+import { dataManager } from './dataManager.js';
+
+/**
+ * Revisão de Importação
+ * Exibe as transações lidas de um extrato antes de salvá-las, permitindo editar
+ * descrição, tipo, categoria e cartão, e desmarcar linhas (possíveis duplicatas e
+ * pagamentos ou estornos de fatura já vêm desmarcados). Só as linhas confirmadas
+ * seguem para commitTransactions.
+ */
+export class ImportPreview {
+    constructor() {
+        this.items = [];
+        this.onConfirm = null;
+        this.container = null;
+        this.statements = [];
+        this.accountLinks = {};
+    }
+
+    /**
+     * Abre a revisão
+     * @param {Array<{type: string, transaction: Object, duplicate: boolean, cardCredit: boolean}>} items Retorno de bankSyncService.prepareTransactions
+     * @param {Object} options
+     * @param {Function} options.onConfirm Recebe os itens selecionados, já editados, e os
+     *        vínculos conta -> cartão escolhidos ({[accountKey]: cardName|null})
+     * @param {string} [options.fileName] Nome do arquivo exibido no título
+     * @param {Array} [options.statements] Extratos do arquivo (conta, período, saldos), ver ofxParser.js
+     */
+    open(items, { onConfirm, fileName = '', statements = [] } = {}) {
+        this.container = document.getElementById('import-preview');
+        if (!this.container) return;
+
+        this.items = items.map(item => ({
+            ...item,
+            transaction: { ...item.transaction },
+            selected: !item.duplicate && !item.cardCredit
+        }));
+        this.onConfirm = onConfirm;
+        this.statements = statements;
+        this.accountLinks = {};
+
+        const title = this.container.querySelector('.import-preview-title');
+        if (title) title.textContent = fileName ? `Revisar importação: ${fileName}` : 'Revisar importação';
+
+        this.container.querySelector('#import-preview-confirm').onclick = () => this.confirm();
+        this.container.querySelector('#import-preview-cancel').onclick = () => this.close();
+
+        const selectAll = this.container.querySelector('#import-preview-select-all');
+        selectAll.onchange = () => {
+            this.items.forEach(item => { item.selected = selectAll.checked; });
+            this.render();
+        };
+
+        this.renderStatements();
+        this.render();
+        this.container.style.display = 'block';
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    close() {
+        if (this.container) this.container.style.display = 'none';
+        this.items = [];
+        this.onConfirm = null;
+        this.statements = [];
+    }
+
+    confirm() {
+        const selected = this.items
+            .filter(item => item.selected)
+            .map(({ type, transaction }) => ({ type, transaction }));
+        const accountLinks = this.accountLinks;
+
+        const callback = this.onConfirm;
+        this.close();
+        if (callback) callback(selected, accountLinks);
+    }
+
+    formatCurrency(value) {
+        return parseFloat(value).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    }
+
+    formatDate(date) {
+        return date ? date.split('-').reverse().join('/') : '?';
+    }
+
+    describeAccount(statement) {
+        const { account } = statement;
+        if (statement.invoice) {
+            return `Fatura ${statement.issuer?.name || 'de cartão'}${account.accountId ? ` (${account.accountId})` : ''}`;
+        }
+        const label = statement.type === 'creditcard' ? 'Cartão' : 'Conta';
+        const parts = [`${label} ${account.accountId || 'não informada'}`];
+        if (account.branchId) parts.push(`agência ${account.branchId}`);
+        if (account.bankId) parts.push(`banco ${account.bankId}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Resumo de cada extrato: conta, período e saldos informados pelo banco,
+     * com o movimento do arquivo para conferência, e o cartão vinculado à conta
+     */
+    renderStatements() {
+        let wrapper = this.container.querySelector('.import-preview-statements');
+        if (!wrapper) {
+            wrapper = document.createElement('div');
+            wrapper.className = 'import-preview-statements';
+            this.container.querySelector('.import-preview-summary').after(wrapper);
+        }
+        wrapper.innerHTML = '';
+
+        const cards = dataManager.getCards();
+        this.statements.forEach(statement => {
+            const block = document.createElement('div');
+            block.className = 'import-preview-statement';
+
+            const account = document.createElement('strong');
+            account.textContent = this.describeAccount(statement);
+            block.appendChild(account);
+
+            // Em faturas as entradas são pagamentos e estornos: ficam fora da soma das compras
+            const inflow = statement.transactions.filter(tx => tx.type === 'CREDIT').reduce((total, tx) => total + tx.amount, 0);
+            const outflow = statement.transactions.filter(tx => tx.type !== 'CREDIT').reduce((total, tx) => total + tx.amount, 0);
+            const details = statement.invoice
+                ? this.describeInvoice(statement, outflow, inflow)
+                : [`Período: ${this.formatDate(statement.period.start)} a ${this.formatDate(statement.period.end)}`];
+            if (!statement.invoice && statement.ledgerBalance) {
+                details.push(`Saldo do banco em ${this.formatDate(statement.ledgerBalance.date)}: ${this.formatCurrency(statement.ledgerBalance.amount)}`);
+            }
+            if (statement.availableBalance) {
+                details.push(`Disponível: ${this.formatCurrency(statement.availableBalance.amount)}`);
+            }
+            if (!statement.invoice && statement.type === 'creditcard') {
+                details.push(`Compras no arquivo: ${this.formatCurrency(outflow)}`);
+                if (inflow > 0) details.push(`Pagamentos e estornos: ${this.formatCurrency(inflow)}`);
+            } else if (!statement.invoice) {
+                details.push(`Movimento no arquivo: ${this.formatCurrency(inflow - outflow)}`);
+            }
+            if (statement.currency && statement.currency !== 'BRL') details.push(`Moeda: ${statement.currency}`);
+
+            const info = document.createElement('span');
+            info.textContent = details.join(' | ');
+            block.appendChild(info);
+
+            if (statement.accountKey) {
+                const label = document.createElement('label');
+                label.textContent = 'Vincular ao cartão: ';
+                const select = document.createElement('select');
+                const none = document.createElement('option');
+                none.value = '';
+                none.textContent = 'Nenhum';
+                select.appendChild(none);
+                cards.forEach(card => {
+                    const option = document.createElement('option');
+                    option.value = card.name;
+                    option.textContent = card.name;
+                    select.appendChild(option);
+                });
+                const linked = cards.find(card => (card.accountKeys || []).includes(statement.accountKey));
+                select.value = linked ? linked.name : (statement.cardName || '');
+                select.onchange = () => this.linkStatement(statement.accountKey, select.value, cards);
+                label.appendChild(select);
+                block.appendChild(label);
+            }
+
+            wrapper.appendChild(block);
+        });
+    }
+
+    // Fechamento, vencimento e total da fatura, conferido com compras menos estornos
+    describeInvoice(statement, purchases, refunds) {
+        const details = [];
+        if (statement.closingDate) details.push(`Fechamento: ${this.formatDate(statement.closingDate)}`);
+        if (statement.dueDate) details.push(`Vencimento: ${this.formatDate(statement.dueDate)}`);
+        details.push(`Soma das compras: ${this.formatCurrency(purchases)}`);
+        if (refunds > 0) details.push(`Estornos: ${this.formatCurrency(refunds)}`);
+        if (statement.total !== null && statement.total !== undefined) {
+            details.push(`Total da fatura: ${this.formatCurrency(statement.total)}`);
+            const difference = Math.round((statement.total - purchases + refunds) * 100) / 100;
+            if (difference !== 0) details.push(`Diferença: ${this.formatCurrency(difference)} (encargos, pagamentos ou linhas não reconhecidas)`);
+        }
+        return details;
+    }
+
+    // Aplica o cartão às despesas da conta e guarda o vínculo para a confirmação
+    linkStatement(accountKey, cardName, cards) {
+        this.accountLinks[accountKey] = cardName || null;
+        this.items.forEach(item => {
+            if (item.type === 'expense' && item.transaction.originalData?.accountKey === accountKey) {
+                this.setCard(item.transaction, cardName, cards);
+            }
+        });
+        this.render();
+    }
+
+    getCategoryNames(type) {
+        const categories = type === 'income' ? dataManager.getIncomeCategories() : dataManager.getExpenseCategories();
+        const transactions = type === 'income' ? dataManager.getIncomes() : dataManager.getExpenses();
+        const names = new Set(categories.map(category => typeof category === 'object' ? category.name : category));
+        transactions.forEach(item => { if (item.category) names.add(item.category); });
+        this.items.forEach(item => { if (item.type === type && item.transaction.category) names.add(item.transaction.category); });
+        return Array.from(names).filter(Boolean).sort();
+    }
+
+    fillDatalist(id, values) {
+        let datalist = document.getElementById(id);
+        if (!datalist) {
+            datalist = document.createElement('datalist');
+            datalist.id = id;
+            this.container.appendChild(datalist);
+        }
+        datalist.innerHTML = '';
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            datalist.appendChild(option);
+        });
+    }
+
+    // Ao escolher um cartão, a forma de pagamento acompanha o tipo do cartão
+    setCard(transaction, cardName, cards) {
+        const card = cards.find(c => c.name === cardName);
+        if (!card) {
+            transaction.selectedCard = null;
+            if (transaction.paymentMethod === 'credito_vista' || transaction.paymentMethod === 'credito_parcelado') {
+                transaction.paymentMethod = 'debito';
+            }
+            return;
+        }
+
+        transaction.selectedCard = card.name;
+        transaction.paymentMethod = card.type === 'debito' ? 'debito' : 'credito_vista';
+    }
+
+    updateSummary() {
+        const summary = this.container.querySelector('.import-preview-summary');
+        const selected = this.items.filter(item => item.selected);
+        const duplicates = this.items.filter(item => item.duplicate).length;
+        const cardCredits = this.items.filter(item => item.cardCredit).length;
+        const sum = type => selected
+            .filter(item => item.type === type)
+            .reduce((total, item) => total + (parseFloat(item.transaction.amount) || 0), 0)
+            .toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+        let text = `${selected.length} de ${this.items.length} transações selecionadas`;
+        text += ` | Despesas: ${sum('expense')} | Receitas: ${sum('income')}`;
+        if (duplicates > 0) text += ` | ${duplicates} possíveis duplicatas desmarcadas`;
+        if (cardCredits > 0) text += ` | ${cardCredits} pagamentos ou estornos de fatura desmarcados`;
+        summary.textContent = text;
+
+        const selectAll = this.container.querySelector('#import-preview-select-all');
+        selectAll.checked = selected.length === this.items.length && this.items.length > 0;
+
+        const confirmBtn = this.container.querySelector('#import-preview-confirm');
+        confirmBtn.disabled = selected.length === 0;
+        confirmBtn.textContent = `Importar ${selected.length} selecionadas`;
+    }
+
+    render() {
+        const tbody = this.container.querySelector('#import-preview-rows');
+        const cards = dataManager.getCards();
+        tbody.innerHTML = '';
+
+        this.fillDatalist('import-preview-expense-categories', this.getCategoryNames('expense'));
+        this.fillDatalist('import-preview-income-categories', this.getCategoryNames('income'));
+
+        this.items.forEach(item => {
+            const tx = item.transaction;
+            const row = document.createElement('tr');
+            row.className = [item.duplicate ? 'duplicate' : '', item.selected ? '' : 'excluded'].join(' ').trim();
+
+            // Selecionar
+            const selectCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.selected;
+            checkbox.onchange = () => {
+                item.selected = checkbox.checked;
+                row.classList.toggle('excluded', !item.selected);
+                this.updateSummary();
+            };
+            selectCell.appendChild(checkbox);
+            row.appendChild(selectCell);
+
+            // Data
+            const dateCell = document.createElement('td');
+            const [y, m, d] = tx.date.split('-');
+            dateCell.textContent = `${d}/${m}/${y}`;
+            row.appendChild(dateCell);
+
+            // Descrição
+            const descCell = document.createElement('td');
+            const descInput = document.createElement('input');
+            descInput.type = 'text';
+            descInput.value = tx.description || '';
+            descInput.onchange = () => { tx.description = descInput.value.trim() || tx.description; };
+            descCell.appendChild(descInput);
+            if (item.duplicate) {
+                const badge = document.createElement('span');
+                badge.className = 'duplicate-badge';
+                badge.textContent = 'Possível duplicata';
+                const match = item.duplicateOf;
+                badge.title = match
+                    ? `Parecida com: ${match.date.split('-').reverse().join('/')} ${match.description} - ${parseFloat(match.amount).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}`
+                    : 'Já existe uma transação com a mesma data, valor e descrição';
+                descCell.appendChild(badge);
+            }
+            if (item.cardCredit) {
+                const badge = document.createElement('span');
+                badge.className = 'card-credit-badge';
+                badge.textContent = 'Pagamento ou estorno';
+                badge.title = 'Entrada na fatura do cartão: só importe como receita se não for o pagamento da fatura';
+                descCell.appendChild(badge);
+            }
+            row.appendChild(descCell);
+
+            // Valor
+            const amountCell = document.createElement('td');
+            amountCell.className = `amount ${item.type}`;
+            amountCell.textContent = parseFloat(tx.amount).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+            row.appendChild(amountCell);
+
+            // Tipo
+            const typeCell = document.createElement('td');
+            const typeSelect = document.createElement('select');
+            [['expense', 'Despesa'], ['income', 'Receita']].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                typeSelect.appendChild(option);
+            });
+            typeSelect.value = item.type;
+            typeSelect.onchange = () => {
+                item.type = typeSelect.value;
+                if (item.type === 'income') {
+                    tx.paymentMethod = 'dinheiro';
+                    tx.selectedCard = null;
+                } else if (tx.paymentMethod === 'dinheiro') {
+                    tx.paymentMethod = 'debito';
+                }
+                this.render();
+            };
+            typeCell.appendChild(typeSelect);
+            row.appendChild(typeCell);
+
+            // Categoria
+            const categoryCell = document.createElement('td');
+            const categoryInput = document.createElement('input');
+            categoryInput.type = 'text';
+            categoryInput.value = tx.category || '';
+            categoryInput.setAttribute('list', item.type === 'income' ? 'import-preview-income-categories' : 'import-preview-expense-categories');
+            categoryInput.onchange = () => { tx.category = categoryInput.value.trim() || 'Outros'; };
+            categoryCell.appendChild(categoryInput);
+            row.appendChild(categoryCell);
+
+            // Cartão (apenas despesas)
+            const cardCell = document.createElement('td');
+            if (item.type === 'expense') {
+                const cardSelect = document.createElement('select');
+                const noneOption = document.createElement('option');
+                noneOption.value = '';
+                noneOption.textContent = 'Nenhum';
+                cardSelect.appendChild(noneOption);
+                cards.forEach(card => {
+                    const option = document.createElement('option');
+                    option.value = card.name;
+                    option.textContent = card.name;
+                    cardSelect.appendChild(option);
+                });
+                cardSelect.value = tx.selectedCard || '';
+                cardSelect.onchange = () => this.setCard(tx, cardSelect.value, cards);
+                cardCell.appendChild(cardSelect);
+            } else {
+                cardCell.textContent = '-';
+            }
+            row.appendChild(cardCell);
+
+            tbody.appendChild(row);
+        });
+
+        this.updateSummary();
+    }
+}
+
+export const importPreview = new ImportPreview();
@@ -1,6 +1,14 @@
 import { dataManager } from './dataManager.js';
 import { showNotification } from './notificationSystem.js';
-import { initSharedUI, setupCategoryDropdowns } from './uiShared.js';
+import {
+    initSharedUI,
+    setupCategoryDropdowns,
+    confirmPossibleDuplicate,
+    setupRecurrenceFields,
+    readRecurrenceFields,
+    setupTagInput,
+    readTagInput
+} from './uiShared.js';
 
 document.addEventListener('DOMContentLoaded', function() {
     // Inicializar UI Compartilhada
@@ -13,6 +21,10 @@ document.addEventListener('DOMContentLoaded', function() {
     if (incomeForm) {
         incomeForm.addEventListener('submit', handleIncomeSubmit);
     }
+
+    // Setup recurring checkbox
+    setupRecurrenceFields();
+    setupTagInput(document.getElementById('tags'));
 });
 
 async function handleIncomeSubmit(e) {
@@ -24,6 +36,9 @@ async function handleIncomeSubmit(e) {
         const category = document.getElementById('category').value; // Hidden input from custom dropdown
         const date = document.getElementById('date').value;
         const isFixed = document.getElementById('isFixed').checked;
+        const recurring = readRecurrenceFields();
+        const tags = readTagInput('tags');
+        const notes = document.getElementById('notes').value.trim();
         
         if (!description || !amount || !category || !date) {
             showNotification('Por favor, preencha todos os campos obrigatórios.', 'warning');
@@ -36,11 +51,23 @@ async function handleIncomeSubmit(e) {
             category,
             date,
             isFixed,
+            isRecurring: Boolean(recurring),
+            tags,
+            notes,
             createdAt: new Date().toISOString()
         };
+
+        if (recurring) {
+            income.recurring = recurring;
+        }
         
+        if (!confirmPossibleDuplicate(income, dataManager.getIncomes())) {
+            return;
+        }
+
         // Save using dataManager
         dataManager.addIncome(income);
+        dataManager.registerTags(tags);
         
         showNotification('Receita adicionada com sucesso!', 'success');
         e.target.reset();
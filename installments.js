@@ -0,0 +1,84 @@
+/**
+ * Parcelamento de Compras no Crédito
+ * Uma compra em 'credito_parcelado' é salva uma única vez (compra principal, com o valor
+ * total e a data da compra). Para os totais do dashboard e as faturas, ela é desdobrada
+ * em parcelas: a parcela N cai N-1 meses depois da compra, no mesmo dia (ou no último
+ * dia do mês), e o ciclo do cartão decide a fatura de cada uma (ver billingCycle.js).
+ * Sem dependência de DOM, para ser usado também pelo backend.
+ */
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Compra parcelada em mais de uma vez
+ * @param {Object} expense
+ * @returns {boolean}
+ */
+export function isInstallmentPurchase(expense) {
+    return expense.paymentMethod === 'credito_parcelado' && parseInt(expense.installments) > 1;
+}
+
+/**
+ * Divide o valor total em parcelas iguais, em centavos; a diferença do
+ * arredondamento fica na primeira parcela (como fazem os emissores)
+ * @param {number} total
+ * @param {number} count
+ * @returns {number[]}
+ */
+export function splitInstallmentAmounts(total, count) {
+    const cents = Math.round((parseFloat(total) || 0) * 100);
+    const base = Math.floor(cents / count);
+    return Array.from({ length: count }, (_, index) =>
+        (index === 0 ? base + (cents - base * count) : base) / 100
+    );
+}
+
+/**
+ * Data da parcela: a data da compra, (number - 1) meses depois
+ * @param {string} date 'YYYY-MM-DD'
+ * @param {number} number Número da parcela (1 = primeira)
+ * @returns {string}
+ */
+export function getInstallmentDate(date, number) {
+    const [year, month, day] = date.split('T')[0].split('-').map(Number);
+    const index = year * 12 + (month - 1) + (number - 1);
+    const targetYear = Math.floor(index / 12);
+    const targetMonth = (index % 12) + 1;
+    const lastDay = new Date(targetYear, targetMonth, 0).getDate();
+    return `${targetYear}-${pad(targetMonth)}-${pad(Math.min(day, lastDay))}`;
+}
+
+/**
+ * Parcelas previstas de uma compra parcelada
+ * Cada parcela mantém os campos da compra principal, com o próprio valor e data,
+ * parentId apontando para a compra e installment {current, total}.
+ * @param {Object} expense Compra principal
+ * @returns {Array<Object>} Uma entrada por parcela (a própria compra, se não for parcelada)
+ */
+export function getInstallmentSchedule(expense) {
+    if (!isInstallmentPurchase(expense)) return [expense];
+
+    const count = parseInt(expense.installments);
+    const amounts = splitInstallmentAmounts(expense.amount, count);
+
+    return amounts.map((amount, index) => ({
+        ...expense,
+        id: `${expense.id}:${index + 1}`,
+        parentId: expense.id,
+        amount,
+        date: getInstallmentDate(expense.date, index + 1),
+        purchaseDate: expense.date.split('T')[0],
+        installment: { current: index + 1, total: count }
+    }));
+}
+
+/**
+ * Troca cada compra parcelada pelas suas parcelas; as demais despesas não mudam
+ * @param {Array} expenses
+ * @returns {Array}
+ */
+export function expandInstallments(expenses = []) {
+    return expenses.flatMap(expense => expense && expense.date ? getInstallmentSchedule(expense) : [expense]);
+}
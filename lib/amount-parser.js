@@ -0,0 +1,225 @@
+/**
+ * Parser de Valores em Português (pt-BR)
+ * Entende os formatos usados no dia a dia para escrever dinheiro:
+ * - "R$ 1.234,56", "1234,56", "15.50", "1,234.56"
+ * - Multiplicadores: "2k", "1,5k", "3 mil"
+ * - Gírias: "50 conto", "20 pila", "10 pau", "30 mangos"
+ * - Por extenso: "cinquenta reais", "mil e duzentos", "dez reais e cinquenta centavos"
+ */
+
+// Limites de palavra que consideram letras acentuadas (\b do JS só conhece ASCII)
+const WORD_START = '(?<![\\p{L}\\d])';
+const WORD_END = '(?![\\p{L}\\d])';
+
+const UNITS = {
+    'zero': 0, 'um': 1, 'uma': 1, 'dois': 2, 'duas': 2, 'tres': 3, 'quatro': 4,
+    'cinco': 5, 'seis': 6, 'sete': 7, 'oito': 8, 'nove': 9, 'dez': 10,
+    'onze': 11, 'doze': 12, 'treze': 13, 'catorze': 14, 'quatorze': 14, 'quinze': 15,
+    'dezesseis': 16, 'dezasseis': 16, 'dezessete': 17, 'dezassete': 17,
+    'dezoito': 18, 'dezenove': 19, 'dezanove': 19
+};
+
+const TENS = {
+    'vinte': 20, 'trinta': 30, 'quarenta': 40, 'cinquenta': 50,
+    'sessenta': 60, 'setenta': 70, 'oitenta': 80, 'noventa': 90
+};
+
+const HUNDREDS = {
+    'cem': 100, 'cento': 100, 'duzentos': 200, 'duzentas': 200, 'trezentos': 300, 'trezentas': 300,
+    'quatrocentos': 400, 'quatrocentas': 400, 'quinhentos': 500, 'quinhentas': 500,
+    'seiscentos': 600, 'seiscentas': 600, 'setecentos': 700, 'setecentas': 700,
+    'oitocentos': 800, 'oitocentas': 800, 'novecentos': 900, 'novecentas': 900
+};
+
+const SCALES = {
+    'mil': 1000,
+    'milhao': 1000000,
+    'milhoes': 1000000
+};
+
+// Palavras que indicam que o número é dinheiro
+const CURRENCY_WORDS = 'reais|real|contos?|pilas?|paus?|mangos?|pratas?|dilmas?';
+
+function stripAccents(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+const NUMBER_WORD_PATTERN = [
+    ...Object.keys(UNITS), ...Object.keys(TENS), ...Object.keys(HUNDREDS), ...Object.keys(SCALES)
+].map(word => word
+    .replace('tres', 'tr[eê]s')
+    .replace('cinquenta', 'cinq[uü]enta')
+    .replace('milhao', 'milh[aã]o')
+    .replace('milhoes', 'milh[oõ]es')
+).sort((a, b) => b.length - a.length).join('|');
+
+const NUMBER_WORD = `(?:${NUMBER_WORD_PATTERN})`;
+const WORD_SEQUENCE = `${WORD_START}${NUMBER_WORD}(?:\\s+(?:e\\s+)?${NUMBER_WORD})*${WORD_END}`;
+
+const DIGITS = '(?:\\d{1,3}(?:\\.\\d{3})+(?:,\\d{1,2})?|\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+const CENTS = `(?:\\s+e\\s+(\\d{1,2}|${WORD_SEQUENCE})\\s+centavos?${WORD_END})?`;
+// Resto depois de "mil"/"milhões": "3 mil e 500", "2 mil e quinhentos", "1 milhão e 200 mil"
+// (mas não "3 mil e 50 centavos")
+const SCALE_REMAINDER = `(?:\\s+e\\s+(\\d{1,3}(?![\\d/:]|[.,]\\d)(?:\\s+mil${WORD_END})?|${WORD_SEQUENCE})(?!\\s+centavos?${WORD_END}))?`;
+
+const DIGIT_AMOUNT_REGEX = new RegExp(
+    `(r\\$\\s*)?(?<![\\d.,/:])(${DIGITS})(?![\\d/:]|[.,]\\d)` +
+    `(?:\\s*(k)${WORD_END}|\\s+(mil|milh[aã]o|milh[oõ]es)${WORD_END}${SCALE_REMAINDER})?` +
+    `(?:\\s*(${CURRENCY_WORDS})${WORD_END})?` + CENTS,
+    'giu'
+);
+
+const WORD_AMOUNT_REGEX = new RegExp(
+    `(${WORD_SEQUENCE})(?:\\s+(?:de\\s+)?(${CURRENCY_WORDS})${WORD_END})?` + CENTS,
+    'giu'
+);
+
+/**
+ * Converte um número escrito com dígitos em valor numérico.
+ * Regra: se houver ponto e vírgula, o último separador é o decimal;
+ * com um só separador, ele é decimal se seguido de 1-2 dígitos e milhar se seguido de 3.
+ * @param {string} text Ex: "1.234,56", "15.50", "1,5"
+ * @returns {number}
+ */
+export function parseNumber(text) {
+    let str = String(text).trim().replace(/\s/g, '');
+    if (!str) return NaN;
+
+    const lastComma = str.lastIndexOf(',');
+    const lastDot = str.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        const decimalSep = lastComma > lastDot ? ',' : '.';
+        const thousandSep = decimalSep === ',' ? '.' : ',';
+        str = str.split(thousandSep).join('').replace(decimalSep, '.');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const sep = lastComma !== -1 ? ',' : '.';
+        const parts = str.split(sep);
+        const decimals = parts[parts.length - 1];
+        if (parts.length > 2 || decimals.length === 3) {
+            str = parts.join('');
+        } else {
+            str = parts.join('.');
+        }
+    }
+
+    return parseFloat(str);
+}
+
+/**
+ * Converte uma sequência de números por extenso em valor
+ * @param {string} text Ex: "dois mil e quinhentos"
+ * @returns {number} NaN se alguma palavra não for numérica
+ */
+export function parseWrittenNumber(text) {
+    const words = stripAccents(String(text).toLowerCase()).split(/\s+/).filter(w => w && w !== 'e');
+    if (words.length === 0) return NaN;
+
+    let total = 0;
+    let current = 0;
+
+    for (const word of words) {
+        if (word in UNITS) current += UNITS[word];
+        else if (word in TENS) current += TENS[word];
+        else if (word in HUNDREDS) current += HUNDREDS[word];
+        else if (word in SCALES) {
+            total += (current || 1) * SCALES[word];
+            current = 0;
+        } else {
+            return NaN;
+        }
+    }
+
+    return total + current;
+}
+
+function parseCents(raw) {
+    if (!raw) return 0;
+    const value = /^\d+$/.test(raw) ? parseInt(raw) : parseWrittenNumber(raw);
+    return isNaN(value) || value >= 100 ? 0 : value / 100;
+}
+
+function parseRemainder(raw) {
+    const digits = raw.match(/^(\d+)(\s+mil)?$/);
+    if (!digits) return parseWrittenNumber(raw);
+    return parseInt(digits[1]) * (digits[2] ? SCALES.mil : 1);
+}
+
+function roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Números que não são valores: parcelas ("3x", "10 vezes"), datas ("dia 12", "há 3 dias") e horas ("12h")
+function isExcludedContext(text, start, end) {
+    const before = text.slice(0, start);
+    const after = text.slice(end);
+
+    if (/^\s*(x|vezes|parcelas?)(?![\p{L}\d])/u.test(after)) return true;
+    if (/^(h|hs|hrs?|min)(?![\p{L}\d])/u.test(after)) return true;
+    if (/^\s*(dias?|semanas?|m[eê]s|meses|anos?)(?![\p{L}\d])/u.test(after)) return true;
+    if (/(?:^|\s)dia\s+$/u.test(before)) return true;
+    return false;
+}
+
+/**
+ * Localiza o valor monetário dentro de uma frase
+ * @param {string} message Frase livre (ex: "gastei R$ 1.234,56 no mercado")
+ * @returns {{value: number, index: number, length: number, text: string}|null}
+ *          index/length delimitam o trecho reconhecido para removê-lo da descrição
+ */
+export function extractAmount(message) {
+    if (!message || typeof message !== 'string') return null;
+
+    const text = message.toLowerCase();
+    const candidates = [];
+
+    for (const match of text.matchAll(DIGIT_AMOUNT_REGEX)) {
+        const [full, currencyPrefix, digits, kSuffix, scaleWord, remainder, currencyWord, cents] = match;
+        const numberStart = match.index + full.indexOf(digits);
+        if (isExcludedContext(text, numberStart, numberStart + digits.length)) continue;
+
+        let value = parseNumber(digits);
+        if (isNaN(value)) continue;
+
+        if (kSuffix) value *= 1000;
+        if (scaleWord) value *= SCALES[stripAccents(scaleWord)];
+        if (remainder) value += parseRemainder(remainder);
+        value += parseCents(cents);
+
+        candidates.push({
+            value: roundCurrency(value),
+            index: match.index,
+            length: full.length,
+            text: message.substr(match.index, full.length),
+            explicit: Boolean(currencyPrefix || kSuffix || scaleWord || currencyWord),
+            written: false
+        });
+    }
+
+    for (const match of text.matchAll(WORD_AMOUNT_REGEX)) {
+        const [full, words, currencyWord, cents] = match;
+        const value = parseWrittenNumber(words);
+        if (isNaN(value)) continue;
+
+        // "um"/"uma" sozinhos são artigos ("um lanche"), só valem com moeda explícita
+        const onlyArticle = /^(um|uma)$/.test(stripAccents(words.trim()));
+        if (onlyArticle && !currencyWord) continue;
+
+        candidates.push({
+            value: roundCurrency(value + parseCents(cents)),
+            index: match.index,
+            length: full.length,
+            text: message.substr(match.index, full.length),
+            explicit: Boolean(currencyWord),
+            written: true
+        });
+    }
+
+    if (candidates.length === 0) return null;
+
+    // Preferir valores com marcação de moeda, depois dígitos a números por extenso
+    // ("três pães por 12" -> 12) e, por fim, o primeiro que aparece
+    candidates.sort((a, b) => (b.explicit - a.explicit) || (a.written - b.written) || (a.index - b.index));
+    const { explicit, written, ...best } = candidates[0];
+    return best.value > 0 ? best : null;
+}
@@ -0,0 +1,194 @@
+/**
+ * Parser de Datas em Português (pt-BR)
+ * Entende datas absolutas e relativas comuns em mensagens:
+ * - "hoje", "ontem", "anteontem", "há 3 dias"
+ * - "sexta", "na segunda passada", "sábado passado"
+ * - "dia 12", "dia 5 de março", "12/03", "12/03/2025"
+ * Datas sem ano (ou sem mês) que cairiam no futuro são tratadas como passadas,
+ * já que mensagens registram gastos que já aconteceram.
+ */
+
+const WORD_START = '(?<![\\p{L}\\d])';
+const WORD_END = '(?![\\p{L}\\d])';
+
+const WEEKDAYS = {
+    'domingo': 0, 'segunda': 1, 'terca': 2, 'quarta': 3, 'quinta': 4, 'sexta': 5, 'sabado': 6
+};
+
+const MONTHS = {
+    'janeiro': 1, 'fevereiro': 2, 'marco': 3, 'abril': 4, 'maio': 5, 'junho': 6,
+    'julho': 7, 'agosto': 8, 'setembro': 9, 'outubro': 10, 'novembro': 11, 'dezembro': 12
+};
+
+function stripAccents(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Data atual no fuso de Brasília (o servidor roda em UTC)
+ * @param {Date} [now]
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function getBrazilDate(now = new Date()) {
+    const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+        timeZone: 'America/Sao_Paulo',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(now).split('-').map(Number);
+
+    return { year, month, day };
+}
+
+function toUTCDate({ year, month, day }) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Formata como YYYY-MM-DD (mesmo formato do input type="date")
+ * @param {Date} date Data em UTC
+ * @returns {string}
+ */
+export function formatISODate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+// Dias que não existem no mês (31/04, 30/02) dão null em vez de cair no último dia
+function buildDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) return null;
+    return toUTCDate({ year, month, day });
+}
+
+const RULES = [
+    {
+        regex: new RegExp(`${WORD_START}(?:anteontem|antes de ontem)${WORD_END}`, 'iu'),
+        resolve: (match, today) => addDays(today, -2)
+    },
+    {
+        regex: new RegExp(`${WORD_START}ontem${WORD_END}`, 'iu'),
+        resolve: (match, today) => addDays(today, -1)
+    },
+    {
+        regex: new RegExp(`${WORD_START}hoje${WORD_END}`, 'iu'),
+        resolve: (match, today) => today
+    },
+    {
+        regex: new RegExp(`${WORD_START}h[aá] (\\d{1,2}) dias?${WORD_END}`, 'iu'),
+        resolve: (match, today) => addDays(today, -parseInt(match[1]))
+    },
+    {
+        // "na sexta passada", "sábado passado", "segunda-feira"
+        regex: new RegExp(
+            `${WORD_START}(?:(?:n[ao]|d[ao]|neste|nesta|nesse|nessa)\\s+)?` +
+            `(domingo|segunda|ter[cç]a|quarta|quinta|sexta|s[aá]bado)(?:-feira)?` +
+            `(\\s+passad[ao]|\\s+retrasad[ao])?${WORD_END}`,
+            'iu'
+        ),
+        resolve: (match, today) => {
+            const target = WEEKDAYS[stripAccents(match[1].toLowerCase())];
+            let diff = (today.getUTCDay() - target + 7) % 7;
+            // "passada" sempre aponta para antes de hoje
+            if (match[2] && diff === 0) diff = 7;
+            if (match[2] && /retrasad/i.test(match[2])) diff += 7;
+            return addDays(today, -diff);
+        }
+    },
+    {
+        // "dia 12", "no dia 5 de março"
+        regex: new RegExp(
+            `${WORD_START}(?:(?:n[ao]|d[ao])\\s+)?dia (\\d{1,2})(?!\\/)(?: de (janeiro|fevereiro|mar[cç]o|abril|maio|junho|julho|agosto|setembro|outubro|novembro|dezembro))?${WORD_END}`,
+            'iu'
+        ),
+        resolve: (match, today) => {
+            const day = parseInt(match[1]);
+            let year = today.getUTCFullYear();
+            let month = today.getUTCMonth() + 1;
+
+            if (match[2]) {
+                month = MONTHS[stripAccents(match[2].toLowerCase())];
+                const date = buildDate(year, month, day);
+                return date && date > today ? buildDate(year - 1, month, day) : date;
+            }
+
+            // O mês mais recente em que o dia já passou e existe ("dia 31" em 12/03 -> 31/01)
+            if (day < 1 || day > 31) return null;
+            let date = buildDate(year, month, day);
+            while (!date || date > today) {
+                month -= 1;
+                if (month === 0) { month = 12; year -= 1; }
+                date = buildDate(year, month, day);
+            }
+            return date;
+        }
+    },
+    {
+        // "12/03" ou "12/03/2025" ou "12/03/25", com ou sem "dia" antes
+        regex: new RegExp(`(?:${WORD_START}(?:(?:n[ao]|d[ao])\\s+)?dia\\s+)?(?<![\\d/])(\\d{1,2})\\/(\\d{1,2})(?:\\/(\\d{2}|\\d{4}))?(?![\\d/])`, 'iu'),
+        resolve: (match, today) => {
+            const day = parseInt(match[1]);
+            const month = parseInt(match[2]);
+
+            if (match[3]) {
+                const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+                return buildDate(year, month, day);
+            }
+
+            const year = today.getUTCFullYear();
+            const date = buildDate(year, month, day);
+            return date && date > today ? buildDate(year - 1, month, day) : date;
+        }
+    }
+];
+
+/**
+ * Localiza uma referência de data dentro de uma frase
+ * @param {string} message Frase livre (ex: "gastei 30 ontem no mercado")
+ * @param {Date} [now] Momento de referência
+ * @returns {{date: string, index: number, length: number, text: string}|null}
+ *          date no formato YYYY-MM-DD; index/length delimitam o trecho reconhecido
+ */
+export function extractDate(message, now = new Date()) {
+    if (!message || typeof message !== 'string') return null;
+
+    const today = toUTCDate(getBrazilDate(now));
+    let best = null;
+
+    for (const rule of RULES) {
+        const match = message.match(rule.regex);
+        if (!match) continue;
+
+        const date = rule.resolve(match, today);
+        if (!date || isNaN(date.getTime())) continue;
+
+        // Em caso de mais de uma referência, vale a que aparece primeiro
+        if (!best || match.index < best.index) {
+            best = {
+                date: formatISODate(date),
+                index: match.index,
+                length: match[0].length,
+                text: match[0]
+            };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Data de hoje no fuso de Brasília, no formato YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function getTodayISODate(now = new Date()) {
+    return formatISODate(toUTCDate(getBrazilDate(now)));
+}
@@ -36,15 +36,44 @@ if (!process.env.DATABASE_URL) {
   }
 }
 
+// Neon exige SSL; um Postgres local (ex.: scripts/test-sync.js) normalmente não tem
+const isLocalDatabase = /@(localhost|127\.0\.0\.1)[:/]/.test(process.env.DATABASE_URL || '');
+const useSsl = process.env.DATABASE_SSL !== 'false' && !isLocalDatabase;
+
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
+  ssl: useSsl ? {
     rejectUnauthorized: false
-  }
+  } : false
 });
 
 export const query = (text, params) => pool.query(text, params);
 
+/**
+ * Executa fn dentro de uma transação, com uma conexão exclusiva do pool
+ * @param {(client: pg.PoolClient) => Promise<any>} fn
+ * @returns {Promise<any>} O retorno de fn, após o COMMIT
+ */
+export async function transaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Encerra o pool (scripts de linha de comando)
+export const end = () => pool.end();
+
 export default {
-  query
+  query,
+  transaction,
+  end
 };
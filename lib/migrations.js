@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db from './db.js';
+
+/**
+ * Migrações versionadas do banco
+ * Cada migração é um par de arquivos em migrations/: NNN_nome.up.sql e NNN_nome.down.sql.
+ * As aplicadas ficam registradas em schema_migrations; cada uma roda na própria transação,
+ * com um lock (pg_advisory_xact_lock) para que dois processos não apliquem a mesma.
+ *
+ * Linha de comando: scripts/migrate-db.js (npm run db:migrate, db:rollback, db:status)
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Chave do lock de migração (pg_advisory_xact_lock)
+const MIGRATION_LOCK_ID = 20260301;
+
+/**
+ * Banco atrás das migrações do código
+ */
+export class SchemaOutdatedError extends Error {
+    constructor(pending) {
+        super(`Banco desatualizado: ${pending.length} migração(ões) pendente(s) (${pending.map(migration => migration.id).join(', ')}). Rode npm run db:migrate.`);
+        this.name = 'SchemaOutdatedError';
+        this.code = 'SCHEMA_OUTDATED';
+        this.pending = pending.map(migration => migration.id);
+    }
+}
+
+/**
+ * Lista as migrações de migrations/, em ordem de versão
+ * @param {string} [dir]
+ * @returns {Array<{version: number, name: string, id: string, up: string, down: string|null}>}
+ *          up/down: caminhos dos arquivos; id: nome sem extensão (ex.: 002_relational_tables)
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    fs.readdirSync(dir).forEach(file => {
+        const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+        if (!match) return;
+
+        const version = parseInt(match[1], 10);
+        const migration = migrations.get(version) || { version, name: match[2], id: `${match[1]}_${match[2]}`, up: null, down: null };
+        if (migration.name !== match[2]) {
+            throw new Error(`Duas migrações com a versão ${match[1]}: ${migration.id} e ${file}`);
+        }
+        migration[match[3]] = path.join(dir, file);
+        migrations.set(version, migration);
+    });
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (!migration.up) throw new Error(`Migração ${migration.id} sem arquivo .up.sql`);
+            return migration;
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedRows(client) {
+    const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+}
+
+/**
+ * Situação das migrações
+ * @returns {Promise<{applied: Array<{version: number, name: string, applied_at: Date}>, pending: Array, unknown: Array}>}
+ *          unknown: aplicadas no banco sem arquivo no código (ex.: deploy mais antigo)
+ */
+export async function getMigrationStatus() {
+    const migrations = loadMigrations();
+    await ensureMigrationsTable(db);
+    const applied = await getAppliedRows(db);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+        applied,
+        pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+        unknown: applied.filter(row => !known.has(row.version))
+    };
+}
+
+/**
+ * Aplica as migrações pendentes, em ordem
+ * @param {Object} [options]
+ * @param {number} [options.to] Para na versão informada
+ * @param {(migration: Object) => void} [options.onApply] Chamado a cada migração aplicada
+ * @returns {Promise<Array>} Migrações aplicadas
+ */
+export async function applyMigrations({ to = Infinity, onApply = null } = {}) {
+    const migrations = loadMigrations().filter(migration => migration.version <= to);
+    await ensureMigrationsTable(db);
+    const applied = [];
+
+    for (const migration of migrations) {
+        const ran = await db.transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+            // Outro processo pode ter aplicado enquanto esperávamos o lock
+            const { rows } = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+            if (rows.length > 0) return false;
+
+            await client.query(fs.readFileSync(migration.up, 'utf8'));
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            return true;
+        });
+
+        if (ran) {
+            applied.push(migration);
+            if (onApply) onApply(migration);
+        }
+    }
+
+    resetSchemaCheck();
+    return applied;
+}
+
+/**
+ * Desfaz as últimas migrações aplicadas, da mais recente para a mais antiga
+ * @param {Object} [options]
+ * @param {number} [options.steps] Quantas migrações desfazer
+ * @param {(migration: Object) => void} [options.onRollback]
+ * @returns {Promise<Array>} Migrações desfeitas
+ */
+export async function rollbackMigrations({ steps = 1, onRollback = null } = {}) {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    await ensureMigrationsTable(db);
+    const rolledBack = [];
+
+    for (let step = 0; step < steps; step++) {
+        const migration = await db.transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+            const { rows } = await client.query('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT 1');
+            if (rows.length === 0) return null;
+
+            const target = migrations.get(rows[0].version);
+            if (!target) throw new Error(`Migração ${rows[0].version}_${rows[0].name} não existe em ${MIGRATIONS_DIR}`);
+            if (!target.down) throw new Error(`Migração ${target.id} não tem arquivo .down.sql`);
+
+            await client.query(fs.readFileSync(target.down, 'utf8'));
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [target.version]);
+            return target;
+        });
+
+        if (!migration) break;
+        rolledBack.push(migration);
+        if (onRollback) onRollback(migration);
+    }
+
+    resetSchemaCheck();
+    return rolledBack;
+}
+
+// Verificação feita uma vez por processo; só o sucesso fica guardado
+let schemaCheck = null;
+
+function resetSchemaCheck() {
+    schemaCheck = null;
+}
+
+/**
+ * Garante que o banco tem todas as migrações do código (usado pelas funções de api/)
+ * Não cria schema_migrations: sem a tabela, todas contam como pendentes.
+ * @returns {Promise<void>} Rejeita com SchemaOutdatedError se houver migração pendente
+ */
+export function assertSchemaUpToDate() {
+    if (!schemaCheck) {
+        schemaCheck = (async () => {
+            let appliedVersions;
+            try {
+                const { rows } = await db.query('SELECT version FROM schema_migrations');
+                appliedVersions = new Set(rows.map(row => row.version));
+            } catch (error) {
+                if (error.code !== '42P01') throw error; // undefined_table
+                appliedVersions = new Set();
+            }
+
+            const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+            if (pending.length > 0) throw new SchemaOutdatedError(pending);
+        })();
+        schemaCheck.catch(resetSchemaCheck);
+    }
+    return schemaCheck;
+}
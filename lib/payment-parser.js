@@ -0,0 +1,107 @@
+import { parseWrittenNumber } from './amount-parser.js';
+
+/**
+ * Parser de Forma de Pagamento (pt-BR)
+ * Identifica a forma de pagamento e o parcelamento citados em uma frase,
+ * usando os mesmos valores de paymentMethod do formulário de despesas:
+ * 'dinheiro', 'pix', 'debito', 'credito_vista', 'credito_parcelado'.
+ *
+ * Exemplos:
+ * - "em 3x", "10x sem juros", "parcelado em 10 vezes", "em três parcelas" -> credito_parcelado
+ * - "no pix", "via pix"                                                 -> pix
+ * - "no débito", "cartão de débito"                                     -> debito
+ * - "no crédito", "crédito à vista"                                     -> credito_vista
+ * - "em dinheiro", "em espécie"                                         -> dinheiro
+ */
+
+const WORD_START = '(?<![\\p{L}\\d])';
+const WORD_END = '(?![\\p{L}\\d])';
+
+const PREPOSITION = '(?:(?:no|na|em|via|pelo|pela|com|de|do|da)\\s+)?';
+const CARD_PREFIX = '(?:cart[aã]o\\s+(?:de\\s+)?)?';
+const COUNT = '(\\d{1,2}|duas|dois|tr[eê]s|quatro|cinco|seis|sete|oito|nove|dez|onze|doze)';
+
+const INSTALLMENT_REGEX = new RegExp(
+    `${WORD_START}(?:parcelad[oa]\\s+)?(?:em\\s+)?${COUNT}\\s*(?:x|vezes|parcelas)${WORD_END}` +
+    `(?:\\s+(?:sem|com)\\s+juros${WORD_END})?` +
+    `(?:\\s+${PREPOSITION}${CARD_PREFIX}cr[eé]dito${WORD_END})?`,
+    'iu'
+);
+
+const PAYMENT_RULES = [
+    {
+        method: 'credito_parcelado',
+        regex: new RegExp(`${WORD_START}${PREPOSITION}${CARD_PREFIX}(?:cr[eé]dito\\s+)?parcelad[oa]${WORD_END}`, 'iu')
+    },
+    {
+        method: 'pix',
+        regex: new RegExp(`${WORD_START}${PREPOSITION}pix${WORD_END}`, 'iu')
+    },
+    {
+        method: 'debito',
+        regex: new RegExp(`${WORD_START}${PREPOSITION}${CARD_PREFIX}d[eé]bito${WORD_END}`, 'iu')
+    },
+    {
+        method: 'credito_vista',
+        regex: new RegExp(`${WORD_START}${PREPOSITION}${CARD_PREFIX}cr[eé]dito(?:\\s+[aà]\\s+vista)?${WORD_END}`, 'iu')
+    },
+    {
+        method: 'dinheiro',
+        regex: new RegExp(`${WORD_START}${PREPOSITION}(?:dinheiro\\s+vivo|dinheiro|esp[eé]cie|cash)${WORD_END}`, 'iu')
+    }
+];
+
+function parseCount(raw) {
+    return /^\d+$/.test(raw) ? parseInt(raw) : parseWrittenNumber(raw);
+}
+
+/**
+ * Localiza a forma de pagamento e o número de parcelas em uma frase
+ * @param {string} message Frase livre (ex: "tênis 300 em 3x no nubank")
+ * @returns {{paymentMethod: string, installments: number|null, matches: Array<{index: number, length: number}>}|null}
+ *          matches delimita os trechos reconhecidos para removê-los da descrição
+ */
+export function extractPayment(message) {
+    if (!message || typeof message !== 'string') return null;
+
+    const matches = [];
+    let paymentMethod = null;
+    let installments = null;
+
+    const installmentMatch = message.match(INSTALLMENT_REGEX);
+    if (installmentMatch) {
+        const count = parseCount(installmentMatch[1]);
+        if (!isNaN(count) && count > 0) {
+            installments = count;
+            // "1x" é pagamento à vista
+            paymentMethod = count > 1 ? 'credito_parcelado' : 'credito_vista';
+            matches.push({ index: installmentMatch.index, length: installmentMatch[0].length });
+        }
+    }
+
+    for (const rule of PAYMENT_RULES) {
+        const match = message.match(rule.regex);
+        if (!match) continue;
+
+        // Trecho já coberto pelo parcelamento (ex: "3x no crédito")
+        const overlaps = matches.some(m => match.index < m.index + m.length && m.index < match.index + match[0].length);
+        if (overlaps) continue;
+
+        if (!paymentMethod) {
+            paymentMethod = rule.method;
+        } else if (paymentMethod === 'credito_parcelado' && rule.method !== 'credito_vista' && rule.method !== 'credito_parcelado') {
+            // Parcelas só existem no crédito; outra forma explícita prevalece
+            continue;
+        }
+        matches.push({ index: match.index, length: match[0].length });
+        break;
+    }
+
+    if (!paymentMethod) return null;
+
+    return {
+        paymentMethod,
+        installments: paymentMethod === 'credito_parcelado' ? installments : 1,
+        matches
+    };
+}
@@ -0,0 +1,357 @@
+import db from './db.js';
+import { SYNC_COLLECTIONS, normalizeRecord, applyChanges, splitTombstones, isTombstone, sameContent } from '../syncMerge.js';
+
+/**
+ * Sincronização por registro no servidor (ver syncMerge.js)
+ * Cada registro é uma linha em transactions, cards ou categories (migrations/002); a coluna
+ * data guarda o registro como o app sincroniza e, nas exclusões, a lápide
+ * ({id, deleted, updatedAt}), para que elas cheguem aos outros aparelhos. A mesclagem roda
+ * com a linha do usuário em accounts travada (SELECT ... FOR UPDATE), então gravações
+ * simultâneas (outro aparelho, webhook do WhatsApp) não se sobrescrevem.
+ *
+ * Cursores: accounts.sync_version conta as gravações do usuário e a coluna version de cada
+ * registro guarda em que versão ele mudou. O cursor de um aparelho é a última versão que ele
+ * recebeu; com ele, o aparelho baixa só o que mudou depois.
+ */
+
+export const COLLECTION_TABLES = {
+    expenses: { table: 'transactions', type: 'expense' },
+    incomes: { table: 'transactions', type: 'income' },
+    cards: { table: 'cards', type: null },
+    expenseCategories: { table: 'categories', type: 'expense' },
+    incomeCategories: { table: 'categories', type: 'income' }
+};
+
+// Colunas de user_data, o formato antigo (um JSONB por coleção)
+export const COLLECTION_COLUMNS = {
+    expenses: 'expenses',
+    incomes: 'incomes',
+    cards: 'cards',
+    expenseCategories: 'expense_categories',
+    incomeCategories: 'income_categories'
+};
+
+const ACCOUNT_SETTINGS_COLUMNS = ['category_rules', 'tags', 'achievements'];
+
+// Meta mensal geral do app (settings.monthly_goal), guardada em budgets
+export const MONTHLY_GOAL_BUDGET_ID = 'monthly-goal';
+
+// Datas inválidas (ex.: 2026-02-30) ficam sem a coluna date, em vez de derrubar a gravação
+function toDate(value) {
+    const match = String(value || '').match(/^\d{4}-\d{2}-\d{2}/);
+    if (!match) return null;
+    const date = new Date(`${match[0]}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(match[0]) ? match[0] : null;
+}
+
+function toAmount(value) {
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Colunas de consulta de cada tabela, copiadas do registro (lápides ficam com null)
+ * @param {string} table
+ * @param {Object} record
+ * @returns {Object} {coluna: valor}
+ */
+function queryColumns(table, record) {
+    const live = isTombstone(record) ? {} : record;
+
+    if (table === 'transactions') {
+        return {
+            description: live.description ?? null,
+            amount: toAmount(live.amount),
+            category: live.category ?? null,
+            date: toDate(live.date),
+            payment_method: live.paymentMethod ?? null,
+            card_name: live.selectedCard ?? null,
+            source: live.source ?? null
+        };
+    }
+    if (table === 'cards') {
+        return { name: live.name ?? null, card_type: live.type ?? null };
+    }
+    return { name: live.name ?? null };
+}
+
+/**
+ * Resposta no formato antigo de GET /api/sync (uma coluna por coleção), para versões antigas do app
+ * @param {{changes: Object, settings: Object}} result Retorno de getChangesSince(userId, 0)
+ * @returns {Object}
+ */
+export function toLegacyRow({ changes, settings }) {
+    const row = { ...settings, sync_tombstones: {} };
+
+    SYNC_COLLECTIONS.forEach(collection => {
+        const { live, tombstones } = splitTombstones(changes[collection] || []);
+        row[COLLECTION_COLUMNS[collection]] = live;
+        if (tombstones.length > 0) row.sync_tombstones[collection] = tombstones;
+    });
+
+    return row;
+}
+
+/**
+ * Alterações equivalentes a um envio no formato antigo (arrays completos):
+ * cada registro enviado prevalece, e nada é excluído
+ * @param {Object} remoteState
+ * @param {Object} snapshot {coleção: registros}
+ * @returns {Object} Ver diffState em syncMerge.js
+ */
+export function changesFromSnapshot(remoteState, snapshot) {
+    const changes = {};
+
+    SYNC_COLLECTIONS.forEach(collection => {
+        if (!Array.isArray(snapshot[collection])) return;
+        const remote = new Map((remoteState[collection] || []).map(record => [record.id, record]));
+        changes[collection] = snapshot[collection].map(item => {
+            const local = normalizeRecord(item, collection);
+            return { id: local.id, base: remote.get(local.id) || null, local };
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Garante a linha do usuário em accounts e a trava até o fim da transação
+ * @param {pg.PoolClient} client
+ * @param {string} userId
+ * @returns {Promise<Object>} Linha de accounts
+ */
+export async function lockAccount(client, userId) {
+    await client.query('INSERT INTO accounts (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING', [userId]);
+    const { rows } = await client.query('SELECT * FROM accounts WHERE user_id = $1 FOR UPDATE', [userId]);
+    return rows[0];
+}
+
+/**
+ * Registros de uma coleção
+ * @param {{query: Function}} client Conexão da transação ou o próprio db
+ * @param {string} userId
+ * @param {string} collection
+ * @param {Object} [options]
+ * @param {string[]} [options.ids] Só estes registros
+ * @param {number} [options.since] Só os que mudaram depois desta versão
+ * @param {boolean} [options.includeDeleted] Inclui as lápides (padrão: true)
+ * @returns {Promise<Array<{record: Object, version: number}>>} Em ordem de gravação
+ */
+export async function loadRecords(client, userId, collection, { ids = null, since = 0, includeDeleted = true } = {}) {
+    const { table, type } = COLLECTION_TABLES[collection];
+    const values = [userId];
+    const conditions = ['user_id = $1'];
+
+    if (type) {
+        values.push(type);
+        conditions.push(`type = $${values.length}`);
+    }
+    if (ids) {
+        values.push(ids);
+        conditions.push(`id = ANY($${values.length}::text[])`);
+    }
+    if (since > 0) {
+        values.push(since);
+        conditions.push(`version > $${values.length}`);
+    }
+    if (!includeDeleted) conditions.push('NOT deleted');
+
+    const { rows } = await client.query(
+        `SELECT data, version FROM ${table} WHERE ${conditions.join(' AND ')} ORDER BY version, id`,
+        values
+    );
+    return rows.map(row => ({ record: row.data, version: Number(row.version) }));
+}
+
+/**
+ * Grava um registro (ou lápide) com a versão informada
+ * @param {pg.PoolClient} client
+ * @param {string} userId
+ * @param {string} collection
+ * @param {Object} record
+ * @param {number} version
+ */
+async function writeRecord(client, userId, collection, record, version) {
+    const { table, type } = COLLECTION_TABLES[collection];
+    const columns = {
+        user_id: userId,
+        ...(type ? { type } : {}),
+        id: record.id,
+        ...queryColumns(table, record),
+        data: JSON.stringify(record),
+        deleted: isTombstone(record),
+        version
+    };
+    const names = Object.keys(columns);
+    const keys = type ? ['user_id', 'type', 'id'] : ['user_id', 'id'];
+
+    await client.query(`
+        INSERT INTO ${table} (${names.join(', ')}, updated_at)
+        VALUES (${names.map((_, index) => `$${index + 1}`).join(', ')}, NOW())
+        ON CONFLICT (${keys.join(', ')}) DO UPDATE
+        SET ${names.filter(name => !keys.includes(name)).map(name => `${name} = EXCLUDED.${name}`).join(', ')},
+            updated_at = NOW()
+    `, Object.values(columns));
+}
+
+/**
+ * Grava registros novos ou alterados, cada um com uma nova versão, e avança o cursor da conta
+ * Deve rodar na mesma transação de lockAccount.
+ * @param {pg.PoolClient} client
+ * @param {string} userId
+ * @param {number} version Versão atual da conta (accounts.sync_version)
+ * @param {Object} records {coleção: registros e lápides}
+ * @returns {Promise<number>} Nova versão da conta
+ */
+export async function saveRecords(client, userId, version, records) {
+    const start = version;
+
+    for (const collection of SYNC_COLLECTIONS) {
+        for (const record of records[collection] || []) {
+            version++;
+            await writeRecord(client, userId, collection, record, version);
+        }
+    }
+
+    if (version !== start) {
+        await client.query(
+            'UPDATE accounts SET sync_version = $2, updated_at = NOW() WHERE user_id = $1',
+            [userId, version]
+        );
+    }
+    return version;
+}
+
+async function loadChanges(client, userId, since) {
+    const changes = {};
+
+    for (const collection of SYNC_COLLECTIONS) {
+        const rows = await loadRecords(client, userId, collection, { since });
+        if (rows.length > 0) changes[collection] = rows.map(row => row.record);
+    }
+
+    return changes;
+}
+
+async function loadSettings(client, userId, account) {
+    const { rows } = await client.query(
+        'SELECT amount FROM budgets WHERE user_id = $1 AND id = $2',
+        [userId, MONTHLY_GOAL_BUDGET_ID]
+    );
+
+    return {
+        category_rules: account?.category_rules || [],
+        tags: account?.tags || [],
+        achievements: account?.achievements || [],
+        monthly_goal: Number(rows[0]?.amount || 0)
+    };
+}
+
+/**
+ * Alterações do usuário desde o cursor
+ * @param {string} userId
+ * @param {number} [since] Cursor do aparelho; 0 (ou um cursor à frente do servidor, ex.:
+ *        banco recriado) devolve o estado completo
+ * @returns {Promise<{changes: Object, cursor: number, full: boolean, settings: Object}>}
+ */
+export async function getChangesSince(userId, since = 0) {
+    const { rows } = await db.query('SELECT * FROM accounts WHERE user_id = $1', [userId]);
+    const cursor = Number(rows[0]?.sync_version || 0);
+    const from = since > cursor ? 0 : since;
+
+    return {
+        changes: rows.length > 0 ? await loadChanges(db, userId, from) : {},
+        cursor,
+        full: from === 0,
+        settings: await loadSettings(db, userId, rows[0])
+    };
+}
+
+/**
+ * Aplica as alterações de um aparelho
+ * Só os registros citados são lidos e gravados. Com cursor, alterações sobre registros que
+ * mudaram no servidor depois dele são recusadas (stale): o aparelho precisa baixar e
+ * mesclar antes de reenviar.
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Object} [options.changes] Alterações por registro (diffState)
+ * @param {number|null} [options.cursor] Cursor em que o aparelho baseou as alterações
+ * @param {Object} [options.snapshot] Arrays completos, de versões antigas do app
+ * @param {Object} [options.settings] Configurações a substituir (category_rules, tags, achievements, monthly_goal)
+ * @returns {Promise<{stale?: Array<{collection: string, id: string}>, cursor: number, changes?: Object, conflicts?: Array, settings?: Object}>}
+ *          changes: o que mudou no servidor depois do cursor, incluindo o que acabou de ser gravado
+ */
+export async function syncUserData(userId, { changes = null, cursor = null, snapshot = null, settings = null } = {}) {
+    return db.transaction(async (client) => {
+        const account = await lockAccount(client, userId);
+        let version = Number(account.sync_version || 0);
+
+        // Normaliza o envio antigo antes de buscar os registros, para que todos tenham id
+        const snapshotRecords = snapshot ? Object.fromEntries(SYNC_COLLECTIONS
+            .filter(collection => Array.isArray(snapshot[collection]))
+            .map(collection => [collection, snapshot[collection].map(item => normalizeRecord(item, collection))])) : null;
+        const touched = snapshotRecords || changes || {};
+
+        const remoteState = {};
+        const versions = {};
+        for (const collection of SYNC_COLLECTIONS) {
+            const ids = (touched[collection] || []).map(({ id }) => id).filter(Boolean);
+            const rows = ids.length > 0 ? await loadRecords(client, userId, collection, { ids }) : [];
+            remoteState[collection] = rows.map(row => row.record);
+            versions[collection] = new Map(rows.map(row => [row.record.id, row.version]));
+        }
+
+        const incoming = snapshotRecords ? changesFromSnapshot(remoteState, snapshotRecords) : (changes || {});
+
+        if (cursor !== null && cursor !== undefined) {
+            const stale = [];
+            Object.entries(incoming).forEach(([collection, collectionChanges]) => {
+                if (!versions[collection]) return;
+                collectionChanges.forEach(({ id }) => {
+                    if ((versions[collection].get(id) || 0) > cursor) stale.push({ collection, id });
+                });
+            });
+            if (stale.length > 0) return { stale, cursor: version };
+        }
+
+        const { state, conflicts } = applyChanges(remoteState, incoming);
+
+        // Só os registros que de fato mudaram ganham nova versão
+        const changed = {};
+        SYNC_COLLECTIONS.forEach(collection => {
+            const before = new Map(remoteState[collection].map(record => [record.id, record]));
+            changed[collection] = state[collection].filter(record => {
+                const previous = before.get(record.id);
+                return !previous || !sameContent(previous, record) || previous.updatedAt !== record.updatedAt;
+            });
+        });
+        version = await saveRecords(client, userId, version, changed);
+
+        let savedAccount = account;
+        const settingsColumns = ACCOUNT_SETTINGS_COLUMNS.filter(column => settings && settings[column] !== undefined);
+        if (settingsColumns.length > 0) {
+            const { rows: updated } = await client.query(`
+                UPDATE accounts
+                SET ${settingsColumns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+                    updated_at = NOW()
+                WHERE user_id = $1
+                RETURNING *
+            `, [userId, ...settingsColumns.map(column => JSON.stringify(settings[column] || []))]);
+            savedAccount = updated[0];
+        }
+        if (settings && settings.monthly_goal !== undefined) {
+            await client.query(`
+                INSERT INTO budgets (user_id, id, amount, updated_at)
+                VALUES ($1, $2, $3, NOW())
+                ON CONFLICT (user_id, id) DO UPDATE SET amount = EXCLUDED.amount, updated_at = NOW()
+            `, [userId, MONTHLY_GOAL_BUDGET_ID, Number(settings.monthly_goal) || 0]);
+        }
+
+        return {
+            cursor: version,
+            changes: cursor === null || cursor === undefined ? {} : await loadChanges(client, userId, cursor),
+            conflicts,
+            settings: await loadSettings(client, userId, savedAccount)
+        };
+    });
+}
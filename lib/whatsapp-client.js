@@ -0,0 +1,93 @@
+/**
+ * WhatsApp Cloud API Client
+ * Envia mensagens de texto de resposta pelo endpoint /{phone-number-id}/messages.
+ * Documentation: https://developers.facebook.com/docs/whatsapp/cloud-api/reference/messages
+ */
+
+const GRAPH_API_VERSION = 'v20.0';
+
+export class WhatsAppClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.accessToken Token permanente do app na Meta
+     * @param {Function} [options.fetchImpl] Implementação de fetch (padrão: global)
+     */
+    constructor({ accessToken, fetchImpl } = {}) {
+        this.accessToken = accessToken;
+        this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Envia uma mensagem de texto simples
+     * @param {string} phoneNumberId ID do número comercial que recebeu a mensagem
+     * @param {string} to Número do destinatário (formato internacional, só dígitos)
+     * @param {string} body Texto da mensagem
+     * @returns {Promise<Object>} Resposta da API
+     */
+    async sendText(phoneNumberId, to, body) {
+        if (!phoneNumberId || !to || !body) {
+            throw new Error('phoneNumberId, to e body são obrigatórios');
+        }
+
+        const response = await this.fetchImpl(`https://graph.facebook.com/${GRAPH_API_VERSION}/${phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.accessToken}`
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to,
+                type: 'text',
+                text: { preview_url: false, body }
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`WhatsApp send failed: ${response.status} ${errorText}`);
+        }
+
+        return response.json();
+    }
+}
+
+/**
+ * Substituto local do cliente: não acessa a rede, apenas guarda as mensagens.
+ * Usado em testes e em ambientes sem WHATSAPP_ACCESS_TOKEN.
+ */
+export class StubWhatsAppClient {
+    constructor() {
+        this.sent = [];
+    }
+
+    async sendText(phoneNumberId, to, body) {
+        const message = { phoneNumberId, to, body, sentAt: new Date().toISOString() };
+        this.sent.push(message);
+        console.log(`[WHATSAPP STUB] Resposta para ${to}: ${body}`);
+        return { messages: [{ id: `stub_${this.sent.length}` }] };
+    }
+
+    clear() {
+        this.sent = [];
+    }
+}
+
+/**
+ * Cria o cliente adequado ao ambiente
+ * @param {Object} [env] Variáveis de ambiente (padrão: process.env)
+ * @returns {WhatsAppClient|StubWhatsAppClient}
+ */
+export function createWhatsAppClient(env = process.env) {
+    const accessToken = env.WHATSAPP_ACCESS_TOKEN?.trim();
+
+    if (!accessToken || env.WHATSAPP_SEND_MODE === 'stub') {
+        if (!accessToken) {
+            console.warn('[WHATSAPP] WHATSAPP_ACCESS_TOKEN não definido. Respostas serão apenas registradas no log.');
+        }
+        return new StubWhatsAppClient();
+    }
+
+    return new WhatsAppClient({ accessToken });
+}
@@ -0,0 +1,244 @@
+import { calculateMonthlyTotals, isInMonth } from '../monthlyTotals.js';
+import { expandInstallments } from '../installments.js';
+import { formatCurrency } from './whatsapp-replies.js';
+import { getBrazilDate } from './date-parser.js';
+
+/**
+ * WhatsApp Command Dispatcher
+ * Reconhece mensagens que são comandos (consultas ou ações) para que não sejam
+ * registradas como despesas pelo parseMessage.
+ *
+ * Comandos suportados:
+ * - "saldo"                      -> quanto sobrou no mês (Guardei)
+ * - "resumo" / "resumo do mês"   -> totais do mês, como no dashboard
+ * - "quanto gastei com mercado"  -> total do mês filtrado por categoria/descrição
+ *   Os três aceitam outro mês no fim: "resumo de março", "saldo de fevereiro de 2025",
+ *   "quanto gastei com mercado em janeiro"
+ * - "desfazer"                   -> remove a última entrada enviada pelo WhatsApp
+ * - "últimos 5"                  -> lista as últimas transações
+ * - "ajuda"                      -> lista os comandos
+ */
+
+const MONTH_NAMES = [
+    'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+    'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
+];
+
+const MAX_LIST_SIZE = 20;
+
+// "de março", "em março de 2025", "do mês de março" no fim da mensagem (texto já normalizado)
+const MONTH_SUFFIX_REGEX = new RegExp(
+    ` (?:de|em|no mes de|do mes de) (${MONTH_NAMES.map(name => normalizeText(name)).join('|')})(?: de (\\d{4}))?$`
+);
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[?!.,;:]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Identifica se a mensagem é um comando
+ * @param {string} message Texto recebido
+ * @returns {{name: string, args: Object}|null} null se não for comando
+ */
+export function parseCommand(message) {
+    const text = normalizeText(message);
+    if (!text) return null;
+
+    const { rest, month } = extractMonth(text);
+
+    if (/^(meu )?saldo( do mes)?$/.test(rest)) {
+        return { name: 'balance', args: { month } };
+    }
+
+    if (/^resumo( do mes| mensal)?$/.test(rest)) {
+        return { name: 'summary', args: { month } };
+    }
+
+    const spentMatch = rest.match(/^quanto (?:eu )?gastei(?: (?:com|no|na|em|de) (.+?))?(?: (?:esse|este|neste|nesse) mes)?$/);
+    if (spentMatch) {
+        return { name: 'spent', args: { term: spentMatch[1] || null, month } };
+    }
+
+    if (/^(desfazer|desfaz|apagar ultim[oa]|cancelar ultim[oa])$/.test(text)) {
+        return { name: 'undo', args: {} };
+    }
+
+    const lastMatch = text.match(/^ultim[oa]s?(?: (\d{1,2}))?$/);
+    if (lastMatch) {
+        const count = lastMatch[1] ? parseInt(lastMatch[1]) : 5;
+        return { name: 'last', args: { count: Math.min(Math.max(count, 1), MAX_LIST_SIZE) } };
+    }
+
+    if (/^(ajuda|help|comandos|menu)$/.test(text)) {
+        return { name: 'help', args: {} };
+    }
+
+    return null;
+}
+
+/**
+ * Separa o mês pedido no fim da mensagem
+ * @param {string} text Texto normalizado
+ * @returns {{rest: string, month: {month: number, year: number|null}|null}}
+ */
+function extractMonth(text) {
+    const match = text.match(MONTH_SUFFIX_REGEX);
+    if (!match) return { rest: text, month: null };
+
+    const month = MONTH_NAMES.findIndex(name => normalizeText(name) === match[1]) + 1;
+    return {
+        rest: text.slice(0, match.index),
+        month: { month, year: match[2] ? parseInt(match[2]) : null }
+    };
+}
+
+// Sem ano, um mês depois do atual é o do ano passado ("resumo de dezembro" em março)
+function resolveMonth(requested, current) {
+    if (!requested) return current;
+    if (requested.year) return requested;
+    const year = requested.month > current.month ? current.year - 1 : current.year;
+    return { month: requested.month, year };
+}
+
+function formatShortDate(isoDate) {
+    const [, m, d] = String(isoDate).split('T')[0].split('-');
+    return `${d}/${m}`;
+}
+
+function sortByMostRecent(a, b) {
+    const byDate = String(b.date).localeCompare(String(a.date));
+    if (byDate !== 0) return byDate;
+    return String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+}
+
+function runBalance(totals, monthLabel) {
+    return [
+        `💼 Saldo de ${monthLabel}: ${formatCurrency(totals.saved)}`,
+        `💰 Receitas: ${formatCurrency(totals.income)}`,
+        `💸 Despesas: ${formatCurrency(totals.expenses)}`,
+        `📈 Investimentos: ${formatCurrency(totals.investments)}`
+    ].join('\n');
+}
+
+function runSummary(totals, monthLabel) {
+    return [
+        `📊 Resumo de ${monthLabel}`,
+        `💰 Receitas: ${formatCurrency(totals.income)}`,
+        `💸 Despesas: ${formatCurrency(totals.expenses)}`,
+        `🏧 Débito: ${formatCurrency(totals.debit)}`,
+        `💳 Crédito: ${formatCurrency(totals.credit)}`,
+        `📈 Investimentos: ${formatCurrency(totals.investments)}`,
+        `🐷 Guardei: ${formatCurrency(totals.saved)}`
+    ].join('\n');
+}
+
+function runSpent(expenses, term, month, year, monthLabel) {
+    // Parcelas contam no mês de cada parcela, como no resumo
+    const monthExpenses = expandInstallments(expenses).filter(item => isInMonth(item, month, year) && item.category !== 'investimentos');
+
+    if (!term) {
+        const total = monthExpenses.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+        return `💸 Você gastou ${formatCurrency(total)} em ${monthLabel}.`;
+    }
+
+    const matches = monthExpenses.filter(item =>
+        normalizeText(item.category).includes(term) || normalizeText(item.description).includes(term)
+    );
+
+    if (matches.length === 0) {
+        return `🔎 Nenhum gasto com "${term}" em ${monthLabel}.`;
+    }
+
+    const total = matches.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+    return `🔎 Você gastou ${formatCurrency(total)} com "${term}" em ${monthLabel} (${matches.length} ${matches.length === 1 ? 'lançamento' : 'lançamentos'}).`;
+}
+
+function runLast(expenses, incomes, count) {
+    const all = [
+        ...expenses.map(item => ({ ...item, _type: 'expense' })),
+        ...incomes.map(item => ({ ...item, _type: 'income' }))
+    ].filter(item => item.date).sort(sortByMostRecent).slice(0, count);
+
+    if (all.length === 0) {
+        return '📭 Nenhuma transação registrada ainda.';
+    }
+
+    const lines = all.map(item =>
+        `${item._type === 'income' ? '🟢' : '🔴'} ${formatShortDate(item.date)} ${item.description} - ${formatCurrency(item.amount)}`
+    );
+
+    return [`🧾 Últimas ${all.length} transações:`, ...lines].join('\n');
+}
+
+function findLastWhatsAppEntry(expenses, incomes) {
+    const candidates = [
+        ...expenses.filter(item => item.source === 'WHATSAPP').map(item => ({ item, type: 'expense' })),
+        ...incomes.filter(item => item.source === 'WHATSAPP').map(item => ({ item, type: 'income' }))
+    ];
+
+    candidates.sort((a, b) => String(b.item.createdAt || '').localeCompare(String(a.item.createdAt || '')));
+    return candidates[0] || null;
+}
+
+function runHelp() {
+    return [
+        '🤖 Comandos disponíveis:',
+        '- "saldo": quanto sobrou no mês',
+        '- "resumo do mês": receitas, despesas, débito, crédito e investimentos',
+        '- "quanto gastei com mercado": total gasto em uma categoria ou descrição',
+        '- Para outro mês, termine com o nome dele: "resumo de março"',
+        '- "últimos 5": suas últimas transações',
+        '- "desfazer": apaga a última entrada enviada por aqui',
+        'Para registrar, envie por exemplo: "Gastei 50 no almoço".'
+    ].join('\n');
+}
+
+/**
+ * Executa um comando sobre os dados do usuário
+ * @param {{name: string, args: Object}} command Retorno de parseCommand
+ * @param {{expenses: Array, incomes: Array}} data Transações do usuário
+ * @param {Date} [now]
+ * @returns {{reply: string, remove?: {type: 'expense'|'income', id: string}}}
+ *          remove indica a transação que o chamador deve apagar (comando "desfazer")
+ */
+export function executeCommand(command, data, now = new Date()) {
+    const expenses = Array.isArray(data.expenses) ? data.expenses : [];
+    const incomes = Array.isArray(data.incomes) ? data.incomes : [];
+    const { year, month } = resolveMonth(command.args?.month, getBrazilDate(now));
+    const monthLabel = `${MONTH_NAMES[month - 1]}/${year}`;
+
+    switch (command.name) {
+        case 'balance':
+            return { reply: runBalance(calculateMonthlyTotals(expenses, incomes, month, year), monthLabel) };
+
+        case 'summary':
+            return { reply: runSummary(calculateMonthlyTotals(expenses, incomes, month, year), monthLabel) };
+
+        case 'spent':
+            return { reply: runSpent(expenses, command.args.term, month, year, monthLabel) };
+
+        case 'last':
+            return { reply: runLast(expenses, incomes, command.args.count) };
+
+        case 'undo': {
+            const last = findLastWhatsAppEntry(expenses, incomes);
+            if (!last) {
+                return { reply: '↩️ Não há nenhuma entrada enviada pelo WhatsApp para desfazer.' };
+            }
+            return {
+                reply: `↩️ ${last.type === 'income' ? 'Receita' : 'Despesa'} removida: ${last.item.description} - ${formatCurrency(last.item.amount)}`,
+                remove: { type: last.type, id: last.item.id }
+            };
+        }
+
+        case 'help':
+        default:
+            return { reply: runHelp() };
+    }
+}
@@ -6,9 +6,54 @@
  * - "Gastei 50 no almoço com nubank" -> { type: 'expense', amount: 50, description: 'almoço', source: 'nubank' }
  * - "Entrou 1000 de salario no itau" -> { type: 'income', amount: 1000, description: 'salario', source: 'itau' }
  * - "50 almoço" -> { type: 'expense', amount: 50, description: 'almoço', source: null }
+ * - "R$ 1.234,56 aluguel ontem" -> { amount: 1234.56, date: (ontem) }
+ * - "cinquenta conto de gasolina dia 12" -> { amount: 50, date: (dia 12) }
+ * - "tênis 300 em 3x no nubank" -> { paymentMethod: 'credito_parcelado', installments: 3, source: 'nubank' }
+ * - "mercado 80 no pix" -> { paymentMethod: 'pix', installments: 1 }
+ * - "uber 23,90" -> { category: 'Transporte' } (via categoryInference.js)
+ *
+ * Valores, datas e formas de pagamento são interpretados por lib/amount-parser.js,
+ * lib/date-parser.js e lib/payment-parser.js.
  */
 
-export function parseMessage(message) {
+import { extractAmount } from './amount-parser.js';
+import { extractDate, getTodayISODate } from './date-parser.js';
+import { extractPayment } from './payment-parser.js';
+import { inferCategory } from '../categoryInference.js';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Procura o nome de um dos cartões do usuário, com a preposição que o antecede ("com nubank")
+function findCardMention(text, cardNames) {
+    const sorted = [...cardNames].filter(Boolean).sort((a, b) => b.length - a.length);
+    for (const name of sorted) {
+        const regex = new RegExp(
+            `(?<![\\p{L}\\d])(?:(?:no|na|pelo|pela|via|com|do|da|cart[ãa]o)\\s+)*${escapeRegExp(name.toLowerCase())}(?![\\p{L}\\d])`,
+            'u'
+        );
+        const match = text.match(regex);
+        if (match) return { name, match };
+    }
+    return null;
+}
+
+// Substitui um trecho por espaços, preservando as posições do restante do texto
+function maskRange(text, index, length) {
+    return text.slice(0, index) + ' '.repeat(length) + text.slice(index + length);
+}
+
+/**
+ * @param {string} message Texto recebido
+ * @param {Date} [now] Momento de referência para datas relativas
+ * @param {Object} [options]
+ * @param {string[]} [options.cardNames] Nomes dos cartões do usuário; quando informados,
+ *        a origem só é reconhecida se corresponder a um deles
+ * @param {Object} [options.categoryContext] Retorno de buildCategoryContext, para que a
+ *        categoria considere as categorias e o histórico do usuário
+ */
+export function parseMessage(message, now = new Date(), options = {}) {
     if (!message || typeof message !== 'string') {
         return null;
     }
@@ -26,48 +71,75 @@ export function parseMessage(message) {
         type = 'income';
     }
 
-    // 2. Extract Amount
-    // Matches: R$ 50,00 | 50.00 | 50
-    const amountMatch = lowerMsg.match(/r?\$?\s?(\d+([.,]\d{1,2})?)/);
-    if (amountMatch) {
-        // Normalize 50,00 to 50.00
-        let amountStr = amountMatch[1].replace(',', '.');
-        amount = parseFloat(amountStr);
-    } else {
-        return { error: 'Valor não encontrado' };
+    // 2. Extract Date ("ontem", "sexta passada", "dia 12"...)
+    // A data é extraída antes do valor para que "dia 12" não seja lido como R$ 12
+    let cleanMsg = lowerMsg;
+    const dateMatch = extractDate(cleanMsg, now);
+    if (dateMatch) {
+        cleanMsg = maskRange(cleanMsg, dateMatch.index, dateMatch.length);
     }
 
-    // 3. Extract Source (Card/Bank)
-    // Keywords: "no", "na", "pelo", "pela", "via", "com" followed by word
-    // Example: "no nubank", "via pix"
-    const sourceMatch = lowerMsg.match(/\b(no|na|pelo|pela|via|com|cart[ãa]o)\s+([\w\d]+)/);
-    if (sourceMatch) {
-        source = sourceMatch[2]; // The word after the preposition
+    // 3. Extract Payment Method and Installments ("em 3x", "no pix", "no débito")
+    const payment = extractPayment(cleanMsg);
+    if (payment) {
+        payment.matches.forEach(m => {
+            cleanMsg = maskRange(cleanMsg, m.index, m.length);
+        });
     }
 
-    // 4. Extract Description
-    // Remove detected parts to leave the description
-    let cleanMsg = lowerMsg;
-    
-    // Remove amount (original match)
+    // 4. Extract Amount
+    // Matches: R$ 1.234,56 | 50.00 | 50 | 2k | 50 conto | cinquenta reais
+    const amountMatch = extractAmount(cleanMsg);
     if (amountMatch) {
-        cleanMsg = cleanMsg.replace(amountMatch[0], '');
+        amount = amountMatch.value;
+        cleanMsg = maskRange(cleanMsg, amountMatch.index, amountMatch.length);
+    } else {
+        return { error: 'Valor não encontrado' };
     }
 
-    // Remove source pattern
-    if (sourceMatch) {
-        cleanMsg = cleanMsg.replace(sourceMatch[0], '');
+    // 5. Extract Source (Card/Bank)
+    if (Array.isArray(options.cardNames)) {
+        // Com a lista de cartões, só aceitamos nomes conhecidos ("no mercado" continua na descrição)
+        const cardMention = findCardMention(cleanMsg, options.cardNames);
+        if (cardMention) {
+            source = cardMention.name;
+            cleanMsg = maskRange(cleanMsg, cardMention.match.index, cardMention.match[0].length);
+        }
+    } else {
+        // Keywords: "no", "na", "pelo", "pela", "via", "com" followed by word
+        // Example: "no nubank", "com itau"
+        const sourceMatch = cleanMsg.match(/(?<![\p{L}\d])(no|na|pelo|pela|via|com|cart[ãa]o)\s+([\p{L}\d]+)/u);
+        if (sourceMatch) {
+            source = sourceMatch[2]; // The word after the preposition
+            cleanMsg = cleanMsg.replace(sourceMatch[0], '');
+        }
     }
 
+    // 6. Extract Description
+    // Saudação no início ("oi, gastei 30 no mercado"), mas não nomes como "Oi Fibra"
+    cleanMsg = cleanMsg.replace(
+        /^\s*(?:oi|ol[aá]|opa|e a[ií]|bom dia|boa tarde|boa noite)(?:\s*[,!.]+|(?=\s+(?:gastei|paguei|comprei|recebi|ganhei)(?![\p{L}\d])))/u,
+        ''
+    );
+
     // Remove common verbs/filler words
-    const fillers = ['gastei', 'compra', 'de', 'foi', 'recebi', 'ganhei', 'entrou', 'deposito', 'r$'];
+    const fillers = ['gastei', 'compra', 'de', 'foi', 'recebi', 'ganhei', 'entrou', 'deposito', 'r\\$'];
     fillers.forEach(word => {
-        cleanMsg = cleanMsg.replace(new RegExp(`\\b${word}\\b`, 'g'), '');
+        cleanMsg = cleanMsg.replace(new RegExp(`(?<![\\p{L}\\d])${word}(?![\\p{L}\\d])`, 'gu'), '');
     });
 
     // Clean up extra spaces and punctuation
-    description = cleanMsg.replace(/[.,\-]/g, ' ').trim();
+    description = cleanMsg.replace(/[.,\-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    // Preposições que sobraram no início ("no mercado" -> "mercado")
+    description = description.replace(/^(?:(?:no|na|em|com|pro|pra|para|o|a)\s+)+/u, '').trim();
     
+    // Sem a lista de cartões, a palavra depois da preposição pode ser o lugar ("no mercado"),
+    // então ela também conta para a categoria
+    const categoryText = Array.isArray(options.cardNames) || !source
+        ? description
+        : `${description} ${source}`.trim();
+
     // Capitalize first letter of description
     if (description.length > 0) {
         description = description.charAt(0).toUpperCase() + description.slice(1);
@@ -79,8 +151,11 @@ export function parseMessage(message) {
         type,
         amount,
         description,
+        category: inferCategory(categoryText || description, type, options.categoryContext),
         source,
+        paymentMethod: payment ? payment.paymentMethod : null,
+        installments: payment && payment.installments ? payment.installments : 1,
         raw: message,
-        date: new Date().toISOString()
+        date: dateMatch ? dateMatch.date : getTodayISODate(now)
     };
 }
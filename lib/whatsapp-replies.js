@@ -0,0 +1,80 @@
+/**
+ * WhatsApp Reply Messages
+ * Monta os textos de resposta enviados após o processamento de uma mensagem.
+ */
+
+const PAYMENT_METHOD_LABELS = {
+    'dinheiro': 'Dinheiro',
+    'pix': 'PIX',
+    'debito': 'Débito',
+    'credito_vista': 'Crédito à Vista',
+    'credito_parcelado': 'Crédito Parcelado'
+};
+
+export function formatCurrency(value) {
+    return Number(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+function formatDate(isoDate) {
+    const [y, m, d] = String(isoDate).split('T')[0].split('-');
+    return `${d}/${m}/${y}`;
+}
+
+/**
+ * Confirmação de uma transação registrada
+ * @param {Object} transaction Transação salva (formato de buildTransaction)
+ * @param {'expense'|'income'} type
+ * @returns {string}
+ */
+export function buildConfirmationReply(transaction, type) {
+    const isIncome = type === 'income';
+    const lines = [
+        isIncome ? '✅ Receita registrada!' : '✅ Despesa registrada!',
+        `${isIncome ? '💰' : '💸'} ${formatCurrency(transaction.amount)} - ${transaction.description}`,
+        `🏷️ Categoria: ${transaction.category || 'Outros'}`,
+        `📅 Data: ${formatDate(transaction.date)}`
+    ];
+
+    if (!isIncome) {
+        let payment = PAYMENT_METHOD_LABELS[transaction.paymentMethod] || transaction.paymentMethod || 'Dinheiro';
+        if (transaction.selectedCard) payment += ` - Cartão: ${transaction.selectedCard}`;
+        if (transaction.installments > 1) payment += ` (${transaction.installments}x)`;
+        lines.push(`💳 Pagamento: ${payment}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Resposta para mensagens em que não foi possível identificar o valor
+ * @param {string} [reason] Erro retornado por parseMessage
+ * @returns {string}
+ */
+export function buildParseErrorReply(reason) {
+    return [
+        `🤔 Não entendi sua mensagem${reason ? ` (${reason.toLowerCase()})` : ''}.`,
+        'Informe o valor e uma descrição, por exemplo:',
+        '- "Gastei 50 no almoço com nubank"',
+        '- "Recebi 1000 de salário"',
+        '- "15.50 uber"'
+    ].join('\n');
+}
+
+/**
+ * Resposta para números que ainda não foram vinculados a uma conta
+ * @returns {string}
+ */
+export function buildUnlinkedPhoneReply() {
+    return [
+        '👋 Este número ainda não está vinculado a nenhuma conta do Organizador de Gastos.',
+        'Acesse Configurações > Integração WhatsApp no app e cadastre seu número com DDD para começar a registrar gastos por aqui.'
+    ].join('\n');
+}
+
+/**
+ * Resposta para tipos de mensagem que não são texto (áudio, imagem...)
+ * @returns {string}
+ */
+export function buildUnsupportedTypeReply() {
+    return '📝 Por enquanto só consigo entender mensagens de texto. Envie, por exemplo: "Gastei 50 no almoço".';
+}
@@ -0,0 +1,209 @@
+import db from './db.js';
+import { lockAccount, loadRecords, saveRecords } from './sync-store.js';
+import { createTombstone } from '../syncMerge.js';
+
+/**
+ * Persistência das transações recebidas via WhatsApp
+ * Localiza o usuário pelo telefone vinculado em /api/settings e grava
+ * a mensagem interpretada como uma linha em transactions (ver lib/sync-store.js).
+ */
+
+/**
+ * Gera as variações aceitas de um número brasileiro.
+ * O WhatsApp às vezes envia números de celular sem o nono dígito
+ * (ex: 551199999999 em vez de 5511999999999), então tentamos ambos.
+ * @param {string} phone
+ * @returns {string[]}
+ */
+export function getPhoneVariants(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (!digits) return [];
+
+    const variants = new Set([digits]);
+
+    if (digits.startsWith('55')) {
+        const local = digits.slice(4);
+        const ddd = digits.slice(2, 4);
+        if (local.length === 8) {
+            variants.add(`55${ddd}9${local}`);
+        } else if (local.length === 9 && local.startsWith('9')) {
+            variants.add(`55${ddd}${local.slice(1)}`);
+        }
+        // Usuário pode ter salvo o número sem o código do país
+        Array.from(variants).forEach(v => variants.add(v.slice(2)));
+    }
+
+    return Array.from(variants);
+}
+
+/**
+ * Busca o usuário vinculado ao telefone remetente
+ * @param {string} phone Número no formato enviado pelo WhatsApp
+ * @returns {Promise<{user_id: string, cards: Array, expense_categories: Array, income_categories: Array, category_rules: Array}|null>}
+ */
+export async function findUserByPhone(phone) {
+    const variants = getPhoneVariants(phone);
+    if (variants.length === 0) return null;
+
+    const { rows } = await db.query(
+        'SELECT user_id, category_rules FROM accounts WHERE phone = ANY($1::text[]) LIMIT 1',
+        [variants]
+    );
+    if (rows.length === 0) return null;
+
+    const userId = rows[0].user_id;
+    const [cards, expenseCategories, incomeCategories] = await Promise.all(
+        ['cards', 'expenseCategories', 'incomeCategories'].map(collection =>
+            loadRecords(db, userId, collection, { includeDeleted: false }))
+    );
+
+    return {
+        user_id: userId,
+        cards: cards.map(row => row.record),
+        expense_categories: expenseCategories.map(row => row.record),
+        income_categories: incomeCategories.map(row => row.record),
+        category_rules: rows[0].category_rules || []
+    };
+}
+
+function normalizeName(str) {
+    return String(str || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim();
+}
+
+/**
+ * Encontra o cartão cadastrado cujo nome corresponde à origem citada na mensagem.
+ * Se a origem extraída não for um cartão (ex: "no almoço"), procura o nome
+ * de algum cartão no texto original da mensagem.
+ * @param {string|null} source Palavra extraída pelo parser (ex: 'nubank')
+ * @param {Array} cards Cartões do usuário
+ * @param {string} [rawMessage] Texto original da mensagem
+ * @returns {Object|null}
+ */
+export function matchCard(source, cards, rawMessage = '') {
+    if (!Array.isArray(cards) || cards.length === 0) return null;
+
+    const target = normalizeName(source);
+    if (target) {
+        const match = cards.find(card => normalizeName(card.name) === target) ||
+            cards.find(card => normalizeName(card.name).split(/\s+/).includes(target));
+        if (match) return match;
+    }
+
+    const words = normalizeName(rawMessage).split(/[^a-z0-9]+/);
+    return cards.find(card => {
+        const name = normalizeName(card.name);
+        return name && words.includes(name);
+    }) || null;
+}
+
+/**
+ * Converte o resultado de parseMessage no mesmo formato salvo pelos formulários
+ * @param {Object} parsed Retorno de parseMessage
+ * @param {Array} cards Cartões do usuário
+ * @param {string} messageId ID da mensagem no WhatsApp (garante idempotência)
+ * @returns {Object}
+ */
+export function buildTransaction(parsed, cards, messageId) {
+    const card = matchCard(parsed.source, cards, parsed.raw);
+    const now = new Date().toISOString();
+
+    const transaction = {
+        id: messageId ? `wa_${messageId}` : Date.now().toString(36) + Math.random().toString(36).substr(2),
+        description: parsed.description,
+        amount: parsed.amount,
+        category: parsed.category || 'Outros',
+        date: parsed.date.split('T')[0],
+        isFixed: false,
+        source: 'WHATSAPP',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    if (parsed.type === 'expense') {
+        // Forma de pagamento citada na mensagem; sem ela, inferimos pelo tipo do cartão
+        let paymentMethod = parsed.paymentMethod;
+        if (!paymentMethod) {
+            paymentMethod = card ? (card.type === 'debito' ? 'debito' : 'credito_vista') : 'dinheiro';
+        }
+
+        const usesCreditCard = paymentMethod === 'credito_vista' || paymentMethod === 'credito_parcelado';
+        let selectedCard = usesCreditCard && card ? card.name : null;
+
+        // "em 3x" sem citar o cartão: se houver apenas um cartão de crédito, ele é o escolhido
+        if (usesCreditCard && !selectedCard && Array.isArray(cards)) {
+            const creditCards = cards.filter(c => c.type === 'credito' || c.type === 'multiplo');
+            if (creditCards.length === 1) selectedCard = creditCards[0].name;
+        }
+
+        transaction.paymentMethod = paymentMethod;
+        transaction.selectedCard = selectedCard;
+        transaction.installments = paymentMethod === 'credito_parcelado' ? (parsed.installments || 1) : 1;
+        transaction.isRecurring = false;
+        transaction.status = 'pago';
+    }
+
+    return transaction;
+}
+
+/**
+ * Grava a transação como uma nova linha em transactions.
+ * A conta fica travada durante a gravação, então mensagens simultâneas e a sincronização
+ * dos aparelhos não se sobrescrevem, e reenvios do mesmo webhook (mesmo ID) são ignorados.
+ * A nova versão do registro faz a transação chegar aos aparelhos na próxima sincronização.
+ * @param {string} userId
+ * @param {'expense'|'income'} type
+ * @param {Object} transaction
+ * @returns {Promise<boolean>} true se a transação foi gravada
+ */
+export async function recordTransaction(userId, type, transaction) {
+    const collection = type === 'income' ? 'incomes' : 'expenses';
+
+    return db.transaction(async (client) => {
+        const account = await lockAccount(client, userId);
+        const existing = await loadRecords(client, userId, collection, { ids: [transaction.id] });
+        if (existing.length > 0) return false;
+
+        await saveRecords(client, userId, Number(account.sync_version || 0), { [collection]: [transaction] });
+        return true;
+    });
+}
+
+/**
+ * Carrega as transações do usuário (usado pelos comandos de consulta)
+ * @param {string} userId
+ * @returns {Promise<{expenses: Array, incomes: Array}>}
+ */
+export async function getUserTransactions(userId) {
+    const [expenses, incomes] = await Promise.all(['expenses', 'incomes'].map(collection =>
+        loadRecords(db, userId, collection, { includeDeleted: false })));
+
+    return {
+        expenses: expenses.map(row => row.record),
+        incomes: incomes.map(row => row.record)
+    };
+}
+
+/**
+ * Remove uma transação pelo ID, trocando o registro por uma lápide
+ * A lápide leva a exclusão aos aparelhos (ver lib/sync-store.js).
+ * @param {string} userId
+ * @param {'expense'|'income'} type
+ * @param {string} transactionId
+ * @returns {Promise<boolean>} true se algo foi removido
+ */
+export async function removeTransaction(userId, type, transactionId) {
+    const collection = type === 'income' ? 'incomes' : 'expenses';
+
+    return db.transaction(async (client) => {
+        const account = await lockAccount(client, userId);
+        const existing = await loadRecords(client, userId, collection, { ids: [transactionId], includeDeleted: false });
+        if (existing.length === 0) return false;
+
+        await saveRecords(client, userId, Number(account.sync_version || 0), { [collection]: [createTombstone(transactionId)] });
+        return true;
+    });
+}
@@ -0,0 +1,7 @@
+-- user_data já existia antes das migrações versionadas (schema.sql) e guarda os dados de todos os usuários:
+-- nem a tabela nem as colunas acrescentadas em 001 são apagadas
+DO $$
+BEGIN
+  RAISE EXCEPTION '001_user_data não pode ser desfeita: apagaria user_data, que existia antes das migrações';
+END
+$$;
@@ -0,0 +1,23 @@
+-- Formato original: uma linha por usuário com um JSONB por coleção
+-- Em bancos criados antes das migrações versionadas (schema.sql e o antigo migrate-db.js), só acrescenta o que faltar
+CREATE TABLE IF NOT EXISTS user_data (
+  user_id TEXT PRIMARY KEY, -- ID do usuário Clerk
+  expenses JSONB DEFAULT '[]'::jsonb,
+  incomes JSONB DEFAULT '[]'::jsonb,
+  cards JSONB DEFAULT '[]'::jsonb,
+  expense_categories JSONB DEFAULT '[]'::jsonb,
+  income_categories JSONB DEFAULT '[]'::jsonb,
+  achievements JSONB DEFAULT '[]'::jsonb,
+  monthly_goal NUMERIC DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE user_data
+ADD COLUMN IF NOT EXISTS phone TEXT,
+ADD COLUMN IF NOT EXISTS category_rules JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS sync_tombstones JSONB DEFAULT '{}'::jsonb, -- Registros excluídos, por coleção ({id, deleted, updatedAt})
+ADD COLUMN IF NOT EXISTS sync_version BIGINT DEFAULT 0,
+ADD COLUMN IF NOT EXISTS sync_versions JSONB DEFAULT '{}'::jsonb; -- Versão em que cada registro mudou ({coleção: {id: versão}})
+
+CREATE INDEX IF NOT EXISTS idx_user_data_phone ON user_data(phone);
@@ -0,0 +1,15 @@
+-- Só apaga as tabelas vazias: desfazer 003_copy_user_data devolve os dados para user_data e as esvazia
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM accounts) OR EXISTS (SELECT 1 FROM transactions)
+     OR EXISTS (SELECT 1 FROM cards) OR EXISTS (SELECT 1 FROM categories) OR EXISTS (SELECT 1 FROM budgets) THEN
+    RAISE EXCEPTION 'As tabelas relacionais ainda têm dados; desfaça 003_copy_user_data antes para copiá-los de volta para user_data';
+  END IF;
+END
+$$;
+
+DROP TABLE IF EXISTS budgets;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS cards;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS accounts;
@@ -0,0 +1,81 @@
+-- Tabelas relacionais (lib/sync-store.js); 003_copy_user_data copia os dados de user_data
+
+-- Conta do usuário: telefone vinculado, configurações e o cursor da sincronização
+CREATE TABLE IF NOT EXISTS accounts (
+  user_id TEXT PRIMARY KEY, -- ID do usuário Clerk
+  phone TEXT, -- Telefone vinculado ao WhatsApp (api/settings.js)
+  category_rules JSONB DEFAULT '[]'::jsonb, -- Regras de categorização automática (categoryRules.js)
+  tags JSONB DEFAULT '[]'::jsonb, -- Tags cadastradas (tags.js); as transações guardam os nomes
+  achievements JSONB DEFAULT '[]'::jsonb,
+  sync_version BIGINT NOT NULL DEFAULT 0, -- Contador de gravações; é o cursor devolvido aos aparelhos (lib/sync-store.js)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounts_phone ON accounts(phone);
+
+-- Despesas e receitas, uma linha por registro
+-- data guarda o registro como o app sincroniza (ou a lápide {id, deleted, updatedAt}; ver syncMerge.js);
+-- as demais colunas são cópias para consulta no servidor
+CREATE TABLE IF NOT EXISTS transactions (
+  user_id TEXT NOT NULL REFERENCES accounts(user_id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('expense', 'income')),
+  id TEXT NOT NULL,
+  description TEXT,
+  amount NUMERIC,
+  category TEXT,
+  date DATE,
+  payment_method TEXT,
+  card_name TEXT, -- selectedCard das despesas no cartão
+  source TEXT, -- Origem (ex.: WHATSAPP)
+  data JSONB NOT NULL,
+  deleted BOOLEAN NOT NULL DEFAULT false,
+  version BIGINT NOT NULL DEFAULT 0, -- sync_version da conta quando o registro mudou
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, type, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions(user_id, date);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_category ON transactions(user_id, category);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_version ON transactions(user_id, version);
+
+CREATE TABLE IF NOT EXISTS cards (
+  user_id TEXT NOT NULL REFERENCES accounts(user_id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  name TEXT,
+  card_type TEXT, -- credito, debito ou multiplo
+  data JSONB NOT NULL,
+  deleted BOOLEAN NOT NULL DEFAULT false,
+  version BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cards_user_version ON cards(user_id, version);
+
+CREATE TABLE IF NOT EXISTS categories (
+  user_id TEXT NOT NULL REFERENCES accounts(user_id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('expense', 'income')),
+  id TEXT NOT NULL, -- category:<nome sem acentos> (ver normalizeRecord)
+  name TEXT,
+  data JSONB NOT NULL,
+  deleted BOOLEAN NOT NULL DEFAULT false,
+  version BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, type, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_user_version ON categories(user_id, version);
+
+-- Metas de gasto; a meta mensal geral do app é a linha 'monthly-goal', sem categoria
+CREATE TABLE IF NOT EXISTS budgets (
+  user_id TEXT NOT NULL REFERENCES accounts(user_id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  category TEXT, -- NULL vale para todas as categorias
+  period TEXT NOT NULL DEFAULT 'monthly',
+  amount NUMERIC NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_user_category ON budgets(user_id, category);
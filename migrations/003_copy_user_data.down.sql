@@ -0,0 +1,70 @@
+-- Devolve os dados das tabelas relacionais para user_data e esvazia as tabelas
+-- Depois disso 002_relational_tables pode ser desfeita sem perder nada, e aplicar 003 de novo
+-- copia tudo a partir de user_data (sem somar as versões outra vez).
+-- A ordem original dos arrays não é guardada nas tabelas: os registros voltam por versão.
+
+-- Só a meta mensal geral tem lugar em user_data
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM budgets WHERE id <> 'monthly-goal') THEN
+    RAISE EXCEPTION 'budgets tem metas que user_data não comporta; desfazer 003_copy_user_data apagaria essas metas';
+  END IF;
+END
+$$;
+
+INSERT INTO user_data (
+  user_id, expenses, incomes, cards, expense_categories, income_categories, achievements, monthly_goal,
+  phone, category_rules, tags, sync_tombstones, sync_version, sync_versions, updated_at
+)
+SELECT a.user_id,
+  (SELECT COALESCE(jsonb_agg(t.data ORDER BY t.version, t.id), '[]'::jsonb)
+     FROM transactions t WHERE t.user_id = a.user_id AND t.type = 'expense' AND NOT t.deleted),
+  (SELECT COALESCE(jsonb_agg(t.data ORDER BY t.version, t.id), '[]'::jsonb)
+     FROM transactions t WHERE t.user_id = a.user_id AND t.type = 'income' AND NOT t.deleted),
+  (SELECT COALESCE(jsonb_agg(c.data ORDER BY c.version, c.id), '[]'::jsonb)
+     FROM cards c WHERE c.user_id = a.user_id AND NOT c.deleted),
+  (SELECT COALESCE(jsonb_agg(c.data ORDER BY c.version, c.id), '[]'::jsonb)
+     FROM categories c WHERE c.user_id = a.user_id AND c.type = 'expense' AND NOT c.deleted),
+  (SELECT COALESCE(jsonb_agg(c.data ORDER BY c.version, c.id), '[]'::jsonb)
+     FROM categories c WHERE c.user_id = a.user_id AND c.type = 'income' AND NOT c.deleted),
+  a.achievements,
+  COALESCE((SELECT b.amount FROM budgets b WHERE b.user_id = a.user_id AND b.id = 'monthly-goal'), 0),
+  a.phone,
+  a.category_rules,
+  a.tags,
+  -- Lápides por coleção; coleções sem lápide ficam de fora (jsonb_strip_nulls)
+  jsonb_strip_nulls(jsonb_build_object(
+    'expenses', (SELECT jsonb_agg(t.data) FROM transactions t WHERE t.user_id = a.user_id AND t.type = 'expense' AND t.deleted),
+    'incomes', (SELECT jsonb_agg(t.data) FROM transactions t WHERE t.user_id = a.user_id AND t.type = 'income' AND t.deleted),
+    'cards', (SELECT jsonb_agg(c.data) FROM cards c WHERE c.user_id = a.user_id AND c.deleted),
+    'expenseCategories', (SELECT jsonb_agg(c.data) FROM categories c WHERE c.user_id = a.user_id AND c.type = 'expense' AND c.deleted),
+    'incomeCategories', (SELECT jsonb_agg(c.data) FROM categories c WHERE c.user_id = a.user_id AND c.type = 'income' AND c.deleted)
+  )),
+  a.sync_version,
+  jsonb_build_object(
+    'expenses', (SELECT COALESCE(jsonb_object_agg(t.id, t.version), '{}'::jsonb) FROM transactions t WHERE t.user_id = a.user_id AND t.type = 'expense'),
+    'incomes', (SELECT COALESCE(jsonb_object_agg(t.id, t.version), '{}'::jsonb) FROM transactions t WHERE t.user_id = a.user_id AND t.type = 'income'),
+    'cards', (SELECT COALESCE(jsonb_object_agg(c.id, c.version), '{}'::jsonb) FROM cards c WHERE c.user_id = a.user_id),
+    'expenseCategories', (SELECT COALESCE(jsonb_object_agg(c.id, c.version), '{}'::jsonb) FROM categories c WHERE c.user_id = a.user_id AND c.type = 'expense'),
+    'incomeCategories', (SELECT COALESCE(jsonb_object_agg(c.id, c.version), '{}'::jsonb) FROM categories c WHERE c.user_id = a.user_id AND c.type = 'income')
+  ),
+  COALESCE(a.updated_at, NOW())
+FROM accounts a
+ON CONFLICT (user_id) DO UPDATE SET
+  expenses = EXCLUDED.expenses,
+  incomes = EXCLUDED.incomes,
+  cards = EXCLUDED.cards,
+  expense_categories = EXCLUDED.expense_categories,
+  income_categories = EXCLUDED.income_categories,
+  achievements = EXCLUDED.achievements,
+  monthly_goal = EXCLUDED.monthly_goal,
+  phone = EXCLUDED.phone,
+  category_rules = EXCLUDED.category_rules,
+  tags = EXCLUDED.tags,
+  sync_tombstones = EXCLUDED.sync_tombstones,
+  sync_version = EXCLUDED.sync_version,
+  sync_versions = EXCLUDED.sync_versions,
+  updated_at = EXCLUDED.updated_at;
+
+-- transactions, cards, categories e budgets saem junto (ON DELETE CASCADE)
+DELETE FROM accounts;
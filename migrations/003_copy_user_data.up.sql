@@ -0,0 +1,148 @@
+-- Copia os dados de user_data (um JSONB por coleção) para as tabelas relacionais
+-- Roda dentro de db:migrate, então a API (assertSchemaUpToDate) só volta a atender com os dados já copiados.
+-- Segue as regras de normalizeRecord (syncMerge.js): categorias em texto viram {name, id: 'category:<slug>'},
+-- cartões sem id ganham 'card:<slug>' e as demais coleções, um id novo. Cada registro mantém a versão de
+-- sync_versions e a conta mantém o sync_version, então os cursores dos aparelhos continuam valendo.
+-- Registros que já existirem nas tabelas prevalecem (ON CONFLICT DO NOTHING); user_data não é alterada.
+
+-- Mesmo slug de syncMerge.js: minúsculas, sem acentos, o resto vira '-'
+CREATE FUNCTION pg_temp.legacy_slug(value TEXT) RETURNS TEXT AS $$
+  SELECT trim(both '-' from regexp_replace(
+    regexp_replace(normalize(lower(COALESCE(value, '')), NFD), '[\u0300-\u036f]', '', 'g'),
+    '[^a-z0-9]+', '-', 'g'
+  ))
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Datas inválidas (ex.: 2026-02-30) ficam sem a coluna date, como em lib/sync-store.js
+CREATE FUNCTION pg_temp.legacy_date(value TEXT) RETURNS DATE AS $$
+BEGIN
+  RETURN substring(value from '^\d{4}-\d{2}-\d{2}')::date;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Registros e lápides de cada usuário, na ordem dos arrays (kind 0: registro, 1: lápide)
+CREATE TEMP TABLE legacy_items ON COMMIT DROP AS
+SELECT u.user_id, c.collection, e.item, 0 AS kind, e.position, u.sync_versions -> c.collection AS versions
+FROM user_data u
+CROSS JOIN LATERAL jsonb_each(jsonb_build_object(
+  'expenses', u.expenses,
+  'incomes', u.incomes,
+  'cards', u.cards,
+  'expenseCategories', u.expense_categories,
+  'incomeCategories', u.income_categories
+)) AS c(collection, items)
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(c.items) = 'array' THEN c.items ELSE '[]'::jsonb END
+) WITH ORDINALITY AS e(item, position)
+UNION ALL
+SELECT u.user_id, c.collection, e.item, 1 AS kind, e.position, u.sync_versions -> c.collection
+FROM user_data u
+CROSS JOIN LATERAL jsonb_each(COALESCE(u.sync_tombstones, '{}'::jsonb)) AS c(collection, items)
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(c.items) = 'array' THEN c.items ELSE '[]'::jsonb END
+) WITH ORDINALITY AS e(item, position)
+WHERE c.collection IN ('expenses', 'incomes', 'cards', 'expenseCategories', 'incomeCategories')
+  AND jsonb_typeof(e.item) = 'object'
+  AND COALESCE(e.item ->> 'id', '') <> '';
+
+CREATE TEMP TABLE legacy_records ON COMMIT DROP AS
+SELECT user_id, collection, record ->> 'id' AS id, record,
+       COALESCE(record ->> 'deleted', 'false') = 'true' AS deleted,
+       COALESCE((versions ->> (record ->> 'id'))::bigint, 0) AS version,
+       kind, position
+FROM (
+  SELECT user_id, collection, kind, position, versions,
+    CASE
+      WHEN kind = 1 THEN item
+      WHEN collection IN ('expenseCategories', 'incomeCategories') THEN
+        CASE
+          WHEN jsonb_typeof(item) <> 'object' THEN
+            jsonb_build_object('name', item #>> '{}', 'id', 'category:' || pg_temp.legacy_slug(item #>> '{}'))
+          WHEN COALESCE(item ->> 'id', '') <> '' THEN item
+          ELSE item || jsonb_build_object('id', 'category:' || pg_temp.legacy_slug(item ->> 'name'))
+        END
+      WHEN jsonb_typeof(item) <> 'object' THEN NULL
+      WHEN COALESCE(item ->> 'id', '') <> '' THEN item
+      WHEN collection = 'cards' THEN item || jsonb_build_object('id', 'card:' || pg_temp.legacy_slug(item ->> 'name'))
+      ELSE item || jsonb_build_object('id', replace(gen_random_uuid()::text, '-', ''))
+    END AS record
+  FROM legacy_items
+) normalized
+WHERE record IS NOT NULL;
+
+-- Registros gravados pela API entre 002 e esta migração vão para depois das versões antigas,
+-- para que os aparelhos com cursor de user_data ainda os recebam. Reaplicar depois do down não
+-- soma de novo: o down devolve tudo para user_data e esvazia as tabelas.
+UPDATE transactions t SET version = t.version + u.sync_version
+FROM user_data u WHERE u.user_id = t.user_id AND u.sync_version > 0;
+UPDATE cards c SET version = c.version + u.sync_version
+FROM user_data u WHERE u.user_id = c.user_id AND u.sync_version > 0;
+UPDATE categories c SET version = c.version + u.sync_version
+FROM user_data u WHERE u.user_id = c.user_id AND u.sync_version > 0;
+
+INSERT INTO accounts (user_id, phone, category_rules, tags, achievements, sync_version, updated_at)
+SELECT user_id, phone,
+       COALESCE(category_rules, '[]'::jsonb),
+       COALESCE(tags, '[]'::jsonb),
+       COALESCE(achievements, '[]'::jsonb),
+       COALESCE(sync_version, 0),
+       COALESCE(updated_at, NOW())
+FROM user_data
+ON CONFLICT (user_id) DO UPDATE SET
+  phone = COALESCE(accounts.phone, EXCLUDED.phone),
+  category_rules = CASE WHEN accounts.category_rules = '[]'::jsonb THEN EXCLUDED.category_rules ELSE accounts.category_rules END,
+  tags = CASE WHEN accounts.tags = '[]'::jsonb THEN EXCLUDED.tags ELSE accounts.tags END,
+  achievements = CASE WHEN accounts.achievements = '[]'::jsonb THEN EXCLUDED.achievements ELSE accounts.achievements END,
+  sync_version = accounts.sync_version + EXCLUDED.sync_version;
+
+-- Ids repetidos (ex.: a mesma categoria duas vezes, ou um registro e sua lápide) ficam com o primeiro
+INSERT INTO transactions (user_id, type, id, description, amount, category, date, payment_method, card_name, source, data, deleted, version)
+SELECT user_id,
+       CASE collection WHEN 'expenses' THEN 'expense' ELSE 'income' END,
+       id,
+       CASE WHEN NOT deleted THEN record ->> 'description' END,
+       CASE WHEN NOT deleted AND record ->> 'amount' ~ '^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$'
+            THEN (record ->> 'amount')::numeric END,
+       CASE WHEN NOT deleted THEN record ->> 'category' END,
+       CASE WHEN NOT deleted THEN pg_temp.legacy_date(record ->> 'date') END,
+       CASE WHEN NOT deleted THEN record ->> 'paymentMethod' END,
+       CASE WHEN NOT deleted THEN record ->> 'selectedCard' END,
+       CASE WHEN NOT deleted THEN record ->> 'source' END,
+       record, deleted, version
+FROM legacy_records
+WHERE collection IN ('expenses', 'incomes')
+ORDER BY user_id, collection, kind, position
+ON CONFLICT (user_id, type, id) DO NOTHING;
+
+INSERT INTO cards (user_id, id, name, card_type, data, deleted, version)
+SELECT user_id, id,
+       CASE WHEN NOT deleted THEN record ->> 'name' END,
+       CASE WHEN NOT deleted THEN record ->> 'type' END,
+       record, deleted, version
+FROM legacy_records
+WHERE collection = 'cards'
+ORDER BY user_id, kind, position
+ON CONFLICT (user_id, id) DO NOTHING;
+
+INSERT INTO categories (user_id, type, id, name, data, deleted, version)
+SELECT user_id,
+       CASE collection WHEN 'expenseCategories' THEN 'expense' ELSE 'income' END,
+       id,
+       CASE WHEN NOT deleted THEN record ->> 'name' END,
+       record, deleted, version
+FROM legacy_records
+WHERE collection IN ('expenseCategories', 'incomeCategories')
+ORDER BY user_id, collection, kind, position
+ON CONFLICT (user_id, type, id) DO NOTHING;
+
+-- Meta mensal geral (ver MONTHLY_GOAL_BUDGET_ID em lib/sync-store.js)
+INSERT INTO budgets (user_id, id, amount)
+SELECT user_id, 'monthly-goal', monthly_goal
+FROM user_data
+WHERE monthly_goal > 0
+ON CONFLICT (user_id, id) DO NOTHING;
+
+DROP FUNCTION pg_temp.legacy_slug(TEXT);
+DROP FUNCTION pg_temp.legacy_date(TEXT);
@@ -0,0 +1,86 @@
+/**
+ * Cálculo dos Totais Mensais
+ * Fonte única dos valores exibidos nos cards do dashboard (Receitas, Despesas,
+ * Débito, Crédito, Investimentos e Guardei). Sem dependência de DOM, para que
+ * o mesmo cálculo seja usado pelo backend (comandos do WhatsApp).
+ * Compras parceladas contam parcela a parcela, no mês de cada parcela (ver installments.js).
+ */
+
+import { sumCreditByInvoiceMonth, getInvoiceForDate } from './billingCycle.js';
+import { expandInstallments } from './installments.js';
+
+/**
+ * Verifica se uma transação pertence ao mês/ano informado
+ * @param {Object} item - Transação com campo date (YYYY-MM-DD ou ISO)
+ * @param {string|number} month - Mês (1-12)
+ * @param {string|number} year - Ano
+ * @returns {boolean}
+ */
+export function isInMonth(item, month, year) {
+    try {
+        const [y, m] = item.date.split('T')[0].split('-');
+        return parseInt(m) === parseInt(month) && parseInt(y) === parseInt(year);
+    } catch (error) {
+        console.warn('[TOTALS]: Erro ao processar data da transação:', item && item.date, error);
+        return false;
+    }
+}
+
+function sumAmounts(items) {
+    return items.reduce((total, item) => {
+        const value = parseFloat(item.amount);
+        return isNaN(value) ? total : total + value;
+    }, 0);
+}
+
+/**
+ * Calcula os totais de um mês
+ * @param {Array} expensesData - Todas as despesas
+ * @param {Array} incomeData - Todas as receitas
+ * @param {string|number} month - Mês (1-12)
+ * @param {string|number} year - Ano
+ * @param {Object} [options]
+ * @param {'purchase'|'invoice'} [options.creditBy='purchase'] - Crédito pelo mês da compra ou
+ *        pelo mês da fatura (vencimento, ver billingCycle.js)
+ * @param {Array} [options.cards] - Cartões, com os dias de fechamento e vencimento
+ * @returns {{income: number, expenses: number, debit: number, credit: number, futureInstallments: number, investments: number, saved: number, expenseItems: Array}}
+ *          futureInstallments: parcelas já compromissadas nos meses seguintes
+ */
+export function calculateMonthlyTotals(expensesData = [], incomeData = [], month, year, { creditBy = 'purchase', cards = [] } = {}) {
+    const monthIncomes = incomeData.filter(item => isInMonth(item, month, year));
+    const charges = expandInstallments(expensesData);
+    const monthExpenses = charges.filter(item => isInMonth(item, month, year));
+
+    // Investimentos não entram no total de despesas
+    const expenseItems = monthExpenses.filter(item => item.category !== 'investimentos');
+
+    const income = sumAmounts(monthIncomes);
+    const expenses = sumAmounts(expenseItems);
+    const debit = sumAmounts(monthExpenses.filter(item => item.paymentMethod === 'debito'));
+    const credit = creditBy === 'invoice'
+        ? sumCreditByInvoiceMonth(expensesData, cards, month, year)
+        : sumAmounts(monthExpenses.filter(item =>
+            item.paymentMethod === 'credito_vista' || item.paymentMethod === 'credito_parcelado'
+        ));
+    const investments = sumAmounts(monthExpenses.filter(item => item.category === 'investimentos'));
+
+    // Parcelas de meses seguintes (pelo mês da fatura, no modo 'invoice')
+    const monthKey = `${parseInt(year)}-${String(parseInt(month)).padStart(2, '0')}`;
+    const cardsByName = new Map(cards.map(card => [card.name, card]));
+    const chargeMonthKey = (item) => creditBy === 'invoice'
+        ? getInvoiceForDate(cardsByName.get(item.selectedCard), item.date).key
+        : item.date.split('T')[0].slice(0, 7);
+    const futureInstallments = sumAmounts(charges.filter(item => item.parentId && chargeMonthKey(item) > monthKey));
+
+    return {
+        income,
+        expenses,
+        debit,
+        credit,
+        futureInstallments,
+        investments,
+        // "GUARDEI" = Renda - Despesas - Investimentos
+        saved: income - expenses - investments,
+        expenseItems
+    };
+}
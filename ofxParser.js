@@ -0,0 +1,248 @@
+/**
+ * Leitura de Arquivos OFX
+ * Tokenizador único para OFX 1.x (SGML, elementos sem tag de fechamento) e
+ * OFX 2.x (XML). Devolve os extratos com conta, moeda, período e saldos,
+ * além das transações, para que a importação possa ser vinculada ao cartão
+ * ou conta correta e conferida com o saldo informado pelo banco.
+ */
+
+// Fuso usado para converter datas com offset explícito (horário de Brasília)
+const DEFAULT_UTC_OFFSET = -3;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+            return isNaN(code) ? match : String.fromCharCode(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Separa o cabeçalho (pares CHAVE:VALOR no 1.x, instrução <?OFX ...?> no 2.x) do corpo
+ * @param {string} text
+ * @returns {{header: Object, body: string}}
+ */
+export function splitOFXHeader(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const start = input.search(/<OFX>/i);
+    const preamble = start >= 0 ? input.slice(0, start) : '';
+    const header = {};
+
+    const xmlHeader = preamble.match(/<\?OFX([^?]*)\?>/i);
+    if (xmlHeader) {
+        for (const [, key, value] of xmlHeader[1].matchAll(/(\w+)\s*=\s*"([^"]*)"/g)) {
+            header[key.toUpperCase()] = value;
+        }
+    } else {
+        preamble.split(/\r\n|\n|\r/).forEach(line => {
+            const match = line.match(/^\s*([A-Z]+)\s*:\s*(.*?)\s*$/i);
+            if (match) header[match[1].toUpperCase()] = match[2];
+        });
+    }
+
+    return { header, body: start >= 0 ? input.slice(start) : input };
+}
+
+/**
+ * Monta a árvore de elementos do OFX
+ * Elementos SGML sem fechamento são encerrados ao surgir a próxima tag ou o
+ * fechamento do agregado pai, o que também cobre o XML bem formado.
+ * @param {string} body Conteúdo a partir de <OFX>
+ * @returns {{name: string, value: string|null, children: Array}} Raiz (OFX)
+ */
+export function parseOFXTree(body) {
+    const root = { name: '#root', value: null, children: [] };
+    const stack = [root];
+    const tokens = /<(\/?)([A-Za-z0-9.]+)[^>]*?(\/?)>|([^<]+)/g;
+    let match;
+
+    const top = () => stack[stack.length - 1];
+    // Elemento com valor e sem fechamento: encerrado implicitamente
+    const closeLeaf = () => {
+        if (stack.length > 1 && top().value !== null) stack.pop();
+    };
+
+    while ((match = tokens.exec(body)) !== null) {
+        const [, closing, rawName, selfClosing, text] = match;
+
+        if (text !== undefined) {
+            const value = text.trim();
+            if (value && stack.length > 1) top().value = decodeEntities(value);
+            continue;
+        }
+
+        const name = rawName.toUpperCase();
+
+        if (closing) {
+            const index = stack.map(node => node.name).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+
+        closeLeaf();
+        const node = { name, value: null, children: [] };
+        top().children.push(node);
+        if (!selfClosing) stack.push(node);
+    }
+
+    return root.children.find(node => node.name === 'OFX') || root;
+}
+
+function findChild(node, name) {
+    return node?.children.find(child => child.name === name) || null;
+}
+
+function findAll(node, name, results = []) {
+    if (!node) return results;
+    node.children.forEach(child => {
+        if (child.name === name) results.push(child);
+        findAll(child, name, results);
+    });
+    return results;
+}
+
+function childValue(node, name) {
+    const child = findChild(node, name);
+    return child && child.value !== null ? child.value : null;
+}
+
+/**
+ * Converte datas OFX: YYYYMMDD[HHMMSS[.XXX]][[-3:BRT]]
+ * Com offset explícito, o instante é convertido para o horário de Brasília
+ * (uma compra às 23h de Brasília chega como 02h do dia seguinte em GMT).
+ * Sem offset, a data é usada como está, que é o que os bancos brasileiros enviam.
+ * @param {string} value
+ * @param {number} [utcOffset] Fuso de destino em horas
+ * @returns {{date: string, dateTime: string|null}|null} date em YYYY-MM-DD; dateTime em ISO (UTC) quando há offset
+ */
+export function parseOFXDate(value, utcOffset = DEFAULT_UTC_OFFSET) {
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:\.\d+)?)?\s*(?:\[\s*([+-]?\d+(?:\.\d+)?)(?::[^\]]*)?\])?/);
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+    if (offset === undefined) {
+        return { date: `${year}-${month}-${day}`, dateTime: null };
+    }
+
+    const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second) - parseFloat(offset) * 3600000;
+    const local = new Date(utc + utcOffset * 3600000);
+    const date = `${local.getUTCFullYear()}-${String(local.getUTCMonth() + 1).padStart(2, '0')}-${String(local.getUTCDate()).padStart(2, '0')}`;
+    return { date, dateTime: new Date(utc).toISOString() };
+}
+
+function parseOFXAmount(value) {
+    if (value === null) return NaN;
+    // Alguns bancos usam vírgula decimal no TRNAMT
+    return parseFloat(String(value).replace(/\s/g, '').replace(',', '.'));
+}
+
+function parseBalance(node) {
+    if (!node) return null;
+    const amount = parseOFXAmount(childValue(node, 'BALAMT'));
+    if (isNaN(amount)) return null;
+    const date = parseOFXDate(childValue(node, 'DTASOF'));
+    return { amount, date: date ? date.date : null };
+}
+
+function buildDescription(name, memo) {
+    if (name && memo && name !== memo && !memo.includes(name)) {
+        return name.includes(memo) ? name : `${name} - ${memo}`;
+    }
+    return memo || name || 'Transação Bancária';
+}
+
+/**
+ * Chave estável da conta, usada para lembrar a qual cartão/conta do app ela pertence
+ * @param {{type: string, bankId: string|null, accountId: string|null}} account
+ * @returns {string|null}
+ */
+export function getOFXAccountKey(account) {
+    if (!account || !account.accountId) return null;
+    return `${account.type}:${account.bankId || ''}:${account.accountId}`;
+}
+
+function parseStatement(statementNode, type) {
+    const accountNode = findChild(statementNode, type === 'creditcard' ? 'CCACCTFROM' : 'BANKACCTFROM');
+    const account = {
+        type,
+        bankId: childValue(accountNode, 'BANKID'),
+        branchId: childValue(accountNode, 'BRANCHID'),
+        accountId: childValue(accountNode, 'ACCTID'),
+        accountType: childValue(accountNode, 'ACCTTYPE')
+    };
+    const accountKey = getOFXAccountKey(account);
+
+    const transactionList = findChild(statementNode, 'BANKTRANLIST');
+    const start = parseOFXDate(childValue(transactionList, 'DTSTART'));
+    const end = parseOFXDate(childValue(transactionList, 'DTEND'));
+
+    const transactions = [];
+    findAll(transactionList, 'STMTTRN').forEach(node => {
+        const amount = parseOFXAmount(childValue(node, 'TRNAMT'));
+        const posted = parseOFXDate(childValue(node, 'DTPOSTED'));
+        if (isNaN(amount) || !posted) {
+            console.warn('[OFX]: Transação ignorada (sem data ou valor):', childValue(node, 'FITID'));
+            return;
+        }
+
+        const name = childValue(node, 'NAME') || childValue(findChild(node, 'PAYEE'), 'NAME');
+        const memo = childValue(node, 'MEMO');
+        const outflow = amount < 0;
+
+        const transaction = {
+            date: posted.date,
+            description: buildDescription(name, memo),
+            amount: Math.abs(amount),
+            // Em faturas de cartão as saídas são compras no crédito
+            type: outflow ? (type === 'creditcard' ? 'CREDIT_CARD' : 'DEBIT') : 'CREDIT',
+            rawType: childValue(node, 'TRNTYPE') || 'OTHER',
+            source: 'OFX_IMPORT',
+            // FITID identifica a transação no banco e se repete ao reimportar o extrato
+            originalData: {
+                fitId: childValue(node, 'FITID'),
+                checkNum: childValue(node, 'CHECKNUM'),
+                name,
+                memo,
+                postedAt: posted.dateTime,
+                accountKey
+            }
+        };
+        // Entradas na fatura são pagamentos ou estornos, não receitas (ver prepareTransactions)
+        if (!outflow && type === 'creditcard') transaction.cardCredit = true;
+
+        transactions.push(transaction);
+    });
+
+    return {
+        type,
+        currency: childValue(statementNode, 'CURDEF') || 'BRL',
+        account,
+        accountKey,
+        period: { start: start ? start.date : null, end: end ? end.date : null },
+        ledgerBalance: parseBalance(findChild(statementNode, 'LEDGERBAL')),
+        availableBalance: parseBalance(findChild(statementNode, 'AVAILBAL')),
+        transactions
+    };
+}
+
+/**
+ * Lê um arquivo OFX completo
+ * @param {string} text Conteúdo do arquivo
+ * @returns {{header: Object, version: string|null, statements: Array}}
+ *          Cada extrato: {type: 'bank'|'creditcard', currency, account, accountKey, period, ledgerBalance, availableBalance, transactions}
+ */
+export function parseOFXDocument(text) {
+    const { header, body } = splitOFXHeader(text);
+    const tree = parseOFXTree(body);
+
+    const statements = [
+        ...findAll(tree, 'STMTRS').map(node => parseStatement(node, 'bank')),
+        ...findAll(tree, 'CCSTMTRS').map(node => parseStatement(node, 'creditcard'))
+    ];
+
+    return { header, version: header.VERSION || null, statements };
+}
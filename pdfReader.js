@@ -0,0 +1,82 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+/**
+ * Leitura de Texto de PDFs
+ * Extrai o texto das páginas com o pdf.js, no próprio navegador (o arquivo não é
+ * enviado a nenhum servidor), e remonta as linhas pela posição de cada trecho.
+ * Carregado sob demanda por BankStatementParser.parsePDF.
+ */
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+
+// Trechos com diferença vertical menor que isso estão na mesma linha
+const LINE_TOLERANCE = 3;
+
+/**
+ * Agrupa os trechos de texto de uma página em linhas (de cima para baixo, da esquerda para a direita)
+ * @param {Array<{str: string, transform: number[], width: number}>} items getTextContent().items
+ * @returns {string[]}
+ */
+export function groupItemsIntoLines(items) {
+    const rows = [];
+
+    items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({ text: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0 }))
+        .sort((a, b) => b.y - a.y || a.x - b.x)
+        .forEach(item => {
+            const row = rows.find(candidate => Math.abs(candidate.y - item.y) <= LINE_TOLERANCE);
+            if (row) {
+                row.items.push(item);
+            } else {
+                rows.push({ y: item.y, items: [item] });
+            }
+        });
+
+    return rows.map(row => {
+        const sorted = row.items.sort((a, b) => a.x - b.x);
+        return sorted.reduce((line, item, index) => {
+            if (index === 0) return item.text;
+            const previous = sorted[index - 1];
+            // Trechos colados (mesma palavra quebrada pelo PDF) não recebem espaço
+            const gap = item.x - (previous.x + previous.width);
+            return line + (gap > 1 ? ' ' : '') + item.text;
+        }, '').replace(/\s+/g, ' ').trim();
+    });
+}
+
+/**
+ * Lê todas as linhas de texto de um PDF
+ * @param {ArrayBuffer} buffer Conteúdo do arquivo
+ * @param {Object} [options]
+ * @param {string} [options.password] Senha de PDFs protegidos (comum em faturas)
+ * @returns {Promise<string[]>}
+ * @throws {Error} Com code 'PDF_PASSWORD_REQUIRED' quando falta a senha ou ela está incorreta
+ */
+export async function readPDFLines(buffer, { password } = {}) {
+    let pdf;
+    try {
+        pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer), password, isEvalSupported: false }).promise;
+    } catch (error) {
+        if (error?.name === 'PasswordException') {
+            const passwordError = new Error(password ? 'Senha do PDF incorreta.' : 'Este PDF é protegido por senha.');
+            passwordError.code = 'PDF_PASSWORD_REQUIRED';
+            throw passwordError;
+        }
+        throw error;
+    }
+
+    const lines = [];
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            lines.push(...groupItemsIntoLines(content.items));
+        }
+    } finally {
+        await pdf.destroy();
+    }
+
+    return lines;
+}
@@ -0,0 +1,103 @@
+/**
+ * Leitura de Arquivos QIF (Quicken Interchange Format)
+ * Cada transação é um bloco de linhas iniciadas por um código de campo
+ * (D data, T/U valor, P favorecido, M memo, N número, L categoria) e
+ * encerrado por "^". O tipo da conta vem da linha "!Type:".
+ */
+
+import { parseCSVAmount, parseCSVDate } from './csvParser.js';
+
+// Contas cujos valores negativos são compras no cartão
+const CREDIT_CARD_TYPES = ['ccard', 'oth l'];
+
+/**
+ * Descobre a ordem de dia e mês olhando todas as datas do arquivo:
+ * um primeiro número acima de 12 indica DD/MM, um segundo acima de 12 indica MM/DD.
+ * Arquivos ambíguos são tratados como DD/MM (bancos brasileiros).
+ * @param {string[]} dates Valores dos campos D
+ * @returns {'DMY'|'MDY'|'YMD'}
+ */
+export function detectQIFDateFormat(dates) {
+    for (const value of dates) {
+        const parts = normalizeQIFDate(value).split('/');
+        if (parts.length !== 3) continue;
+        if (parts[0].length === 4) return 'YMD';
+        if (parseInt(parts[0]) > 12) return 'DMY';
+        if (parseInt(parts[1]) > 12) return 'MDY';
+    }
+    return 'DMY';
+}
+
+// O Quicken escreve datas como "3/ 5'25" ou "03-05-2025"
+function normalizeQIFDate(value) {
+    return String(value || '').trim().replace(/\s+/g, '').replace(/['.-]/g, '/');
+}
+
+/**
+ * Lê um arquivo QIF
+ * @param {string} text Conteúdo do arquivo
+ * @param {Object} [options]
+ * @param {'DMY'|'MDY'|'YMD'} [options.dateFormat] Detectado pelas datas do arquivo se omitido
+ * @returns {{accountType: string|null, transactions: Array}}
+ */
+export function parseQIF(text, { dateFormat } = {}) {
+    const blocks = [];
+    let accountType = null;
+    let current = {};
+
+    String(text).replace(/^\uFEFF/, '').split(/\r\n|\n|\r/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('!')) {
+            const type = line.match(/^!Type:(.*)$/i);
+            if (type) accountType = type[1].trim();
+            return;
+        }
+
+        if (line === '^') {
+            if (Object.keys(current).length > 0) blocks.push({ ...current, accountType });
+            current = {};
+            return;
+        }
+
+        const code = line[0].toUpperCase();
+        const value = line.slice(1).trim();
+        // Linhas de divisão (S, E, $) se repetem; só a primeira ocorrência de cada campo importa
+        if (current[code] === undefined) current[code] = value;
+    });
+    if (Object.keys(current).length > 0) blocks.push({ ...current, accountType });
+
+    const format = dateFormat || detectQIFDateFormat(blocks.map(block => block.D).filter(Boolean));
+    const transactions = [];
+
+    blocks.forEach(block => {
+        const date = parseCSVDate(normalizeQIFDate(block.D), format);
+        const amount = parseCSVAmount(block.T ?? block.U);
+        if (amount === 0) return;
+        if (!date || isNaN(amount)) {
+            console.warn('[QIF]: Transação ignorada (sem data ou valor):', block);
+            return;
+        }
+
+        const payee = block.P || '';
+        const memo = block.M || '';
+        const isCreditCard = CREDIT_CARD_TYPES.includes(String(block.accountType || '').toLowerCase());
+        const outflow = amount < 0;
+
+        transactions.push({
+            date,
+            description: payee && memo && !payee.includes(memo) ? `${payee} - ${memo}` : (payee || memo || 'Transação QIF'),
+            amount: Math.abs(amount),
+            type: outflow ? (isCreditCard ? 'CREDIT_CARD' : 'DEBIT') : 'CREDIT',
+            source: 'QIF_IMPORT',
+            originalData: {
+                checkNum: block.N || null,
+                qifCategory: block.L || null,
+                accountType: block.accountType || null
+            }
+        });
+    });
+
+    return { accountType, transactions };
+}
@@ -0,0 +1,351 @@
+/**
+ * Motor de Recorrência
+ * Gera as próximas ocorrências de despesas recorrentes (isRecurring + recurring) e
+ * de receitas fixas (isFixed), sem dependência de DOM.
+ *
+ * A transação que define a série (raiz) fica salva normalmente e é a primeira ocorrência.
+ * As demais são geradas a partir dela:
+ * - recurring.mode 'auto': ocorrências vencidas são lançadas automaticamente (ver recurrenceService.js)
+ * - recurring.mode 'manual': ocorrências aparecem como "previstas" até o usuário confirmar
+ * Ocorrências salvas levam recurrenceId (id da raiz) e occurrenceDate (data prevista).
+ *
+ * Formato de recurring:
+ * {frequency: 'daily'|'weekly'|'monthly'|'yearly'|'custom', interval?, unit?: 'day'|'week'|'month'|'year',
+ *  endDate?, skipDates?: string[], mode?: 'auto'|'manual', anchor?, generatedUntil?}
+ */
+
+import { findDuplicates } from './duplicateDetection.js';
+
+export const RECURRENCE_FREQUENCIES = {
+    daily: { unit: 'day', interval: 1 },
+    weekly: { unit: 'week', interval: 1 },
+    monthly: { unit: 'month', interval: 1 },
+    yearly: { unit: 'year', interval: 1 }
+};
+
+// Limite de ocorrências por série em uma projeção (ex.: série diária muito antiga)
+const MAX_OCCURRENCES = 1000;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toDateOnly(date) {
+    return String(date || '').split('T')[0];
+}
+
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Soma um período a uma data 'YYYY-MM-DD'
+ * Meses e anos mantêm o dia da data inicial, limitado ao último dia do mês
+ * (dia 31 cai em 28/02, 31/03, 30/04...)
+ * @param {string} date
+ * @param {'day'|'week'|'month'|'year'} unit
+ * @param {number} amount
+ * @returns {string}
+ */
+export function addPeriod(date, unit, amount) {
+    const [year, month, day] = toDateOnly(date).split('-').map(Number);
+
+    if (unit === 'day' || unit === 'week') {
+        const result = new Date(Date.UTC(year, month - 1, day + amount * (unit === 'week' ? 7 : 1)));
+        return `${result.getUTCFullYear()}-${pad(result.getUTCMonth() + 1)}-${pad(result.getUTCDate())}`;
+    }
+
+    const index = year * 12 + (month - 1) + amount * (unit === 'year' ? 12 : 1);
+    const targetYear = Math.floor(index / 12);
+    const targetMonth = (index % 12) + 1;
+    const lastDay = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
+    return `${targetYear}-${pad(targetMonth)}-${pad(Math.min(day, lastDay))}`;
+}
+
+/**
+ * Regra de recorrência de uma transação
+ * Receitas fixas sem regra própria repetem todo mês, como previstas.
+ * @param {Object} transaction
+ * @param {'expense'|'income'} [type]
+ * @returns {{unit: string, interval: number, anchor: string, endDate: string|null, skipDates: string[], mode: 'auto'|'manual', generatedUntil: string|null}|null}
+ *          null para transações sem recorrência e para ocorrências já geradas
+ */
+export function getRecurrenceRule(transaction, type = 'expense') {
+    if (!transaction || !transaction.date || transaction.recurrenceId) return null;
+
+    if (transaction.isRecurring && transaction.recurring) {
+        const { frequency, interval, unit, endDate, skipDates, mode, anchor, generatedUntil } = transaction.recurring;
+        const base = frequency === 'custom'
+            ? { unit: RECURRENCE_FREQUENCIES[unit] ? RECURRENCE_FREQUENCIES[unit].unit : unit, interval: parseInt(interval) || 1 }
+            : RECURRENCE_FREQUENCIES[frequency];
+        if (!base || !['day', 'week', 'month', 'year'].includes(base.unit)) return null;
+
+        return {
+            ...base,
+            anchor: anchor || toDateOnly(transaction.date),
+            endDate: endDate || null,
+            skipDates: Array.isArray(skipDates) ? skipDates : [],
+            // Séries salvas antes do modo existir ficam como previstas, para não lançar meses de uma vez
+            mode: mode === 'auto' ? 'auto' : 'manual',
+            generatedUntil: generatedUntil || null
+        };
+    }
+
+    if (type === 'income' && transaction.isFixed) {
+        return {
+            unit: 'month',
+            interval: 1,
+            anchor: toDateOnly(transaction.date),
+            endDate: null,
+            skipDates: [],
+            mode: 'manual',
+            generatedUntil: null
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Datas das ocorrências de uma série entre from e to (inclusive), sem a primeira (a própria raiz)
+ * @param {Object} root Transação raiz
+ * @param {Object} rule Ver getRecurrenceRule
+ * @param {string} from 'YYYY-MM-DD'
+ * @param {string} to 'YYYY-MM-DD'
+ * @returns {string[]}
+ */
+export function getOccurrenceDates(root, rule, from, to) {
+    const start = toDateOnly(root.date);
+    const dates = [];
+
+    for (let n = 1; n <= MAX_OCCURRENCES; n++) {
+        const date = addPeriod(rule.anchor, rule.unit, rule.interval * n);
+        if (date > to || (rule.endDate && date > rule.endDate)) break;
+        if (date <= start || date < from || rule.skipDates.includes(date)) continue;
+        dates.push(date);
+    }
+
+    return dates;
+}
+
+/**
+ * Raízes das séries de uma lista de transações
+ * Das receitas fixas sem regra própria, vale só a mais recente de cada descrição
+ * (quem redigitava o salário todo mês tem várias, e só a última deve gerar previsões).
+ * @param {Array} transactions
+ * @param {'expense'|'income'} [type]
+ * @returns {Array<{root: Object, rule: Object}>}
+ */
+export function findSeriesRoots(transactions, type = 'expense') {
+    const latestFixed = new Map();
+    const series = [];
+
+    transactions.forEach(transaction => {
+        const rule = getRecurrenceRule(transaction, type);
+        if (!rule) return;
+
+        if (transaction.isRecurring && transaction.recurring) {
+            series.push({ root: transaction, rule });
+            return;
+        }
+
+        const key = String(transaction.description || '').trim().toLowerCase();
+        const current = latestFixed.get(key);
+        if (!current || toDateOnly(transaction.date) > toDateOnly(current.root.date)) {
+            latestFixed.set(key, { root: transaction, rule });
+        }
+    });
+
+    return [...series, ...latestFixed.values()];
+}
+
+/**
+ * Ocorrência gerada a partir da raiz (ainda não salva)
+ * @param {Object} root
+ * @param {string} date
+ * @returns {Object}
+ */
+export function buildOccurrence(root, date) {
+    const { id, isRecurring, recurring, createdAt, updatedAt, notDuplicateOf, mergedIds, source, originalData, ...template } = root;
+    return {
+        ...template,
+        id: `${root.id}@${date}`,
+        date,
+        isRecurring: false,
+        recurrenceId: root.id,
+        occurrenceDate: date,
+        projected: true
+    };
+}
+
+/**
+ * Ocorrências ainda não salvas entre from e to
+ * Ocorrências já confirmadas, puladas ou lançadas à mão (duplicata provável) ficam de fora.
+ * @param {Array} transactions Transações salvas do mesmo tipo
+ * @param {'expense'|'income'} type
+ * @param {{from: string, to: string, mode?: 'auto'|'manual'}} range mode filtra as séries pelo modo
+ * @returns {Array<Object>} Ocorrências com projected: true
+ */
+export function projectOccurrences(transactions, type, { from, to, mode } = {}) {
+    const occurrences = [];
+
+    findSeriesRoots(transactions, type).forEach(({ root, rule }) => {
+        if (mode && rule.mode !== mode) return;
+
+        const saved = new Set(transactions
+            .filter(t => t.recurrenceId === root.id)
+            .map(t => t.occurrenceDate));
+
+        getOccurrenceDates(root, rule, from, to).forEach(date => {
+            if (saved.has(date)) return;
+            const occurrence = buildOccurrence(root, date);
+            const others = transactions.filter(t => t.id !== root.id);
+            if (findDuplicates(occurrence, others).length > 0) return;
+            occurrences.push(occurrence);
+        });
+    });
+
+    return occurrences.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Transforma uma ocorrência prevista em transação para salvar
+ * O id é o da ocorrência (raiz@data): dois aparelhos que lançam a mesma ocorrência
+ * antes de sincronizar geram o mesmo registro, e não uma duplicata.
+ * @param {Object} occurrence Ver buildOccurrence
+ * @param {Object} [changes] Alterações feitas pelo usuário ao confirmar
+ * @returns {Object}
+ */
+export function materializeOccurrence(occurrence, changes = {}) {
+    const { projected, ...transaction } = occurrence;
+    return {
+        ...transaction,
+        ...changes,
+        id: `${occurrence.recurrenceId}@${occurrence.occurrenceDate}`,
+        recurrenceId: occurrence.recurrenceId,
+        occurrenceDate: occurrence.occurrenceDate,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Pula uma ocorrência (não gera mais nem aparece como prevista)
+ * @param {Array} transactions
+ * @param {Object} occurrence
+ * @returns {Array} Transações atualizadas
+ */
+export function skipOccurrence(transactions, occurrence) {
+    return transactions.map(t => {
+        if (t.id !== occurrence.recurrenceId) return t;
+        return {
+            ...t,
+            isRecurring: true,
+            recurring: {
+                ...(t.recurring || { frequency: 'monthly', mode: 'manual' }),
+                skipDates: [...new Set([...(t.recurring?.skipDates || []), occurrence.occurrenceDate])]
+            }
+        };
+    });
+}
+
+/**
+ * Edita uma ocorrência da série
+ * - 'this': só esta ocorrência (a prevista é confirmada com as alterações)
+ * - 'future': esta e as próximas; a série é dividida e a nova parte começa nesta data,
+ *   e as ocorrências já salvas depois dela recebem as mesmas alterações
+ * @param {Array} transactions Transações salvas do mesmo tipo
+ * @param {Object} occurrence Ocorrência (prevista ou salva) ou a própria raiz
+ * @param {Object} changes Campos alterados (description, amount, category...)
+ * @param {'this'|'future'} scope
+ * @param {'expense'|'income'} [type]
+ * @returns {Array} Transações atualizadas
+ */
+export function editOccurrence(transactions, occurrence, changes, scope, type = 'expense') {
+    const isRoot = !occurrence.recurrenceId;
+    const root = isRoot ? occurrence : transactions.find(t => t.id === occurrence.recurrenceId);
+    const rule = root ? getRecurrenceRule(root, type) : null;
+    const date = toDateOnly(occurrence.occurrenceDate || occurrence.date);
+
+    if (!root || !rule) {
+        return transactions.map(t => t.id === occurrence.id ? { ...t, ...changes } : t);
+    }
+
+    if (scope === 'this') {
+        if (occurrence.projected) {
+            return [...transactions, materializeOccurrence(occurrence, changes)];
+        }
+        if (!isRoot) {
+            return transactions.map(t => t.id === occurrence.id ? { ...t, ...changes } : t);
+        }
+        // A raiz também é o modelo da série: a série continua em uma nova raiz, sem as alterações
+        const [next] = getOccurrenceDates(root, rule, date, '9999-12-31');
+        return splitSeries(transactions, root, rule, next || null, {}, changes);
+    }
+
+    if (isRoot) {
+        return transactions.map(t => {
+            if (t.id === root.id) return { ...t, ...changes };
+            if (t.recurrenceId === root.id && t.occurrenceDate > date) return { ...t, ...changes };
+            return t;
+        });
+    }
+
+    return splitSeries(transactions, root, rule, date, changes, null, occurrence);
+}
+
+/**
+ * Divide a série em date: a raiz atual termina no dia anterior e uma nova raiz,
+ * com as alterações, continua dali (mesma âncora, para manter o dia de cada mês)
+ * @param {Array} transactions
+ * @param {Object} root
+ * @param {Object} rule
+ * @param {string|null} date Início da nova parte (null: a série não continua)
+ * @param {Object} changes Alterações da nova parte e das ocorrências salvas depois de date
+ * @param {Object|null} rootChanges Alterações só da raiz atual, que deixa de ser série (edição 'this' da raiz)
+ * @param {Object} [occurrence] Ocorrência salva que passa a ser a nova raiz
+ * @returns {Array}
+ */
+function splitSeries(transactions, root, rule, date, changes, rootChanges = null, occurrence = null) {
+    const newRootId = occurrence && !occurrence.projected ? occurrence.id : createId();
+    const { id, createdAt, updatedAt, notDuplicateOf, mergedIds, source, originalData, ...template } = root;
+
+    const newRoot = date ? {
+        ...template,
+        ...changes,
+        id: newRootId,
+        date,
+        isRecurring: true,
+        recurring: {
+            ...(root.recurring || { frequency: 'monthly' }),
+            mode: rule.mode,
+            anchor: rule.anchor,
+            endDate: rule.endDate,
+            skipDates: rule.skipDates.filter(skip => skip > date),
+            generatedUntil: rule.generatedUntil
+        },
+        createdAt: new Date().toISOString()
+    } : null;
+
+    const endDate = date ? addPeriod(date, 'day', -1) : null;
+    const updated = transactions
+        .filter(t => !(occurrence && !occurrence.projected && t.id === occurrence.id))
+        .map(t => {
+            if (t.id === root.id) {
+                if (rootChanges) {
+                    const { isRecurring, recurring, ...plain } = t;
+                    return { ...plain, ...rootChanges, isRecurring: false, recurrenceId: newRoot ? newRoot.id : t.id, occurrenceDate: toDateOnly(t.date) };
+                }
+                return {
+                    ...t,
+                    isRecurring: true,
+                    recurring: { ...(t.recurring || { frequency: 'monthly', mode: rule.mode }), anchor: rule.anchor, endDate }
+                };
+            }
+            if (newRoot && t.recurrenceId === root.id && t.occurrenceDate > date) {
+                return { ...t, ...changes, recurrenceId: newRoot.id };
+            }
+            return t;
+        });
+
+    return newRoot ? [...updated, newRoot] : updated;
+}
@@ -0,0 +1,132 @@
+
+import { dataManager } from './dataManager.js';
+import {
+    findSeriesRoots,
+    projectOccurrences,
+    materializeOccurrence,
+    skipOccurrence,
+    editOccurrence
+} from './recurrence.js';
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toISODate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Serviço de Recorrência
+ * Lança as ocorrências vencidas das séries automáticas e expõe as previstas
+ * (séries manuais e ocorrências futuras) para confirmação, pulo ou edição.
+ * As regras ficam em recurrence.js.
+ */
+export class RecurrenceService {
+    getTransactions(type) {
+        return type === 'income' ? dataManager.getIncomes() : dataManager.getExpenses();
+    }
+
+    saveTransactions(type, transactions) {
+        if (type === 'income') {
+            dataManager.saveIncomes(transactions);
+        } else {
+            dataManager.saveExpenses(transactions);
+        }
+    }
+
+    /**
+     * Lança as ocorrências vencidas (até hoje) das séries automáticas
+     * Cada série guarda até quando já foi gerada (generatedUntil), para que uma
+     * ocorrência excluída pelo usuário não volte na próxima carga.
+     * @param {Date} [today]
+     * @returns {number} Quantidade de ocorrências lançadas
+     */
+    materializeDue(today = new Date()) {
+        const date = toISODate(today);
+        let total = 0;
+
+        ['expense', 'income'].forEach(type => {
+            const transactions = this.getTransactions(type);
+            const autoRoots = findSeriesRoots(transactions, type).filter(({ rule }) => rule.mode === 'auto');
+            if (autoRoots.length === 0) return;
+
+            const generatedUntil = new Map(autoRoots.map(({ root, rule }) => [root.id, rule.generatedUntil]));
+            const due = projectOccurrences(transactions, type, { from: '0000-01-01', to: date, mode: 'auto' })
+                .filter(occurrence => {
+                    const until = generatedUntil.get(occurrence.recurrenceId);
+                    return !until || occurrence.date > until;
+                })
+                .map(occurrence => materializeOccurrence(occurrence));
+
+            const pending = autoRoots.some(({ rule }) => rule.generatedUntil !== date);
+            if (due.length === 0 && !pending) return;
+
+            const rootIds = new Set(autoRoots.map(({ root }) => root.id));
+            const updated = transactions.map(t => rootIds.has(t.id)
+                ? { ...t, recurring: { ...t.recurring, generatedUntil: date } }
+                : t);
+
+            this.saveTransactions(type, [...updated, ...due]);
+            total += due.length;
+        });
+
+        if (total > 0) {
+            console.log(`[RECURRENCE]: ${total} ocorrências recorrentes lançadas`);
+        }
+        return total;
+    }
+
+    /**
+     * Ocorrências previstas (ainda não lançadas) de um mês
+     * @param {'expense'|'income'} type
+     * @param {string|number} month Mês (1-12)
+     * @param {string|number} year
+     * @returns {Array<Object>} Ocorrências com projected: true
+     */
+    getForecast(type, month, year) {
+        const m = parseInt(month);
+        const y = parseInt(year);
+        const lastDay = new Date(y, m, 0).getDate();
+        return projectOccurrences(this.getTransactions(type), type, {
+            from: `${y}-${pad(m)}-01`,
+            to: `${y}-${pad(m)}-${pad(lastDay)}`
+        });
+    }
+
+    /**
+     * Confirma uma ocorrência prevista, salvando-a como transação
+     * @param {'expense'|'income'} type
+     * @param {Object} occurrence
+     * @param {Object} [changes]
+     * @returns {Object} Transação salva
+     */
+    confirm(type, occurrence, changes = {}) {
+        const transaction = materializeOccurrence(occurrence, changes);
+        this.saveTransactions(type, [...this.getTransactions(type), transaction]);
+        return transaction;
+    }
+
+    /**
+     * Pula uma ocorrência da série
+     * @param {'expense'|'income'} type
+     * @param {Object} occurrence Ocorrência prevista ou salva
+     */
+    skip(type, occurrence) {
+        const transactions = this.getTransactions(type).filter(t => occurrence.projected || t.id !== occurrence.id);
+        this.saveTransactions(type, skipOccurrence(transactions, occurrence));
+    }
+
+    /**
+     * Edita uma ocorrência: só esta ('this') ou esta e as próximas ('future')
+     * @param {'expense'|'income'} type
+     * @param {Object} occurrence
+     * @param {Object} changes
+     * @param {'this'|'future'} scope
+     */
+    edit(type, occurrence, changes, scope) {
+        this.saveTransactions(type, editOccurrence(this.getTransactions(type), occurrence, changes, scope, type));
+    }
+}
+
+export const recurrenceService = new RecurrenceService();
@@ -52,9 +52,10 @@ function initializeEventSystem() {
     console.log('[SCRIPT]: Configurando sistema de eventos...');
     
     // Escutar eventos do sistema
-    eventBus.on('dashboard:update', (data) => {
+    eventBus.on('dashboard:update', () => {
         console.log('[SCRIPT]: Evento dashboard:update recebido');
-        updateDashboardWithData(data);
+        // O evento traz só os dados; mês, ano e modo do crédito vêm dos filtros da tela
+        requestDashboardUpdate();
     });
     
     eventBus.on('system:error', (errorData) => {
@@ -88,6 +89,21 @@ function setupDashboard() {
             requestDashboardUpdate();
         });
     }
+
+    // Card de crédito: mês da compra ou mês da fatura
+    const creditViewSelect = document.getElementById('credit-view');
+    if (creditViewSelect) {
+        creditViewSelect.value = getCreditView();
+        creditViewSelect.addEventListener('change', () => {
+            localStorage.setItem(dataManager.getStorageKey('credit_view'), creditViewSelect.value);
+            requestDashboardUpdate();
+        });
+    }
+}
+
+// Preferência do card de crédito: 'purchase' (mês da compra) ou 'invoice' (mês da fatura)
+function getCreditView() {
+    return localStorage.getItem(dataManager.getStorageKey('credit_view')) === 'invoice' ? 'invoice' : 'purchase';
 }
 
 // Solicitar atualização do dashboard
@@ -126,8 +142,8 @@ function updateDashboardWithData(data) {
     console.log('[SCRIPT]: Atualizando dashboard com dados:', data);
     
     try {
-        const { expenses = [], income = [], month, year } = data;
-        updateDashboardCards(expenses, income, month, year);
+        const { expensesData = [], incomeData = [], cards = [], month, year } = data;
+        updateDashboardCards(expensesData, incomeData, month, year, { creditBy: getCreditView(), cards });
     } catch (error) {
         console.error('[SCRIPT]: Erro ao atualizar dashboard:', error);
         eventBus.emit('system:error', { message: 'Erro ao atualizar dashboard' });
@@ -1,22 +1,64 @@
-
 import db from '../lib/db.js';
+import { applyMigrations, rollbackMigrations, getMigrationStatus, MIGRATIONS_DIR } from '../lib/migrations.js';
+
+/**
+ * Migrações do banco (ver lib/migrations.js)
+ *
+ * Uso:
+ *   node scripts/migrate-db.js up [versão]   aplica as pendentes (até a versão, se informada)
+ *   node scripts/migrate-db.js down [n]      desfaz as n últimas (padrão: 1)
+ *   node scripts/migrate-db.js status        lista aplicadas e pendentes
+ */
+
+async function status() {
+    const { applied, pending, unknown } = await getMigrationStatus();
+
+    console.log(`Migrações em ${MIGRATIONS_DIR}`);
+    applied.forEach(row => {
+        const when = row.applied_at ? new Date(row.applied_at).toISOString() : '';
+        console.log(`  [x] ${String(row.version).padStart(3, '0')}_${row.name}  ${when}`);
+    });
+    pending.forEach(migration => console.log(`  [ ] ${migration.id}`));
+    unknown.forEach(row => console.warn(`  [?] ${row.version}_${row.name} aplicada no banco, mas sem arquivo no código`));
+
+    console.log(pending.length === 0 ? 'Banco atualizado.' : `${pending.length} migração(ões) pendente(s).`);
+}
+
+async function up(to) {
+    console.log('Aplicando migrações...');
+    const applied = await applyMigrations({
+        to: to === undefined ? Infinity : parseInt(to, 10),
+        onApply: migration => console.log(`  ✓ ${migration.id}`)
+    });
+    console.log(applied.length === 0 ? 'Nenhuma migração pendente.' : `${applied.length} migração(ões) aplicada(s).`);
+}
+
+async function down(steps = '1') {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`Número de migrações inválido: ${steps}`);
+
+    console.log(`Desfazendo ${count} migração(ões)...`);
+    const rolledBack = await rollbackMigrations({
+        steps: count,
+        onRollback: migration => console.log(`  ↩ ${migration.id}`)
+    });
+    console.log(rolledBack.length === 0 ? 'Nenhuma migração aplicada.' : `${rolledBack.length} migração(ões) desfeita(s).`);
+}
+
+const commands = { up, down, status };
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
 
-async function migrate() {
-    console.log('Iniciando migração do banco de dados...');
     try {
-        await db.query(`
-            ALTER TABLE user_data 
-            ADD COLUMN IF NOT EXISTS phone TEXT;
-        `);
-        
-        await db.query(`
-            CREATE INDEX IF NOT EXISTS idx_user_data_phone ON user_data(phone);
-        `);
-        
-        console.log('Migração concluída com sucesso!');
+        if (!commands[command]) throw new Error(`Comando desconhecido: ${command}. Use up, down ou status.`);
+        await commands[command](arg);
     } catch (error) {
         console.error('Erro na migração:', error);
+        process.exitCode = 1;
+    } finally {
+        await db.end();
     }
 }
 
-migrate();
+main();
@@ -1,5 +1,9 @@
 
 import { initSharedUI, checkAuth } from './uiShared.js';
+import { dataManager } from './dataManager.js';
+import { showNotification } from './notificationSystem.js';
+import { createCategoryRule, applyCategoryRules, describeRule } from './categoryRules.js';
+import { createTag, collectTags, normalizeTagName, renameTagInTransactions, removeTagFromTransactions } from './tags.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
     // Inicializar UI compartilhada (Sidebar, Dark Mode, etc)
@@ -15,6 +19,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Carregar configurações atuais
     loadSettings();
+    setupCategoryRules();
+    setupTags();
+    setupCsvProfiles();
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -103,4 +110,403 @@ document.addEventListener('DOMContentLoaded', async () => {
             messageDiv.style.display = 'none';
         }, 5000);
     }
+
+    // =========================================================================
+    // REGRAS DE CATEGORIZAÇÃO
+    // =========================================================================
+    function setupCategoryRules() {
+        const ruleForm = document.getElementById('category-rule-form');
+        const rulesList = document.getElementById('category-rules-list');
+        const submitBtn = document.getElementById('rule-submit-btn');
+        const cancelEditBtn = document.getElementById('rule-cancel-edit-btn');
+        const reapplyBtn = document.getElementById('reapply-rules-btn');
+        if (!ruleForm || !rulesList) return;
+
+        const fields = {
+            descriptionContains: document.getElementById('rule-description'),
+            appliesTo: document.getElementById('rule-applies-to'),
+            amountMin: document.getElementById('rule-amount-min'),
+            amountMax: document.getElementById('rule-amount-max'),
+            dayOfMonth: document.getElementById('rule-day'),
+            account: document.getElementById('rule-account'),
+            category: document.getElementById('rule-category')
+        };
+        const markFixedInput = document.getElementById('rule-mark-fixed');
+        let editingRuleId = null;
+
+        fillSuggestions();
+        renderRules();
+
+        ruleForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const values = { markFixed: markFixedInput.checked };
+            Object.entries(fields).forEach(([name, input]) => {
+                values[name] = input.value;
+            });
+
+            const rules = dataManager.getCategoryRules();
+            const index = rules.findIndex(rule => rule.id === editingRuleId);
+
+            try {
+                const rule = createCategoryRule(values, index !== -1 ? rules[index] : null);
+                if (index !== -1) {
+                    rules[index] = rule;
+                } else {
+                    rules.push(rule);
+                }
+            } catch (error) {
+                showNotification(error.message, 'error');
+                return;
+            }
+
+            dataManager.saveCategoryRules(rules);
+            showNotification(index !== -1 ? 'Regra atualizada!' : 'Regra adicionada!', 'success');
+            resetForm();
+            renderRules();
+        });
+
+        cancelEditBtn.addEventListener('click', resetForm);
+
+        reapplyBtn.addEventListener('click', () => {
+            const rules = dataManager.getCategoryRules();
+            if (rules.length === 0) {
+                showNotification('Cadastre uma regra antes de reaplicar.', 'warning');
+                return;
+            }
+            if (!confirm('Aplicar as regras a todas as transações já registradas?\n\nA categoria das transações que corresponderem a alguma regra será substituída.')) {
+                return;
+            }
+
+            const updatedExpenses = reapplyRules(dataManager.getExpenses(), 'expense', rules);
+            const updatedIncomes = reapplyRules(dataManager.getIncomes(), 'income', rules);
+
+            if (updatedExpenses.changed > 0) dataManager.saveExpenses(updatedExpenses.items);
+            if (updatedIncomes.changed > 0) dataManager.saveIncomes(updatedIncomes.items);
+
+            const total = updatedExpenses.changed + updatedIncomes.changed;
+            showNotification(
+                total > 0 ? `${total} transações atualizadas pelas regras.` : 'Nenhuma transação precisou ser alterada.',
+                total > 0 ? 'success' : 'info'
+            );
+        });
+
+        function reapplyRules(items, type, rules) {
+            let changed = 0;
+            const updated = items.map(item => {
+                const result = applyCategoryRules(item, type, rules);
+                if (!result.rule) return item;
+                if (result.transaction.category === item.category && result.transaction.isFixed === item.isFixed) {
+                    return item;
+                }
+                changed++;
+                return result.transaction;
+            });
+            return { items: updated, changed };
+        }
+
+        function fillSuggestions() {
+            const accountOptions = document.getElementById('rule-account-options');
+            const categoryOptions = document.getElementById('rule-category-options');
+
+            dataManager.getCards().forEach(card => {
+                const option = document.createElement('option');
+                option.value = card.name;
+                accountOptions.appendChild(option);
+            });
+
+            // Categorias cadastradas e as já usadas nas transações
+            const categories = new Set();
+            [...dataManager.getExpenseCategories(), ...dataManager.getIncomeCategories()].forEach(category => {
+                categories.add(typeof category === 'object' ? category.name : category);
+            });
+            [...dataManager.getExpenses(), ...dataManager.getIncomes()].forEach(item => {
+                if (item.category) categories.add(item.category);
+            });
+            Array.from(categories).filter(Boolean).sort().forEach(category => {
+                const option = document.createElement('option');
+                option.value = category;
+                categoryOptions.appendChild(option);
+            });
+        }
+
+        function resetForm() {
+            ruleForm.reset();
+            editingRuleId = null;
+            submitBtn.textContent = 'Adicionar Regra';
+            cancelEditBtn.style.display = 'none';
+        }
+
+        function startEdit(rule) {
+            editingRuleId = rule.id;
+            Object.entries(fields).forEach(([name, input]) => {
+                input.value = rule[name] ?? '';
+            });
+            fields.appliesTo.value = rule.appliesTo || 'all';
+            markFixedInput.checked = Boolean(rule.markFixed);
+            submitBtn.textContent = 'Salvar Regra';
+            cancelEditBtn.style.display = 'inline-block';
+            ruleForm.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        function updateRules(mutator) {
+            const rules = dataManager.getCategoryRules();
+            mutator(rules);
+            dataManager.saveCategoryRules(rules);
+            renderRules();
+        }
+
+        function createActionButton(iconClass, title, onClick, disabled = false) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.title = title;
+            button.disabled = disabled;
+            button.onclick = onClick;
+            const icon = document.createElement('i');
+            icon.className = iconClass;
+            button.appendChild(icon);
+            return button;
+        }
+
+        function renderRules() {
+            const rules = dataManager.getCategoryRules();
+            rulesList.innerHTML = '';
+
+            if (rules.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'info-text';
+                empty.textContent = 'Nenhuma regra cadastrada ainda.';
+                rulesList.appendChild(empty);
+                return;
+            }
+
+            rules.forEach((rule, index) => {
+                const item = document.createElement('div');
+                item.className = `category-rule-item${rule.enabled === false ? ' disabled' : ''}`;
+
+                const toggle = document.createElement('input');
+                toggle.type = 'checkbox';
+                toggle.checked = rule.enabled !== false;
+                toggle.title = 'Ativar/desativar regra';
+                toggle.onchange = () => updateRules(list => {
+                    list[index] = { ...list[index], enabled: toggle.checked, updatedAt: new Date().toISOString() };
+                });
+                item.appendChild(toggle);
+
+                const text = document.createElement('span');
+                text.className = 'category-rule-text';
+                text.textContent = describeRule(rule);
+                item.appendChild(text);
+
+                const actions = document.createElement('div');
+                actions.className = 'category-rule-actions';
+                actions.appendChild(createActionButton('fas fa-arrow-up', 'Aumentar prioridade', () => updateRules(list => {
+                    [list[index - 1], list[index]] = [list[index], list[index - 1]];
+                }), index === 0));
+                actions.appendChild(createActionButton('fas fa-arrow-down', 'Diminuir prioridade', () => updateRules(list => {
+                    [list[index + 1], list[index]] = [list[index], list[index + 1]];
+                }), index === rules.length - 1));
+                actions.appendChild(createActionButton('fas fa-edit', 'Editar', () => startEdit(rule)));
+                actions.appendChild(createActionButton('fas fa-trash', 'Excluir', () => {
+                    if (!confirm('Excluir esta regra?')) return;
+                    if (editingRuleId === rule.id) resetForm();
+                    updateRules(list => list.splice(index, 1));
+                }));
+                item.appendChild(actions);
+
+                rulesList.appendChild(item);
+            });
+        }
+    }
+
+    // =========================================================================
+    // TAGS
+    // =========================================================================
+    function setupTags() {
+        const tagForm = document.getElementById('tag-form');
+        const tagsList = document.getElementById('tags-list');
+        if (!tagForm || !tagsList) return;
+
+        renderTags();
+
+        tagForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('tag-name');
+            const name = normalizeTagName(input.value);
+            if (!name) {
+                showNotification('Informe o nome da tag.', 'warning');
+                return;
+            }
+
+            const tags = dataManager.getTags();
+            if (tags.some(tag => tag.name === name)) {
+                showNotification(`A tag "${name}" já existe.`, 'warning');
+                return;
+            }
+
+            dataManager.saveTags([...tags, createTag(name, tags)]);
+            input.value = '';
+            renderTags();
+            showNotification('Tag adicionada!', 'success');
+        });
+
+        // Aplica a alteração de tags em despesas e receitas
+        function updateTransactions(update) {
+            const expenses = update(dataManager.getExpenses());
+            const incomes = update(dataManager.getIncomes());
+            if (expenses.changed > 0) dataManager.saveExpenses(expenses.transactions);
+            if (incomes.changed > 0) dataManager.saveIncomes(incomes.transactions);
+            return expenses.changed + incomes.changed;
+        }
+
+        function renameTag(tag) {
+            const newName = normalizeTagName(prompt('Novo nome da tag:', tag.name) || '');
+            if (!newName || newName === tag.name) return;
+
+            const tags = dataManager.getTags();
+            const existing = tags.find(item => item.name === newName);
+            if (existing && !confirm(`A tag "${newName}" já existe. Juntar "${tag.name}" com ela?`)) return;
+
+            const changed = updateTransactions(transactions => renameTagInTransactions(transactions, tag.name, newName));
+            const now = new Date().toISOString();
+            const updatedTags = existing
+                ? tags.filter(item => item.name !== tag.name)
+                : tags.map(item => item.name === tag.name ? { ...item, name: newName, updatedAt: now } : item);
+            // Tag usada só nas transações, ainda sem cadastro
+            if (!existing && !tags.some(item => item.name === tag.name)) updatedTags.push(createTag(newName, tags));
+
+            dataManager.saveTags(updatedTags);
+            renderTags();
+            showNotification(`Tag renomeada em ${changed} transações.`, 'success');
+        }
+
+        function deleteTag(tag) {
+            const usage = tag.count > 0 ? ` Ela será removida de ${tag.count} transações.` : '';
+            if (!confirm(`Excluir a tag "${tag.name}"?${usage}`)) return;
+
+            updateTransactions(transactions => removeTagFromTransactions(transactions, tag.name));
+            dataManager.saveTags(dataManager.getTags().filter(item => item.name !== tag.name));
+            renderTags();
+            showNotification('Tag excluída.', 'success');
+        }
+
+        function changeColor(tag, color) {
+            const tags = dataManager.getTags();
+            const now = new Date().toISOString();
+            const updated = tags.some(item => item.name === tag.name)
+                ? tags.map(item => item.name === tag.name ? { ...item, color, updatedAt: now } : item)
+                : [...tags, { ...createTag(tag.name, tags), color }];
+            dataManager.saveTags(updated);
+        }
+
+        function renderTags() {
+            const tags = collectTags(dataManager.getTags(), [...dataManager.getExpenses(), ...dataManager.getIncomes()]);
+            tagsList.innerHTML = '';
+
+            if (tags.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'info-text';
+                empty.textContent = 'Nenhuma tag cadastrada.';
+                tagsList.appendChild(empty);
+                return;
+            }
+
+            tags.forEach(tag => {
+                const item = document.createElement('div');
+                item.className = 'category-rule-item';
+
+                const color = document.createElement('input');
+                color.type = 'color';
+                color.className = 'tag-color-input';
+                color.title = 'Cor da tag';
+                color.value = tag.color || '#7f8c8d';
+                color.addEventListener('change', () => changeColor(tag, color.value));
+                item.appendChild(color);
+
+                const text = document.createElement('span');
+                text.className = 'category-rule-text';
+                text.textContent = `${tag.name} (${tag.count} ${tag.count === 1 ? 'transação' : 'transações'})`;
+                item.appendChild(text);
+
+                const actions = document.createElement('div');
+                actions.className = 'category-rule-actions';
+                [
+                    { icon: 'fas fa-pen', title: 'Renomear', handler: () => renameTag(tag) },
+                    { icon: 'fas fa-trash', title: 'Excluir', handler: () => deleteTag(tag) }
+                ].forEach(({ icon, title, handler }) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.title = title;
+                    const i = document.createElement('i');
+                    i.className = icon;
+                    button.appendChild(i);
+                    button.onclick = handler;
+                    actions.appendChild(button);
+                });
+                item.appendChild(actions);
+
+                tagsList.appendChild(item);
+            });
+        }
+    }
+
+    // =========================================================================
+    // PERFIS DE CSV
+    // =========================================================================
+    function setupCsvProfiles() {
+        const profilesList = document.getElementById('csv-profiles-list');
+        if (!profilesList) return;
+
+        renderProfiles();
+
+        function describeProfile(profile) {
+            const { columns } = profile;
+            const amount = columns.amount !== undefined
+                ? `valor: ${columns.amount}`
+                : `débito: ${columns.debit ?? '-'}, crédito: ${columns.credit ?? '-'}`;
+            const label = profile.hasHeader === false ? ' (sem cabeçalho, colunas por posição)' : '';
+            return `${profile.name}: data: ${columns.date}, descrição: ${columns.description.join(' + ')}, ${amount}${label}`;
+        }
+
+        function renderProfiles() {
+            const profiles = dataManager.getCsvProfiles();
+            profilesList.innerHTML = '';
+
+            if (profiles.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'info-text';
+                empty.textContent = 'Nenhum perfil personalizado salvo.';
+                profilesList.appendChild(empty);
+                return;
+            }
+
+            profiles.forEach(profile => {
+                const item = document.createElement('div');
+                item.className = 'category-rule-item';
+
+                const text = document.createElement('span');
+                text.className = 'category-rule-text';
+                text.textContent = describeProfile(profile);
+                item.appendChild(text);
+
+                const actions = document.createElement('div');
+                actions.className = 'category-rule-actions';
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.title = 'Excluir';
+                const icon = document.createElement('i');
+                icon.className = 'fas fa-trash';
+                deleteBtn.appendChild(icon);
+                deleteBtn.onclick = () => {
+                    if (!confirm(`Excluir o perfil "${profile.name}"?`)) return;
+                    dataManager.saveCsvProfiles(dataManager.getCsvProfiles().filter(p => p.id !== profile.id));
+                    renderProfiles();
+                };
+                actions.appendChild(deleteBtn);
+                item.appendChild(actions);
+
+                profilesList.appendChild(item);
+            });
+        }
+    }
 });
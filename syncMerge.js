@@ -0,0 +1,315 @@
+/**
+ * Sincronização por Registro
+ * Cada despesa, receita, cartão e categoria é sincronizado separadamente, com id,
+ * updatedAt e, quando excluído, uma lápide ({id, deleted: true, updatedAt}).
+ * Sem dependência de DOM: usado pelo app (cloudSync.js, dataManager.js) e pela API (lib/sync-store.js).
+ *
+ * Fluxo:
+ * 1. O app guarda a última versão recebida do servidor (base) e o cursor dela, e envia só
+ *    o que mudou desde então: [{id, base, local}] por coleção (diffState).
+ * 2. Se algum desses registros mudou no servidor depois do cursor, o envio é recusado; o app
+ *    busca as alterações desde o cursor, mescla localmente (applyRemoteChanges) e reenvia.
+ * 3. A mesclagem de três vias (mergeRecord) segue a mesma regra dos dois lados: se só um
+ *    lado mudou, vale esse lado; se os dois mudaram campos diferentes, os campos são
+ *    combinados; se mudaram o mesmo campo, ou um editou e o outro excluiu, fica a versão
+ *    do servidor e o conflito volta para o usuário escolher.
+ */
+
+export const SYNC_COLLECTIONS = ['expenses', 'incomes', 'cards', 'expenseCategories', 'incomeCategories'];
+
+const CATEGORY_COLLECTIONS = ['expenseCategories', 'incomeCategories'];
+
+export function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function slug(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Registro sincronizável: categorias em texto viram {id, name} e cartões sem id
+ * recebem um id derivado do nome, para que dois aparelhos que criem o mesmo
+ * cartão ou categoria cheguem ao mesmo registro
+ * @param {Object|string} item
+ * @param {string} collection
+ * @returns {Object}
+ */
+export function normalizeRecord(item, collection) {
+    if (CATEGORY_COLLECTIONS.includes(collection)) {
+        const category = typeof item === 'object' && item !== null ? item : { name: String(item) };
+        return category.id ? category : { ...category, id: `category:${slug(category.name)}` };
+    }
+    if (item.id) return item;
+    if (collection === 'cards') return { ...item, id: `card:${slug(item.name)}` };
+    return { ...item, id: generateId() };
+}
+
+export function isTombstone(record) {
+    return Boolean(record && record.deleted);
+}
+
+export function createTombstone(id, now = new Date().toISOString()) {
+    return { id, deleted: true, updatedAt: now };
+}
+
+// JSON com chaves em ordem, para comparar registros independentemente da ordem dos campos
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Mesmo conteúdo (updatedAt não conta); null e ausente são iguais
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function sameContent(a, b) {
+    if (!a || !b) return !a && !b;
+    if (isTombstone(a) || isTombstone(b)) return isTombstone(a) && isTombstone(b);
+    const { updatedAt: _a, ...restA } = a;
+    const { updatedAt: _b, ...restB } = b;
+    return stableStringify(restA) === stableStringify(restB);
+}
+
+/**
+ * Prepara uma lista antes de salvar: dá id a quem não tem e marca updatedAt nos
+ * registros novos ou alterados em relação à lista anterior
+ * @param {Array} previous Lista salva até agora
+ * @param {Array} next Lista a salvar
+ * @param {string} collection
+ * @param {string} [now]
+ * @returns {{records: Array, changedIds: string[], removedIds: string[]}} changedIds: registros
+ *          novos ou alterados; removedIds: registros que deixaram a lista
+ */
+export function stampChanges(previous, next, collection, now = new Date().toISOString()) {
+    const previousById = new Map(previous.map(item => {
+        const record = normalizeRecord(item, collection);
+        return [record.id, record];
+    }));
+
+    const seen = new Set();
+    const records = [];
+    const changedIds = [];
+    next.forEach(item => {
+        const record = normalizeRecord(item, collection);
+        // Ids repetidos (ex.: duas categorias com o mesmo nome) ficam com o primeiro
+        if (seen.has(record.id)) return;
+        seen.add(record.id);
+
+        const before = previousById.get(record.id);
+        if (!before || !sameContent(before, record)) changedIds.push(record.id);
+
+        if (!before) {
+            records.push(record.updatedAt ? record : { ...record, updatedAt: now });
+        } else if (!sameContent(before, record) && record.updatedAt === before.updatedAt) {
+            records.push({ ...record, updatedAt: now });
+        } else {
+            records.push(record);
+        }
+    });
+
+    const removedIds = [...previousById.keys()].filter(id => !seen.has(id));
+    return { records, changedIds, removedIds };
+}
+
+function toMap(records = []) {
+    return new Map(records.map(record => [record.id, record]));
+}
+
+/**
+ * Alterações locais desde a última sincronização
+ * @param {Object} base Estado recebido do servidor na última sincronização ({coleção: registros e lápides})
+ * @param {Object} local Estado atual do aparelho, no mesmo formato
+ * @returns {Object} {coleção: [{id, base, local}]}, só com as coleções que mudaram
+ */
+export function diffState(base = {}, local = {}) {
+    const changes = {};
+
+    SYNC_COLLECTIONS.forEach(collection => {
+        const baseById = toMap(base[collection]);
+        const collectionChanges = (local[collection] || [])
+            .filter(record => !sameContent(baseById.get(record.id) || null, record))
+            .map(record => ({ id: record.id, base: baseById.get(record.id) || null, local: record }));
+        if (collectionChanges.length > 0) changes[collection] = collectionChanges;
+    });
+
+    return changes;
+}
+
+function latest(a, b) {
+    return String(a || '') > String(b || '') ? a : b;
+}
+
+/**
+ * Mesclagem de três vias de um registro alterado dos dois lados
+ * @param {Object|null} base Versão de que o aparelho partiu
+ * @param {Object} local Versão do aparelho
+ * @param {Object} remote Versão atual do servidor
+ * @returns {{record: Object, conflict: {fields: string[]}|null}} Em conflito, os campos
+ *          disputados ficam com o valor do servidor
+ */
+export function mergeRecord(base, local, remote) {
+    if (isTombstone(local) && isTombstone(remote)) {
+        return { record: createTombstone(remote.id, latest(local.updatedAt, remote.updatedAt)), conflict: null };
+    }
+
+    // Os dois criaram o mesmo registro sem base comum (primeira sincronização): vale o mais recente
+    if (!base) {
+        const localIsNewer = String(local.updatedAt || '') > String(remote.updatedAt || '');
+        return { record: localIsNewer ? local : remote, conflict: null };
+    }
+
+    // Um lado excluiu e o outro editou
+    if (isTombstone(local) || isTombstone(remote)) {
+        return { record: remote, conflict: { fields: ['deleted'] } };
+    }
+
+    const baseFields = isTombstone(base) ? {} : base;
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(baseFields)]);
+    keys.delete('updatedAt');
+
+    const merged = {};
+    const fields = [];
+    keys.forEach(key => {
+        const b = stableStringify(baseFields[key]);
+        const l = stableStringify(local[key]);
+        const r = stableStringify(remote[key]);
+
+        let value;
+        if (l === r || l === b) {
+            value = remote[key];
+        } else if (r === b) {
+            value = local[key];
+        } else {
+            value = remote[key];
+            fields.push(key);
+        }
+        if (value !== undefined) merged[key] = value;
+    });
+    merged.updatedAt = latest(local.updatedAt, remote.updatedAt);
+
+    return { record: merged, conflict: fields.length > 0 ? { fields } : null };
+}
+
+/**
+ * Aplica as alterações de um aparelho ao estado do servidor
+ * @param {Object} remoteState {coleção: registros e lápides} do servidor
+ * @param {Object} changes Ver diffState
+ * @returns {{state: Object, conflicts: Array<{collection: string, id: string, fields: string[], local: Object, remote: Object}>}}
+ */
+export function applyChanges(remoteState = {}, changes = {}) {
+    const state = {};
+    const conflicts = [];
+
+    SYNC_COLLECTIONS.forEach(collection => {
+        const records = toMap(remoteState[collection]);
+
+        (changes[collection] || []).forEach(({ id, base, local }) => {
+            if (!id || !local) return;
+            const record = { ...local, id };
+            const remote = records.get(id) || null;
+
+            // O servidor não mudou desde a base do aparelho (ou nunca teve o registro)
+            if (!remote || sameContent(remote, base)) {
+                records.set(id, record);
+                return;
+            }
+            if (sameContent(remote, record)) return;
+
+            const merged = mergeRecord(base, record, remote);
+            records.set(id, merged.record);
+            if (merged.conflict) {
+                conflicts.push({ collection, id, fields: merged.conflict.fields, local: record, remote: merged.record });
+            }
+        });
+
+        state[collection] = [...records.values()];
+    });
+
+    return { state, conflicts };
+}
+
+/**
+ * Base depois de um envio aceito: os registros enviados passam a ser os do servidor
+ * @param {Object} base
+ * @param {Object} changes Ver diffState
+ * @returns {Object}
+ */
+export function recordSentChanges(base = {}, changes = {}) {
+    const result = {};
+
+    SYNC_COLLECTIONS.forEach(collection => {
+        const records = toMap(base[collection]);
+        (changes[collection] || []).forEach(({ id, local }) => records.set(id, { ...local, id }));
+        result[collection] = [...records.values()];
+    });
+
+    return result;
+}
+
+/**
+ * Aplica no aparelho as alterações vindas do servidor
+ * Registros sem edição local passam a ser os do servidor; os editados dos dois lados são
+ * mesclados aqui (mergeRecord) e, se ainda diferirem do servidor, continuam pendentes de envio
+ * @param {Object} base Estado do servidor conhecido pelo aparelho
+ * @param {Object} local Estado atual do aparelho
+ * @param {Object} remoteChanges {coleção: registros e lápides alterados no servidor}
+ * @returns {{base: Object, state: Object, conflicts: Array}} Conflitos no formato de applyChanges
+ */
+export function applyRemoteChanges(base = {}, local = {}, remoteChanges = {}) {
+    const nextBase = {};
+    const state = {};
+    const conflicts = [];
+
+    SYNC_COLLECTIONS.forEach(collection => {
+        const baseById = toMap(base[collection]);
+        const localById = toMap(local[collection]);
+
+        (remoteChanges[collection] || []).forEach(remote => {
+            const before = baseById.get(remote.id) || null;
+            const mine = localById.get(remote.id) || null;
+            baseById.set(remote.id, remote);
+
+            if (!mine || sameContent(mine, before)) {
+                localById.set(remote.id, remote);
+                return;
+            }
+            if (sameContent(mine, remote)) return;
+
+            const merged = mergeRecord(before, mine, remote);
+            localById.set(remote.id, merged.record);
+            if (merged.conflict) {
+                conflicts.push({ collection, id: remote.id, fields: merged.conflict.fields, local: mine, remote });
+            }
+        });
+
+        nextBase[collection] = [...baseById.values()];
+        state[collection] = [...localById.values()];
+    });
+
+    return { base: nextBase, state, conflicts };
+}
+
+/**
+ * Separa registros e lápides de uma coleção
+ * @param {Array} records
+ * @returns {{live: Array, tombstones: Array}}
+ */
+export function splitTombstones(records = []) {
+    return {
+        live: records.filter(record => !isTombstone(record)),
+        tombstones: records.filter(isTombstone)
+    };
+}
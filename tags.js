@@ -0,0 +1,191 @@
+/**
+ * Tags de Transações
+ * Rótulos livres que cruzam as categorias ("viagem-2026", "reembolsável", "casa nova").
+ * As transações guardam os nomes em `tags` (array); a lista de tags do usuário
+ * ({id, name, color, createdAt, updatedAt}) guarda cor e permite renomear e excluir.
+ * Sem dependência de DOM.
+ */
+
+export const TAG_COLORS = ['#3498db', '#2ecc71', '#e67e22', '#9b59b6', '#e74c3c', '#1abc9c', '#f1c40f', '#7f8c8d'];
+
+/**
+ * Normaliza o nome da tag: minúsculas, sem espaços sobrando e sem '#' no início
+ * Acentos são mantidos ("reembolsável").
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeTagName(name) {
+    return String(name || '')
+        .trim()
+        .replace(/^#+/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Lê tags digitadas separadas por vírgula, sem repetições
+ * @param {string|Array} value
+ * @returns {string[]}
+ */
+export function parseTagInput(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(names.map(normalizeTagName).filter(Boolean))];
+}
+
+/**
+ * Tags de uma transação, já normalizadas (aceita dados antigos com tags em texto)
+ * @param {Object} transaction
+ * @returns {string[]}
+ */
+export function getTransactionTags(transaction) {
+    return parseTagInput(transaction?.tags || []);
+}
+
+/**
+ * Cria a definição de uma tag
+ * @param {string} name
+ * @param {Array} [existing] Tags já cadastradas, para escolher a próxima cor
+ * @returns {Object}
+ */
+export function createTag(name, existing = []) {
+    const now = new Date().toISOString();
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        name: normalizeTagName(name),
+        color: TAG_COLORS[existing.length % TAG_COLORS.length],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Garante que todas as tags usadas nas transações estejam cadastradas
+ * @param {Array} tags Tags cadastradas
+ * @param {Array} transactions
+ * @returns {Array} A mesma lista, se nada faltar
+ */
+export function ensureTags(tags, transactions) {
+    const known = new Set(tags.map(tag => tag.name));
+    const result = [...tags];
+
+    transactions.forEach(transaction => {
+        getTransactionTags(transaction).forEach(name => {
+            if (known.has(name)) return;
+            known.add(name);
+            result.push(createTag(name, result));
+        });
+    });
+
+    return result.length === tags.length ? tags : result;
+}
+
+/**
+ * Tags cadastradas e usadas, com a quantidade de transações de cada uma
+ * @param {Array} tags Tags cadastradas
+ * @param {Array} transactions Despesas e receitas
+ * @returns {Array<{name: string, color: string|null, count: number}>} Em ordem alfabética
+ */
+export function collectTags(tags, transactions) {
+    const byName = new Map(tags.map(tag => [tag.name, { name: tag.name, color: tag.color || null, count: 0 }]));
+
+    transactions.forEach(transaction => {
+        getTransactionTags(transaction).forEach(name => {
+            if (!byName.has(name)) byName.set(name, { name, color: null, count: 0 });
+            byName.get(name).count++;
+        });
+    });
+
+    return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+}
+
+/**
+ * Sugestões para o autocompletar: tags que começam (ou contêm) o texto digitado,
+ * sem as já escolhidas; as mais usadas primeiro
+ * @param {string} text Parte da tag sendo digitada
+ * @param {Array<{name: string, count?: number}>} known Ver collectTags
+ * @param {string[]} [selected]
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function suggestTags(text, known, selected = [], limit = 8) {
+    const query = normalizeTagName(text);
+    const chosen = new Set(parseTagInput(selected));
+
+    return known
+        .filter(tag => !chosen.has(tag.name) && tag.name.includes(query))
+        .sort((a, b) => {
+            const prefixA = a.name.startsWith(query) ? 0 : 1;
+            const prefixB = b.name.startsWith(query) ? 0 : 1;
+            return prefixA - prefixB || (b.count || 0) - (a.count || 0) || a.name.localeCompare(b.name, 'pt-BR');
+        })
+        .slice(0, limit)
+        .map(tag => tag.name);
+}
+
+function replaceTags(transactions, update) {
+    const now = new Date().toISOString();
+    let changed = 0;
+
+    const updated = transactions.map(transaction => {
+        const tags = getTransactionTags(transaction);
+        const next = update(tags);
+        if (next.length === tags.length && next.every((name, index) => name === tags[index])) return transaction;
+        changed++;
+        return { ...transaction, tags: next, updatedAt: now };
+    });
+
+    return { transactions: updated, changed };
+}
+
+/**
+ * Renomeia a tag nas transações; se o novo nome já existir, as duas viram uma só
+ * @param {Array} transactions
+ * @param {string} from
+ * @param {string} to
+ * @returns {{transactions: Array, changed: number}}
+ */
+export function renameTagInTransactions(transactions, from, to) {
+    const oldName = normalizeTagName(from);
+    const newName = normalizeTagName(to);
+    return replaceTags(transactions, tags => tags.includes(oldName)
+        ? parseTagInput(tags.map(name => name === oldName ? newName : name))
+        : tags);
+}
+
+/**
+ * Remove a tag de todas as transações
+ * @param {Array} transactions
+ * @param {string} name
+ * @returns {{transactions: Array, changed: number}}
+ */
+export function removeTagFromTransactions(transactions, name) {
+    const tagName = normalizeTagName(name);
+    return replaceTags(transactions, tags => tags.filter(tag => tag !== tagName));
+}
+
+/**
+ * Total e quantidade de transações por tag (uma transação com duas tags conta nas duas)
+ * @param {Array} transactions
+ * @param {{month?: string|number, year?: string|number}} [period] Sem período, considera todas
+ * @returns {Array<{tag: string, total: number, count: number}>} Maiores totais primeiro
+ */
+export function sumByTag(transactions, { month, year } = {}) {
+    const totals = new Map();
+
+    transactions.forEach(transaction => {
+        if (month && year) {
+            const [y, m] = String(transaction.date || '').split('T')[0].split('-');
+            if (parseInt(m) !== parseInt(month) || parseInt(y) !== parseInt(year)) return;
+        }
+        const amount = parseFloat(transaction.amount) || 0;
+        getTransactionTags(transaction).forEach(tag => {
+            const entry = totals.get(tag) || { tag, total: 0, count: 0 };
+            entry.total += amount;
+            entry.count++;
+            totals.set(tag, entry);
+        });
+    });
+
+    return [...totals.values()].sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag, 'pt-BR'));
+}
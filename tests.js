@@ -2,6 +2,37 @@ import { globalFunctionChecker } from './globalFunctionChecker.js';
 import { smartAutoSave } from './smartAutoSave.js';
 import { safeStorage } from './safeStorage.js';
 import { dataManager } from './dataManager.js';
+import { StubWhatsAppClient } from './lib/whatsapp-client.js';
+import { buildConfirmationReply, buildParseErrorReply, formatCurrency } from './lib/whatsapp-replies.js';
+import { parseMessage } from './lib/whatsapp-parser.js';
+import { parseCommand, executeCommand } from './lib/whatsapp-commands.js';
+import { inferCategory, buildCategoryContext } from './categoryInference.js';
+import { createCategoryRule, applyCategoryRules } from './categoryRules.js';
+import { bankSyncService } from './bankSyncService.js';
+import { compareTransactions, findDuplicatePairs, mergeTransactions, pickTransactionToKeep } from './duplicateDetection.js';
+import { bankStatementParser } from './bankStatementParser.js';
+import { tokenizeCSV, parseCSVAmount, createCsvProfile } from './csvParser.js';
+import { parseOFXDocument, parseOFXDate } from './ofxParser.js';
+import { parseQIF } from './qifParser.js';
+import { parseCNAB } from './cnabParser.js';
+import qifBankFixture from './fixtures/extrato.qif?raw';
+import qifCardFixture from './fixtures/fatura.qif?raw';
+import cnab240Fixture from './fixtures/retorno-cnab240.ret?raw';
+import cnab400Fixture from './fixtures/retorno-cnab400.ret?raw';
+import xlsxFixtureUrl from './fixtures/extrato.xlsx?url';
+import { parseInvoiceText, matchInvoiceCard } from './faturaParser.js';
+import itauInvoiceFixture from './fixtures/fatura-itau.txt?raw';
+import nubankInvoiceFixture from './fixtures/fatura-nubank.txt?raw';
+import itauInvoicePdfUrl from './fixtures/fatura-itau.pdf?url';
+import { getInvoiceForDate, getInvoiceByMonth, buildCardInvoices, getCardInvoiceSummary, getRemainingInstallments } from './billingCycle.js';
+import { getInstallmentSchedule, splitInstallmentAmounts } from './installments.js';
+import { validateTransaction } from './transactionEditor.js';
+import { addPeriod, getRecurrenceRule, projectOccurrences, materializeOccurrence, skipOccurrence, editOccurrence } from './recurrence.js';
+import { calculateMonthlyTotals } from './monthlyTotals.js';
+import { applyBulkAction, createUndo, applyUndo, moveDateToMonth } from './bulkOperations.js';
+import { createEmptyFilter, isFilterActive, filterTransactions, sortTransactions, getTransactionSource } from './transactionFilter.js';
+import { parseTagInput, ensureTags, collectTags, suggestTags, renameTagInTransactions, removeTagFromTransactions, sumByTag } from './tags.js';
+import { normalizeRecord, stampChanges, diffState, mergeRecord, applyChanges, recordSentChanges, applyRemoteChanges } from './syncMerge.js';
 
 /**
  * Testes de validação para o Organizador de Gastos
@@ -179,6 +210,60 @@ class OrganizadorGastosTestes {
         
         // Testes para DataManager
         this.setupDataManagerTests();
+        
+        // Testes para respostas do WhatsApp
+        this.setupWhatsAppReplyTests();
+        
+        // Testes para o parser de mensagens do WhatsApp
+        this.setupWhatsAppParserTests();
+
+        // Testes para os comandos do WhatsApp
+        this.setupWhatsAppCommandTests();
+
+        // Testes para a inferência de categorias
+        this.setupCategoryInferenceTests();
+
+        // Testes para as regras de categorização
+        this.setupCategoryRulesTests();
+
+        // Testes para a importação de extratos
+        this.setupStatementImportTests();
+
+        // Testes para os perfis de CSV
+        this.setupCsvProfileTests();
+
+        // Testes para o parser de OFX
+        this.setupOFXTests();
+
+        // Testes para QIF, CNAB e XLSX (arquivos em fixtures/)
+        this.setupStatementFormatTests();
+
+        // Testes para a importação de faturas em PDF
+        this.setupInvoiceImportTests();
+
+        // Testes para o ciclo de faturamento dos cartões
+        this.setupBillingCycleTests();
+
+        // Testes para compras parceladas
+        this.setupInstallmentTests();
+
+        // Testes para o motor de recorrência
+        this.setupRecurrenceTests();
+
+        // Testes para a edição de transações
+        this.setupTransactionEditorTests();
+
+        // Testes para as ações em lote
+        this.setupBulkOperationTests();
+
+        // Testes para a busca e os filtros de transações
+        this.setupTransactionFilterTests();
+
+        // Testes para tags e observações
+        this.setupTagTests();
+
+        // Testes para a sincronização por registro
+        this.setupSyncMergeTests();
     }
 
     /**
@@ -339,6 +424,1361 @@ class OrganizadorGastosTestes {
         });
     }
 
+    /**
+     * Configura testes para as respostas do WhatsApp
+     */
+    setupWhatsAppReplyTests() {
+        this.runner.addTest('WhatsApp - Confirmação inclui valor, categoria e cartão', () => {
+            const reply = buildConfirmationReply({
+                amount: 50,
+                description: 'Almoço',
+                category: 'Alimentação',
+                date: '2025-03-10',
+                paymentMethod: 'credito_vista',
+                selectedCard: 'Nubank',
+                installments: 1
+            }, 'expense');
+
+            this.runner.assertTrue(reply.includes('Despesa registrada'), 'Deve confirmar a despesa');
+            this.runner.assertTrue(reply.includes('50,00'), 'Deve conter o valor formatado');
+            this.runner.assertTrue(reply.includes('Almoço'), 'Deve conter a descrição');
+            this.runner.assertTrue(reply.includes('Alimentação'), 'Deve conter a categoria');
+            this.runner.assertTrue(reply.includes('Nubank'), 'Deve conter o cartão');
+            this.runner.assertTrue(reply.includes('10/03/2025'), 'Deve conter a data no formato brasileiro');
+        });
+
+        this.runner.addTest('WhatsApp - Stub registra mensagens sem acessar a rede', async () => {
+            const client = new StubWhatsAppClient();
+            await client.sendText('123', '5511999999999', buildParseErrorReply('Valor não encontrado'));
+
+            this.runner.assertEqual(client.sent.length, 1, 'Stub deve guardar a mensagem enviada');
+            this.runner.assertEqual(client.sent[0].to, '5511999999999');
+            this.runner.assertTrue(client.sent[0].body.includes('valor não encontrado'), 'Deve explicar o erro');
+        });
+    }
+
+    /**
+     * Configura testes para o parser de mensagens do WhatsApp
+     * Cada linha da tabela é uma mensagem real e o resultado esperado
+     */
+    setupWhatsAppParserTests() {
+        // Quarta-feira, 12/03/2025 12:00 em Brasília
+        const now = new Date('2025-03-12T15:00:00Z');
+
+        const amountCases = [
+            ['Gastei 50 no almoço com nubank', 50],
+            ['15.50 uber', 15.5],
+            ['uber 23,90', 23.9],
+            ['R$ 1.234,56 no mercado', 1234.56],
+            ['R$ 50,00 farmácia', 50],
+            ['r$50 cinema', 50],
+            ['1234,56 aluguel', 1234.56],
+            ['recebi 1.500 de freela', 1500],
+            ['1,234.56 passagem', 1234.56],
+            ['cinquenta reais de pizza', 50],
+            ['quinhentos e cinquenta e cinco reais de mercado', 555],
+            ['mil e duzentos de aluguel', 1200],
+            ['dois mil e quinhentos do carro', 2500],
+            ['dez reais e cinquenta centavos de pão', 10.5],
+            ['trezentos e vinte reais e 50 centavos na feira', 320.5],
+            ['um real de bala', 1],
+            ['50 conto no bar', 50],
+            ['20 pila de açaí', 20],
+            ['2k de aluguel', 2000],
+            ['1,5k notebook', 1500],
+            ['3 mil de salário', 3000],
+            ['gastei 3 mil e 500 no aluguel', 3500],
+            ['gastei 2 mil e quinhentos no carro', 2500],
+            ['comprei um lanche de 25', 25],
+            ['comprei três pães por 12', 12],
+            ['tênis 300 em 3x', 300],
+            ['almoço às 12h 35 reais', 35]
+        ];
+
+        amountCases.forEach(([message, expected]) => {
+            this.runner.addTest(`WhatsApp Parser - Valor: "${message}"`, () => {
+                const result = parseMessage(message, now);
+                this.runner.assertEqual(result.amount, expected);
+            });
+        });
+
+        const dateCases = [
+            ['50 almoço', '2025-03-12'],
+            ['hoje 30 de gasolina', '2025-03-12'],
+            ['R$ 1.234,56 aluguel ontem', '2025-03-11'],
+            ['2k de aluguel anteontem', '2025-03-10'],
+            ['almoço 35 há 3 dias', '2025-03-09'],
+            ['gastei 80 sexta passada no mercado', '2025-03-07'],
+            ['farmácia 45 no sábado', '2025-03-08'],
+            ['padaria 12 quarta passada', '2025-03-05'],
+            ['uber 23,90 dia 10', '2025-03-10'],
+            ['cinquenta conto de gasolina dia 12', '2025-03-12'],
+            ['conta de luz 180 dia 20', '2025-02-20'],
+            ['presente 90 dia 5 de março', '2025-03-05'],
+            ['recebi 1.500 de freela 05/03', '2025-03-05'],
+            ['hotel 600 20/12', '2024-12-20'],
+            ['curso 350 10/01/2025', '2025-01-10'],
+            ['gastei 20 no dia 05/09 mercado', '2024-09-05'],
+            ['farmácia 100 no dia 5', '2025-03-05'],
+            // Fevereiro não tem dia 31: volta até janeiro em vez de cair em 28/02
+            ['aluguel 1200 dia 31', '2025-01-31']
+        ];
+
+        dateCases.forEach(([message, expected]) => {
+            this.runner.addTest(`WhatsApp Parser - Data: "${message}"`, () => {
+                const result = parseMessage(message, now);
+                this.runner.assertEqual(result.date, expected);
+            });
+        });
+
+        this.runner.addTest('WhatsApp Parser - Data não é lida como valor', () => {
+            const result = parseMessage('uber 23,90 dia 10', now);
+            this.runner.assertEqual(result.amount, 23.9);
+            this.runner.assertEqual(result.description, 'Uber');
+        });
+
+        this.runner.addTest('WhatsApp Parser - Resto depois de "mil" não vai para a descrição', () => {
+            this.runner.assertEqual(parseMessage('gastei 3 mil e 500 no aluguel', now, { cardNames: [] }).description, 'Aluguel');
+            this.runner.assertEqual(parseMessage('gastei 2 mil e quinhentos no carro', now, { cardNames: [] }).description, 'Carro');
+        });
+
+        this.runner.addTest('WhatsApp Parser - "dia DD/MM" não deixa a data na descrição', () => {
+            const result = parseMessage('gastei 20 no dia 05/09 mercado', now, { cardNames: [] });
+            this.runner.assertEqual(result.amount, 20);
+            this.runner.assertEqual(result.description, 'Mercado');
+        });
+
+        this.runner.addTest('WhatsApp Parser - "no dia N" não deixa a preposição na descrição', () => {
+            const result = parseMessage('farmácia 100 no dia 5', now, { cardNames: [] });
+            this.runner.assertEqual(result.amount, 100);
+            this.runner.assertEqual(result.description, 'Farmácia');
+        });
+
+        this.runner.addTest('WhatsApp Parser - Mensagem sem valor retorna erro', () => {
+            this.runner.assertEqual(parseMessage('pizza ontem', now), { error: 'Valor não encontrado' });
+        });
+
+        // [mensagem, paymentMethod, installments, descrição]
+        const paymentCases = [
+            ['tênis 300 em 3x', 'credito_parcelado', 3, 'Tênis'],
+            ['geladeira 2.500 parcelado em 10 vezes', 'credito_parcelado', 10, 'Geladeira'],
+            ['tv 3k em 12x sem juros', 'credito_parcelado', 12, 'Tv'],
+            ['curso 600 em três parcelas no cartão de crédito', 'credito_parcelado', 3, 'Curso'],
+            ['mercado 80 no pix', 'pix', 1, 'Mercado'],
+            ['farmácia 30 no débito', 'debito', 1, 'Farmácia'],
+            ['livro 45 crédito à vista', 'credito_vista', 1, 'Livro'],
+            ['sorvete 8 em dinheiro', 'dinheiro', 1, 'Sorvete'],
+            ['gastei 50 em dinheiro vivo no bar', 'dinheiro', 1, 'Bar'],
+            ['gastei 30 no mercado', null, 1, 'Mercado']
+        ];
+
+        paymentCases.forEach(([message, paymentMethod, installments, description]) => {
+            this.runner.addTest(`WhatsApp Parser - Pagamento: "${message}"`, () => {
+                const result = parseMessage(message, now, { cardNames: [] });
+                this.runner.assertEqual(result.paymentMethod, paymentMethod);
+                this.runner.assertEqual(result.installments, installments);
+                this.runner.assertEqual(result.description, description);
+            });
+        });
+
+        this.runner.addTest('WhatsApp Parser - Cartão do usuário é reconhecido como origem', () => {
+            const result = parseMessage('tênis 300 em 3x no nubank', now, { cardNames: ['Nubank'] });
+            this.runner.assertEqual(result.source, 'Nubank');
+            this.runner.assertEqual(result.description, 'Tênis');
+            this.runner.assertEqual(result.installments, 3);
+        });
+    }
+
+    /**
+     * Configura testes para os comandos do WhatsApp (parseCommand/executeCommand)
+     */
+    setupWhatsAppCommandTests() {
+        // Quarta-feira, 12/03/2025 12:00 em Brasília
+        const now = new Date('2025-03-12T15:00:00Z');
+
+        // [mensagem, comando esperado]
+        const commandCases = [
+            ['saldo', { name: 'balance', args: { month: null } }],
+            ['Meu saldo do mês?', { name: 'balance', args: { month: null } }],
+            ['resumo do mês', { name: 'summary', args: { month: null } }],
+            ['Resumo de fevereiro', { name: 'summary', args: { month: { month: 2, year: null } } }],
+            ['saldo de dezembro de 2024', { name: 'balance', args: { month: { month: 12, year: 2024 } } }],
+            ['quanto gastei com mercado', { name: 'spent', args: { term: 'mercado', month: null } }],
+            ['Quanto gastei com Farmácia em março?', { name: 'spent', args: { term: 'farmacia', month: { month: 3, year: null } } }],
+            ['quanto gastei esse mês', { name: 'spent', args: { term: null, month: null } }],
+            ['desfazer', { name: 'undo', args: {} }],
+            ['apagar último', { name: 'undo', args: {} }],
+            ['últimos 3', { name: 'last', args: { count: 3 } }],
+            ['ultimos', { name: 'last', args: { count: 5 } }],
+            ['últimos 50', { name: 'last', args: { count: 20 } }],
+            ['ajuda', { name: 'help', args: {} }],
+            ['gastei 30 no mercado', null],
+            ['mercado 25 dia 5 de março', null]
+        ];
+
+        commandCases.forEach(([message, expected]) => {
+            this.runner.addTest(`WhatsApp Comandos - "${message}"`, () => {
+                this.runner.assertEqual(parseCommand(message), expected);
+            });
+        });
+
+        const data = {
+            expenses: [
+                { id: 'e1', date: '2025-03-02', amount: 100, description: 'Mercado Extra', category: 'Alimentação', paymentMethod: 'debito', createdAt: '2025-03-02T10:00:00Z' },
+                { id: 'e2', date: '2025-03-05', amount: 50, description: 'Drogasil', category: 'Farmácia', paymentMethod: 'credito_vista', source: 'WHATSAPP', createdAt: '2025-03-05T10:00:00Z' },
+                { id: 'e3', date: '2025-03-08', amount: 200, description: 'Tesouro Selic', category: 'investimentos', paymentMethod: 'pix', createdAt: '2025-03-08T10:00:00Z' },
+                { id: 'e4', date: '2025-02-20', amount: 80, description: 'Mercado', category: 'Alimentação', paymentMethod: 'pix', source: 'WHATSAPP', createdAt: '2025-03-09T10:00:00Z' }
+            ],
+            incomes: [
+                { id: 'i1', date: '2025-03-05', amount: 1000, description: 'Salário', createdAt: '2025-03-05T09:00:00Z' }
+            ]
+        };
+
+        this.runner.addTest('WhatsApp Comandos - Saldo usa os totais do mês', () => {
+            const { reply } = executeCommand(parseCommand('saldo'), data, now);
+            this.runner.assertTrue(reply.includes('Março/2025'), 'Deve indicar o mês');
+            // 1000 - 150 de despesas - 200 investidos
+            this.runner.assertTrue(reply.includes(formatCurrency(650)), 'Deve mostrar o que sobrou');
+        });
+
+        this.runner.addTest('WhatsApp Comandos - Resumo separa débito, crédito e investimentos', () => {
+            const { reply } = executeCommand(parseCommand('resumo do mês'), data, now);
+            this.runner.assertTrue(reply.includes(`Despesas: ${formatCurrency(150)}`), 'Despesas sem investimentos');
+            this.runner.assertTrue(reply.includes(`Débito: ${formatCurrency(100)}`), 'Débito');
+            this.runner.assertTrue(reply.includes(`Crédito: ${formatCurrency(50)}`), 'Crédito');
+            this.runner.assertTrue(reply.includes(`Investimentos: ${formatCurrency(200)}`), 'Investimentos');
+        });
+
+        this.runner.addTest('WhatsApp Comandos - Resumo de outro mês', () => {
+            const { reply } = executeCommand(parseCommand('resumo de fevereiro'), data, now);
+            this.runner.assertTrue(reply.includes('Fevereiro/2025'), 'Deve indicar o mês pedido');
+            this.runner.assertTrue(reply.includes(`Despesas: ${formatCurrency(80)}`), 'Só as despesas de fevereiro');
+        });
+
+        this.runner.addTest('WhatsApp Comandos - Mês depois do atual é do ano passado', () => {
+            const { reply } = executeCommand(parseCommand('saldo de dezembro'), data, now);
+            this.runner.assertTrue(reply.includes('Dezembro/2024'), reply);
+        });
+
+        this.runner.addTest('WhatsApp Comandos - "Quanto gastei com" filtra por categoria e descrição', () => {
+            const byCategory = executeCommand(parseCommand('quanto gastei com farmácia'), data, now).reply;
+            this.runner.assertTrue(byCategory.includes(formatCurrency(50)), byCategory);
+            this.runner.assertTrue(byCategory.includes('1 lançamento'), byCategory);
+
+            const byDescription = executeCommand(parseCommand('quanto gastei com mercado'), data, now).reply;
+            this.runner.assertTrue(byDescription.includes(formatCurrency(100)), 'Só o mercado de março');
+
+            const total = executeCommand(parseCommand('quanto gastei'), data, now).reply;
+            this.runner.assertTrue(total.includes(formatCurrency(150)), 'Total sem investimentos');
+
+            const none = executeCommand(parseCommand('quanto gastei com cinema'), data, now).reply;
+            this.runner.assertTrue(none.includes('Nenhum gasto com "cinema"'), none);
+        });
+
+        this.runner.addTest('WhatsApp Comandos - Desfazer remove a última entrada do WhatsApp', () => {
+            const result = executeCommand(parseCommand('desfazer'), data, now);
+            // A mais recente pelo createdAt, mesmo com data anterior
+            this.runner.assertEqual(result.remove, { type: 'expense', id: 'e4' });
+            this.runner.assertTrue(result.reply.includes('Mercado'), result.reply);
+
+            const empty = executeCommand(parseCommand('desfazer'), { expenses: [data.expenses[0]], incomes: [] }, now);
+            this.runner.assertEqual(empty.remove, undefined);
+        });
+
+        this.runner.addTest('WhatsApp Comandos - Últimas transações, da mais recente para a mais antiga', () => {
+            const { reply } = executeCommand(parseCommand('últimos 2'), data, now);
+            const lines = reply.split('\n');
+            this.runner.assertEqual(lines.length, 3);
+            this.runner.assertTrue(lines[1].includes('08/03 Tesouro Selic'), lines[1]);
+            this.runner.assertTrue(lines[2].includes('05/03'), lines[2]);
+        });
+    }
+
+    /**
+     * Configura testes para a inferência de categorias
+     */
+    setupCategoryInferenceTests() {
+        // [descrição do extrato, categoria esperada]
+        const keywordCases = [
+            ['COMPRA CARTAO DEB MP *IFOOD 12/03', 'Alimentação'],
+            ['PAG*UberTrip', 'Transporte'],
+            ['UBER EATS', 'Alimentação'],
+            ['AUTO POSTO SHELL', 'Transporte'],
+            ['DROGASIL 1234', 'Saúde'],
+            ['Netflix.com', 'Lazer'],
+            ['C&A Shopping Iguatemi', 'Vestuário'],
+            ['EXTRA HIPER 1234', 'Alimentação'],
+            ['OI FIBRA', 'Serviços'],
+            ['Cacau Show', 'Alimentação'],
+            ['Pix enviado Fulano de Tal', 'Outros'],
+            ['Presente pro Tim', 'Outros'],
+            ['VIVO FIBRA', 'Serviços'],
+            ['Conta de água Sabesp', 'Moradia'],
+            ['Água de coco', 'Outros'],
+            ['Refrigerante light', 'Outros'],
+            ['Claro que sim', 'Outros']
+        ];
+
+        keywordCases.forEach(([description, expected]) => {
+            this.runner.addTest(`Categorias - Palavra-chave: "${description}"`, () => {
+                this.runner.assertEqual(inferCategory(description), expected);
+            });
+        });
+
+        this.runner.addTest('Categorias - Usa a grafia das categorias do usuário', () => {
+            const context = buildCategoryContext({ expenseCategories: ['alimentacao', 'transporte'] });
+            this.runner.assertEqual(inferCategory('IFD*RESTAURANTE', 'expense', context), 'alimentacao');
+        });
+
+        this.runner.addTest('Categorias - Aprende com descrições já categorizadas', () => {
+            const context = buildCategoryContext({
+                expenses: [
+                    { description: 'Padaria do Zé', category: 'Café da manhã' },
+                    { description: 'Ração Golden', category: 'Pet' },
+                    { description: 'Ração Premier', category: 'Pet' },
+                    { description: 'PAG*LOJA X', category: 'Outros' }
+                ],
+                expenseCategories: ['Café da manhã', 'Pet']
+            });
+            this.runner.assertEqual(inferCategory('PADARIA DO ZE 12/03', 'expense', context), 'Café da manhã');
+            this.runner.assertEqual(inferCategory('racao whiskas', 'expense', context), 'Pet');
+            this.runner.assertEqual(inferCategory('loja x', 'expense', context), 'Outros');
+        });
+
+        this.runner.addTest('Categorias - Receitas usam o dicionário de receitas', () => {
+            this.runner.assertEqual(inferCategory('Salario empresa X', 'income'), 'Salário');
+            this.runner.assertEqual(inferCategory('Rendimento poupança', 'income'), 'Investimentos');
+            this.runner.assertEqual(inferCategory('Folha de pagamento', 'income'), 'Salário');
+            this.runner.assertEqual(inferCategory('Venda de folha sulfite', 'income'), 'Outros');
+        });
+
+        this.runner.addTest('Categorias - Mensagem do WhatsApp recebe categoria', () => {
+            const result = parseMessage('uber 23,90 ontem', new Date('2025-03-12T15:00:00Z'));
+            this.runner.assertEqual(result.category, 'Transporte');
+        });
+
+        // [mensagem, opções, descrição, categoria]
+        const messageCases = [
+            ['oi, gastei 30 no mercado', { cardNames: [] }, 'Mercado', 'Alimentação'],
+            ['gastei 12 extra no uber', { cardNames: [] }, 'Extra no uber', 'Transporte'],
+            ['oi, gastei 30 no mercado', {}, 'Despesa diversa', 'Alimentação'],
+            ['gastei 12 extra no uber', {}, 'Extra', 'Transporte'],
+            ['gastei 30 no mercado', {}, 'Despesa diversa', 'Alimentação'],
+            ['gastei 12 no uber', {}, 'Despesa diversa', 'Transporte']
+        ];
+
+        messageCases.forEach(([message, options, description, category]) => {
+            this.runner.addTest(`Categorias - WhatsApp: "${message}"${options.cardNames ? ' (com cartões)' : ''}`, () => {
+                const result = parseMessage(message, new Date('2025-03-12T15:00:00Z'), options);
+                this.runner.assertEqual(result.description, description);
+                this.runner.assertEqual(result.category, category);
+            });
+        });
+    }
+
+    /**
+     * Configura testes para as regras de categorização
+     */
+    setupCategoryRulesTests() {
+        const netflixRule = createCategoryRule({ descriptionContains: 'NETFLIX', category: 'streaming', markFixed: true });
+        const rentRule = createCategoryRule({
+            appliesTo: 'expense', amountMin: '1500', amountMax: '1600', dayOfMonth: '5', account: 'Itaú', category: 'aluguel'
+        });
+        const rules = [netflixRule, rentRule];
+
+        this.runner.addTest('Regras - Descrição contém define categoria e marca como fixa', () => {
+            const { transaction, rule } = applyCategoryRules(
+                { description: 'Netflix.com', amount: 39.9, date: '2025-03-02', category: 'Lazer' }, 'expense', rules
+            );
+            this.runner.assertEqual(rule.id, netflixRule.id);
+            this.runner.assertEqual(transaction.category, 'streaming');
+            this.runner.assertEqual(transaction.isFixed, true);
+        });
+
+        this.runner.addTest('Regras - Valor, dia e conta precisam casar juntos', () => {
+            const base = { description: 'TED PROPRIETARIO', amount: 1550, date: '2025-03-05', originalData: { accountName: 'ITAU CONTA CORRENTE' } };
+            this.runner.assertEqual(applyCategoryRules(base, 'expense', rules).transaction.category, 'aluguel');
+            this.runner.assertEqual(applyCategoryRules({ ...base, date: '2025-03-06' }, 'expense', rules).rule, null);
+            this.runner.assertEqual(applyCategoryRules({ ...base, amount: 1700 }, 'expense', rules).rule, null);
+            this.runner.assertEqual(applyCategoryRules(base, 'income', rules).rule, null);
+        });
+
+        this.runner.addTest('Regras - Conta citada no WhatsApp é considerada', () => {
+            const transaction = { description: 'Aluguel', amount: 1500, date: '2025-03-05' };
+            this.runner.assertEqual(applyCategoryRules(transaction, 'expense', rules, { account: 'Itaú' }).rule.id, rentRule.id);
+        });
+
+        this.runner.addTest('Regras - Conta do extrato importado é considerada', () => {
+            const itauRule = createCategoryRule({ account: 'Itaú', category: 'Cartão Itaú' });
+            const saved = dataManager.getCategoryRules();
+            try {
+                dataManager.saveCategoryRules([rentRule, itauRule]);
+
+                // CSV: conta pelo perfil reconhecido
+                const csv = bankStatementParser.parseCSV('data;lançamento;ag./origem;valor\n05/03/2025;TED PROPRIETARIO;;-1.550,00');
+                this.runner.assertEqual(bankSyncService.prepareTransactions(csv)[0].transaction.category, 'aluguel');
+
+                // Fatura sem cartão identificado: conta pela chave ('creditcard:itau:1234')
+                const itau = bankStatementParser.parseInvoice(itauInvoiceFixture.split('\n')).transactions;
+                this.runner.assertEqual(bankSyncService.prepareTransactions(itau)[0].transaction.category, 'Cartão Itaú');
+                const nubank = bankStatementParser.parseInvoice(nubankInvoiceFixture.split('\n')).transactions;
+                this.runner.assertTrue(bankSyncService.prepareTransactions(nubank)[0].transaction.category !== 'Cartão Itaú', 'fatura de outro emissor');
+            } finally {
+                dataManager.saveCategoryRules(saved);
+            }
+        });
+
+        this.runner.addTest('Regras - Regra desativada é ignorada', () => {
+            const disabled = [{ ...netflixRule, enabled: false }];
+            this.runner.assertEqual(applyCategoryRules({ description: 'NETFLIX', amount: 10, date: '2025-03-02' }, 'expense', disabled).rule, null);
+        });
+
+        this.runner.addTest('Regras - Regra sem condição é rejeitada', () => {
+            let message = null;
+            try {
+                createCategoryRule({ category: 'Lazer' });
+            } catch (error) {
+                message = error.message;
+            }
+            this.runner.assertEqual(message, 'A regra precisa de pelo menos uma condição.');
+        });
+    }
+
+    /**
+     * Configura testes para a importação de extratos
+     */
+    setupStatementImportTests() {
+        const existing = [
+            { id: 'a1', date: '2025-03-10', amount: 45.9, description: 'COMPRA CARTAO DEB IFOOD 10/03' }
+        ];
+
+        this.runner.addTest('Importação - Mesmo extrato importado de novo é possível duplicata', () => {
+            const transaction = { id: 'novo', date: '2025-03-10', amount: 45.90, description: 'IFOOD' };
+            this.runner.assertTrue(bankSyncService.isLikelyDuplicate(transaction, existing), 'deveria ser marcada como duplicata');
+        });
+
+        this.runner.addTest('Importação - Valor diferente ou data distante não são duplicata', () => {
+            const otherAmount = { id: 'b', date: '2025-03-10', amount: 46, description: 'IFOOD' };
+            const otherDate = { id: 'c', date: '2025-03-15', amount: 45.9, description: 'IFOOD' };
+            this.runner.assertTrue(!bankSyncService.isLikelyDuplicate(otherAmount, existing), 'valor diferente');
+            this.runner.assertTrue(!bankSyncService.isLikelyDuplicate(otherDate, existing), 'data distante');
+        });
+
+        this.runner.addTest('Duplicatas - Data próxima e descrição parecida', () => {
+            const posted = { id: 'd', date: '2025-03-12', amount: 45.9, description: 'IFD*IFOOD', source: 'CSV_IMPORT' };
+            this.runner.assertEqual(compareTransactions(existing[0], posted), 'strong');
+        });
+
+        this.runner.addTest('Duplicatas - FITID repetido é a mesma transação', () => {
+            const first = { id: 'x1', date: '2025-03-01', amount: 10, description: 'A', source: 'OFX_IMPORT', originalData: { fitId: '123' } };
+            const again = { id: 'x2', date: '2025-03-01', amount: 10, description: 'A', source: 'OFX_IMPORT', originalData: { fitId: '123' } };
+            const other = { id: 'x3', date: '2025-03-01', amount: 10, description: 'A', source: 'OFX_IMPORT', originalData: { fitId: '124' } };
+            this.runner.assertEqual(compareTransactions(first, again), 'exact');
+            this.runner.assertEqual(compareTransactions(first, other), null);
+        });
+
+        this.runner.addTest('Duplicatas - Mesmo FITID em contas diferentes não é duplicata', () => {
+            const checking = { id: 'y1', date: '2025-03-01', amount: 10, description: 'A', source: 'OFX_IMPORT', originalData: { fitId: '123', accountKey: 'bank:0260:12345-6' } };
+            const savings = { id: 'y2', date: '2025-03-01', amount: 10, description: 'A', source: 'OFX_IMPORT', originalData: { fitId: '123', accountKey: 'bank:0341:98765-4' } };
+            const again = { ...checking, id: 'y3' };
+            this.runner.assertEqual(compareTransactions(checking, savings), null);
+            this.runner.assertEqual(compareTransactions(checking, again), 'exact');
+        });
+
+        this.runner.addTest('Duplicatas - Contas diferentes não são duplicata', () => {
+            const a = { id: 'c1', date: '2025-03-01', amount: 50, description: 'Posto Shell', selectedCard: 'Nubank' };
+            const b = { id: 'c2', date: '2025-03-01', amount: 50, description: 'Posto Shell', selectedCard: 'Inter' };
+            this.runner.assertEqual(compareTransactions(a, b), null);
+        });
+
+        this.runner.addTest('Duplicatas - Mesclar mantém o lançamento manual e reconhece a importação depois', () => {
+            const manual = { id: 'm1', date: '2025-03-10', amount: 45.9, description: 'Almoço', category: 'Alimentação' };
+            const imported = { id: 'i1', date: '2025-03-10', amount: 45.9, description: 'IFD*RESTAURANTE', category: 'Outros', source: 'CSV_IMPORT' };
+            this.runner.assertEqual(findDuplicatePairs([manual, imported]).length, 1);
+
+            const { keep, other } = pickTransactionToKeep(imported, manual);
+            const merged = mergeTransactions(keep, other);
+            this.runner.assertEqual(merged.id, 'm1');
+            this.runner.assertEqual(merged.category, 'Alimentação');
+
+            const reimported = { id: 'i2', date: '2025-03-10', amount: 45.9, description: 'IFD*RESTAURANTE', source: 'CSV_IMPORT' };
+            this.runner.assertEqual(compareTransactions(merged, reimported), 'strong');
+        });
+
+        this.runner.addTest('Duplicatas - "Manter ambas" não volta para a caixa', () => {
+            const a = { id: 'k1', date: '2025-03-10', amount: 20, description: 'Uber', notDuplicateOf: ['k2'] };
+            const b = { id: 'k2', date: '2025-03-10', amount: 20, description: 'Uber' };
+            this.runner.assertEqual(findDuplicatePairs([a, b]).length, 0);
+        });
+    }
+
+    /**
+     * Configura testes para o tokenizador e os perfis de CSV
+     */
+    setupCsvProfileTests() {
+        this.runner.addTest('CSV - Campos entre aspas com separador, aspas e quebra de linha', () => {
+            const rows = tokenizeCSV('Data;Descrição;Valor\r\n01/03/2025;"PADARIA; CAFÉ ""BOM""";"-1.234,56"\n02/03/2025;"LINHA\nDUPLA";10,00\n');
+            this.runner.assertEqual(rows.length, 3);
+            this.runner.assertEqual(rows[1][1], 'PADARIA; CAFÉ "BOM"');
+            this.runner.assertEqual(rows[1][2], '-1.234,56');
+            this.runner.assertEqual(rows[2][1], 'LINHA\nDUPLA');
+        });
+
+        this.runner.addTest('CSV - Valores em formato brasileiro', () => {
+            const cases = [['1.234,56', 1234.56], ['-45,90', -45.9], ['R$ -12,00', -12], ['(12,34)', -12.34], ['12,34 D', -12.34], ['1,234.56', 1234.56], ['-1234.56', -1234.56]];
+            cases.forEach(([input, expected]) => {
+                this.runner.assertEqual(parseCSVAmount(input), expected, input);
+            });
+            this.runner.assertTrue(isNaN(parseCSVAmount('Saldo')), 'texto não é valor');
+        });
+
+        const detect = (csv) => {
+            const transactions = bankStatementParser.parseCSV(csv);
+            return { profile: transactions[0]?.originalData?.csvProfile, transactions };
+        };
+
+        this.runner.addTest('CSV - Perfis detectados pelo cabeçalho', () => {
+            const files = [
+                ['Nubank (conta)', 'Data,Valor,Identificador,Descrição\n05/03/2025,-32.50,6650a1b2,Compra no débito - Padaria'],
+                ['Nubank (fatura)', 'date,title,amount\n2025-03-05,Padaria,32.50'],
+                ['Inter', 'Extrato Conta Corrente\nPeríodo ;01/03/2025 a 31/03/2025\n\nData Lançamento;Histórico;Descrição;Valor;Saldo\n05/03/2025;Compra no debito;PADARIA;-32,50;1.000,00'],
+                ['Itaú', 'data;lançamento;ag./origem;valor\n05/03/2025;PADARIA;;-32,50'],
+                ['Bradesco', 'Data;Histórico;Docto.;Crédito (R$);Débito (R$);Saldo (R$)\n05/03/2025;PADARIA;123;;32,50;1.000,00'],
+                ['Santander', 'Data;Descrição;Docto;Situação;Crédito (R$);Débito (R$);Saldo (R$)\n05/03/2025;PADARIA;123;;;-32,50;1.000,00'],
+                ['Banco do Brasil', '"Data","Dependencia Origem","Histórico","Data do Balancete","Número do documento","Valor",\n"05/03/2025","","PADARIA","","123","-32.50",'],
+                ['C6 Bank', 'Data Lançamento,Data Contábil,Título,Descrição,Entrada(R$),Saída(R$),Saldo do Dia(R$)\n05/03/2025,05/03/2025,Compra,PADARIA,0.00,32.50,1000.00']
+            ];
+
+            files.forEach(([expected, csv]) => {
+                const { profile, transactions } = detect(csv);
+                this.runner.assertEqual(profile, expected);
+                this.runner.assertEqual(transactions.length, 1, expected);
+                this.runner.assertEqual(transactions[0].date, '2025-03-05', expected);
+                this.runner.assertEqual(transactions[0].amount, 32.5, expected);
+                this.runner.assertTrue(transactions[0].type !== 'CREDIT', `${expected}: deveria ser saída`);
+            });
+        });
+
+        this.runner.addTest('CSV - Débito/crédito separados e linhas de saldo', () => {
+            const csv = 'Data;Histórico;Docto.;Crédito (R$);Débito (R$);Saldo (R$)\n01/03/2025;SALDO ANTERIOR;;;;500,00\n02/03/2025;SALARIO;1;3.500,00;;4.000,00\n03/03/2025;ALUGUEL;2;;1.200,00;2.800,00';
+            const transactions = bankStatementParser.parseCSV(csv);
+            this.runner.assertEqual(transactions.length, 2);
+            this.runner.assertEqual(transactions[0].type, 'CREDIT');
+            this.runner.assertEqual(transactions[0].amount, 3500);
+            this.runner.assertEqual(transactions[1].type, 'DEBIT');
+            this.runner.assertEqual(transactions[1].amount, 1200);
+        });
+
+        this.runner.addTest('CSV - Fatura: valor positivo é compra, negativo é pagamento', () => {
+            const transactions = bankStatementParser.parseCSV('date,title,amount\n2025-03-05,Mercado,120.00\n2025-03-10,Pagamento recebido,-500.00');
+            this.runner.assertEqual(transactions[0].type, 'CREDIT_CARD');
+            this.runner.assertEqual(transactions[1].type, 'CREDIT');
+            this.runner.assertEqual(transactions[1].cardCredit, true);
+        });
+
+        this.runner.addTest('CSV - Formato desconhecido pede mapeamento e perfil salvo é usado', () => {
+            const csv = 'Quando;O que;Quanto\n05/03/2025;Padaria;-32,50';
+            let error = null;
+            try {
+                bankStatementParser.parseCSV(csv);
+            } catch (e) {
+                error = e;
+            }
+            this.runner.assertEqual(error?.code, 'CSV_PROFILE_REQUIRED');
+
+            const profile = createCsvProfile({
+                name: 'Cooperativa',
+                headerRow: error.csvRows[0],
+                hasHeader: true,
+                columns: { date: '0', description: '1', amount: '2' }
+            });
+            const transactions = bankStatementParser.parseCSV(csv, { customProfiles: [profile] });
+            this.runner.assertEqual(transactions.length, 1);
+            this.runner.assertEqual(transactions[0].originalData.csvProfile, 'Cooperativa');
+            this.runner.assertEqual(transactions[0].description, 'Padaria');
+        });
+    }
+
+    /**
+     * Configura testes para o parser de OFX (SGML e XML)
+     */
+    setupOFXTests() {
+        const sgml = [
+            'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'CHARSET:1252', '',
+            '<OFX>',
+            '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>20250331120000[-3:BRT]<LANGUAGE>POR</SONRS></SIGNONMSGSRSV1>',
+            '<BANKMSGSRSV1><STMTTRNRS><TRNUID>1<STMTRS><CURDEF>BRL',
+            '<BANKACCTFROM><BANKID>0260<BRANCHID>0001<ACCTID>12345-6<ACCTTYPE>CHECKING</BANKACCTFROM>',
+            '<BANKTRANLIST><DTSTART>20250301<DTEND>20250331',
+            '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250306020000[0:GMT]<TRNAMT>-32.50<FITID>abc1<CHECKNUM>001<NAME>PADARIA<MEMO>Compra no débito &amp; cia</STMTTRN>',
+            '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250305<TRNAMT>3500,00<FITID>abc2<MEMO>SALARIO</STMTTRN>',
+            '</BANKTRANLIST>',
+            '<LEDGERBAL><BALAMT>1234.56<DTASOF>20250331</LEDGERBAL><AVAILBAL><BALAMT>1200.00<DTASOF>20250331</AVAILBAL>',
+            '</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+        ].join('\n');
+
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE"?>',
+            '<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS><CURDEF>BRL</CURDEF>',
+            '<CCACCTFROM><ACCTID>5555********1234</ACCTID></CCACCTFROM>',
+            '<BANKTRANLIST><DTSTART>20250301</DTSTART><DTEND>20250331</DTEND>',
+            '<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20250310</DTPOSTED><TRNAMT>-120.00</TRNAMT><FITID>cc1</FITID><MEMO>MERCADO</MEMO></STMTTRN>',
+            '<STMTTRN><TRNTYPE>CREDIT</TRNTYPE><DTPOSTED>20250315</DTPOSTED><TRNAMT>500.00</TRNAMT><FITID>cc2</FITID><NAME>Pagamento recebido</NAME></STMTTRN>',
+            '</BANKTRANLIST><LEDGERBAL><BALAMT>-820.00</BALAMT><DTASOF>20250331</DTASOF></LEDGERBAL>',
+            '</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>'
+        ].join('\n');
+
+        this.runner.addTest('OFX - SGML: conta, período e saldos do extrato', () => {
+            const { version, statements } = parseOFXDocument(sgml);
+            this.runner.assertEqual(version, '102');
+            this.runner.assertEqual(statements.length, 1);
+            const [statement] = statements;
+            this.runner.assertEqual(statement.type, 'bank');
+            this.runner.assertEqual(statement.account.bankId, '0260');
+            this.runner.assertEqual(statement.account.accountId, '12345-6');
+            this.runner.assertEqual(statement.accountKey, 'bank:0260:12345-6');
+            this.runner.assertEqual(statement.period.start, '2025-03-01');
+            this.runner.assertEqual(statement.ledgerBalance.amount, 1234.56);
+            this.runner.assertEqual(statement.availableBalance.amount, 1200);
+        });
+
+        this.runner.addTest('OFX - SGML: FITID, NAME, CHECKNUM e fuso do DTPOSTED', () => {
+            const [debit, credit] = parseOFXDocument(sgml).statements[0].transactions;
+            this.runner.assertEqual(debit.description, 'PADARIA - Compra no débito & cia');
+            this.runner.assertEqual(debit.originalData.fitId, 'abc1');
+            this.runner.assertEqual(debit.originalData.checkNum, '001');
+            // 02h em GMT ainda é dia 05 em Brasília
+            this.runner.assertEqual(debit.date, '2025-03-05');
+            this.runner.assertEqual(debit.type, 'DEBIT');
+            this.runner.assertEqual(credit.amount, 3500);
+            this.runner.assertEqual(credit.type, 'CREDIT');
+        });
+
+        this.runner.addTest('OFX - XML: fatura de cartão', () => {
+            const [statement] = parseOFXDocument(xml).statements;
+            this.runner.assertEqual(statement.type, 'creditcard');
+            this.runner.assertEqual(statement.account.accountId, '5555********1234');
+            this.runner.assertEqual(statement.ledgerBalance.amount, -820);
+            this.runner.assertEqual(statement.transactions.length, 2);
+            this.runner.assertEqual(statement.transactions[0].type, 'CREDIT_CARD');
+            this.runner.assertEqual(statement.transactions[1].description, 'Pagamento recebido');
+        });
+
+        this.runner.addTest('OFX - Pagamento da fatura não vem marcado como receita', () => {
+            const [statement] = parseOFXDocument(xml).statements;
+            const [purchase, payment] = bankSyncService.prepareTransactions(statement.transactions);
+            this.runner.assertEqual(purchase.cardCredit, false);
+            this.runner.assertEqual(payment.cardCredit, true);
+
+            // Em extratos de conta corrente as entradas continuam sendo receitas
+            const [, salary] = bankSyncService.prepareTransactions(parseOFXDocument(sgml).statements[0].transactions);
+            this.runner.assertEqual(salary.type, 'income');
+            this.runner.assertEqual(salary.cardCredit, false);
+        });
+
+        this.runner.addTest('OFX - Datas sem fuso são mantidas', () => {
+            this.runner.assertEqual(parseOFXDate('20250310').date, '2025-03-10');
+            this.runner.assertEqual(parseOFXDate('20250310235900').date, '2025-03-10');
+            this.runner.assertEqual(parseOFXDate('20250310120000[-3:BRT]').date, '2025-03-10');
+        });
+
+        this.runner.addTest('OFX - Conta vinculada seleciona o cartão', () => {
+            const cards = [{ name: 'Nubank', type: 'credito', accountKeys: ['creditcard::5555********1234'] }, { name: 'Inter', type: 'debito' }];
+            this.runner.assertEqual(bankSyncService.findLinkedCard('creditcard::5555********1234', cards)?.name, 'Nubank');
+            this.runner.assertEqual(bankSyncService.findLinkedCard('bank:0077:1', cards), null);
+        });
+    }
+
+    /**
+     * Configura testes para os formatos QIF, CNAB 240/400 e XLSX
+     */
+    setupStatementFormatTests() {
+        this.runner.addTest('QIF - Extrato de conta em DD/MM', () => {
+            const { accountType, transactions } = parseQIF(qifBankFixture);
+            this.runner.assertEqual(accountType, 'Bank');
+            // A tarifa com valor zero é ignorada
+            this.runner.assertEqual(transactions.length, 2);
+            this.runner.assertEqual(transactions[0].date, '2025-03-05');
+            this.runner.assertEqual(transactions[0].description, 'PADARIA PAO QUENTE - Compra no debito');
+            this.runner.assertEqual(transactions[0].type, 'DEBIT');
+            this.runner.assertEqual(transactions[0].originalData.checkNum, '001');
+            this.runner.assertEqual(transactions[1].amount, 3500);
+            this.runner.assertEqual(transactions[1].type, 'CREDIT');
+        });
+
+        this.runner.addTest('QIF - Fatura de cartão em MM/DD', () => {
+            const { transactions } = parseQIF(qifCardFixture);
+            this.runner.assertEqual(transactions[0].date, '2025-03-10');
+            this.runner.assertEqual(transactions[0].type, 'CREDIT_CARD');
+            this.runner.assertEqual(transactions[1].date, '2025-03-25');
+            this.runner.assertEqual(transactions[1].type, 'CREDIT');
+        });
+
+        this.runner.addTest('CNAB 240 - Extrato (segmento E) e boleto liquidado (T + U)', () => {
+            const { layout, bankCode, transactions } = parseCNAB(cnab240Fixture);
+            this.runner.assertEqual(layout, 240);
+            this.runner.assertEqual(bankCode, '341');
+            this.runner.assertEqual(transactions.length, 3);
+            this.runner.assertEqual(transactions[0].description, 'PADARIA PAO QUENTE');
+            this.runner.assertEqual(transactions[0].amount, 32.5);
+            this.runner.assertEqual(transactions[0].type, 'DEBIT');
+            this.runner.assertEqual(transactions[1].type, 'CREDIT');
+            // Título liquidado: valor pago na data de crédito; a entrada de título (02) não gera transação
+            this.runner.assertEqual(transactions[2].description, 'Boleto NF-1001 - CLIENTE ABC LTDA');
+            this.runner.assertEqual(transactions[2].amount, 150);
+            this.runner.assertEqual(transactions[2].date, '2025-03-11');
+        });
+
+        this.runner.addTest('CNAB 400 - Só títulos liquidados viram entradas', () => {
+            const { layout, bankCode, transactions } = parseCNAB(cnab400Fixture);
+            this.runner.assertEqual(layout, 400);
+            this.runner.assertEqual(bankCode, '237');
+            this.runner.assertEqual(transactions.length, 1);
+            this.runner.assertEqual(transactions[0].amount, 200);
+            this.runner.assertEqual(transactions[0].date, '2025-03-13');
+            this.runner.assertEqual(transactions[0].type, 'CREDIT');
+        });
+
+        this.runner.addTest('CNAB - Linhas com tamanho inválido', () => {
+            let error = null;
+            try {
+                parseCNAB('linha curta demais');
+            } catch (e) {
+                error = e;
+            }
+            this.runner.assertTrue(error !== null, 'deveria rejeitar o arquivo');
+        });
+
+        this.runner.addTest('XLSX - Planilha com datas formatadas usa os perfis do CSV', async () => {
+            const buffer = await (await fetch(xlsxFixtureUrl)).arrayBuffer();
+            const transactions = await bankStatementParser.parseXLSX(buffer);
+            this.runner.assertEqual(transactions.length, 3);
+            this.runner.assertEqual(transactions[0].originalData.csvProfile, 'Bradesco');
+            this.runner.assertEqual(transactions[0].date, '2025-03-05');
+            this.runner.assertEqual(transactions[0].amount, 32.5);
+            this.runner.assertEqual(transactions[0].source, 'XLSX_IMPORT');
+            this.runner.assertEqual(transactions[1].type, 'CREDIT');
+            this.runner.assertEqual(transactions[2].description, 'Aluguel & condomínio');
+            this.runner.assertEqual(transactions[2].amount, 1200);
+        });
+    }
+
+    /**
+     * Configura testes para a importação de faturas de cartão (PDF)
+     */
+    setupInvoiceImportTests() {
+        const cards = [
+            { name: 'Itaú Platinum', type: 'credito', closingDay: 3, dueDay: 10 },
+            { name: 'Nubank', type: 'credito', closingDay: 3, dueDay: 10 },
+            { name: 'Inter Débito', type: 'debito', closingDay: 3, dueDay: 10 }
+        ];
+
+        this.runner.addTest('Fatura - Itaú: datas, total, parcelas e linhas em duas colunas', () => {
+            const invoice = parseInvoiceText(itauInvoiceFixture.split('\n'));
+            this.runner.assertEqual(invoice.issuer.id, 'itau');
+            this.runner.assertEqual(invoice.closingDate, '2025-03-03');
+            this.runner.assertEqual(invoice.dueDate, '2025-03-10');
+            this.runner.assertEqual(invoice.total, 348.3);
+            this.runner.assertEqual(invoice.cardDigits, '1234');
+            this.runner.assertEqual(invoice.transactions.length, 6);
+            this.runner.assertEqual(invoice.transactions[1].description, 'POSTO SHELL');
+
+            // Compra de dezembro, parcela 3 de 10: cai em fevereiro do ano seguinte
+            const installment = invoice.transactions[2];
+            this.runner.assertEqual(installment.description, 'MAGAZINE LUIZA (03/10)');
+            this.runner.assertEqual(installment.originalData.installment, { current: 3, total: 10 });
+            this.runner.assertEqual(installment.originalData.purchaseDate, '2024-12-15');
+            this.runner.assertEqual(installment.date, '2025-02-15');
+
+            this.runner.assertEqual(invoice.transactions[4].type, 'CREDIT');
+            this.runner.assertEqual(invoice.transactions[4].cardCredit, true);
+        });
+
+        this.runner.addTest('Fatura - Nubank: meses por extenso e pagamento ignorado', () => {
+            const invoice = parseInvoiceText(nubankInvoiceFixture.split('\n'));
+            this.runner.assertEqual(invoice.issuer.id, 'nubank');
+            this.runner.assertEqual(invoice.closingDate, '2025-03-03');
+            this.runner.assertEqual(invoice.total, 210.4);
+            this.runner.assertEqual(invoice.transactions.map(tx => tx.description), ['Uber *Trip', 'Amazon (02/06)', 'Spotify']);
+            this.runner.assertEqual(invoice.transactions[1].date, '2025-02-10');
+        });
+
+        const header = ['Vencimento: 10/03/2025', 'Data de fechamento: 03/03/2025'];
+
+        this.runner.addTest('Fatura - Compras iguais na mesma fatura não são duplicatas', () => {
+            const { transactions } = parseInvoiceText([...header, '12/02 CAFE DA ESQUINA 8,00', '12/02 CAFE DA ESQUINA 8,00']);
+            this.runner.assertEqual(transactions.length, 2);
+            this.runner.assertTrue(
+                transactions[0].originalData.externalId !== transactions[1].originalData.externalId,
+                'Cada linha deve ter seu próprio identificador'
+            );
+            this.runner.assertEqual(compareTransactions(transactions[0], transactions[1]), null);
+
+            // A mesma fatura importada de novo gera os mesmos identificadores
+            const again = parseInvoiceText([...header, '12/02 CAFE DA ESQUINA 8,00', '12/02 CAFE DA ESQUINA 8,00']).transactions;
+            this.runner.assertEqual(compareTransactions(transactions[1], again[1]), 'exact');
+        });
+
+        this.runner.addTest('Fatura - Ano no fim da descrição não é parcela', () => {
+            const [course] = parseInvoiceText([...header, '14/02 CURSO 2024/25 10,00']).transactions;
+            this.runner.assertEqual(course.description, 'CURSO 2024/25');
+            this.runner.assertEqual(course.originalData.installment, null);
+            this.runner.assertEqual(course.date, '2025-02-14');
+        });
+
+        this.runner.addTest('Fatura - Cartão identificado por fechamento, vencimento e emissor', () => {
+            const itau = parseInvoiceText(itauInvoiceFixture.split('\n'));
+            const nubank = parseInvoiceText(nubankInvoiceFixture.split('\n'));
+            this.runner.assertEqual(matchInvoiceCard(itau, cards)?.name, 'Itaú Platinum');
+            this.runner.assertEqual(matchInvoiceCard(nubank, cards)?.name, 'Nubank');
+            this.runner.assertEqual(matchInvoiceCard({ ...itau, issuer: null }, cards), null);
+        });
+
+        this.runner.addTest('Fatura - Vínculo salvo tem prioridade', () => {
+            const linked = [...cards, { name: 'Cartão da Empresa', type: 'credito', closingDay: 25, dueDay: 5, accountKeys: ['creditcard:itau:1234'] }];
+            const { transactions, statements } = bankStatementParser.parseInvoice(itauInvoiceFixture.split('\n'), linked);
+            this.runner.assertEqual(statements[0].cardName, 'Cartão da Empresa');
+            this.runner.assertEqual(transactions[0].cardName, 'Cartão da Empresa');
+            this.runner.assertEqual(statements[0].total, 348.3);
+        });
+
+        this.runner.addTest('Fatura - PDF lido no navegador', async () => {
+            const buffer = await (await fetch(itauInvoicePdfUrl)).arrayBuffer();
+            const { transactions, statements } = await bankStatementParser.parsePDF(buffer, { cards });
+            this.runner.assertEqual(transactions.length, 6);
+            this.runner.assertEqual(statements[0].closingDate, '2025-03-03');
+            this.runner.assertEqual(statements[0].cardName, 'Itaú Platinum');
+        });
+    }
+
+    /**
+     * Configura testes para o ciclo de faturamento dos cartões
+     */
+    setupBillingCycleTests() {
+        const nubank = { name: 'Nubank', type: 'credito', limit: 5000, closingDay: 3, dueDay: 10 };
+        const itau = { name: 'Itaú', type: 'credito', limit: 5000, closingDay: 25, dueDay: 5 };
+        const purchase = (date, amount, selectedCard, paymentMethod = 'credito_vista') => ({ date, amount, selectedCard, paymentMethod, category: 'outros' });
+
+        this.runner.addTest('Ciclo de faturamento - Compra entra na fatura pelo fechamento', () => {
+            // Fecha e vence no mesmo mês
+            this.runner.assertEqual(getInvoiceForDate(nubank, '2025-03-02').key, '2025-03');
+            this.runner.assertEqual(getInvoiceForDate(nubank, '2025-03-03').key, '2025-04');
+            this.runner.assertEqual(getInvoiceForDate(nubank, '2025-03-03').dueDate, '2025-04-10');
+
+            // Vencimento no mês seguinte ao fechamento
+            const invoice = getInvoiceForDate(itau, '2025-02-24');
+            this.runner.assertEqual(invoice.key, '2025-03');
+            this.runner.assertEqual(invoice.start, '2025-01-25');
+            this.runner.assertEqual(invoice.closingDate, '2025-02-25');
+            this.runner.assertEqual(invoice.dueDate, '2025-03-05');
+            this.runner.assertEqual(getInvoiceForDate(itau, '2025-12-26').key, '2026-02');
+        });
+
+        this.runner.addTest('Ciclo de faturamento - Fechamento em dia inexistente no mês', () => {
+            const card = { name: 'C6', closingDay: 31, dueDay: 8 };
+            const invoice = getInvoiceByMonth(card, 2025, 3);
+            this.runner.assertEqual(invoice.closingDate, '2025-02-28');
+            this.runner.assertEqual(invoice.start, '2025-01-31');
+            this.runner.assertEqual(getInvoiceForDate(card, '2025-02-28').key, '2025-04');
+        });
+
+        this.runner.addTest('Ciclo de faturamento - Faturas fechada, aberta e futura', () => {
+            const expenses = [
+                purchase('2025-02-20', 100, 'Nubank'),
+                purchase('2025-03-05', 50, 'Nubank'),
+                purchase('2025-03-20', 30, 'Nubank', 'credito_parcelado'),
+                purchase('2025-04-04', 20, 'Nubank'),
+                purchase('2025-03-20', 999, 'Nubank', 'debito'),
+                purchase('2025-03-20', 999, 'Itaú')
+            ];
+
+            const invoices = buildCardInvoices(nubank, expenses, '2025-03-15');
+            this.runner.assertEqual(invoices.map(i => [i.key, i.total, i.status]), [
+                ['2025-03', 100, 'fechada'],
+                ['2025-04', 80, 'aberta'],
+                ['2025-05', 20, 'futura']
+            ]);
+
+            const summary = getCardInvoiceSummary(nubank, expenses, '2025-03-15');
+            this.runner.assertEqual(summary.current.key, '2025-04');
+            this.runner.assertEqual(summary.current.total, 80);
+            this.runner.assertEqual(summary.next.key, '2025-05');
+            this.runner.assertEqual(summary.next.total, 20);
+            // Fatura de março já venceu (dia 10): só as demais ocupam o limite
+            this.runner.assertEqual(summary.outstanding, 100);
+            this.runner.assertEqual(getCardInvoiceSummary(nubank, expenses, '2025-03-05').outstanding, 200);
+        });
+
+        this.runner.addTest('Ciclo de faturamento - Crédito do dashboard pelo mês da fatura', () => {
+            const expenses = [
+                purchase('2025-02-20', 100, 'Nubank'),
+                purchase('2025-03-05', 50, 'Nubank'),
+                purchase('2025-02-26', 40, 'Itaú'),
+                purchase('2025-03-12', 25, 'Cartão removido')
+            ];
+            const cards = [nubank, itau];
+
+            this.runner.assertEqual(calculateMonthlyTotals(expenses, [], 3, 2025).credit, 75);
+            this.runner.assertEqual(calculateMonthlyTotals(expenses, [], 3, 2025, { creditBy: 'invoice', cards }).credit, 125);
+            this.runner.assertEqual(calculateMonthlyTotals(expenses, [], 4, 2025, { creditBy: 'invoice', cards }).credit, 90);
+        });
+    }
+
+    /**
+     * Configura testes para o desdobramento de compras parceladas
+     */
+    setupInstallmentTests() {
+        const nubank = { name: 'Nubank', type: 'credito', limit: 5000, closingDay: 3, dueDay: 10 };
+        const tv = {
+            id: 'tv', description: 'TV', amount: 1000, category: 'compras', date: '2025-01-31',
+            paymentMethod: 'credito_parcelado', selectedCard: 'Nubank', installments: 3
+        };
+
+        this.runner.addTest('Parcelamento - Valores em centavos com a diferença na primeira', () => {
+            this.runner.assertEqual(splitInstallmentAmounts(1000, 3), [333.34, 333.33, 333.33]);
+            this.runner.assertEqual(splitInstallmentAmounts(99.9, 2), [49.95, 49.95]);
+        });
+
+        this.runner.addTest('Parcelamento - Uma parcela por mês a partir da compra', () => {
+            const schedule = getInstallmentSchedule(tv);
+            this.runner.assertEqual(schedule.map(i => i.date), ['2025-01-31', '2025-02-28', '2025-03-31']);
+            this.runner.assertEqual(schedule.map(i => i.id), ['tv:1', 'tv:2', 'tv:3']);
+            this.runner.assertEqual(schedule[1].parentId, 'tv');
+            this.runner.assertEqual(schedule[1].installment, { current: 2, total: 3 });
+            this.runner.assertEqual(getInstallmentSchedule({ ...tv, paymentMethod: 'credito_vista', installments: 1 }).length, 1);
+        });
+
+        this.runner.addTest('Parcelamento - Cada parcela na sua fatura', () => {
+            const invoices = buildCardInvoices(nubank, [tv], '2025-02-15');
+            this.runner.assertEqual(invoices.map(i => [i.key, i.total]), [
+                ['2025-02', 333.34],
+                ['2025-03', 333.33],
+                ['2025-04', 333.33]
+            ]);
+
+            const plans = getRemainingInstallments(nubank, [tv], '2025-02-15');
+            this.runner.assertEqual(plans.length, 1);
+            this.runner.assertEqual(plans[0].remaining.map(i => i.installment.current), [2, 3]);
+            this.runner.assertEqual(plans[0].remainingAmount, 666.66);
+            this.runner.assertEqual(getRemainingInstallments(nubank, [tv], '2025-04-03').length, 0);
+        });
+
+        this.runner.addTest('Parcelamento - Dashboard conta só a parcela do mês e as futuras', () => {
+            const feb = calculateMonthlyTotals([tv], [], 2, 2025);
+            this.runner.assertEqual(feb.credit, 333.33);
+            this.runner.assertEqual(feb.expenses, 333.33);
+            this.runner.assertEqual(feb.futureInstallments, 333.33);
+
+            const byInvoice = calculateMonthlyTotals([tv], [], 2, 2025, { creditBy: 'invoice', cards: [nubank] });
+            this.runner.assertEqual(byInvoice.credit, 333.34);
+            this.runner.assertEqual(byInvoice.futureInstallments, 666.66);
+        });
+    }
+
+    /**
+     * Configura testes para o motor de recorrência
+     */
+    setupRecurrenceTests() {
+        const rent = {
+            id: 'aluguel', description: 'Aluguel', amount: 1500, category: 'moradia', date: '2025-01-31',
+            paymentMethod: 'pix', isFixed: true, isRecurring: true,
+            recurring: { frequency: 'monthly', endDate: '2025-06-30', mode: 'manual' }
+        };
+        const range = (from, to) => ({ from, to });
+
+        this.runner.addTest('Recorrência - Períodos mantêm o dia do mês', () => {
+            this.runner.assertEqual(addPeriod('2025-01-31', 'month', 1), '2025-02-28');
+            this.runner.assertEqual(addPeriod('2025-01-31', 'month', 2), '2025-03-31');
+            this.runner.assertEqual(addPeriod('2024-02-29', 'year', 1), '2025-02-28');
+            this.runner.assertEqual(addPeriod('2025-12-29', 'week', 1), '2026-01-05');
+        });
+
+        this.runner.addTest('Recorrência - Previstas até a data de término', () => {
+            const dates = projectOccurrences([rent], 'expense', range('2025-01-01', '2025-12-31')).map(o => o.date);
+            this.runner.assertEqual(dates, ['2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31', '2025-06-30']);
+
+            const custom = { ...rent, recurring: { frequency: 'custom', interval: 2, unit: 'week', mode: 'auto' } };
+            this.runner.assertEqual(
+                projectOccurrences([custom], 'expense', range('2025-02-01', '2025-02-28')).map(o => o.date),
+                ['2025-02-14', '2025-02-28']
+            );
+        });
+
+        this.runner.addTest('Recorrência - Confirmadas, puladas e lançadas à mão não voltam', () => {
+            const confirmed = materializeOccurrence(projectOccurrences([rent], 'expense', range('2025-02-01', '2025-02-28'))[0]);
+            this.runner.assertEqual(confirmed.recurrenceId, 'aluguel');
+            this.runner.assertEqual(confirmed.occurrenceDate, '2025-02-28');
+            // Mesmo id em qualquer aparelho que lançar esta ocorrência
+            this.runner.assertEqual(confirmed.id, 'aluguel@2025-02-28');
+
+            let transactions = skipOccurrence([rent, confirmed], { recurrenceId: 'aluguel', occurrenceDate: '2025-03-31' });
+            transactions.push({ id: 'manual', description: 'Aluguel', amount: 1500, date: '2025-04-29', paymentMethod: 'pix' });
+
+            const dates = projectOccurrences(transactions, 'expense', range('2025-01-01', '2025-12-31')).map(o => o.date);
+            this.runner.assertEqual(dates, ['2025-05-31', '2025-06-30']);
+        });
+
+        this.runner.addTest('Recorrência - Receita fixa repete todo mês a partir da mais recente', () => {
+            const incomes = [
+                { id: 's1', description: 'Salário', amount: 5000, date: '2025-01-05', isFixed: true },
+                { id: 's2', description: 'Salário', amount: 5200, date: '2025-02-05', isFixed: true }
+            ];
+            this.runner.assertEqual(getRecurrenceRule(incomes[0], 'income').mode, 'manual');
+            this.runner.assertEqual(getRecurrenceRule(incomes[0], 'expense'), null);
+
+            const forecast = projectOccurrences(incomes, 'income', range('2025-03-01', '2025-03-31'));
+            this.runner.assertEqual(forecast.length, 1);
+            this.runner.assertEqual(forecast[0].amount, 5200);
+            this.runner.assertEqual(forecast[0].date, '2025-03-05');
+        });
+
+        this.runner.addTest('Recorrência - Editar só esta ou esta e as próximas', () => {
+            const [april] = projectOccurrences([rent], 'expense', range('2025-04-01', '2025-04-30'));
+
+            const onlyThis = editOccurrence([rent], april, { amount: 1600 }, 'this');
+            const aprilNow = projectOccurrences(onlyThis, 'expense', range('2025-04-01', '2025-05-31'));
+            this.runner.assertEqual(onlyThis.length, 2);
+            this.runner.assertEqual(aprilNow.map(o => o.amount), [1500]);
+
+            const future = editOccurrence([rent], april, { amount: 1700 }, 'future');
+            this.runner.assertEqual(future[0].recurring.endDate, '2025-04-29');
+            const forecast = projectOccurrences(future, 'expense', range('2025-02-01', '2025-12-31'));
+            this.runner.assertEqual(forecast.map(o => [o.date, o.amount]), [
+                ['2025-02-28', 1500],
+                ['2025-03-31', 1500],
+                ['2025-05-31', 1700],
+                ['2025-06-30', 1700]
+            ]);
+            // A nova raiz é a própria ocorrência de abril
+            this.runner.assertEqual(future[1].date, '2025-04-30');
+            this.runner.assertEqual(future[1].amount, 1700);
+        });
+
+        this.runner.addTest('Recorrência - Editar só a primeira mantém a série', () => {
+            const edited = editOccurrence([rent], rent, { amount: 1400 }, 'this');
+            const first = edited.find(t => t.id === 'aluguel');
+            this.runner.assertEqual(first.amount, 1400);
+            this.runner.assertEqual(first.isRecurring, false);
+
+            const forecast = projectOccurrences(edited, 'expense', range('2025-01-01', '2025-12-31'));
+            this.runner.assertEqual(forecast.map(o => [o.date, o.amount]), [
+                ['2025-03-31', 1500],
+                ['2025-04-30', 1500],
+                ['2025-05-31', 1500],
+                ['2025-06-30', 1500]
+            ]);
+        });
+    }
+
+    /**
+     * Configura testes para a validação da edição de transações
+     */
+    setupTransactionEditorTests() {
+        const cards = [{ name: 'Nubank', type: 'credito', closingDay: 3, dueDay: 10 }];
+        const expense = {
+            description: 'Mercado', amount: 120.5, category: 'alimentação', date: '2025-03-10',
+            paymentMethod: 'credito_vista', selectedCard: 'Nubank', installments: 1
+        };
+
+        this.runner.addTest('Edição - Despesa válida', () => {
+            this.runner.assertEqual(validateTransaction(expense, 'expense', { cards }), []);
+            this.runner.assertEqual(validateTransaction({ description: 'Salário', amount: 5000, category: 'salário', date: '2025-03-05' }, 'income'), []);
+        });
+
+        this.runner.addTest('Edição - Campos obrigatórios e valor', () => {
+            const errors = validateTransaction({ ...expense, description: ' ', amount: NaN, date: '2025-02-30x' }, 'expense', { cards });
+            this.runner.assertEqual(errors, ['Informe a descrição.', 'Informe um valor maior que zero.', 'Informe uma data válida.']);
+            this.runner.assertEqual(validateTransaction({ ...expense, amount: -5 }, 'expense', { cards }).length, 1);
+            this.runner.assertEqual(validateTransaction({ ...expense, date: '2025-02-30' }, 'expense', { cards }), ['Informe uma data válida.']);
+        });
+
+        this.runner.addTest('Edição - Parcelas, cartão e recorrência', () => {
+            this.runner.assertEqual(
+                validateTransaction({ ...expense, paymentMethod: 'credito_parcelado', installments: 1 }, 'expense', { cards }),
+                ['O número de parcelas deve ser entre 2 e 24.']
+            );
+            this.runner.assertEqual(
+                validateTransaction({ ...expense, selectedCard: 'Inter' }, 'expense', { cards }),
+                ['O cartão "Inter" não está cadastrado.']
+            );
+            this.runner.assertEqual(
+                validateTransaction({ ...expense, isRecurring: true, recurring: { frequency: 'monthly', endDate: '2025-01-01' } }, 'expense', { cards }),
+                ['A data de término deve ser depois da data da transação.']
+            );
+        });
+    }
+
+    setupBulkOperationTests() {
+        const expenses = [
+            { id: 'a', description: 'Mercado', amount: 100, category: 'outros', date: '2025-01-31', paymentMethod: 'pix', selectedCard: null, installments: 1 },
+            { id: 'b', description: 'Farmácia', amount: 40, category: 'outros', date: '2025-01-10', paymentMethod: 'dinheiro', selectedCard: null, installments: 1 },
+            { id: 'c', description: 'Cinema', amount: 60, category: 'lazer', date: '2025-01-12', paymentMethod: 'pix', selectedCard: null, installments: 1 }
+        ];
+
+        this.runner.addTest('Lote - Recategorizar e marcar como pendente', () => {
+            const { transactions, changed } = applyBulkAction(expenses, ['a', 'b'], { type: 'recategorize', category: 'saúde' });
+            this.runner.assertEqual(changed, 2);
+            this.runner.assertEqual(transactions.map(t => t.category), ['saúde', 'saúde', 'lazer']);
+            this.runner.assertTrue(Boolean(transactions[0].updatedAt));
+            this.runner.assertTrue(transactions[2] === expenses[2]);
+
+            const status = applyBulkAction(expenses, ['c'], { type: 'status', status: 'pendente' });
+            this.runner.assertEqual(status.transactions[2].status, 'pendente');
+        });
+
+        this.runner.addTest('Lote - Forma de pagamento só em despesas', () => {
+            const { transactions } = applyBulkAction(expenses, ['a'], { type: 'payment', paymentMethod: 'credito_parcelado', selectedCard: 'Nubank' });
+            this.runner.assertEqual(transactions[0].paymentMethod, 'credito_parcelado');
+            this.runner.assertEqual(transactions[0].selectedCard, 'Nubank');
+            this.runner.assertEqual(transactions[0].installments, 2);
+
+            const toPix = applyBulkAction(transactions, ['a'], { type: 'payment', paymentMethod: 'pix' });
+            this.runner.assertEqual(toPix.transactions[0].selectedCard, null);
+            this.runner.assertEqual(toPix.transactions[0].installments, 1);
+
+            this.runner.assertEqual(applyBulkAction(expenses, ['a'], { type: 'payment', paymentMethod: 'pix' }, 'income').changed, 0);
+        });
+
+        this.runner.addTest('Lote - Mover para outro mês', () => {
+            this.runner.assertEqual(moveDateToMonth('2025-01-31', 2, 2025), '2025-02-28');
+            this.runner.assertEqual(moveDateToMonth('2025-01-10T12:00:00.000Z', 3, 2025), '2025-03-10T12:00:00.000Z');
+            const { transactions } = applyBulkAction(expenses, ['a', 'b'], { type: 'move', month: 2, year: 2025 });
+            this.runner.assertEqual(transactions.map(t => t.date), ['2025-02-28', '2025-02-10', '2025-01-12']);
+        });
+
+        this.runner.addTest('Lote - Excluir e desfazer', () => {
+            const { transactions, changed } = applyBulkAction(expenses, ['a', 'c'], { type: 'delete' });
+            this.runner.assertEqual(changed, 2);
+            this.runner.assertEqual(transactions.map(t => t.id), ['b']);
+
+            const undo = createUndo(expenses, transactions);
+            // Alteração feita depois, em outra transação, é preservada
+            const later = [{ ...transactions[0], category: 'saúde' }];
+            const restored = applyUndo(later, undo);
+            this.runner.assertEqual(restored.map(t => t.id).sort(), ['a', 'b', 'c']);
+            this.runner.assertEqual(restored.find(t => t.id === 'b').category, 'saúde');
+        });
+
+        this.runner.addTest('Lote - Desfazer recategorização', () => {
+            const { transactions } = applyBulkAction(expenses, ['a'], { type: 'recategorize', category: 'saúde' });
+            const restored = applyUndo(transactions, createUndo(expenses, transactions));
+            this.runner.assertEqual(restored, expenses);
+        });
+
+        this.runner.addTest('Lote - Excluir ocorrência recorrente a pula na série', () => {
+            const series = [
+                { id: 'r', description: 'Aluguel', amount: 1500, category: 'moradia', date: '2025-01-05', isRecurring: true, recurring: { frequency: 'monthly', mode: 'auto' } },
+                { id: 'o', description: 'Aluguel', amount: 1500, category: 'moradia', date: '2025-02-05', recurrenceId: 'r', occurrenceDate: '2025-02-05' }
+            ];
+            const { transactions } = applyBulkAction(series, ['o'], { type: 'delete' });
+            this.runner.assertEqual(transactions.length, 1);
+            this.runner.assertEqual(transactions[0].recurring.skipDates, ['2025-02-05']);
+        });
+    }
+
+    setupTransactionFilterTests() {
+        const transactions = [
+            { id: '1', description: 'Padaria São João', amount: 18.5, category: 'alimentação', date: '2025-01-05', paymentMethod: 'pix', isFixed: false, source: 'WHATSAPP' },
+            { id: '2', description: 'Aluguel', amount: 1500, category: 'moradia', date: '2025-02-01', paymentMethod: 'pix', isFixed: true, tags: ['Casa'] },
+            { id: '3', description: 'Restaurante', amount: 120, category: 'alimentação', date: '2025-02-14', paymentMethod: 'credito_vista', selectedCard: 'Nubank', source: 'OFX_IMPORT', tags: ['casa', 'viagem'] },
+            { id: '4', description: 'Uber', amount: 35, category: 'transporte', date: '2025-03-02T10:00:00.000Z', paymentMethod: 'debito', selectedCard: 'Itaú', source: 'PLUGGY_SYNC' }
+        ];
+        const ids = (list) => list.map(t => t.id);
+
+        this.runner.addTest('Filtro - Vazio mostra tudo, mais recentes primeiro', () => {
+            this.runner.assertTrue(!isFilterActive(createEmptyFilter()));
+            this.runner.assertTrue(!isFilterActive({ ...createEmptyFilter(), sort: { field: 'amount', direction: 'asc' } }));
+            this.runner.assertEqual(ids(filterTransactions(transactions, createEmptyFilter())), ['4', '3', '2', '1']);
+        });
+
+        this.runner.addTest('Filtro - Texto sem acento em descrição, categoria e cartão', () => {
+            this.runner.assertEqual(ids(filterTransactions(transactions, { text: 'sao joao' })), ['1']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { text: 'ALIMENTACAO' })), ['3', '1']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { text: 'nubank rest' })), ['3']);
+        });
+
+        this.runner.addTest('Filtro - Categoria, cartão, valor e período', () => {
+            this.runner.assertEqual(ids(filterTransactions(transactions, { categories: ['alimentação'], cards: ['Nubank'] })), ['3']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { minAmount: 20, maxAmount: 120 })), ['4', '3']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { minAmount: '', maxAmount: 0 })), []);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { dateFrom: '2025-02-01', dateTo: '2025-03-02' })), ['4', '3', '2']);
+        });
+
+        this.runner.addTest('Filtro - Forma de pagamento, origem, fixas e tags', () => {
+            this.runner.assertEqual(ids(filterTransactions(transactions, { paymentMethods: ['pix'] })), ['2', '1']);
+            this.runner.assertEqual(getTransactionSource(transactions[1]), 'MANUAL');
+            this.runner.assertEqual(ids(filterTransactions(transactions, { sources: ['MANUAL', 'WHATSAPP'] })), ['2', '1']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { fixed: 'fixed' })), ['2']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { fixed: 'variable' })), ['4', '3', '1']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { tags: ['casa'] })), ['3', '2']);
+            this.runner.assertEqual(ids(filterTransactions(transactions, { tags: ['casa', 'viagem'] })), ['3']);
+        });
+
+        this.runner.addTest('Filtro - Ordenação por qualquer coluna', () => {
+            this.runner.assertEqual(ids(sortTransactions(transactions, { field: 'amount', direction: 'asc' })), ['1', '4', '3', '2']);
+            this.runner.assertEqual(ids(sortTransactions(transactions, { field: 'description', direction: 'asc' })), ['2', '1', '3', '4']);
+            // Sem cartão vem primeiro; empates em ordem de data
+            this.runner.assertEqual(ids(sortTransactions(transactions, { field: 'card', direction: 'asc' })), ['2', '1', '4', '3']);
+            this.runner.assertEqual(ids(sortTransactions(transactions, { field: 'source', direction: 'desc' })), ['1', '2', '3', '4']);
+            this.runner.assertEqual(ids(transactions), ['1', '2', '3', '4']);
+        });
+    }
+
+    setupTagTests() {
+        const expenses = [
+            { id: '1', description: 'Hotel', amount: 800, date: '2026-01-10', tags: ['viagem-2026', 'reembolsável'] },
+            { id: '2', description: 'Passagem', amount: 1200, date: '2026-01-05', tags: ['viagem-2026'] },
+            { id: '3', description: 'Sofá', amount: 2500, date: '2026-02-01', tags: ['casa nova'] },
+            { id: '4', description: 'Mercado', amount: 300, date: '2026-01-20' }
+        ];
+
+        this.runner.addTest('Tags - Leitura do campo e normalização', () => {
+            this.runner.assertEqual(parseTagInput(' Viagem-2026, #Casa  Nova,viagem-2026, '), ['viagem-2026', 'casa nova']);
+            this.runner.assertEqual(parseTagInput(['Reembolsável']), ['reembolsável']);
+        });
+
+        this.runner.addTest('Tags - Cadastro, contagem e autocompletar', () => {
+            const tags = ensureTags([], expenses);
+            this.runner.assertEqual(tags.map(tag => tag.name), ['viagem-2026', 'reembolsável', 'casa nova']);
+            this.runner.assertTrue(ensureTags(tags, expenses) === tags, 'nada a cadastrar mantém a lista');
+
+            const known = collectTags(tags, expenses);
+            this.runner.assertEqual(known.map(tag => `${tag.name}:${tag.count}`), ['casa nova:1', 'reembolsável:1', 'viagem-2026:2']);
+            this.runner.assertEqual(suggestTags('vi', known), ['viagem-2026']);
+            // Começa com o texto antes de apenas conter
+            this.runner.assertEqual(suggestTags('v', known), ['viagem-2026', 'casa nova', 'reembolsável']);
+            this.runner.assertEqual(suggestTags('', known, ['viagem-2026']), ['casa nova', 'reembolsável']);
+        });
+
+        this.runner.addTest('Tags - Renomear e excluir nas transações', () => {
+            const renamed = renameTagInTransactions(expenses, 'viagem-2026', 'reembolsável');
+            this.runner.assertEqual(renamed.changed, 2);
+            this.runner.assertEqual(renamed.transactions[0].tags, ['reembolsável']);
+            this.runner.assertEqual(renamed.transactions[1].tags, ['reembolsável']);
+            this.runner.assertTrue(renamed.transactions[3] === expenses[3]);
+
+            const removed = removeTagFromTransactions(expenses, 'Casa Nova');
+            this.runner.assertEqual(removed.changed, 1);
+            this.runner.assertEqual(removed.transactions[2].tags, []);
+        });
+
+        this.runner.addTest('Tags - Relatório por tag no mês', () => {
+            this.runner.assertEqual(sumByTag(expenses, { month: 1, year: 2026 }), [
+                { tag: 'viagem-2026', total: 2000, count: 2 },
+                { tag: 'reembolsável', total: 800, count: 1 }
+            ]);
+            this.runner.assertEqual(sumByTag(expenses).length, 3);
+        });
+
+        this.runner.addTest('Tags - Migração dos dados para a versão 2.1', () => {
+            const migrated = dataManager.migrateData({
+                version: '2.0',
+                expensesData: [{ id: 'a', description: 'Hotel', amount: 800, tags: 'Viagem, hotel' }, { id: 'b', description: 'Mercado', amount: 50 }],
+                incomeData: [{ id: 'c', description: 'Reembolso', amount: 800, notes: 'empresa' }],
+                cards: []
+            }, '2.0', '2.1');
+
+            this.runner.assertEqual(migrated.version, '2.1');
+            this.runner.assertEqual(migrated.expensesData[0].tags, ['viagem', 'hotel']);
+            this.runner.assertEqual(migrated.expensesData[1].tags, []);
+            this.runner.assertEqual(migrated.expensesData[1].notes, '');
+            this.runner.assertEqual(migrated.incomeData[0].notes, 'empresa');
+            this.runner.assertEqual(migrated.tags.map(tag => tag.name), ['viagem', 'hotel']);
+        });
+    }
+
+    setupSyncMergeTests() {
+        const base = { id: 'e1', description: 'Mercado', amount: 100, category: 'Alimentação', updatedAt: '2026-03-01T10:00:00.000Z' };
+
+        this.runner.addTest('Sync - Ids, updatedAt e lápides ao salvar', () => {
+            this.runner.assertEqual(normalizeRecord('Saúde', 'expenseCategories'), { name: 'Saúde', id: 'category:saude' });
+            this.runner.assertEqual(normalizeRecord({ name: 'Nubank Ultravioleta' }, 'cards').id, 'card:nubank-ultravioleta');
+
+            const now = '2026-03-02T10:00:00.000Z';
+            const { records, changedIds, removedIds } = stampChanges(
+                [base, { id: 'e2', description: 'Cinema', amount: 40, updatedAt: base.updatedAt }],
+                [{ ...base, amount: 120 }, { description: 'Padaria', amount: 15 }],
+                'expenses',
+                now
+            );
+            this.runner.assertEqual(records[0].updatedAt, now);
+            this.runner.assertTrue(Boolean(records[1].id), 'registro novo ganha id');
+            this.runner.assertEqual(records[1].updatedAt, now);
+            this.runner.assertEqual(removedIds, ['e2']);
+            this.runner.assertEqual(changedIds, ['e1', records[1].id]);
+        });
+
+        this.runner.addTest('Sync - Fila de alterações pendentes', () => {
+            const saved = dataManager.getSyncOutbox();
+            try {
+                dataManager.saveSyncOutbox({ mutations: [], attempts: 0, lastError: null });
+                dataManager.queueSyncMutations('expenses', ['e1', 'e2']);
+                dataManager.queueSyncMutations('expenses', ['e1']);
+                this.runner.assertEqual(dataManager.getSyncOutbox().mutations.map(mutation => mutation.id), ['e2', 'e1']);
+
+                this.runner.assertEqual(dataManager.recordSyncFailure(new Error('Failed to fetch')), 1);
+                this.runner.assertEqual(dataManager.recordSyncFailure(new Error('Failed to fetch')), 2);
+
+                // Só o que ainda difere da nuvem continua na fila
+                dataManager.settleSyncOutbox({ expenses: [{ id: 'e1', base: null, local: base }] });
+                const outbox = dataManager.getSyncOutbox();
+                this.runner.assertEqual(outbox.mutations.map(mutation => mutation.id), ['e1']);
+                this.runner.assertEqual(outbox.attempts, 0);
+            } finally {
+                dataManager.saveSyncOutbox(saved);
+            }
+        });
+
+        this.runner.addTest('Sync - Mesclagem de três vias', () => {
+            const local = { ...base, amount: 120, updatedAt: '2026-03-02T10:00:00.000Z' };
+            const remote = { ...base, description: 'Supermercado', updatedAt: '2026-03-03T10:00:00.000Z' };
+            const merged = mergeRecord(base, local, remote);
+            this.runner.assertEqual(merged.conflict, null);
+            this.runner.assertEqual(merged.record.amount, 120);
+            this.runner.assertEqual(merged.record.description, 'Supermercado');
+            this.runner.assertEqual(merged.record.updatedAt, remote.updatedAt);
+
+            const conflicting = mergeRecord(base, local, { ...remote, amount: 90 });
+            this.runner.assertEqual(conflicting.conflict.fields, ['amount']);
+            this.runner.assertEqual(conflicting.record.amount, 90, 'a versão da nuvem fica valendo');
+
+            const deleted = mergeRecord(base, local, { id: 'e1', deleted: true, updatedAt: remote.updatedAt });
+            this.runner.assertEqual(deleted.conflict.fields, ['deleted']);
+        });
+
+        this.runner.addTest('Sync - Alterações enviadas e aplicadas no servidor', () => {
+            const local = { expenses: [{ ...base, amount: 120 }, { id: 'e3', description: 'Farmácia', amount: 30 }], cards: [] };
+            const changes = diffState({ expenses: [base] }, local);
+            this.runner.assertEqual(changes.expenses.map(change => change.id), ['e1', 'e3']);
+            this.runner.assertEqual(changes.expenses[0].base, base);
+
+            const remoteState = { expenses: [{ ...base, amount: 80 }, { id: 'e4', deleted: true, updatedAt: base.updatedAt }] };
+            const { state, conflicts } = applyChanges(remoteState, changes);
+            this.runner.assertEqual(conflicts.length, 1);
+            this.runner.assertEqual(conflicts[0].local.amount, 120);
+            this.runner.assertEqual(state.expenses.map(record => record.id), ['e1', 'e4', 'e3']);
+        });
+
+        this.runner.addTest('Sync - Alterações da nuvem aplicadas no aparelho', () => {
+            const cinema = { id: 'e2', description: 'Cinema', amount: 40, updatedAt: base.updatedAt };
+            const local = { expenses: [{ ...base, amount: 120 }, cinema] };
+            const remote = { expenses: [{ ...base, description: 'Supermercado' }, { id: 'e2', deleted: true, updatedAt: '2026-03-02T10:00:00.000Z' }] };
+
+            const result = applyRemoteChanges({ expenses: [base, cinema] }, local, remote);
+            this.runner.assertEqual(result.conflicts, []);
+            this.runner.assertEqual(result.state.expenses[0].amount, 120);
+            this.runner.assertEqual(result.state.expenses[0].description, 'Supermercado');
+            this.runner.assertTrue(result.state.expenses[1].deleted, 'exclusão da nuvem chega ao aparelho');
+            // A edição local mesclada continua pendente de envio
+            this.runner.assertEqual(Object.keys(diffState(result.base, result.state)), ['expenses']);
+            this.runner.assertEqual(diffState(result.base, result.state).expenses.map(change => change.id), ['e1']);
+
+            const sent = recordSentChanges({ expenses: [base] }, { expenses: [{ id: 'e1', base, local: { ...base, amount: 120 } }] });
+            this.runner.assertEqual(sent.expenses[0].amount, 120);
+        });
+    }
+
     /**
      * Executa todos os testes
      */
@@ -0,0 +1,317 @@
+import { dataManager } from './dataManager.js';
+import { recurrenceService } from './recurrenceService.js';
+import { getRecurrenceRule } from './recurrence.js';
+import { parseNumber } from './lib/amount-parser.js';
+import { setupRecurrenceFields, fillRecurrenceFields, readRecurrenceFields, setupTagInput, readTagInput } from './uiShared.js';
+import { getTransactionTags } from './tags.js';
+
+const CREDIT_METHODS = ['credito_vista', 'credito_parcelado'];
+
+/**
+ * Valida os campos de uma despesa ou receita antes de salvar
+ * @param {Object} transaction
+ * @param {'expense'|'income'} type
+ * @param {{cards?: Array}} [options] Cartões cadastrados, para conferir o cartão escolhido
+ * @returns {string[]} Mensagens de erro (vazio se válida)
+ */
+export function validateTransaction(transaction, type, { cards = [] } = {}) {
+    const errors = [];
+
+    if (!String(transaction.description || '').trim()) errors.push('Informe a descrição.');
+    if (!(typeof transaction.amount === 'number' && isFinite(transaction.amount) && transaction.amount > 0)) {
+        errors.push('Informe um valor maior que zero.');
+    }
+    if (!String(transaction.category || '').trim()) errors.push('Escolha a categoria.');
+
+    // Datas inexistentes (30/02) também são recusadas
+    const date = String(transaction.date || '');
+    const [year, month, day] = date.split('-').map(Number);
+    const parsed = new Date(year, month - 1, day);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || parsed.getMonth() !== month - 1 || parsed.getDate() !== day) {
+        errors.push('Informe uma data válida.');
+    }
+
+    if (type === 'expense') {
+        if (!['dinheiro', 'pix', 'debito', ...CREDIT_METHODS].includes(transaction.paymentMethod)) {
+            errors.push('Escolha a forma de pagamento.');
+        }
+        if (transaction.paymentMethod === 'credito_parcelado') {
+            const installments = transaction.installments;
+            if (!Number.isInteger(installments) || installments < 2 || installments > 24) {
+                errors.push('O número de parcelas deve ser entre 2 e 24.');
+            }
+        }
+        if (transaction.selectedCard && !cards.some(card => card.name === transaction.selectedCard)) {
+            errors.push(`O cartão "${transaction.selectedCard}" não está cadastrado.`);
+        }
+    }
+
+    if (transaction.isRecurring && transaction.recurring) {
+        const { endDate, frequency, interval } = transaction.recurring;
+        if (endDate && endDate < date) errors.push('A data de término deve ser depois da data da transação.');
+        if (frequency === 'custom' && !(parseInt(interval) >= 1)) errors.push('Informe o intervalo da recorrência.');
+    }
+
+    return errors;
+}
+
+/**
+ * Editor de Transações
+ * Abre o formulário de edição na página de detalhes (#transaction-editor), com os
+ * mesmos campos do cadastro de despesas e receitas: cartão, parcelas e recorrência.
+ * Ocorrências de séries recorrentes podem ser alteradas só nesta ou nesta e nas próximas.
+ */
+export class TransactionEditor {
+    constructor() {
+        this.container = null;
+        this.transaction = null;
+        this.type = 'expense';
+        this.onSave = null;
+        this.initialized = false;
+    }
+
+    init() {
+        this.container = document.getElementById('transaction-editor');
+        if (!this.container || this.initialized) return;
+
+        setupRecurrenceFields();
+        setupTagInput(this.field('tags'));
+        this.field('paymentMethod').addEventListener('change', () => this.updatePaymentFields());
+        this.container.querySelector('#edit-transaction-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.container.querySelector('#edit-transaction-cancel').onclick = () => this.close();
+        this.initialized = true;
+    }
+
+    field(name) {
+        return this.container.querySelector(`#edit-${name}`);
+    }
+
+    /**
+     * Série recorrente a que a transação pertence (raiz, ocorrência salva ou prevista)
+     */
+    isSeriesItem(transaction, type) {
+        return Boolean(transaction.recurrenceId || getRecurrenceRule(transaction, type));
+    }
+
+    /**
+     * Abre o editor
+     * @param {Object} transaction Transação salva ou ocorrência prevista
+     * @param {'expense'|'income'} type
+     * @param {{onSave?: Function}} [options] onSave é chamado depois de salvar
+     */
+    open(transaction, type, { onSave } = {}) {
+        this.init();
+        if (!this.container) return;
+
+        this.transaction = transaction;
+        this.type = type;
+        this.onSave = onSave || null;
+
+        const title = this.container.querySelector('.import-preview-title');
+        title.textContent = `${transaction.projected ? 'Confirmar' : 'Editar'} ${type === 'income' ? 'receita' : 'despesa'}`;
+
+        this.field('description').value = transaction.description || '';
+        this.field('amount').value = parseFloat(transaction.amount).toFixed(2).replace('.', ',');
+        this.field('date').value = String(transaction.date || '').split('T')[0];
+        this.field('category').value = transaction.category || '';
+        this.field('isFixed').checked = Boolean(transaction.isFixed);
+        this.field('tags').value = getTransactionTags(transaction).join(', ');
+        this.field('notes').value = transaction.notes || '';
+        this.fillCategories(type);
+
+        // Despesas: forma de pagamento, cartão e parcelas
+        this.container.querySelector('#edit-payment-fields').style.display = type === 'expense' ? 'block' : 'none';
+        if (type === 'expense') {
+            this.field('paymentMethod').value = transaction.paymentMethod || 'dinheiro';
+            this.fillCards(transaction.selectedCard);
+            this.field('installments').value = transaction.installments > 1 ? transaction.installments : '';
+            this.updatePaymentFields();
+        }
+
+        // Ocorrências não são séries: a recorrência só é editada na transação que a define
+        const isOccurrence = Boolean(transaction.recurrenceId);
+        this.container.querySelector('#edit-recurrence-fields').style.display = isOccurrence ? 'none' : 'block';
+        fillRecurrenceFields(transaction.isRecurring ? transaction.recurring : null);
+
+        const scopeGroup = this.container.querySelector('#edit-scope-group');
+        scopeGroup.style.display = this.isSeriesItem(transaction, type) ? 'block' : 'none';
+        this.field('scope').value = 'this';
+
+        this.showErrors([]);
+        this.container.style.display = 'block';
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    close() {
+        if (this.container) this.container.style.display = 'none';
+        this.transaction = null;
+        this.onSave = null;
+    }
+
+    fillCategories(type) {
+        const datalist = this.container.querySelector('#edit-category-options');
+        datalist.innerHTML = '';
+
+        const categories = new Set();
+        (type === 'income' ? dataManager.getIncomeCategories() : dataManager.getExpenseCategories()).forEach(category => {
+            categories.add(typeof category === 'object' ? category.name : category);
+        });
+        (type === 'income' ? dataManager.getIncomes() : dataManager.getExpenses()).forEach(item => {
+            if (item.category) categories.add(item.category);
+        });
+
+        Array.from(categories).filter(Boolean).sort().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            datalist.appendChild(option);
+        });
+    }
+
+    fillCards(selectedCard) {
+        const select = this.field('selectedCard');
+        select.innerHTML = '';
+
+        const empty = document.createElement('option');
+        empty.value = '';
+        empty.textContent = 'Nenhum cartão';
+        select.appendChild(empty);
+
+        const names = dataManager.getCards().map(card => card.name);
+        // Cartão já excluído continua visível para não sumir da transação sem o usuário perceber
+        if (selectedCard && !names.includes(selectedCard)) names.push(selectedCard);
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selectedCard || '';
+    }
+
+    updatePaymentFields() {
+        const method = this.field('paymentMethod').value;
+        this.container.querySelector('#edit-card-group').style.display = CREDIT_METHODS.includes(method) || method === 'debito' ? 'block' : 'none';
+        this.container.querySelector('#edit-installments-group').style.display = method === 'credito_parcelado' ? 'block' : 'none';
+    }
+
+    /**
+     * Lê o formulário e devolve só os campos editáveis
+     * @returns {Object}
+     */
+    readForm() {
+        const changes = {
+            description: this.field('description').value.trim(),
+            amount: parseNumber(this.field('amount').value),
+            category: this.field('category').value.trim(),
+            date: this.field('date').value,
+            isFixed: this.field('isFixed').checked,
+            tags: readTagInput('edit-tags'),
+            notes: this.field('notes').value.trim()
+        };
+
+        if (this.type === 'expense') {
+            const method = this.field('paymentMethod').value;
+            changes.paymentMethod = method;
+            changes.selectedCard = CREDIT_METHODS.includes(method) || method === 'debito'
+                ? (this.field('selectedCard').value || null)
+                : null;
+            changes.installments = method === 'credito_parcelado' ? parseInt(this.field('installments').value) : 1;
+        }
+
+        if (!this.transaction.recurrenceId) {
+            const recurring = readRecurrenceFields();
+            changes.isRecurring = Boolean(recurring);
+            if (recurring) {
+                // Mantém o que o motor de recorrência já registrou (pulos, âncora, geração)
+                const previous = this.transaction.recurring || {};
+                changes.recurring = {
+                    ...recurring,
+                    skipDates: previous.skipDates || [],
+                    ...(previous.generatedUntil ? { generatedUntil: previous.generatedUntil } : {})
+                };
+            } else {
+                changes.recurring = null;
+            }
+        }
+
+        return changes;
+    }
+
+    showErrors(errors) {
+        const box = this.container.querySelector('#edit-transaction-errors');
+        box.innerHTML = '';
+        box.style.display = errors.length > 0 ? 'block' : 'none';
+        errors.forEach(message => {
+            const item = document.createElement('div');
+            item.textContent = message;
+            box.appendChild(item);
+        });
+    }
+
+    save() {
+        if (!this.transaction) return;
+
+        const changes = this.readForm();
+        // O cartão original vale mesmo se tiver sido excluído depois
+        const cards = [...dataManager.getCards(), ...(this.transaction.selectedCard ? [{ name: this.transaction.selectedCard }] : [])];
+        const errors = validateTransaction({ ...this.transaction, ...changes }, this.type, { cards });
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return;
+        }
+
+        const transaction = this.transaction;
+        const scope = this.field('scope').value === 'future' ? 'future' : 'this';
+        dataManager.registerTags(changes.tags);
+
+        if (this.isSeriesItem(transaction, this.type)) {
+            // "Só esta" não altera a regra da série
+            const seriesChanges = { ...changes, updatedAt: new Date().toISOString() };
+            if (scope === 'this') {
+                delete seriesChanges.isRecurring;
+                delete seriesChanges.recurring;
+            }
+            recurrenceService.edit(this.type, transaction, seriesChanges, scope);
+        } else if (transaction.id) {
+            const updated = this.type === 'income'
+                ? dataManager.updateIncome(transaction.id, changes)
+                : dataManager.updateExpense(transaction.id, changes);
+            if (!updated) {
+                this.showErrors(['Transação não encontrada. Ela pode ter sido excluída em outra aba.']);
+                return;
+            }
+        } else {
+            this.updateWithoutId(transaction, changes);
+        }
+
+        console.log(`[EDITOR]: ${this.type === 'income' ? 'Receita' : 'Despesa'} "${changes.description}" atualizada`);
+        const onSave = this.onSave;
+        this.close();
+        if (onSave) onSave(scope);
+    }
+
+    /**
+     * Transações antigas, salvas antes dos ids, são localizadas pelos campos e recebem um id
+     */
+    updateWithoutId(transaction, changes) {
+        const all = this.type === 'income' ? dataManager.getIncomes() : dataManager.getExpenses();
+        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        const updated = all.map(t => (!t.id &&
+            t.date === transaction.date &&
+            t.description === transaction.description &&
+            t.amount === transaction.amount)
+            ? { ...t, ...changes, id, updatedAt: new Date().toISOString() }
+            : t);
+
+        if (this.type === 'income') {
+            dataManager.saveIncomes(updated);
+        } else {
+            dataManager.saveExpenses(updated);
+        }
+    }
+}
+
+export const transactionEditor = new TransactionEditor();
@@ -0,0 +1,192 @@
+/**
+ * Busca, Filtro e Ordenação de Transações
+ * Aplica os critérios da busca da página de detalhes a todas as transações salvas,
+ * sem se limitar a um mês. Sem dependência de DOM.
+ *
+ * Filtro (todos os campos são opcionais; vazio = sem restrição):
+ * {
+ *   text,                          // descrição, categoria, cartão, observações e tags (sem acento)
+ *   categories: [], cards: [],
+ *   minAmount, maxAmount,          // valor total da transação
+ *   dateFrom, dateTo,              // 'YYYY-MM-DD', inclusivos
+ *   paymentMethods: [], sources: [],
+ *   fixed: 'all'|'fixed'|'variable',
+ *   tags: [],                      // a transação precisa ter todas as tags
+ *   sort: { field, direction: 'asc'|'desc' }
+ * }
+ */
+
+/**
+ * Origem de cada transação (campo source); transações sem origem foram lançadas à mão
+ */
+export const TRANSACTION_SOURCES = {
+    MANUAL: 'Manual',
+    CSV_IMPORT: 'Extrato CSV',
+    OFX_IMPORT: 'Extrato OFX',
+    QIF_IMPORT: 'Extrato QIF',
+    CNAB_IMPORT: 'Retorno CNAB',
+    XLSX_IMPORT: 'Planilha XLSX',
+    PDF_IMPORT: 'Fatura PDF',
+    PLUGGY_SYNC: 'Conexão bancária',
+    WHATSAPP: 'WhatsApp'
+};
+
+export const SORT_FIELDS = {
+    date: 'Data',
+    description: 'Descrição',
+    category: 'Categoria',
+    amount: 'Valor',
+    paymentMethod: 'Forma de pagamento',
+    card: 'Cartão',
+    source: 'Origem'
+};
+
+const DEFAULT_SORT = { field: 'date', direction: 'desc' };
+
+/**
+ * Filtro vazio (mostra tudo, mais recentes primeiro)
+ * @returns {Object}
+ */
+export function createEmptyFilter() {
+    return {
+        text: '',
+        categories: [],
+        cards: [],
+        minAmount: null,
+        maxAmount: null,
+        dateFrom: '',
+        dateTo: '',
+        paymentMethods: [],
+        sources: [],
+        fixed: 'all',
+        tags: [],
+        sort: { ...DEFAULT_SORT }
+    };
+}
+
+/**
+ * Indica se o filtro restringe alguma coisa (a ordenação não conta)
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+export function isFilterActive(filter) {
+    if (!filter) return false;
+    return Boolean(
+        String(filter.text || '').trim() ||
+        filter.categories?.length || filter.cards?.length ||
+        isAmount(filter.minAmount) || isAmount(filter.maxAmount) ||
+        filter.dateFrom || filter.dateTo ||
+        filter.paymentMethods?.length || filter.sources?.length ||
+        (filter.fixed && filter.fixed !== 'all') ||
+        filter.tags?.length
+    );
+}
+
+function isAmount(value) {
+    return value !== null && value !== undefined && value !== '' && !isNaN(parseFloat(value));
+}
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim();
+}
+
+/**
+ * Origem da transação, entre as chaves de TRANSACTION_SOURCES
+ * @param {Object} transaction
+ * @returns {string}
+ */
+export function getTransactionSource(transaction) {
+    return transaction.source && TRANSACTION_SOURCES[transaction.source] ? transaction.source : 'MANUAL';
+}
+
+/**
+ * Verifica se a transação atende ao filtro
+ * @param {Object} transaction
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+export function matchesFilter(transaction, filter) {
+    const text = normalize(filter.text);
+    if (text) {
+        const haystack = normalize([
+            transaction.description, transaction.category, transaction.selectedCard, transaction.notes, ...(transaction.tags || [])
+        ].filter(Boolean).join(' '));
+        // Todas as palavras buscadas precisam aparecer, em qualquer ordem
+        if (!text.split(/\s+/).every(word => haystack.includes(word))) return false;
+    }
+
+    if (filter.categories?.length && !filter.categories.includes(transaction.category)) return false;
+    if (filter.cards?.length && !filter.cards.includes(transaction.selectedCard)) return false;
+
+    const amount = parseFloat(transaction.amount) || 0;
+    if (isAmount(filter.minAmount) && amount < parseFloat(filter.minAmount)) return false;
+    if (isAmount(filter.maxAmount) && amount > parseFloat(filter.maxAmount)) return false;
+
+    const date = String(transaction.date || '').split('T')[0];
+    if (filter.dateFrom && (!date || date < filter.dateFrom)) return false;
+    if (filter.dateTo && (!date || date > filter.dateTo)) return false;
+
+    if (filter.paymentMethods?.length && !filter.paymentMethods.includes(transaction.paymentMethod)) return false;
+    if (filter.sources?.length && !filter.sources.includes(getTransactionSource(transaction))) return false;
+
+    if (filter.fixed === 'fixed' && !transaction.isFixed) return false;
+    if (filter.fixed === 'variable' && transaction.isFixed) return false;
+
+    if (filter.tags?.length) {
+        const tags = (transaction.tags || []).map(normalize);
+        if (!filter.tags.every(tag => tags.includes(normalize(tag)))) return false;
+    }
+
+    return true;
+}
+
+function sortValue(transaction, field) {
+    switch (field) {
+        case 'amount':
+            return parseFloat(transaction.amount) || 0;
+        case 'date':
+            return String(transaction.date || '');
+        case 'card':
+            return normalize(transaction.selectedCard);
+        case 'source':
+            return normalize(TRANSACTION_SOURCES[getTransactionSource(transaction)]);
+        default:
+            return normalize(transaction[field]);
+    }
+}
+
+/**
+ * Ordena as transações por uma coluna (sem alterar a lista original)
+ * Empates ficam em ordem de data, mais recentes primeiro.
+ * @param {Array} transactions
+ * @param {{field: string, direction: 'asc'|'desc'}} [sort]
+ * @returns {Array}
+ */
+export function sortTransactions(transactions, sort = DEFAULT_SORT) {
+    const field = SORT_FIELDS[sort?.field] ? sort.field : DEFAULT_SORT.field;
+    const factor = sort?.direction === 'asc' ? 1 : -1;
+
+    return [...transactions].sort((a, b) => {
+        const valueA = sortValue(a, field);
+        const valueB = sortValue(b, field);
+        if (valueA < valueB) return -1 * factor;
+        if (valueA > valueB) return 1 * factor;
+        return sortValue(b, 'date').localeCompare(sortValue(a, 'date'));
+    });
+}
+
+/**
+ * Filtra e ordena as transações
+ * @param {Array} transactions
+ * @param {Object} filter
+ * @returns {Array}
+ */
+export function filterTransactions(transactions, filter) {
+    if (!Array.isArray(transactions)) return [];
+    const criteria = { ...createEmptyFilter(), ...(filter || {}) };
+    return sortTransactions(transactions.filter(t => matchesFilter(t, criteria)), criteria.sort);
+}
@@ -187,7 +187,7 @@ export class TutorialSystem {
             'bank-sync': [
                 { selector: '.bank-integration-section', title: 'Conexão Bancária', content: 'Importe seus dados automaticamente dos bancos.' },
                 { selector: '#connect-bank-btn', title: 'Conexão Automática', content: 'Conecte-se de forma segura usando Open Finance para sincronizar contas e cartões.' },
-                { selector: '#import-statement-btn', title: 'Importar Extrato', content: 'Se preferir, importe arquivos OFX ou CSV exportados do seu banco.' }
+                { selector: '#import-statement-btn', title: 'Importar Extrato', content: 'Se preferir, importe arquivos OFX, CSV, QIF, retorno CNAB, planilhas XLSX ou a fatura do cartão em PDF.' }
             ]
         };
         return allData[sectionId] || [];
@@ -2,6 +2,9 @@
 import { cloudSync } from './cloudSync.js'; // Importar para garantir proteção de rota
 import { dataManager } from './dataManager.js';
 import { notificationSystem, showNotification } from './notificationSystem.js';
+import { findDuplicates } from './duplicateDetection.js';
+import { recurrenceService } from './recurrenceService.js';
+import { collectTags, suggestTags, parseTagInput } from './tags.js';
 
 // Função para verificar autenticação explicitamente (útil para settings.js)
 export async function checkAuth() {
@@ -178,6 +181,129 @@ export async function restoreVersion(id) {
     }
 }
 
+/**
+ * Pede confirmação antes de salvar um lançamento que parece já existir
+ * (ex: despesa enviada pelo WhatsApp e lançada de novo à mão)
+ * @param {Object} transaction Novo lançamento
+ * @param {Array} existing Lançamentos do mesmo tipo
+ * @returns {boolean} true se pode salvar
+ */
+export function confirmPossibleDuplicate(transaction, existing) {
+    const [match] = findDuplicates(transaction, existing);
+    if (!match) return true;
+
+    const { date, description, amount } = match.transaction;
+    const formattedDate = String(date).split('T')[0].split('-').reverse().join('/');
+    const formattedAmount = parseFloat(amount).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    return confirm(`Já existe um lançamento parecido:\n\n${formattedDate} - ${description} - ${formattedAmount}\n\nDeseja salvar mesmo assim?`);
+}
+
+/**
+ * Liga os campos de recorrência do formulário (#isRecurring, #recurring-options):
+ * mostra as opções quando marcado e o intervalo personalizado quando a frequência é 'custom'
+ */
+export function setupRecurrenceFields() {
+    const checkbox = document.getElementById('isRecurring');
+    const options = document.getElementById('recurring-options');
+    const frequency = document.getElementById('recurring-frequency');
+    const custom = document.getElementById('recurring-custom');
+
+    if (checkbox && options) {
+        checkbox.addEventListener('change', () => {
+            options.style.display = checkbox.checked ? 'block' : 'none';
+        });
+    }
+    if (frequency && custom) {
+        frequency.addEventListener('change', () => {
+            custom.style.display = frequency.value === 'custom' ? 'flex' : 'none';
+        });
+    }
+}
+
+/**
+ * Preenche os campos de recorrência do formulário (edição de uma transação)
+ * @param {Object|null} recurring Ver recurrence.js; null desmarca a recorrência
+ */
+export function fillRecurrenceFields(recurring) {
+    const set = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    };
+    const checkbox = document.getElementById('isRecurring');
+    const options = document.getElementById('recurring-options');
+    const custom = document.getElementById('recurring-custom');
+
+    if (checkbox) checkbox.checked = Boolean(recurring);
+    if (options) options.style.display = recurring ? 'block' : 'none';
+
+    set('recurring-frequency', recurring?.frequency || 'monthly');
+    set('recurring-interval', recurring?.interval || 2);
+    set('recurring-unit', recurring?.unit || 'month');
+    set('recurring-end-date', recurring?.endDate || '');
+    set('recurring-mode', recurring?.mode === 'auto' ? 'auto' : recurring ? 'manual' : 'auto');
+    if (custom) custom.style.display = recurring?.frequency === 'custom' ? 'flex' : 'none';
+}
+
+/**
+ * Lê os campos de recorrência do formulário (ver recurrence.js)
+ * @returns {Object|null} recurring, ou null se a transação não se repete
+ */
+export function readRecurrenceFields() {
+    const checkbox = document.getElementById('isRecurring');
+    if (!checkbox || !checkbox.checked) return null;
+
+    const value = (id) => document.getElementById(id)?.value || '';
+    const recurring = {
+        frequency: value('recurring-frequency') || 'monthly',
+        endDate: value('recurring-end-date'),
+        mode: value('recurring-mode') === 'manual' ? 'manual' : 'auto'
+    };
+    if (recurring.frequency === 'custom') {
+        recurring.interval = Math.max(1, parseInt(value('recurring-interval')) || 1);
+        recurring.unit = value('recurring-unit') || 'month';
+    }
+    return recurring;
+}
+
+/**
+ * Autocompletar de tags em um campo de texto com tags separadas por vírgula
+ * As sugestões completam a última tag digitada, via <datalist>.
+ * @param {HTMLInputElement} input
+ */
+export function setupTagInput(input) {
+    if (!input || input.dataset.tagInput) return;
+    input.dataset.tagInput = 'true';
+
+    const datalist = document.createElement('datalist');
+    datalist.id = `${input.id}-suggestions`;
+    input.setAttribute('list', datalist.id);
+    input.setAttribute('autocomplete', 'off');
+    input.insertAdjacentElement('afterend', datalist);
+
+    input.addEventListener('input', () => {
+        const parts = input.value.split(',');
+        const current = parts.pop();
+        const prefix = parts.map(part => part.trim()).filter(Boolean).join(', ');
+        const known = collectTags(dataManager.getTags(), [...dataManager.getExpenses(), ...dataManager.getIncomes()]);
+
+        datalist.innerHTML = '';
+        suggestTags(current, known, parseTagInput(parts)).forEach(name => {
+            const option = document.createElement('option');
+            option.value = prefix ? `${prefix}, ${name}` : name;
+            datalist.appendChild(option);
+        });
+    });
+}
+
+/**
+ * Lê as tags de um campo preenchido com setupTagInput
+ * @param {string} id
+ * @returns {string[]}
+ */
+export function readTagInput(id) {
+    return parseTagInput(document.getElementById(id)?.value || '');
+}
+
 // Configurar dropdowns de categoria
 export function setupCategoryDropdowns() {
     const categorySelects = document.querySelectorAll('select[name="category"], #category');
@@ -229,6 +355,13 @@ export function initSharedUI() {
     initNotificationSystem();
     registerServiceWorker();
     setupSideNavButtons();
+
+    // Lançar as ocorrências vencidas das despesas e receitas recorrentes
+    try {
+        recurrenceService.materializeDue();
+    } catch (error) {
+        console.error('[RECURRENCE]: Erro ao gerar ocorrências:', error);
+    }
     
     // Inicializar cloudSync (auth) se disponível
     if (cloudSync && typeof cloudSync.init === 'function') {
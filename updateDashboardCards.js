@@ -5,14 +5,18 @@
  * @version 2.0.0
  */
 
+import { calculateMonthlyTotals } from './monthlyTotals.js';
+import { sumByTag } from './tags.js';
+
 /**
  * Atualiza os cards do dashboard com dados filtrados
  * @param {Array} expensesData - Dados de despesas
  * @param {Array} incomeData - Dados de receitas
  * @param {string} month - Mês selecionado
  * @param {string} year - Ano selecionado
+ * @param {Object} [options] - Modo do card de crédito (creditBy, cards), ver calculateMonthlyTotals
  */
-export function updateDashboardCards(expensesData, incomeData, month, year) {
+export function updateDashboardCards(expensesData, incomeData, month, year, options = {}) {
     try {
         // Verificar se estamos na página do dashboard
         const firstCard = document.querySelector('.card:nth-child(1) .amount');
@@ -21,117 +25,14 @@ export function updateDashboardCards(expensesData, incomeData, month, year) {
             return;
         }
 
-        // Filtrar receitas do mês
-        const currentMonthIncome = incomeData
-            .filter(item => {
-                try {
-                    const [y, m] = item.date.split('T')[0].split('-');
-                    return parseInt(m) === parseInt(month) && parseInt(y) === parseInt(year);
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar data da receita:', item.date, error);
-                    return false;
-                }
-            })
-            .reduce((total, item) => {
-                try {
-                    return total + parseFloat(item.amount);
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar valor da receita:', item.amount, error);
-                    return total;
-                }
-            }, 0);
-
-        // Filtrar TODAS as despesas do mês (como array)
-        const currentMonthExpensesArray = expensesData
-            .filter(item => {
-                try {
-                    const [y, m] = item.date.split('T')[0].split('-');
-                    return parseInt(m) === parseInt(month) && 
-                           parseInt(y) === parseInt(year) &&
-                           item.category !== 'investimentos';
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar data da despesa:', item.date, error);
-                    return false;
-                }
-            });
-        
-        // Calcular o total das despesas (como número)
-        const currentMonthExpenses = currentMonthExpensesArray
-            .reduce((total, item) => {
-                try {
-                    return total + parseFloat(item.amount);
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar valor da despesa:', item.amount, error);
-                    return total;
-                }
-            }, 0);
-
-        // Filtrar gastos no débito
-        const currentMonthDebitExpenses = expensesData
-            .filter(item => {
-                try {
-                    const [y, m] = item.date.split('T')[0].split('-');
-                    return parseInt(m) === parseInt(month) && 
-                           parseInt(y) === parseInt(year) &&
-                           item.paymentMethod === 'debito';
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar débito:', item, error);
-                    return false;
-                }
-            })
-            .reduce((total, item) => {
-                try {
-                    return total + parseFloat(item.amount);
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar valor do débito:', item.amount, error);
-                    return total;
-                }
-            }, 0);
-
-        // Filtrar gastos no crédito
-        const currentMonthCreditExpenses = expensesData
-            .filter(item => {
-                try {
-                    const [y, m] = item.date.split('T')[0].split('-');
-                    return parseInt(m) === parseInt(month) && 
-                           parseInt(y) === parseInt(year) &&
-                           (item.paymentMethod === 'credito_vista' || 
-                            item.paymentMethod === 'credito_parcelado');
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar crédito:', item, error);
-                    return false;
-                }
-            })
-            .reduce((total, item) => {
-                try {
-                    return total + parseFloat(item.amount);
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar valor do crédito:', item.amount, error);
-                    return total;
-                }
-            }, 0);
-
-        // Filtrar investimentos
-        const currentMonthInvestments = expensesData
-            .filter(item => {
-                try {
-                    const [y, m] = item.date.split('T')[0].split('-');
-                    return parseInt(m) === parseInt(month) && 
-                           parseInt(y) === parseInt(year) &&
-                           item.category === 'investimentos';
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar investimento:', item, error);
-                    return false;
-                }
-            })
-            .reduce((total, item) => {
-                try {
-                    return total + parseFloat(item.amount);
-                } catch (error) {
-                    console.warn('[DASHBOARD]: Erro ao processar valor do investimento:', item.amount, error);
-                    return total;
-                }
-            }, 0);
+        // Calcular totais do mês (mesma regra usada pelos comandos do WhatsApp)
+        const totals = calculateMonthlyTotals(expensesData, incomeData, month, year, options);
+        const currentMonthIncome = totals.income;
+        const currentMonthExpensesArray = totals.expenseItems;
+        const currentMonthExpenses = totals.expenses;
+        const currentMonthDebitExpenses = totals.debit;
+        const currentMonthCreditExpenses = totals.credit;
+        const currentMonthInvestments = totals.investments;
 
         // Atualizar os valores nos cards com tratamento de erro
         try {
@@ -152,8 +53,16 @@ export function updateDashboardCards(expensesData, incomeData, month, year) {
                 }
             });
 
-            // Calcular o valor "GUARDEI" (Renda - Despesas - Investimentos)
-            const savedAmount = currentMonthIncome - currentMonthExpenses - currentMonthInvestments;
+            // Parcelas já compromissadas nos próximos meses
+            const committedElement = document.getElementById('credit-committed');
+            if (committedElement) {
+                committedElement.textContent = totals.futureInstallments > 0
+                    ? `+ R$ ${totals.futureInstallments.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} em parcelas futuras`
+                    : '';
+            }
+
+            // Valor "GUARDEI" (Renda - Despesas - Investimentos)
+            const savedAmount = totals.saved;
             const savedCard = document.querySelector('.card:nth-child(6) .amount');
             if (savedCard) {
                 savedCard.textContent = `R$ ${savedAmount.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`;
@@ -168,6 +77,9 @@ export function updateDashboardCards(expensesData, incomeData, month, year) {
         // Atualizar listas de despesas fixas e variáveis
         updateExpenseLists(currentMonthExpensesArray, currentMonthIncome);
 
+        // Atualizar gastos por tag
+        updateTagReport(currentMonthExpensesArray);
+
         // Atualizar gráfico de gastos mensais
         updateMonthlyChart(expensesData, year);
 
@@ -192,6 +104,15 @@ export function updateDashboardCards(expensesData, incomeData, month, year) {
     }
 }
 
+/**
+ * Descrição exibida nas listas; parcelas levam o número ("TV (3/10)")
+ */
+function describeExpense(expense) {
+    return expense.installment
+        ? `${expense.description} (${expense.installment.current}/${expense.installment.total})`
+        : expense.description;
+}
+
 /**
  * Atualiza as listas de despesas fixas e variáveis
  */
@@ -217,7 +138,7 @@ function updateExpenseLists(expensesArray, monthlyIncome) {
                     
                     const descSpan = document.createElement('span');
                     descSpan.className = 'expense-description';
-                    descSpan.textContent = expense.description;
+                    descSpan.textContent = describeExpense(expense);
                     
                     const amountSpan = document.createElement('span');
                     amountSpan.className = 'expense-amount';
@@ -262,7 +183,7 @@ function updateExpenseLists(expensesArray, monthlyIncome) {
                     
                     const descSpan = document.createElement('span');
                     descSpan.className = 'expense-description';
-                    descSpan.textContent = expense.description;
+                    descSpan.textContent = describeExpense(expense);
                     
                     const amountSpan = document.createElement('span');
                     amountSpan.className = 'expense-amount';
@@ -293,6 +214,44 @@ function updateExpenseLists(expensesArray, monthlyIncome) {
     }
 }
 
+/**
+ * Atualiza o relatório de gastos por tag do mês
+ */
+function updateTagReport(expensesArray) {
+    try {
+        const report = document.getElementById('tag-report');
+        const list = document.getElementById('tag-report-list');
+        if (!report || !list) return;
+
+        const totals = sumByTag(expensesArray);
+        report.style.display = totals.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+
+        totals.forEach(({ tag, total, count }) => {
+            const listItem = document.createElement('li');
+
+            const iconSpan = document.createElement('span');
+            iconSpan.className = 'expense-icon';
+            iconSpan.textContent = '🏷️';
+
+            const descSpan = document.createElement('span');
+            descSpan.className = 'expense-description';
+            descSpan.textContent = `${tag} (${count} ${count === 1 ? 'despesa' : 'despesas'})`;
+
+            const amountSpan = document.createElement('span');
+            amountSpan.className = 'expense-amount';
+            amountSpan.textContent = `R$ ${total.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`;
+
+            listItem.appendChild(iconSpan);
+            listItem.appendChild(descSpan);
+            listItem.appendChild(amountSpan);
+            list.appendChild(listItem);
+        });
+    } catch (error) {
+        console.error('[DASHBOARD]: Erro ao atualizar gastos por tag:', error);
+    }
+}
+
 /**
  * Atualiza o gráfico de gastos mensais
  */
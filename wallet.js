@@ -3,6 +3,9 @@ import { showNotification } from './notificationSystem.js';
 import { initSharedUI } from './uiShared.js';
 import { bankSyncService } from './bankSyncService.js';
 import { bankStatementParser } from './bankStatementParser.js';
+import { importPreview } from './importPreview.js';
+import { csvProfileEditor } from './csvProfileEditor.js';
+import { getCardInvoiceSummary, getRemainingInstallments } from './billingCycle.js';
 
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize Shared UI
@@ -25,45 +28,128 @@ document.addEventListener('DOMContentLoaded', function() {
             const file = e.target.files[0];
             if (!file) return;
 
-            try {
-                showNotification('Processando arquivo...', 'info');
-                const transactions = await bankStatementParser.parseFile(file);
-                
-                if (transactions.length > 0) {
-                    // Usar o mesmo processador do serviço de sync para padronizar
-                    bankSyncService.processTransactions(transactions);
-                } else {
-                    showNotification('Nenhuma transação válida encontrada no arquivo.', 'warning');
-                }
-                
-                // Limpar input
-                statementFileInput.value = '';
-            } catch (error) {
-                console.error('Erro na importação:', error);
-                showNotification('Erro ao importar arquivo: ' + error.message, 'error');
-            }
+            // Limpar input (permite escolher o mesmo arquivo de novo)
+            statementFileInput.value = '';
+            await importStatement(file);
         };
     }
 
+    /**
+     * Lê o extrato e abre a revisão. CSVs sem perfil reconhecido passam antes
+     * pelo mapeamento de colunas, e a leitura é refeita com o perfil escolhido.
+     */
+    async function importStatement(file, csvProfile = null, pdfPassword = undefined) {
+        try {
+            showNotification('Processando arquivo...', 'info');
+            const { transactions, statements } = await bankStatementParser.parseStatementFile(file, {
+                customProfiles: dataManager.getCsvProfiles(),
+                profile: csvProfile,
+                cards: dataManager.getCards(),
+                pdfPassword
+            });
+            
+            if (transactions.length > 0) {
+                // Mesma normalização do serviço de sync, mas só salva o que o usuário confirmar
+                const items = bankSyncService.prepareTransactions(transactions);
+                const profileName = transactions[0].originalData?.csvProfile;
+                importPreview.open(items, {
+                    fileName: profileName ? `${file.name} (${profileName})` : file.name,
+                    statements,
+                    onConfirm: (selected, accountLinks) => {
+                        Object.entries(accountLinks).forEach(([accountKey, cardName]) => {
+                            bankSyncService.linkAccountToCard(accountKey, cardName);
+                        });
+                        if (selected.length > 0) {
+                            bankSyncService.commitTransactions(selected);
+                            loadCards();
+                        } else {
+                            showNotification('Nenhuma transação selecionada.', 'info');
+                        }
+                    }
+                });
+            } else {
+                showNotification('Nenhuma transação válida encontrada no arquivo.', 'warning');
+            }
+        } catch (error) {
+            if (error.code === 'CSV_PROFILE_REQUIRED') {
+                showNotification(error.message, 'warning');
+                csvProfileEditor.open(error.csvRows, {
+                    onApply: (profile) => importStatement(file, profile)
+                });
+                return;
+            }
+            if (error.code === 'PDF_PASSWORD_REQUIRED') {
+                // Faturas costumam ser protegidas (geralmente com os primeiros dígitos do CPF)
+                const password = prompt(`${error.message}\nDigite a senha para abrir a fatura:`);
+                if (password) importStatement(file, csvProfile, password);
+                return;
+            }
+            console.error('Erro na importação:', error);
+            showNotification('Erro ao importar arquivo: ' + error.message, 'error');
+        }
+    }
+
     const cardForm = document.getElementById('cardForm');
     const cardsList = document.getElementById('cardsList');
 
     // Carregar cartões existentes
-    // Função para calcular o consumo do cartão
-    function calculateCardUsage(cardName) {
-        const expensesData = dataManager.getExpenses();
-        const currentMonth = new Date().getMonth() + 1;
-        const currentYear = new Date().getFullYear();
-        
-        return expensesData
-            .filter(expense => {
-                const expenseDate = new Date(expense.date);
-                return expense.selectedCard === cardName &&
-                       (expense.paymentMethod === 'credito_vista' || expense.paymentMethod === 'credito_parcelado') &&
-                       expenseDate.getMonth() + 1 === currentMonth &&
-                       expenseDate.getFullYear() === currentYear;
-            })
-            .reduce((total, expense) => total + expense.amount, 0);
+    // Função para calcular o consumo do cartão: compras ainda não vencidas, pelo ciclo
+    // de faturamento do cartão (ver billingCycle.js)
+    function calculateCardUsage(card) {
+        return getCardInvoiceSummary(card, dataManager.getExpenses());
+    }
+
+    function formatShortDate(isoDate) {
+        if (!isoDate) return '--/--';
+        const [, month, day] = isoDate.split('-');
+        return `${day}/${month}`;
+    }
+
+    // "Fatura atual / próxima fatura" de cartões com crédito
+    function createInvoicesElement(summary) {
+        const invoicesDiv = document.createElement('div');
+        invoicesDiv.className = 'card-invoices';
+
+        [
+            { label: 'Fatura atual', invoice: summary.current },
+            { label: 'Próxima fatura', invoice: summary.next }
+        ].forEach(({ label, invoice }) => {
+            const row = document.createElement('div');
+            row.className = 'card-invoice';
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'invoice-label';
+            labelSpan.textContent = `${label} (fecha ${formatShortDate(invoice.closingDate)}, vence ${formatShortDate(invoice.dueDate)})`;
+
+            const totalSpan = document.createElement('span');
+            totalSpan.className = 'invoice-total';
+            totalSpan.textContent = `R$ ${invoice.total.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`;
+
+            row.appendChild(labelSpan);
+            row.appendChild(totalSpan);
+            invoicesDiv.appendChild(row);
+        });
+
+        return invoicesDiv;
+    }
+
+    // Compras parceladas com parcelas ainda a faturar
+    function createInstallmentsElement(card) {
+        const plans = getRemainingInstallments(card, dataManager.getExpenses());
+        if (plans.length === 0) return null;
+
+        const list = document.createElement('ul');
+        list.className = 'card-installments';
+        list.title = 'Parcelas restantes';
+
+        plans.forEach(({ purchase, installmentAmount, remaining, remainingAmount }) => {
+            const item = document.createElement('li');
+            const next = remaining[0].installment;
+            item.textContent = `${purchase.description}: ${next.current}/${next.total}, faltam ${remaining.length}x de R$ ${installmentAmount.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} (R$ ${remainingAmount.toLocaleString('pt-BR', { minimumFractionDigits: 2 })})`;
+            list.appendChild(item);
+        });
+
+        return list;
     }
     
     // Modificar a função loadCards para incluir a barra de consumo
@@ -85,7 +171,8 @@ document.addEventListener('DOMContentLoaded', function() {
             cardElement.className = `credit-card ${card.type}`;
             
             // Calcular consumo do cartão
-            const usedAmount = calculateCardUsage(card.name);
+            const invoiceSummary = calculateCardUsage(card);
+            const usedAmount = invoiceSummary.outstanding;
             const usagePercentage = card.limit > 0 ? (usedAmount / card.limit) * 100 : 0;
             const remainingLimit = card.limit - usedAmount;
             
@@ -139,6 +226,12 @@ document.addEventListener('DOMContentLoaded', function() {
             if (card.dueDay) datesText += `${datesText ? ' | ' : ''}Vencimento: ${card.dueDay.toString().padStart(2, '0')}`;
             datesDiv.textContent = datesText;
             cardElement.appendChild(datesDiv);
+
+            if (card.type !== 'debito') {
+                cardElement.appendChild(createInvoicesElement(invoiceSummary));
+                const installmentsElement = createInstallmentsElement(card);
+                if (installmentsElement) cardElement.appendChild(installmentsElement);
+            }
             
             if (card.limit > 0) {
                 const usageDiv = document.createElement('div');
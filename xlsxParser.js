@@ -0,0 +1,215 @@
+/**
+ * Leitura de Planilhas XLSX
+ * Um .xlsx é um ZIP de arquivos XML. Aqui são lidos apenas a primeira planilha,
+ * as strings compartilhadas e os estilos (para reconhecer células de data), sem
+ * dependências: a descompressão usa o DecompressionStream do navegador.
+ * As linhas devolvidas seguem o mesmo formato do tokenizador de CSV, então os
+ * perfis de colunas de csvParser.js valem também para planilhas.
+ */
+
+// Formatos de número nativos do Excel que representam datas
+const BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXML(text) {
+    return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+            return isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return match ? decodeXML(match[1]) : null;
+}
+
+/**
+ * Índice do diretório central do ZIP
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, {method: number, compressedSize: number, localOffset: number}>}
+ */
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+    let eocd = -1;
+    // O registro final fica nos últimos 22 bytes, seguido de um comentário opcional
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Arquivo XLSX inválido ou corrompido.');
+
+    const entries = new Map();
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+async function readZipEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    const nameLength = view.getUint16(entry.localOffset + 26, true);
+    const extraLength = view.getUint16(entry.localOffset + 28, true);
+    const start = entry.localOffset + 30 + nameLength + extraLength;
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    let bytes;
+    if (entry.method === 0) {
+        bytes = data;
+    } else if (entry.method === 8) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else {
+        throw new Error(`Compressão ${entry.method} não suportada no XLSX.`);
+    }
+
+    return new TextDecoder().decode(bytes);
+}
+
+function parseSharedStrings(xml) {
+    if (!xml) return [];
+    return Array.from(xml.matchAll(/<si>([\s\S]*?)<\/si>/g), ([, item]) => {
+        // Texto formatado vem em várias <t>; a guia fonética (<rPh>) não faz parte do valor
+        const text = item.replace(/<rPh[\s\S]*?<\/rPh>/g, '');
+        return Array.from(text.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g), ([, value]) => decodeXML(value)).join('');
+    });
+}
+
+function isDateFormatCode(code) {
+    const cleaned = code.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '');
+    return /[dy]/i.test(cleaned);
+}
+
+/**
+ * Quais estilos de célula (atributo s) são datas
+ * @param {string|null} xml xl/styles.xml
+ * @returns {Set<number>}
+ */
+function parseDateStyles(xml) {
+    const dateStyles = new Set();
+    if (!xml) return dateStyles;
+
+    const customDateFormats = new Set();
+    for (const [, attributes] of xml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+        const code = getAttribute(attributes, 'formatCode') || '';
+        if (isDateFormatCode(code)) customDateFormats.add(parseInt(getAttribute(attributes, 'numFmtId')));
+    }
+
+    const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+    if (!cellXfs) return dateStyles;
+
+    Array.from(cellXfs[1].matchAll(/<xf\b([^>]*)>/g)).forEach(([, attributes], index) => {
+        const formatId = parseInt(getAttribute(attributes, 'numFmtId'));
+        if (BUILTIN_DATE_FORMATS.includes(formatId) || customDateFormats.has(formatId)) {
+            dateStyles.add(index);
+        }
+    });
+    return dateStyles;
+}
+
+// Número de série do Excel para YYYY-MM-DD (sistema 1900, ou 1904 em planilhas antigas de Mac)
+function serialToDate(serial, date1904) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    return new Date(epoch + Math.round(serial * 86400000)).toISOString().split('T')[0];
+}
+
+// "A1" -> 0, "AB12" -> 27
+function columnIndex(reference) {
+    const letters = (reference || '').match(/^[A-Z]+/);
+    if (!letters) return -1;
+    return letters[0].split('').reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+async function findFirstSheetPath(buffer, entries) {
+    const read = async name => (entries.has(name) ? readZipEntry(buffer, entries.get(name)) : null);
+    const workbook = await read('xl/workbook.xml');
+    const rels = await read('xl/_rels/workbook.xml.rels');
+
+    const sheet = workbook && workbook.match(/<sheet\b([^>]*)\/?>/);
+    const relationId = sheet && getAttribute(sheet[1], 'r:id');
+    if (relationId && rels) {
+        for (const [, attributes] of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+            if (getAttribute(attributes, 'Id') !== relationId) continue;
+            const target = getAttribute(attributes, 'Target');
+            return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+
+    return Array.from(entries.keys()).filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)).sort()[0] || null;
+}
+
+/**
+ * Lê a primeira planilha de um arquivo XLSX
+ * Datas viram YYYY-MM-DD e números usam ponto decimal (arredondados em centavos).
+ * @param {ArrayBuffer} buffer Conteúdo do arquivo
+ * @returns {Promise<string[][]>} Linhas (sem linhas totalmente vazias)
+ * @throws {Error} Quando o arquivo não é um XLSX válido
+ */
+export async function readXLSXRows(buffer) {
+    const entries = readZipDirectory(buffer);
+    const sheetPath = await findFirstSheetPath(buffer, entries);
+    if (!sheetPath || !entries.has(sheetPath)) throw new Error('Nenhuma planilha encontrada no arquivo XLSX.');
+
+    const read = async name => (entries.has(name) ? readZipEntry(buffer, entries.get(name)) : null);
+    const sheet = await read(sheetPath);
+    const sharedStrings = parseSharedStrings(await read('xl/sharedStrings.xml'));
+    const dateStyles = parseDateStyles(await read('xl/styles.xml'));
+    const date1904 = /<workbookPr\b[^>]*date1904="(1|true)"/.test((await read('xl/workbook.xml')) || '');
+
+    const rows = [];
+    for (const [, rowContent] of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const row = [];
+        for (const [, attributes, content = ''] of rowContent.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const reference = getAttribute(attributes, 'r');
+            const index = reference ? columnIndex(reference) : row.length;
+            const type = getAttribute(attributes, 't');
+            const style = parseInt(getAttribute(attributes, 's'));
+            const rawValue = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let value = '';
+            if (type === 's') {
+                value = sharedStrings[parseInt(rawValue)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = Array.from(content.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g), ([, text]) => decodeXML(text)).join('');
+            } else if (rawValue !== undefined && (type === 'str' || type === 'e' || type === 'b')) {
+                value = decodeXML(rawValue);
+            } else if (rawValue !== undefined) {
+                const number = parseFloat(rawValue);
+                if (isNaN(number)) {
+                    value = decodeXML(rawValue);
+                } else if (dateStyles.has(style)) {
+                    value = serialToDate(number, date1904);
+                } else {
+                    value = String(Math.round(number * 100) / 100);
+                }
+            }
+
+            while (row.length < index) row.push('');
+            row[index] = value.trim();
+        }
+        if (row.some(cell => cell !== '')) rows.push(row);
+    }
+
+    return rows;
+}